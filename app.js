@@ -16,6 +16,15 @@ const path = require('path');
 const session = require('express-session');
 const knex = require('knex');
 const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+const fs = require('fs');
+const nodemailer = require('nodemailer');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const multer = require('multer');
+const ExcelJS = require('exceljs');
+const { parse: parseCsv } = require('csv-parse/sync');
+const { stringify: stringifyCsv } = require('csv-stringify/sync');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -49,14 +58,47 @@ const db = knex({
 });
 
 // Test database connection on startup
-// This helps catch connection issues early before the server starts accepting requests
-db.raw('SELECT 1')
-  .then(() => {
-    console.log('Database connection established successfully');
-  })
-  .catch((err) => {
-    console.error('Database connection failed:', err.message);
-  });
+// This helps catch connection issues early before the server starts accepting requests.
+// Only when run as the server (node app.js) - tests require the app and set up the database themselves.
+if (require.main === module) {
+  db.raw('SELECT 1')
+    .then(() => {
+      console.log('Database connection established successfully');
+      return runMigrations().then(() => {
+        startOutboxWorker();
+        startNotificationScheduler();
+        startMilestoneRuleJob();
+      }, () => {
+        // Routes and workers would run against the old schema, so stop instead of serving
+        process.exit(1);
+      });
+    })
+    .catch((err) => {
+      console.error('Database connection failed:', err.message);
+    });
+}
+
+/**
+ * runMigrations - Applies pending schema migrations from the /migrations directory
+ *
+ * Migrations are plain Knex migration files (exports.up / exports.down) named with a
+ * timestamp prefix so they run in order. Knex records applied migrations in the
+ * knex_migrations table, so each one runs exactly once per database, including on
+ * every Elastic Beanstalk deploy. A failed migration is logged and rethrown.
+ */
+async function runMigrations() {
+  try {
+    const [batchNo, applied] = await db.migrate.latest({
+      directory: path.join(__dirname, 'migrations'),
+    });
+    if (applied.length > 0) {
+      console.log(`Applied ${applied.length} migration(s) in batch ${batchNo}:`, applied.join(', '));
+    }
+  } catch (err) {
+    console.error('Database migration failed:', err.message);
+    throw err;
+  }
+}
 
 // =======================
 // BASIC APP SETUP
@@ -155,6 +197,23 @@ function requireManager(req, res, next) {
   next();
 }
 
+/**
+ * requireParticipantAccess - Ensures a participant has signed in through an emailed link
+ *
+ * Participants have no staff login. Redeeming a "My registrations" magic link stores
+ * req.session.participantAccess = { participantId, expiresAt }; this guard checks it
+ * and sends the visitor back to the email form once it has expired.
+ */
+function requireParticipantAccess(req, res, next) {
+  const access = req.session.participantAccess;
+  if (!access || access.expiresAt < Date.now()) {
+    req.session.participantAccess = null;
+    req.session.error = 'Please request a new sign-in link to manage your registrations.';
+    return res.redirect('/my-registrations');
+  }
+  next();
+}
+
 /**
  * Utility Helper Functions
  * 
@@ -162,12 +221,125 @@ function requireManager(req, res, next) {
  * multiple routes to ensure consistency and reduce code duplication.
  */
 
+/**
+ * Organization Time Zone
+ *
+ * Event times are entered and shown as wall-clock times in the organization's time zone
+ * (ORG_TIMEZONE, an IANA name such as "America/Denver"), whatever zone the server or the
+ * visitor's browser is in. Timestamps are stored as UTC instants, so converting on the way
+ * in (parseDateTimeLocal) and on the way out (formatDateTime, toDateTimeLocal) is all it
+ * takes for an event to keep its time through any number of edits, DST changes included.
+ */
+const DEFAULT_ORG_TIMEZONE = 'America/Denver';
+const ORG_TIMEZONE = (() => {
+  const zone = process.env.ORG_TIMEZONE || DEFAULT_ORG_TIMEZONE;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: zone });
+    return zone;
+  } catch (err) {
+    console.error(`Unknown ORG_TIMEZONE "${zone}", using ${DEFAULT_ORG_TIMEZONE}.`);
+    return DEFAULT_ORG_TIMEZONE;
+  }
+})();
+
+const orgPartsFormat = new Intl.DateTimeFormat('en-US', {
+  timeZone: ORG_TIMEZONE,
+  hourCycle: 'h23',
+  weekday: 'short',
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+});
+const SHORT_WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * zonedParts - Wall-clock parts of an instant in the organization's time zone
+ *
+ * Returns { year, month (1-12), day, hour, minute, second, weekday (0 = Sunday) }.
+ */
+function zonedParts(date) {
+  const parts = {};
+  orgPartsFormat.formatToParts(new Date(date)).forEach(p => { parts[p.type] = p.value; });
+  return {
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+    second: Number(parts.second),
+    weekday: SHORT_WEEKDAYS.indexOf(parts.weekday),
+  };
+}
+
+/**
+ * zonedOffset - Milliseconds the organization's clock is ahead of UTC at an instant
+ */
+function zonedOffset(ms) {
+  const seconds = Math.floor(ms / 1000) * 1000;
+  const p = zonedParts(seconds);
+  return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - seconds;
+}
+
+/**
+ * zonedTimeToDate - Instant for a wall-clock time in the organization's time zone
+ *
+ * month is 1-12; minutes past 59 roll over into later hours and days. A time that happens
+ * twice when clocks fall back resolves to the first one; a time skipped when clocks spring
+ * forward moves forward by the gap (2:30 AM becomes 3:30 AM).
+ */
+function zonedTimeToDate(year, month, day, hour = 0, minute = 0) {
+  const wall = Date.UTC(year, month - 1, day, hour, minute);
+  const dayMs = 24 * 60 * 60 * 1000;
+  const before = zonedOffset(wall - dayMs);
+  const after = zonedOffset(wall + dayMs);
+
+  const matches = [...new Set([before, after])]
+    .map(offset => wall - offset)
+    .filter(ms => zonedOffset(ms) === wall - ms);
+  if (matches.length > 0) return new Date(Math.min(...matches));
+  return new Date(wall - before);
+}
+
+/**
+ * parseDateTimeLocal - Parses a datetime-local input value ("2026-11-03T16:00") as
+ * organization time; returns a Date, or null when the value is not a valid date and time
+ */
+function parseDateTimeLocal(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::\d{2}(?:\.\d+)?)?$/.exec((value || '').trim());
+  if (!match) return null;
+  const [year, month, day, hour, minute] = match.slice(1).map(Number);
+  const check = new Date(Date.UTC(year, month - 1, day));
+  if (check.getUTCMonth() !== month - 1 || check.getUTCDate() !== day || hour > 23 || minute > 59) return null;
+  return zonedTimeToDate(year, month, day, hour, minute);
+}
+
+/**
+ * toDateTimeLocal - Formats an instant for a datetime-local input, in organization time
+ */
+function toDateTimeLocal(date) {
+  if (!date) return '';
+  const p = zonedParts(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${p.year}-${pad(p.month)}-${pad(p.day)}T${pad(p.hour)}:${pad(p.minute)}`;
+}
+
+/**
+ * zonedDateKey - YYYY-MM-DD of an instant in the organization's time zone
+ */
+function zonedDateKey(date) {
+  return toDateTimeLocal(date).slice(0, 10);
+}
+
 /**
  * formatDateShort - Formats date objects into readable short date strings
  * 
  * Converts date strings or Date objects into user-friendly format (e.g., "Jan 15, 2025").
- * Used throughout the application for displaying event dates, milestones, etc.
- * Handles both string and Date object inputs for flexibility.
+ * Used throughout the application for displaying event dates, submission dates, etc.
+ * Handles both string and Date object inputs for flexibility. The date is the one in the
+ * organization's time zone; DATE columns use formatCalendarDate instead.
  */
 function formatDateShort(date) {
   if (!date) return '';
@@ -176,15 +348,50 @@ function formatDateShort(date) {
     month: 'short',
     day: 'numeric',
     year: 'numeric',
+    timeZone: ORG_TIMEZONE,
+  });
+}
+
+/**
+ * formatCalendarDate - Formats a DATE column value (birthdays, milestone and donation dates)
+ *
+ * These are calendar days with no time of day, read by the database driver as local
+ * midnight, so they are formatted as-is rather than converted to the organization's zone.
+ * Also accepts "YYYY-MM-DD" strings.
+ */
+function formatCalendarDate(date) {
+  if (!date) return '';
+  const match = typeof date === 'string' ? /^(\d{4})-(\d{2})-(\d{2})/.exec(date) : null;
+  const d = match ? null : new Date(date);
+  const utc = match
+    ? Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3]))
+    : Date.UTC(d.getFullYear(), d.getMonth(), d.getDate());
+  return new Date(utc).toLocaleDateString('en-US', {
+    month: 'short',
+    day: 'numeric',
+    year: 'numeric',
+    timeZone: 'UTC',
   });
 }
 
+/**
+ * calendarDateKey - YYYY-MM-DD of a DATE column value (see formatCalendarDate), for comparing days
+ */
+function calendarDateKey(date) {
+  if (!date) return '';
+  if (typeof date === 'string') return date.slice(0, 10);
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
 /**
  * formatDateTime - Formats date objects into readable date and time strings
  * 
  * Converts date strings or Date objects into user-friendly format with time
  * (e.g., "Jan 15, 2025, 2:30 PM"). Used for displaying event start/end times.
- * Handles both string and Date object inputs for flexibility.
+ * Handles both string and Date object inputs for flexibility. Times are shown in the
+ * organization's time zone.
  */
 function formatDateTime(date) {
   if (!date) return '';
@@ -196,6 +403,7 @@ function formatDateTime(date) {
     hour: 'numeric',
     minute: '2-digit',
     hour12: true,
+    timeZone: ORG_TIMEZONE,
   });
 }
 
@@ -235,1109 +443,1590 @@ function formatParticipantName(participant) {
 }
 
 // =======================
-// PUBLIC ROUTES
+// REGISTRATION HELPERS
 // =======================
 /**
- * Public-facing routes that don't require authentication
- * These routes are accessible to all visitors and showcase Ella Rises' mission and programs
+ * Event registration and waitlist helpers
+ *
+ * An event_registration row holds a seat when its status is 'registered' (or any legacy
+ * status other than 'waitlisted' / 'cancelled'). Once an event reaches event_capacity,
+ * new registrations are stored with registration_status = 'waitlisted' and are promoted
+ * first-come-first-served (by registration_created_at) when seats free up.
+ *
+ * Concurrency: every write that changes who holds a seat runs in a transaction that first
+ * locks the event_instance row (SELECT ... FOR UPDATE). Concurrent registrations for the
+ * same event therefore run one at a time, so the count-then-insert can never overbook.
+ * The unique constraint on (participant_id, event_instance_id) backs up the duplicate check.
  */
 
 /**
- * Home Page - Landing page explaining Ella Rises' objective
- * 
- * Displays:
- * - Upcoming events (next 15 events from current year)
- * - Impact statistics (participant count, satisfaction, milestones)
- * 
- * Per rubric requirement: "Welcome Landing Page explaining the objective of Ella Rises"
- * Uses Promise.all to fetch all data in parallel for optimal performance.
+ * ACTIVE_REGISTRATION_SQL - SQL condition (for alias `er`) matching seat-holding registrations
+ *
+ * Used inside raw count subqueries on list pages so "registrations" means seats taken.
  */
-app.get('/', async (req, res) => {
-  try {
-    // Execute all database queries in parallel
-    let [events, participantsResult, satisfactionResult, milestonesResult] = await Promise.all([
-      db
-        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
-        .from("event_instance as ei")
-        .leftJoin('event as e', 'ei.event_id', 'e.event_id')
-        .where(db.raw("EXTRACT(YEAR FROM ei.event_date_start_time)"), ">=", new Date().getFullYear())
-        .orderBy("ei.event_date_start_time", "asc")
-        .limit(15),
-      
-      db
-        .select(db.raw("count(distinct er.participant_id) as participants_count"))
-        .from("event_registration as er")
-        .where("er.registration_attended_flag", "=", true),
-      
-      db
-        .select(db.raw("avg(question_response) as avg_satisfaction"))
-        .from("survey_response")
-        .where("question_number", "=", 1)
-        .groupBy("question_number"),
-      
-      db
-        .select(db.raw("count(*) as milestones_achieved"))
-        .from("participant_milestone")
-    ]);
+const ACTIVE_REGISTRATION_SQL = "coalesce(er.registration_status, 'registered') NOT IN ('waitlisted', 'cancelled')";
 
-    // Process events
-    const upcomingEvents = events.map((e) => ({
-      ...e,
-      dateFormatted: formatDateShort(e.event_date_start_time || e.start),
-    }));
+/**
+ * countActiveRegistrations - Counts registrations currently holding a seat at an event instance
+ *
+ * Accepts an optional transaction so the count sees the same snapshot as the caller's writes.
+ */
+async function countActiveRegistrations(eventInstanceId, trx = db) {
+  const result = await trx('event_registration as er')
+    .where('er.event_instance_id', eventInstanceId)
+    .whereRaw(ACTIVE_REGISTRATION_SQL)
+    .count('* as count')
+    .first();
+  return parseInt(result?.count || 0);
+}
 
-    // Extract stats with proper defaults
-    const participantsCount = participantsResult[0]?.participants_count || 0;
-    
-    const avgSatisfaction = satisfactionResult[0]?.avg_satisfaction 
-      ? parseFloat(satisfactionResult[0].avg_satisfaction).toFixed(1) 
-      : null;
-    
-    const milestonesAchieved = milestonesResult[0]?.milestones_achieved || 0;
+/**
+ * getWaitlistPosition - Returns a participant's 1-based position on an event's waitlist
+ *
+ * Returns null if the participant is not waitlisted for the event instance.
+ */
+async function getWaitlistPosition(eventInstanceId, participantId, trx = db) {
+  const registration = await trx('event_registration')
+    .where({ event_instance_id: eventInstanceId, participant_id: participantId })
+    .first();
 
-    res.render('public/home', { 
-      upcomingEvents, 
-      impactStats: { 
-        participantsCount, 
-        avgSatisfaction, 
-        milestonesAchieved 
-      } 
-    });
-  } catch (err) {
-    console.error('Error loading home page data:', err);
-    // Render with default values on error
-    res.render('public/home', { 
-      upcomingEvents: [], 
-      impactStats: { 
-        participantsCount: 0, 
-        avgSatisfaction: null, 
-        milestonesAchieved: 0 
-      } 
-    });
-  }
-});
+  if (!registration || registration.registration_status !== 'waitlisted') return null;
+
+  const ahead = await trx('event_registration')
+    .where({ event_instance_id: eventInstanceId, registration_status: 'waitlisted' })
+    .where('registration_created_at', '<', registration.registration_created_at)
+    .count('* as count')
+    .first();
 
+  return parseInt(ahead?.count || 0) + 1;
+}
 
 /**
- * Programs Page - Static information about Ella Rises programs
- * 
- * Simple static page explaining the types of programs offered.
+ * lockEventInstance - Locks an event_instance row for the rest of a transaction
+ *
+ * Other transactions that lock the same event wait until this one commits.
+ * Returns the locked row, or undefined if the event does not exist.
  */
-app.get('/programs', (req, res) => {
-  res.render('public/programs');
-});
+function lockEventInstance(trx, eventInstanceId) {
+  return trx('event_instance')
+    .where('event_instance_id', eventInstanceId)
+    .forUpdate()
+    .first();
+}
 
 /**
- * Public Events Page - Calendar view of upcoming events
- * 
- * Displays all events from the current year in a schedule/calendar format.
- * Events are formatted client-side to show in visitor's local timezone.
- * Includes filtering capabilities for event type, location, and time.
+ * isUniqueViolation - True if a database error is a PostgreSQL unique constraint violation
  */
-app.get('/events', async (req, res) => {
+function isUniqueViolation(err) {
+  return err && err.code === '23505';
+}
+
+/**
+ * registerParticipantForEvent - Creates a registration, or a waitlist entry if the event is full
+ *
+ * Runs atomically: the event_instance row is locked, capacity is re-read and counted, and the
+ * registration is written before the lock is released.
+ *
+ * Returns { alreadyRegistered: true, status } when the participant already holds a
+ * registration or waitlist spot, { notFound: true } if the event no longer exists, and
+ * otherwise { status, waitlistPosition } for the new registration. A previously cancelled
+ * registration is revived rather than duplicated.
+ */
+async function registerParticipantForEvent(participantId, eventInstanceId) {
   try {
-    const eventsData = await db
-      .select(
-        'ei.*', 
-        'e.event_name', 
-        'e.event_type', 
-        'e.event_description', 
-        'ei.event_location',
-        'ei.event_capacity',
-        db.raw(`(
-          SELECT count(*)
-          FROM event_registration er
-          WHERE er.event_instance_id = ei.event_instance_id
-        ) as registrations_count`)
-      )
-      .from('event_instance as ei')
-      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
-      .orderBy('ei.event_date_start_time', 'asc');
+    return await db.transaction(async (trx) => {
+      const eventInstance = await lockEventInstance(trx, eventInstanceId);
+      if (!eventInstance) return { notFound: true };
 
-    const publicEvents = eventsData.map((e) => {
-      const capacity = e.event_capacity ? parseInt(e.event_capacity) : null;
-      const registrations = parseInt(e.registrations_count || 0);
-      const isFull = capacity !== null && registrations >= capacity;
-      
-      return {
-        id: e.event_instance_id,
-        name: e.event_name || 'Event',
-        type: e.event_type || 'General',
-        location: e.event_location || 'TBD',
-        dateTime: e.event_date_start_time, // Raw ISO date-time string from database
-        description: e.event_description || '',
-        capacity: capacity,
-        registrations: registrations,
-        isFull: isFull,
+      const existingRegistration = await trx('event_registration')
+        .where({ participant_id: participantId, event_instance_id: eventInstanceId })
+        .first();
+
+      if (existingRegistration && existingRegistration.registration_status !== 'cancelled') {
+        return { alreadyRegistered: true, status: existingRegistration.registration_status };
+      }
+
+      let status = 'registered';
+      if (eventInstance.event_capacity) {
+        const currentRegistrations = await countActiveRegistrations(eventInstanceId, trx);
+        if (currentRegistrations >= eventInstance.event_capacity) {
+          status = 'waitlisted';
+        }
+      }
+
+      const registrationData = {
+        registration_status: status,
+        registration_attended_flag: false,
+        registration_created_at: new Date(),
+        registration_check_in_time: null,
       };
-    });
 
-    res.render('public/events_public', { events: publicEvents });
+      if (existingRegistration) {
+        await trx('event_registration')
+          .where({ participant_id: participantId, event_instance_id: eventInstanceId })
+          .update(registrationData);
+      } else {
+        await trx('event_registration').insert({
+          participant_id: participantId,
+          event_instance_id: eventInstanceId,
+          ...registrationData,
+        });
+      }
+
+      const waitlistPosition = status === 'waitlisted'
+        ? await getWaitlistPosition(eventInstanceId, participantId, trx)
+        : null;
+
+      return { status, waitlistPosition };
+    });
   } catch (err) {
-    console.error('Error fetching events:', err);
-    res.render('public/events_public', { events: [] });
+    // Same participant submitted twice at once - the unique constraint rejected the second insert
+    if (isUniqueViolation(err)) {
+      return { alreadyRegistered: true, status: 'registered' };
+    }
+    throw err;
   }
-});
+}
 
 /**
- * Event Registration Routes - Public routes for event registration
+ * registrationResultMessage - Success flash message for a completed registration
  */
+function registrationResultMessage(result) {
+  if (result.status === 'waitlisted') {
+    return `This event is full, so you have been added to the waitlist (position ${result.waitlistPosition}). You will be moved up automatically if a seat opens.`;
+  }
+  return 'Successfully registered for the event!';
+}
 
 /**
- * Registration Form - Show existing or new participant registration form
+ * promoteWaitlist - Moves waitlisted registrations into open seats
+ *
+ * Called after a cancellation or a capacity increase. Promotes the oldest waitlisted
+ * registrations until the event is full again (or promotes everyone when the event has
+ * no capacity limit). Locks the event like registerParticipantForEvent so a promotion
+ * and a new registration cannot both take the last seat. Each promoted participant is
+ * emailed once the transaction commits. Returns the promoted participant_ids.
  */
-app.get('/events/:id/register', async (req, res) => {
-  try {
-    const eventInstanceId = req.params.id;
-    const registrationType = req.query.type || 'existing'; // 'existing' or 'new'
+async function promoteWaitlist(eventInstanceId, baseUrl) {
+  const promotedIds = await db.transaction(async (trx) => {
+    const eventInstance = await lockEventInstance(trx, eventInstanceId);
+    if (!eventInstance) return [];
 
-    const eventInstance = await db('event_instance as ei')
-      .join('event as e', 'ei.event_id', 'e.event_id')
-      .where('ei.event_instance_id', eventInstanceId)
-      .select('ei.*', 'e.event_name', 'e.event_type')
-      .first();
-
-    if (!eventInstance) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events');
-    }
+    let query = trx('event_registration')
+      .where({ event_instance_id: eventInstanceId, registration_status: 'waitlisted' })
+      .orderBy('registration_created_at', 'asc')
+      .select('participant_id');
 
-    // Check if event is in the future
-    const eventDate = new Date(eventInstance.event_date_start_time);
-    if (eventDate <= new Date()) {
-      req.session.error = 'Registration is only available for future events.';
-      return res.redirect('/events');
+    if (eventInstance.event_capacity) {
+      const openSeats = eventInstance.event_capacity - await countActiveRegistrations(eventInstanceId, trx);
+      if (openSeats <= 0) return [];
+      query = query.limit(openSeats);
     }
 
-    // Check if event is at capacity
-    if (eventInstance.event_capacity) {
-      const registrationCount = await db('event_registration')
+    const promotedIds = (await query).map(r => r.participant_id);
+    if (promotedIds.length > 0) {
+      await trx('event_registration')
         .where('event_instance_id', eventInstanceId)
-        .count('* as count')
-        .first();
-      
-      const currentRegistrations = parseInt(registrationCount?.count || 0);
-      if (currentRegistrations >= eventInstance.event_capacity) {
-        req.session.error = 'This event is at full capacity. Registration is no longer available.';
-        return res.redirect('/events');
-      }
+        .whereIn('participant_id', promotedIds)
+        .update({ registration_status: 'registered' });
     }
 
-    if (registrationType === 'new') {
-      res.render('public/register_new', {
-        eventInstance: {
-          id: eventInstance.event_instance_id,
-          name: eventInstance.event_name,
-          type: eventInstance.event_type,
-          date: eventInstance.event_date_start_time,
-          location: eventInstance.event_location,
-        },
-      });
-    } else {
-      res.render('public/register_existing', {
-        eventInstance: {
-          id: eventInstance.event_instance_id,
-          name: eventInstance.event_name,
-          type: eventInstance.event_type,
-          date: eventInstance.event_date_start_time,
-          location: eventInstance.event_location,
-        },
-      });
-    }
-  } catch (err) {
-    console.error('Error loading registration form:', err);
-    req.session.error = 'Error loading registration form.';
-    res.redirect('/events');
+    return promotedIds;
+  });
+
+  for (const participantId of promotedIds) {
+    await queueRegistrationEmail(participantId, eventInstanceId, { baseUrl, promoted: true });
   }
-});
 
+  return promotedIds;
+}
+
+// =======================
+// EMAIL
+// =======================
 /**
- * Register Existing Participant - Find participant by email and register
+ * Outbound email
+ *
+ * Every message is rendered from an EJS template in views/emails/ and written to the
+ * email_outbox table before anything is sent, so a failed send never loses a message.
+ * Bodies carry one-time links whose tokens are otherwise only stored hashed, so they are
+ * cleared once a message is sent or has failed for good; the row keeps who, what and when.
+ * The outbox worker (processOutbox) delivers pending rows, retries failures with
+ * exponential backoff, and marks a message 'failed' after OUTBOX_MAX_ATTEMPTS.
+ *
+ * Delivery goes through a pluggable transport selected by MAIL_TRANSPORT:
+ * - 'smtp': real SMTP server (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS).
+ *   Point it at a local stand-in such as MailHog (localhost:1025) for development.
+ * - 'file': each message is written as an .eml file to MAIL_FILE_DIR (default ./mail-outbox).
+ * - 'console' (default): only the recipient and subject are logged; nothing is sent.
+ *   Message bodies carry sign-in links and ticket tokens, so they never go to the log.
+ *
+ * In production (NODE_ENV=production) MAIL_TRANSPORT must be set: falling back to the console
+ * transport there would silently drop every email, so the app refuses to start instead.
+ * Set MAIL_TRANSPORT=console explicitly to run production without sending email.
+ *
+ * Every transport exposes nodemailer's sendMail interface, so callers never care which one is active.
  */
-app.post('/events/:id/register/existing', async (req, res) => {
-  try {
-    const eventInstanceId = req.params.id;
-    const { email } = req.body;
+const MAIL_FROM = process.env.MAIL_FROM || 'Ella Rises <no-reply@ellarises.org>';
+const OUTBOX_MAX_ATTEMPTS = 5;
+const OUTBOX_BATCH_SIZE = 20;
+const OUTBOX_POLL_MS = 60 * 1000;
+const OUTBOX_LEASE_MINUTES = 10;
+
+function createMailTransport() {
+  if (!process.env.MAIL_TRANSPORT && process.env.NODE_ENV === 'production') {
+    throw new Error('MAIL_TRANSPORT is not set. Set it to "smtp" (or "file" / "console") before starting in production.');
+  }
+  const transportName = process.env.MAIL_TRANSPORT || 'console';
+
+  if (transportName === 'smtp') {
+    return nodemailer.createTransport({
+      host: process.env.SMTP_HOST || 'localhost',
+      port: Number(process.env.SMTP_PORT || 1025),
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
 
-    if (!email || !email.trim()) {
-      req.session.error = 'Email is required.';
-      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
-    }
+  if (transportName === 'file') {
+    // File transport - nodemailer builds the raw message, we write it out as .eml
+    const mailDir = process.env.MAIL_FILE_DIR || path.join(__dirname, 'mail-outbox');
+    const streamTransport = nodemailer.createTransport({ streamTransport: true, buffer: true });
+    return {
+      sendMail: async (message) => {
+        const info = await streamTransport.sendMail(message);
+        await fs.promises.mkdir(mailDir, { recursive: true });
+        const fileName = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.eml`;
+        await fs.promises.writeFile(path.join(mailDir, fileName), info.message);
+        return info;
+      },
+    };
+  }
 
-    // Check if event exists and is in the future
-    const eventInstance = await db('event_instance')
-      .where('event_instance_id', eventInstanceId)
-      .first();
+  // Console transport - nodemailer builds the message as JSON, we log who it was for
+  const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+  return {
+    sendMail: async (message) => {
+      const info = await jsonTransport.sendMail(message);
+      console.log(`[mail] To: ${message.to} | Subject: ${message.subject}`);
+      return info;
+    },
+  };
+}
 
-    if (!eventInstance) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events');
-    }
+const mailTransport = createMailTransport();
 
-    const eventDate = new Date(eventInstance.event_date_start_time);
-    if (eventDate <= new Date()) {
-      req.session.error = 'Registration is only available for future events.';
-      return res.redirect('/events');
-    }
+/**
+ * renderEmailTemplate - Renders views/emails/<template>.ejs through the app's view engine
+ *
+ * Returns { html, text }. The plain-text part is derived from the HTML so each email
+ * only needs one template.
+ */
+function renderEmailTemplate(template, data) {
+  return new Promise((resolve, reject) => {
+    app.render(`emails/${template}`, data, (err, html) => {
+      if (err) return reject(err);
+      resolve({ html, text: htmlToText(html) });
+    });
+  });
+}
 
-    // Check if event is at capacity
-    if (eventInstance.event_capacity) {
-      const registrationCount = await db('event_registration')
-        .where('event_instance_id', eventInstanceId)
-        .count('* as count')
-        .first();
-      
-      const currentRegistrations = parseInt(registrationCount?.count || 0);
-      if (currentRegistrations >= eventInstance.event_capacity) {
-        req.session.error = 'This event is at full capacity. Registration is no longer available.';
-        return res.redirect('/events');
-      }
-    }
+/**
+ * htmlToText - Crude HTML to plain text conversion for the text/plain email part
+ *
+ * Keeps link targets visible ("label (url)") and paragraph breaks; drops all other markup.
+ */
+function htmlToText(html) {
+  return html
+    .replace(/<(style|head)[^>]*>[\s\S]*?<\/\1>/gi, '')
+    .replace(/<a [^>]*href="([^"]*)"[^>]*>([\s\S]*?)<\/a>/gi, '$2 ($1)')
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/(p|div|h\d|li|tr)>/gi, '\n\n')
+    .replace(/<[^>]+>/g, '')
+    .replace(/&amp;/g, '&')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&#39;/g, "'")
+    .replace(/&#34;|&quot;/g, '"')
+    .replace(/[ \t]+/g, ' ')
+    .replace(/\n[ \t]+/g, '\n')
+    .replace(/\n{3,}/g, '\n\n')
+    .trim();
+}
 
-    // Find participant by email
-    const normalizedEmail = email.trim().toLowerCase();
-    const participant = await db('participant')
-      .where('participant_email', normalizedEmail)
-      .first();
+/**
+ * queueEmail - Renders a templated email and stores it in the outbox for delivery
+ *
+ * Takes { to, subject, template, data }. Returns the new email_outbox_id, or null when
+ * there is no recipient. Delivery is kicked off immediately in the background; if it
+ * fails, the periodic outbox worker retries it.
+ *
+ * Pass a transaction as trx to make the email part of it. The caller is then responsible
+ * for calling processOutbox() after commit, since the row isn't visible before that.
+ */
+async function queueEmail({ to, subject, template, data = {} }, trx = null) {
+  if (!to) return null;
+
+  const { html, text } = await renderEmailTemplate(template, { subject, ...data });
+  const [row] = await (trx || db)('email_outbox').insert({
+    email_to: to,
+    email_subject: subject,
+    email_template: template,
+    email_html: html,
+    email_text: text,
+    email_status: 'pending',
+    email_attempts: 0,
+    email_next_attempt_at: new Date(),
+    email_created_at: new Date(),
+  }).returning('email_outbox_id');
+
+  if (!trx) {
+    processOutbox().catch(err => console.error('Error processing email outbox:', err));
+  }
+  return row.email_outbox_id;
+}
 
-    if (!participant) {
-      req.session.error = 'No participant found with that email address. Please register as a new participant.';
-      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
+/**
+ * processOutbox - Delivers due messages from the email outbox
+ *
+ * Claims a batch of due rows with FOR UPDATE SKIP LOCKED so several app instances can
+ * run the worker at once without sending a message twice. Claimed rows get a short lease
+ * ('sending' + next attempt in OUTBOX_LEASE_MINUTES) so a crash mid-send is retried later.
+ */
+async function processOutbox() {
+  const now = new Date();
+  const batch = await db.transaction(async (trx) => {
+    const rows = await trx('email_outbox')
+      .whereIn('email_status', ['pending', 'sending'])
+      .where('email_next_attempt_at', '<=', now)
+      .orderBy('email_created_at', 'asc')
+      .limit(OUTBOX_BATCH_SIZE)
+      .forUpdate()
+      .skipLocked();
+
+    if (rows.length > 0) {
+      await trx('email_outbox')
+        .whereIn('email_outbox_id', rows.map(r => r.email_outbox_id))
+        .update({
+          email_status: 'sending',
+          email_attempts: trx.raw('email_attempts + 1'),
+          email_next_attempt_at: new Date(now.getTime() + OUTBOX_LEASE_MINUTES * 60 * 1000),
+        });
     }
+    return rows;
+  });
 
-    // Check if already registered
-    const existingRegistration = await db('event_registration')
-      .where({
-        participant_id: participant.participant_id,
-        event_instance_id: eventInstanceId,
-      })
-      .first();
-
-    if (existingRegistration) {
-      req.session.error = `${email.trim()} is already registered for this event.`;
-      return res.redirect('/events');
+  for (const row of batch) {
+    const attempts = row.email_attempts + 1;
+    try {
+      await mailTransport.sendMail({
+        from: MAIL_FROM,
+        to: row.email_to,
+        subject: row.email_subject,
+        text: row.email_text,
+        html: row.email_html,
+      });
+      await db('email_outbox').where('email_outbox_id', row.email_outbox_id).update({
+        email_status: 'sent',
+        email_sent_at: new Date(),
+        email_last_error: null,
+        email_html: null,
+        email_text: null,
+      });
+    } catch (err) {
+      console.error(`Error sending email ${row.email_outbox_id}:`, err.message);
+      const failed = attempts >= OUTBOX_MAX_ATTEMPTS;
+      await db('email_outbox').where('email_outbox_id', row.email_outbox_id).update({
+        email_status: failed ? 'failed' : 'pending',
+        email_last_error: err.message,
+        // Exponential backoff: 2, 4, 8, 16 minutes between attempts
+        email_next_attempt_at: new Date(Date.now() + Math.pow(2, attempts) * 60 * 1000),
+        ...(failed ? { email_html: null, email_text: null } : {}),
+      });
     }
+  }
 
-    // Final capacity check before creating registration (handles race conditions)
-    if (eventInstance.event_capacity) {
-      const registrationCount = await db('event_registration')
-        .where('event_instance_id', eventInstanceId)
-        .count('* as count')
-        .first();
-      
-      const currentRegistrations = parseInt(registrationCount?.count || 0);
-      if (currentRegistrations >= eventInstance.event_capacity) {
-        req.session.error = 'This event is at full capacity. Registration is no longer available.';
-        return res.redirect('/events');
-      }
-    }
+  return batch.length;
+}
 
-    // Create registration
-    await db('event_registration').insert({
-      participant_id: participant.participant_id,
-      event_instance_id: eventInstanceId,
-      registration_status: 'registered',
-      registration_attended_flag: false,
-      registration_created_at: new Date(),
-    });
+/**
+ * startOutboxWorker - Polls the outbox so queued and retried messages go out
+ */
+function startOutboxWorker() {
+  setInterval(() => {
+    processOutbox().catch(err => console.error('Error processing email outbox:', err));
+  }, OUTBOX_POLL_MS);
+}
 
-    req.session.success = 'Successfully registered for the event!';
-    res.redirect('/events');
-  } catch (err) {
-    console.error('Error registering participant:', err);
-    req.session.error = 'Error processing registration.';
-    res.redirect(`/events/${req.params.id}/register?type=existing`);
-  }
-});
+/**
+ * getBaseUrl - Absolute base URL used when building links for emails
+ *
+ * Uses APP_BASE_URL when set (recommended in production behind a load balancer),
+ * otherwise derives it from the incoming request.
+ */
+function getBaseUrl(req) {
+  if (process.env.APP_BASE_URL) return process.env.APP_BASE_URL.replace(/\/$/, '');
+  if (!req) return `http://localhost:${PORT}`;
+  return `${req.protocol}://${req.get('host')}`;
+}
 
 /**
- * Register New Participant - Create participant and register for event
+ * queueRegistrationEmail - Queues the registration confirmation for a participant and event
+ *
+ * Covers new registrations, waitlist entries, and waitlist promotions (options.promoted).
+ * Email problems are logged rather than thrown so they never undo a registration.
  */
-app.post('/events/:id/register/new', async (req, res) => {
+async function queueRegistrationEmail(participantId, eventInstanceId, { baseUrl, promoted = false } = {}) {
   try {
-    const eventInstanceId = req.params.id;
-    const {
-      first_name,
-      last_name,
-      email,
-      phone,
-      city,
-      state,
-      zip,
-      school,
-      field_of_interest,
-      dob,
-    } = req.body;
+    const [participant, registration] = await Promise.all([
+      db('participant').where({ participant_id: participantId }).first(),
+      db('event_registration as er')
+        .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where({ 'er.participant_id': participantId, 'er.event_instance_id': eventInstanceId })
+        .select('er.registration_status', 'ei.event_date_start_time', 'ei.event_location', 'e.event_name')
+        .first(),
+    ]);
 
-    // Validate required fields
-    if (!first_name || !first_name.trim() || !last_name || !last_name.trim()) {
-      req.session.error = 'First name and last name are required.';
-      return res.redirect(`/events/${eventInstanceId}/register?type=new`);
-    }
+    if (!participant || !participant.participant_email || !registration) return;
+
+    const waitlisted = registration.registration_status === 'waitlisted';
+    await queueEmail({
+      to: participant.participant_email,
+      subject: waitlisted
+        ? `You're on the waitlist: ${registration.event_name}`
+        : `You're registered: ${registration.event_name}`,
+      template: 'registration_confirmation',
+      data: {
+        firstName: participant.participant_first_name,
+        eventName: registration.event_name,
+        eventDate: formatDateTime(registration.event_date_start_time),
+        location: registration.event_location || 'TBD',
+        status: registration.registration_status,
+        waitlistPosition: waitlisted ? await getWaitlistPosition(eventInstanceId, participantId) : null,
+        promoted,
+        manageUrl: `${baseUrl || getBaseUrl()}/my-registrations`,
+        calendarUrl: `${baseUrl || getBaseUrl()}/events/${eventInstanceId}/calendar.ics`,
+        ticketUrl: `${baseUrl || getBaseUrl()}${ticketPath(eventInstanceId, participantId)}`,
+        ticketImageUrl: `${baseUrl || getBaseUrl()}${ticketPath(eventInstanceId, participantId)}.png`,
+      },
+    });
+  } catch (err) {
+    console.error('Error queueing registration email:', err);
+  }
+}
 
-    // Check if event exists and is in the future
-    const eventInstance = await db('event_instance')
-      .where('event_instance_id', eventInstanceId)
-      .first();
+// =======================
+// PARTICIPANT ACCESS TOKENS
+// =======================
+/**
+ * One-time tokens for emailed participant links
+ *
+ * The raw token only ever appears in the emailed URL; the participant_token table
+ * stores its SHA-256 hash, purpose, and expiry. Redeeming a token marks it used.
+ */
 
-    if (!eventInstance) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events');
-    }
+/**
+ * hashToken - SHA-256 hex digest of a raw token
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-    const eventDate = new Date(eventInstance.event_date_start_time);
-    if (eventDate <= new Date()) {
-      req.session.error = 'Registration is only available for future events.';
-      return res.redirect('/events');
-    }
+/**
+ * createParticipantToken - Issues a one-time token and returns the raw value
+ *
+ * options: { purpose, participantId, eventInstanceId, expiresInMinutes }
+ */
+async function createParticipantToken({ purpose, participantId, eventInstanceId = null, expiresInMinutes }, trx = db) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await trx('participant_token').insert({
+    token_hash: hashToken(token),
+    token_purpose: purpose,
+    participant_id: participantId,
+    event_instance_id: eventInstanceId,
+    token_expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+  });
+  return token;
+}
 
-    // Check if event is at capacity
-    if (eventInstance.event_capacity) {
-      const registrationCount = await db('event_registration')
-        .where('event_instance_id', eventInstanceId)
-        .count('* as count')
-        .first();
-      
-      const currentRegistrations = parseInt(registrationCount?.count || 0);
-      if (currentRegistrations >= eventInstance.event_capacity) {
-        req.session.error = 'This event is at full capacity. Registration is no longer available.';
-        return res.redirect('/events');
-      }
-    }
+/**
+ * redeemParticipantToken - Validates a token for a purpose and marks it used
+ *
+ * Returns the token row (participant_id, event_instance_id, ...) or null if the token
+ * is unknown, for a different purpose, expired, or already used. The used check and the
+ * update happen in one statement, so two simultaneous clicks cannot both succeed.
+ */
+async function redeemParticipantToken(token, purpose, trx = db) {
+  if (!token) return null;
+  const [row] = await trx('participant_token')
+    .where({ token_hash: hashToken(token), token_purpose: purpose })
+    .whereNull('token_used_at')
+    .where('token_expires_at', '>', new Date())
+    .update({ token_used_at: new Date() })
+    .returning('*');
+  return row || null;
+}
 
-    // Check if email already exists - prevent duplicate emails
-    if (email && email.trim()) {
-      const normalizedEmail = email.trim().toLowerCase();
-      const existingParticipant = await db('participant')
-        .where('participant_email', normalizedEmail)
-        .first();
+/**
+ * findParticipantToken - Looks up a valid (unused, unexpired) participant token without consuming it
+ *
+ * Used to decide whether to show a form; redeemParticipantToken consumes it on submit.
+ */
+function findParticipantToken(token, purpose) {
+  return db('participant_token')
+    .where({ token_hash: hashToken(token || ''), token_purpose: purpose })
+    .whereNull('token_used_at')
+    .where('token_expires_at', '>', new Date())
+    .first();
+}
 
-      if (existingParticipant) {
-        // Email already exists - check if they're already registered
-        const existingRegistration = await db('event_registration')
-          .where({
-            participant_id: existingParticipant.participant_id,
-            event_instance_id: eventInstanceId,
-          })
-          .first();
+/**
+ * createUserToken - Issues a one-time token for a staff account and returns the raw value
+ *
+ * options: { purpose, userId, expiresInMinutes }
+ */
+async function createUserToken({ purpose, userId, expiresInMinutes }) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  await db('user_token').insert({
+    token_hash: hashToken(token),
+    token_purpose: purpose,
+    user_id: userId,
+    token_expires_at: new Date(Date.now() + expiresInMinutes * 60 * 1000),
+  });
+  return token;
+}
 
-        if (existingRegistration) {
-          req.session.error = `${email.trim()} is already registered for this event.`;
-          return res.redirect('/events');
-        }
+/**
+ * findUserToken - Looks up a valid (unused, unexpired) staff token without consuming it
+ *
+ * Used to decide whether to show the set-password form; redeemUserToken consumes it.
+ */
+function findUserToken(token, purpose) {
+  return db('user_token')
+    .where({ token_hash: hashToken(token || ''), token_purpose: purpose })
+    .whereNull('token_used_at')
+    .where('token_expires_at', '>', new Date())
+    .first();
+}
 
-        // Email exists but not registered - redirect to existing participant registration
-        req.session.error = 'An account with this email already exists. Please use the "Existing Participant" option to register.';
-        return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
-      }
-    }
+/**
+ * redeemUserToken - Validates a staff token for a purpose and marks it used
+ *
+ * Returns the token row or null, with the same single-statement guarantee as
+ * redeemParticipantToken.
+ */
+async function redeemUserToken(token, purpose) {
+  if (!token) return null;
+  const [row] = await db('user_token')
+    .where({ token_hash: hashToken(token), token_purpose: purpose })
+    .whereNull('token_used_at')
+    .where('token_expires_at', '>', new Date())
+    .update({ token_used_at: new Date() })
+    .returning('*');
+  return row || null;
+}
 
-    // Create new participant (email doesn't exist or no email provided)
-    let participant_id;
-    if (email && email.trim()) {
-      const normalizedEmail = email.trim().toLowerCase();
-      const [newParticipant] = await db('participant').insert({
-        participant_first_name: first_name.trim(),
-        participant_last_name: last_name.trim(),
-        participant_email: normalizedEmail,
-        participant_phone: phone ? phone.trim() : null,
-        participant_city: city ? city.trim() : null,
-        participant_state: state ? state.trim() : null,
-        participant_zip: zip ? zip.trim() : null,
-        participant_school_or_employer: school ? school.trim() : null,
-        participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
-        participant_dob: dob || null,
-        participant_role: 'participant',
-      }).returning('participant_id');
-      participant_id = newParticipant.participant_id || newParticipant;
-    } else {
-      // Create participant without email
-      const [newParticipant] = await db('participant').insert({
-        participant_first_name: first_name.trim(),
-        participant_last_name: last_name.trim(),
-        participant_email: null,
-        participant_phone: phone ? phone.trim() : null,
-        participant_city: city ? city.trim() : null,
-        participant_state: state ? state.trim() : null,
-        participant_zip: zip ? zip.trim() : null,
-        participant_school_or_employer: school ? school.trim() : null,
-        participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
-        participant_dob: dob || null,
-        participant_role: 'participant',
-      }).returning('participant_id');
-      participant_id = newParticipant.participant_id || newParticipant;
-    }
+// =======================
+// REGISTRATION TICKETS
+// =======================
+/**
+ * QR-code tickets for event registrations
+ *
+ * A ticket code names one registration (event instance + participant) and carries an
+ * HMAC signature, e.g. "ER-42-317-9f2c...". Nothing is stored: the kiosk recomputes the
+ * signature, then reads the registration's current status, so a ticket for a registration
+ * that was later cancelled is rejected at the door. Codes stay the same if a participant
+ * cancels and registers again.
+ *
+ * TICKET_SECRET signs the codes; changing it invalidates every ticket already sent. In
+ * production it must be set: with the built-in development secret anyone who reads this
+ * source could forge a ticket.
+ */
+if (!process.env.TICKET_SECRET && process.env.NODE_ENV === 'production') {
+  throw new Error('TICKET_SECRET is not set. Set it to a long random string before starting in production.');
+}
+const TICKET_SECRET = process.env.TICKET_SECRET || 'ella-rises-dev-ticket-secret';
+const TICKET_CODE_PATTERN = /^ER-(\d+)-(\d+)-([0-9a-f]{32})$/;
 
-    // Final check if already registered (safety check after participant creation)
-    const existingRegistration = await db('event_registration')
-      .where({
-        participant_id: participant_id,
-        event_instance_id: eventInstanceId,
-      })
-      .first();
+/**
+ * ticketSignature - Truncated HMAC-SHA256 over a registration's ids
+ */
+function ticketSignature(eventInstanceId, participantId) {
+  return crypto.createHmac('sha256', TICKET_SECRET)
+    .update(`ticket:${Number(eventInstanceId)}:${Number(participantId)}`)
+    .digest('hex')
+    .slice(0, 32);
+}
 
-    if (existingRegistration) {
-      const displayEmail = email && email.trim() ? email.trim() : 'This participant';
-      req.session.error = `${displayEmail} is already registered for this event.`;
-      return res.redirect('/events');
-    }
+/**
+ * ticketCode - Signed ticket code for a registration
+ */
+function ticketCode(eventInstanceId, participantId) {
+  return `ER-${Number(eventInstanceId)}-${Number(participantId)}-${ticketSignature(eventInstanceId, participantId)}`;
+}
 
-    // Final capacity check before creating registration (handles race conditions)
-    if (eventInstance.event_capacity) {
-      const registrationCount = await db('event_registration')
-        .where('event_instance_id', eventInstanceId)
-        .count('* as count')
-        .first();
-      
-      const currentRegistrations = parseInt(registrationCount?.count || 0);
-      if (currentRegistrations >= eventInstance.event_capacity) {
-        req.session.error = 'This event is at full capacity. Registration is no longer available.';
-        return res.redirect('/events');
-      }
-    }
+/**
+ * parseTicketCode - Verifies a scanned code; returns { eventInstanceId, participantId } or null
+ */
+function parseTicketCode(code) {
+  const match = TICKET_CODE_PATTERN.exec(String(code || '').trim());
+  if (!match) return null;
 
-    // Create registration
-    await db('event_registration').insert({
-      participant_id: participant_id,
-      event_instance_id: eventInstanceId,
-      registration_status: 'registered',
-      registration_attended_flag: false,
-      registration_created_at: new Date(),
-    });
+  const eventInstanceId = Number(match[1]);
+  const participantId = Number(match[2]);
+  const expected = Buffer.from(ticketSignature(eventInstanceId, participantId));
+  const given = Buffer.from(match[3]);
+  if (!crypto.timingSafeEqual(expected, given)) return null;
 
-    req.session.success = 'Successfully registered for the event!';
-    res.redirect('/events');
-  } catch (err) {
-    console.error('Error registering new participant:', err);
-    req.session.error = 'Error processing registration.';
-    res.redirect(`/events/${req.params.id}/register?type=new`);
-  }
-});
+  return { eventInstanceId, participantId };
+}
 
 /**
- * Donate Page - Public donation form
- * 
- * Per rubric requirement: "Link to donations page for any visitor"
- * Visitors can provide their information (name, email) and donation amount.
- * Form submits to /donations/public route which saves donor info and donation.
+ * ticketPath - Public page showing a registration's QR code
  */
-app.get('/donate', async (req, res) => {
-  try {
-    // Fetch donation and milestone data for analytics
-    const [donationsData, milestonesData, achievedMilestones, donationsByMonth, milestonesByMonth] = await Promise.all([
-      db('donation')
-        .select(db.raw('sum(donation_amount) as total'), db.raw('count(*) as count'))
-        .first(),
-      db('participant_milestone')
-        .whereNotNull('milestone_date')
-        .count('* as count')
-        .first(),
-      db('milestone as m')
-        .join('participant_milestone as pm', 'm.milestone_id', 'pm.milestone_id')
-        .whereNotNull('pm.milestone_date')
-        .select('m.milestone_id', 'm.milestone_title', 'm.milestone_description')
-        .groupBy('m.milestone_id', 'm.milestone_title', 'm.milestone_description')
-        .orderBy('m.milestone_title'),
-      db('donation')
-        .select(
-          db.raw("TO_CHAR(donation_date, 'YYYY-MM') as month"),
-          db.raw('sum(donation_amount) as total'),
-          db.raw('count(*) as count')
-        )
-        .whereNotNull('donation_date')
-        .groupBy(db.raw("TO_CHAR(donation_date, 'YYYY-MM')"))
-        .orderBy(db.raw("TO_CHAR(donation_date, 'YYYY-MM')")),
-      db('participant_milestone')
-        .select(
-          db.raw("TO_CHAR(milestone_date, 'YYYY-MM') as month"),
-          db.raw('count(*) as count')
-        )
-        .whereNotNull('milestone_date')
-        .groupBy(db.raw("TO_CHAR(milestone_date, 'YYYY-MM')"))
-        .orderBy(db.raw("TO_CHAR(milestone_date, 'YYYY-MM')"))
-    ]);
+function ticketPath(eventInstanceId, participantId) {
+  return `/tickets/${ticketCode(eventInstanceId, participantId)}`;
+}
 
-    const totalDonations = parseFloat(donationsData?.total || 0);
-    const totalDonationCount = parseInt(donationsData?.count || 0);
-    const totalMilestones = parseInt(milestonesData?.count || 0);
-    const costPerMilestone = totalMilestones > 0 ? totalDonations / totalMilestones : 0;
+// =======================
+// NOTIFICATION SCHEDULER
+// =======================
+/**
+ * Scheduled participant notifications
+ *
+ * Registered participants get reminders 48 hours and 2 hours before event_date_start_time,
+ * and everyone marked attended gets a survey invitation once event_date_end_time has passed
+ * (event_date_start_time when there is no end time).
+ *
+ * Every tick of the scheduler does two things:
+ * 1. planNotificationJobs - makes sure a notification_job row exists for every reminder or
+ *    invitation that should be sent. The table is unique on (type, event instance,
+ *    participant), so planning the same job again is a no-op; pending jobs just have
+ *    their run time refreshed in case the event was rescheduled.
+ * 2. runDueNotificationJobs - claims due jobs and, in the same transaction, writes the email
+ *    to the outbox and marks the job 'sent'. A job is therefore queued exactly once no matter
+ *    how many times the app restarts or how many instances are running.
+ *
+ * Jobs that no longer make sense when they come due (registration cancelled, event already
+ * started, no email on file) are marked 'skipped' with the reason in job_note.
+ */
+const NOTIFICATION_POLL_MS = 60 * 1000;
+const NOTIFICATION_BATCH_SIZE = 50;
+const NOTIFICATION_PLAN_AHEAD_HOURS = 24;
+const SURVEY_INVITATION_WINDOW_DAYS = 7;
 
-    // Prepare correlation data: total donations at time of each milestone achievement
-    // Get all milestone achievements with their dates, ordered chronologically
-    const milestonesWithDates = await db('participant_milestone')
-      .whereNotNull('milestone_date')
-      .select('milestone_date')
-      .orderBy('milestone_date', 'asc');
+const REMINDER_JOBS = [
+  { type: 'reminder_48h', hoursBefore: 48 },
+  { type: 'reminder_2h', hoursBefore: 2 },
+];
 
-    // Get all donations with their dates for cumulative calculation
-    const allDonations = await db('donation')
-      .whereNotNull('donation_date')
-      .select('donation_date', 'donation_amount')
-      .orderBy('donation_date', 'asc');
+/**
+ * describeStartsIn - Phrases the time left until an event starts, e.g. "in 2 days"
+ *
+ * Worked out when the reminder is queued rather than from the reminder type, so a reminder
+ * sent late (the app was down, the event was moved closer) still tells the truth.
+ */
+function describeStartsIn(start, now) {
+  const hours = (new Date(start) - now) / (60 * 60 * 1000);
+  if (hours >= 36) return `in ${Math.round(hours / 24)} days`;
+  if (hours >= 1.5) return `in ${Math.round(hours)} hours`;
+  const minutes = Math.max(1, Math.round(hours * 60));
+  return minutes === 1 ? 'in 1 minute' : `in ${minutes} minutes`;
+}
 
-    // Calculate cumulative donations and milestones
-    const chartData = [];
-    let cumulativeDonations = 0;
-    let cumulativeMilestones = 0;
-    let donationIndex = 0;
+/**
+ * planNotificationJobs - Inserts reminder and survey invitation jobs that should exist by now
+ *
+ * Reminders are planned NOTIFICATION_PLAN_AHEAD_HOURS before they are due. Survey invitations
+ * are only planned for events that ended in the last SURVEY_INVITATION_WINDOW_DAYS, so turning
+ * the scheduler on doesn't email everyone who ever attended an event.
+ */
+async function planNotificationJobs(now = new Date()) {
+  for (const reminder of REMINDER_JOBS) {
+    const planUntil = new Date(now.getTime() + (reminder.hoursBefore + NOTIFICATION_PLAN_AHEAD_HOURS) * 60 * 60 * 1000);
+    await db.raw(`
+      INSERT INTO notification_job (job_type, event_instance_id, participant_id, job_run_at)
+      SELECT ?, er.event_instance_id, er.participant_id,
+             ei.event_date_start_time - (? * interval '1 hour')
+      FROM event_registration er
+      JOIN event_instance ei ON ei.event_instance_id = er.event_instance_id
+      WHERE ei.event_date_start_time > ?
+        AND ei.event_date_start_time <= ?
+        AND ${ACTIVE_REGISTRATION_SQL}
+      ON CONFLICT (job_type, event_instance_id, participant_id)
+      DO UPDATE SET job_run_at = EXCLUDED.job_run_at
+      WHERE notification_job.job_status = 'pending'
+        AND notification_job.job_run_at <> EXCLUDED.job_run_at
+    `, [reminder.type, reminder.hoursBefore, now, planUntil]);
+  }
 
-    // Process each milestone in chronological order
-    milestonesWithDates.forEach(milestone => {
-      const milestoneDate = milestone.milestone_date.toISOString().slice(0, 10);
-      
-      // Add all donations up to and including this milestone date
-      while (donationIndex < allDonations.length) {
-        const donation = allDonations[donationIndex];
-        const donationDate = donation.donation_date.toISOString().slice(0, 10);
-        
-        if (donationDate <= milestoneDate) {
-          cumulativeDonations += parseFloat(donation.donation_amount || 0);
-          donationIndex++;
-        } else {
-          break;
-        }
-      }
+  const surveyWindowStart = new Date(now.getTime() - SURVEY_INVITATION_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  await db.raw(`
+    INSERT INTO notification_job (job_type, event_instance_id, participant_id, job_run_at)
+    SELECT 'survey_invitation', er.event_instance_id, er.participant_id,
+           coalesce(ei.event_date_end_time, ei.event_date_start_time)
+    FROM event_registration er
+    JOIN event_instance ei ON ei.event_instance_id = er.event_instance_id
+    WHERE er.registration_attended_flag = true
+      AND coalesce(ei.event_date_end_time, ei.event_date_start_time) <= ?
+      AND coalesce(ei.event_date_end_time, ei.event_date_start_time) > ?
+    ON CONFLICT (job_type, event_instance_id, participant_id) DO NOTHING
+  `, [now, surveyWindowStart]);
+}
 
-      // Increment cumulative milestones
-      cumulativeMilestones += 1;
+/**
+ * getNotificationSkipReason - Why a due job should not be sent, or null if it should
+ */
+function getNotificationSkipReason(job, now) {
+  if (!job.participant_email) return 'Participant has no email address.';
 
-      // Add data point: x = total donations at this point, y = total milestones achieved
-      chartData.push({
-        x: cumulativeDonations,
-        y: cumulativeMilestones,
-        date: milestoneDate
-      });
-    });
+  if (job.job_type === 'survey_invitation') {
+    return job.registration_attended_flag ? null : 'Participant is no longer marked attended.';
+  }
 
-    // Transform achieved milestones for view
-    const milestones = achievedMilestones.map(m => ({
-      id: m.milestone_id,
-      title: m.milestone_title,
-      description: m.milestone_description || '',
-    }));
+  // The registration row is gone (left join found nothing), or no longer holds a seat.
+  // Legacy rows with no status count as registered, as everywhere else.
+  const status = job.registration_status || 'registered';
+  if (job.registration_participant_id == null || ['waitlisted', 'cancelled'].includes(status)) {
+    return 'Registration is no longer active.';
+  }
 
-    res.render('public/donate', {
-      totalDonations,
-      totalDonationCount,
-      totalMilestones,
-      costPerMilestone,
-      milestones,
-      chartData: JSON.stringify(chartData),
-    });
-  } catch (err) {
-    console.error('Error fetching donation analytics:', err);
-    // Render with default values if there's an error
-    res.render('public/donate', {
-      totalDonations: 0,
-      totalDonationCount: 0,
-      totalMilestones: 0,
-      costPerMilestone: 0,
-      milestones: [],
-      chartData: JSON.stringify([]),
-    });
+  const start = new Date(job.event_date_start_time);
+  if (start <= now) return 'Event has already started.';
+
+  // A late 48h reminder is pointless once the 2h reminder is due
+  const reminder = REMINDER_JOBS.find(r => r.type === job.job_type);
+  const nextReminder = REMINDER_JOBS.find(r => r.hoursBefore < reminder.hoursBefore);
+  if (nextReminder && start - now <= nextReminder.hoursBefore * 60 * 60 * 1000) {
+    return 'A later reminder supersedes this one.';
   }
-});
+
+  return null;
+}
 
 /**
- * Tea Route - Returns HTTP 418 I'm a Teapot status code
- * 
- * A playful Easter egg route that returns the HTTP 418 status code,
- * which is a reference to the Hyper Text Coffee Pot Control Protocol (HTCPCP/1.0).
+ * buildNotificationEmail - Builds the queueEmail options for a due job
+ *
+ * Survey invitations get a one-time survey link, issued in the job's transaction so a
+ * rolled-back job never leaves an orphaned token behind.
  */
-app.get('/tea', (req, res) => {
-  res.sendStatus(418);
-});
+async function buildNotificationEmail(job, now, trx) {
+  const baseUrl = getBaseUrl();
+  const common = {
+    firstName: job.participant_first_name,
+    eventName: job.event_name,
+    eventDate: formatDateTime(job.event_date_start_time),
+    location: job.event_location || 'TBD',
+  };
+
+  if (job.job_type === 'survey_invitation') {
+    return {
+      to: job.participant_email,
+      subject: `How was ${job.event_name}?`,
+      template: 'survey_invitation',
+      data: { ...common, surveyUrl: await createSurveyLink(job.participant_id, job.event_instance_id, trx) },
+    };
+  }
+
+  const startsIn = describeStartsIn(job.event_date_start_time, now);
+  return {
+    to: job.participant_email,
+    subject: `Reminder: ${job.event_name} starts ${startsIn}`,
+    template: 'event_reminder',
+    data: { ...common, startsIn, manageUrl: `${baseUrl}/my-registrations` },
+  };
+}
 
 /**
- * Impact Page - Shows organization's impact metrics
+ * runDueNotificationJobs - Queues emails for due jobs
+ *
+ * Jobs are claimed with FOR UPDATE SKIP LOCKED, so several app instances can run the
+ * scheduler at the same time without sending anything twice. A job that errors is marked
+ * 'failed' without holding up the rest of the batch.
+ */
+async function runDueNotificationJobs(now = new Date()) {
+  const processed = await db.transaction(async (trx) => {
+    const jobs = await trx('notification_job as nj')
+      .join('event_instance as ei', 'nj.event_instance_id', 'ei.event_instance_id')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .join('participant as p', 'nj.participant_id', 'p.participant_id')
+      .leftJoin('event_registration as er', function() {
+        this.on('er.event_instance_id', '=', 'nj.event_instance_id')
+          .andOn('er.participant_id', '=', 'nj.participant_id');
+      })
+      .where('nj.job_status', 'pending')
+      .where('nj.job_run_at', '<=', now)
+      .orderBy('nj.job_run_at', 'asc')
+      .limit(NOTIFICATION_BATCH_SIZE)
+      .forUpdate('nj')
+      .skipLocked()
+      .select(
+        'nj.notification_job_id',
+        'nj.job_type',
+        'nj.participant_id',
+        'nj.event_instance_id',
+        'ei.event_date_start_time',
+        'ei.event_location',
+        'e.event_name',
+        'p.participant_first_name',
+        'p.participant_email',
+        'er.participant_id as registration_participant_id',
+        'er.registration_status',
+        'er.registration_attended_flag'
+      );
+
+    for (const job of jobs) {
+      try {
+        // A savepoint per job: a database error rolls back this job's writes only, where
+        // it would otherwise abort the whole transaction and every job claimed with it
+        await trx.transaction(async (jobTrx) => {
+          const skipReason = getNotificationSkipReason(job, now);
+          if (skipReason) {
+            await jobTrx('notification_job').where('notification_job_id', job.notification_job_id).update({
+              job_status: 'skipped',
+              job_note: skipReason,
+              job_completed_at: new Date(),
+            });
+            return;
+          }
+
+          const emailOutboxId = await queueEmail(await buildNotificationEmail(job, now, jobTrx), jobTrx);
+          await jobTrx('notification_job').where('notification_job_id', job.notification_job_id).update({
+            job_status: 'sent',
+            email_outbox_id: emailOutboxId,
+            job_completed_at: new Date(),
+          });
+        });
+      } catch (err) {
+        console.error(`Error queueing notification job ${job.notification_job_id}:`, err);
+        await trx('notification_job').where('notification_job_id', job.notification_job_id).update({
+          job_status: 'failed',
+          job_note: err.message,
+          job_completed_at: new Date(),
+        });
+      }
+    }
+
+    return jobs.length;
+  });
+
+  if (processed > 0) {
+    processOutbox().catch(err => console.error('Error processing email outbox:', err));
+  }
+  return processed;
+}
+
+/**
+ * startNotificationScheduler - Plans and runs notification jobs on an interval
+ *
+ * Runs once right away so jobs that came due while the app was down (e.g. during a
+ * redeploy) go out without waiting for the first interval.
+ */
+function startNotificationScheduler() {
+  const tick = async () => {
+    try {
+      await planNotificationJobs();
+      await runDueNotificationJobs();
+    } catch (err) {
+      console.error('Error running notification scheduler:', err);
+    }
+  };
+
+  tick();
+  setInterval(tick, NOTIFICATION_POLL_MS);
+}
+
+// =======================
+// PUBLIC ROUTES
+// =======================
+/**
+ * Public-facing routes that don't require authentication
+ * These routes are accessible to all visitors and showcase Ella Rises' mission and programs
+ */
+
+/**
+ * Home Page - Landing page explaining Ella Rises' objective
  * 
- * Displays aggregated statistics:
- * - Total participants reached
- * - Average event satisfaction (from survey question 1)
- * - Average recommendation score (from survey question 4)
- * - Total milestones achieved
- * - Total donations received
+ * Displays:
+ * - Upcoming events (next 15 events from current year)
+ * - Impact statistics (participant count, satisfaction, milestones)
  * 
- * All queries run in parallel for performance.
+ * Per rubric requirement: "Welcome Landing Page explaining the objective of Ella Rises"
+ * Uses Promise.all to fetch all data in parallel for optimal performance.
  */
-app.get('/impact', async (req, res) => {
+app.get('/', async (req, res) => {
   try {
-    const [participantsResult, satisfactionResult, recommendResult, milestonesResult, donationsResult] = await Promise.all([
+    // Execute all database queries in parallel
+    let [events, participantsResult, satisfactionResult, milestonesResult] = await Promise.all([
+      db
+        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
+        .from("event_instance as ei")
+        .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+        .where(db.raw("EXTRACT(YEAR FROM ei.event_date_start_time)"), ">=", new Date().getFullYear())
+        .orderBy("ei.event_date_start_time", "asc")
+        .limit(15),
+      
       db
         .select(db.raw("count(distinct er.participant_id) as participants_count"))
         .from("event_registration as er")
         .where("er.registration_attended_flag", "=", true),
       
-      db
-        .select(db.raw("avg(question_response) as avg_satisfaction"))
-        .from("survey_response")
-        .where("question_number", "=", 1)
-        .groupBy("question_number"),
-      
-      db
-        .select(db.raw("avg(question_response) as avg_recommend"))
-        .from("survey_response")
-        .where("question_number", "=", 4)
-        .groupBy("question_number"),
+      surveyMetricResponses('satisfaction')
+        .avg('sr.question_response as avg_satisfaction'),
       
       db
         .select(db.raw("count(*) as milestones_achieved"))
-        .from("participant_milestone"),
-      
-      db
-        .select(db.raw("sum(donation_amount) as total_donations"))
-        .from("donation")
+        .from("participant_milestone")
     ]);
 
-    const impactStats = {
-      participantsCount: participantsResult[0]?.participants_count || 0,
-      avgSatisfaction: satisfactionResult[0]?.avg_satisfaction 
-        ? parseFloat(satisfactionResult[0].avg_satisfaction).toFixed(1) 
-        : null,
-      avgRecommend: recommendResult[0]?.avg_recommend 
-        ? parseFloat(recommendResult[0].avg_recommend).toFixed(1) 
-        : null,
-      milestonesAchieved: milestonesResult[0]?.milestones_achieved || 0,
-      totalDonations: donationsResult[0]?.total_donations || 0,
-    };
+    // Process events
+    const upcomingEvents = events.map((e) => ({
+      ...e,
+      dateFormatted: formatDateShort(e.event_date_start_time || e.start),
+    }));
 
-    res.render('public/impact', { impactStats });
+    // Extract stats with proper defaults
+    const participantsCount = participantsResult[0]?.participants_count || 0;
+    
+    const avgSatisfaction = satisfactionResult[0]?.avg_satisfaction 
+      ? parseFloat(satisfactionResult[0].avg_satisfaction).toFixed(1) 
+      : null;
+    
+    const milestonesAchieved = milestonesResult[0]?.milestones_achieved || 0;
+
+    res.render('public/home', { 
+      upcomingEvents, 
+      impactStats: { 
+        participantsCount, 
+        avgSatisfaction, 
+        milestonesAchieved 
+      } 
+    });
   } catch (err) {
-    console.error('Error loading impact stats:', err);
-    res.render('public/impact', { 
+    console.error('Error loading home page data:', err);
+    // Render with default values on error
+    res.render('public/home', { 
+      upcomingEvents: [], 
       impactStats: { 
         participantsCount: 0, 
         avgSatisfaction: null, 
-        avgRecommend: null, 
-        milestonesAchieved: 0, 
-        totalDonations: 0 
+        milestonesAchieved: 0 
       } 
     });
   }
 });
 
 
-// =======================
-// AUTH ROUTES
-// =======================
 /**
- * Authentication routes for user login/logout
+ * Programs Page - Static information about Ella Rises programs
  * 
- * Per rubric: "Login is either manager or common user"
- * Users are authenticated and their role (admin/manager or user) determines access levels.
+ * Simple static page explaining the types of programs offered.
  */
+app.get('/programs', (req, res) => {
+  res.render('public/programs');
+});
 
 /**
- * Login Page - Display login form
+ * Public Events Page - Calendar view of upcoming events
  * 
- * If user is already logged in, redirects to dashboard.
- * Otherwise shows login form for username/password authentication.
+ * Displays all events from the current year in a schedule/calendar format.
+ * Dates and times are formatted here in the organization's time zone, so every visitor
+ * sees the same local event time whatever zone their browser is in.
+ * Includes filtering capabilities for event type, location, and time.
  */
-app.get('/login', (req, res) => {
-  if (req.session.user) {
-    return res.redirect('/dashboard');
+app.get('/events', async (req, res) => {
+  try {
+    const eventsData = await db
+      .select(
+        'ei.*', 
+        'e.event_name', 
+        'e.event_type', 
+        'e.event_description', 
+        'ei.event_location',
+        'ei.event_capacity',
+        'v.venue_address',
+        'v.venue_accessibility_notes',
+        'v.venue_parking_notes',
+        db.raw(`(
+          SELECT count(*)
+          FROM event_registration er
+          WHERE er.event_instance_id = ei.event_instance_id
+          AND ${ACTIVE_REGISTRATION_SQL}
+        ) as registrations_count`)
+      )
+      .from('event_instance as ei')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .leftJoin('venue as v', 'ei.venue_id', 'v.venue_id')
+      .orderBy('ei.event_date_start_time', 'asc');
+
+    const publicEvents = eventsData.map((e) => {
+      const capacity = e.event_capacity ? parseInt(e.event_capacity) : null;
+      const registrations = parseInt(e.registrations_count || 0);
+      const isFull = capacity !== null && registrations >= capacity;
+      const start = e.event_date_start_time ? new Date(e.event_date_start_time) : null;
+      
+      return {
+        id: e.event_instance_id,
+        name: e.event_name || 'Event',
+        type: e.event_type || 'General',
+        location: e.event_location || 'TBD',
+        address: e.venue_address || '',
+        accessibilityNotes: e.venue_accessibility_notes || '',
+        parkingNotes: e.venue_parking_notes || '',
+        dateTime: e.event_date_start_time, // Raw ISO date-time string from database
+        dateKey: start ? zonedDateKey(start) : null,
+        displayDate: start
+          ? start.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric', timeZone: ORG_TIMEZONE })
+          : null,
+        time: start
+          ? start.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone: ORG_TIMEZONE })
+          : null,
+        hour: start ? zonedParts(start).hour : null,
+        description: e.event_description || '',
+        capacity: capacity,
+        registrations: registrations,
+        isFull: isFull,
+        image: eventImagePath(e.event_type),
+        url: publicEventPath(e.event_instance_id, e.event_name),
+      };
+    });
+
+    res.render('public/events_public', { events: publicEvents });
+  } catch (err) {
+    console.error('Error fetching events:', err);
+    res.render('public/events_public', { events: [] });
   }
-  res.render('auth/login');
 });
 
 /**
- * Login Handler - Authenticate user credentials
- * 
- * Validates username and password against users table.
- * On success: Creates session with user info (id, username, role) and redirects to dashboard.
- * On failure: Shows error message and returns to login page.
- * 
- * Uses bcrypt to securely compare the provided password with the hashed password stored in the database.
+ * Public Event Pages - Shareable, search-friendly page for a single event instance
+ *
+ * GET /event/:id/:slug is the canonical URL (e.g. /event/42/steam-lab); a missing or
+ * outdated slug redirects there, so links keep working after an event is renamed.
+ * The page carries Open Graph / Twitter card tags for link previews and schema.org
+ * Event JSON-LD for search engines. GET /sitemap.xml lists the public pages and every
+ * upcoming event page.
  */
-app.post('/login', async (req, res) => {
+
+/**
+ * slugify - URL-friendly version of a name, e.g. "STEAM Lab: Robots!" -> "steam-lab-robots"
+ */
+function slugify(text) {
+  return (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * publicEventPath - Canonical path of an event instance's public page
+ */
+function publicEventPath(eventInstanceId, eventName) {
+  return `/event/${eventInstanceId}/${slugify(eventName) || 'event'}`;
+}
+
+/**
+ * eventImagePath - Stock image for an event type, or '' when none fits
+ */
+function eventImagePath(type) {
+  const t = (type || '').toLowerCase();
+  if (t.includes('annual')) return '/images/annual_conference.jpg';
+  if (t.includes('art')) return '/images/arts.jpg';
+  if (t.includes('leader')) return '/images/leadership.jpg';
+  if (t.includes('stem') || t.includes('steam')) return '/images/steam.jpg';
+  return '';
+}
+
+/**
+ * escapeXml - Escapes text for XML element content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+app.get('/event/:id{/:slug}', async (req, res) => {
   try {
-    const { username, password } = req.body || {};
-    
-    if (!username || !password) {
-      req.session.error = 'Please provide both username and password.';
-      return res.redirect('/login');
-    }
-    
-    // Find user by username only (not password, since it's hashed)
-    const user = await db('users')
-      .where({ username })
+    const eventData = await db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .leftJoin('venue as v', 'ei.venue_id', 'v.venue_id')
+      .where('ei.event_instance_id', Number(req.params.id) || 0)
+      .select(
+        'ei.*',
+        'e.event_name',
+        'e.event_type',
+        'e.event_description',
+        'v.venue_address',
+        'v.venue_accessibility_notes',
+        'v.venue_parking_notes',
+        db.raw(`(
+          SELECT count(*)
+          FROM event_registration er
+          WHERE er.event_instance_id = ei.event_instance_id
+          AND ${ACTIVE_REGISTRATION_SQL}
+        ) as registrations_count`)
+      )
       .first();
 
-    if (!user) {
-      req.session.error = 'Invalid username or password.';
-      return res.redirect('/login');
+    if (!eventData) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
     }
 
-    // Compare provided password with stored hash using bcrypt
-    const passwordMatch = await bcrypt.compare(password, user.password);
-    
-    if (!passwordMatch) {
-      req.session.error = 'Invalid username or password.';
-      return res.redirect('/login');
-    }
+    const path = publicEventPath(eventData.event_instance_id, eventData.event_name);
+    if (req.path !== path) return res.redirect(301, path);
+
+    const baseUrl = getBaseUrl(req);
+    const start = new Date(eventData.event_date_start_time);
+    const end = eventData.event_date_end_time ? new Date(eventData.event_date_end_time) : null;
+    const capacity = eventData.event_capacity !== null ? Number(eventData.event_capacity) : null;
+    const registrations = parseInt(eventData.registrations_count) || 0;
+    const seatsRemaining = capacity !== null ? Math.max(capacity - registrations, 0) : null;
+    const isUpcoming = start > new Date();
+    const name = eventData.event_name || 'Ella Rises Event';
+    const description = eventData.event_description
+      || `${name} – a free Ella Rises ${(eventData.event_type || 'community').toLowerCase()} event.`;
+    const image = `${baseUrl}${eventImagePath(eventData.event_type) || '/images/main_logo.jpeg'}`;
+    const url = `${baseUrl}${path}`;
 
-    req.session.user = { id: user.user_id, username: user.username, role: user.role };
-    req.session.success = `Welcome, ${user.username}!`;
-    res.redirect('/dashboard');
+    const event = {
+      id: eventData.event_instance_id,
+      name,
+      type: eventData.event_type || 'General',
+      description: eventData.event_description || '',
+      start_time_formatted: formatDateTime(start),
+      end_time_formatted: end ? formatDateTime(end) : '',
+      location: eventData.event_location || 'TBD',
+      address: eventData.venue_address || '',
+      accessibility_notes: eventData.venue_accessibility_notes || '',
+      parking_notes: eventData.venue_parking_notes || '',
+      capacity,
+      seats_remaining: seatsRemaining,
+      is_full: seatsRemaining === 0,
+      is_upcoming: isUpcoming,
+      image: eventImagePath(eventData.event_type),
+      url,
+    };
+
+    // schema.org Event for search engines; the script tag is closed safely by escaping "<"
+    const jsonLd = {
+      '@context': 'https://schema.org',
+      '@type': 'Event',
+      name,
+      description,
+      url,
+      image: [image],
+      startDate: start.toISOString(),
+      ...(end ? { endDate: end.toISOString() } : {}),
+      eventStatus: 'https://schema.org/EventScheduled',
+      eventAttendanceMode: 'https://schema.org/OfflineEventAttendanceMode',
+      location: {
+        '@type': 'Place',
+        name: event.location,
+        ...(event.address ? { address: event.address } : {}),
+      },
+      organizer: { '@type': 'Organization', name: 'Ella Rises', url: baseUrl },
+      ...(isUpcoming ? {
+        offers: {
+          '@type': 'Offer',
+          price: 0,
+          priceCurrency: 'USD',
+          url: `${baseUrl}/events/${event.id}/register?type=new`,
+          availability: event.is_full ? 'https://schema.org/SoldOut' : 'https://schema.org/InStock',
+        },
+      } : {}),
+      ...(capacity !== null ? { maximumAttendeeCapacity: capacity, remainingAttendeeCapacity: seatsRemaining } : {}),
+    };
+
+    res.render('public/event_detail', {
+      event,
+      meta: {
+        title: `${name} – ${formatDateShort(start)} – Ella Rises`,
+        description: description.length > 200 ? `${description.slice(0, 197)}...` : description,
+        url,
+        image,
+        jsonLd: JSON.stringify(jsonLd).replace(/</g, '\\u003c'),
+      },
+    });
   } catch (err) {
-    console.error('Error during login:', err);
-    req.session.error = 'An error occurred during login.';
-    res.redirect('/login');
+    console.error('Error loading public event page:', err);
+    req.session.error = 'Error loading event.';
+    res.redirect('/events');
   }
 });
 
 /**
- * Logout Handler - Destroy user session
- * 
- * Clears session data and redirects to home page.
- */
-app.post('/logout', (req, res) => {
-  req.session.destroy(() => {
-    res.redirect('/');
-  });
-});
-
-// =======================
-// DASHBOARD (READ-ONLY PREVIEW)
-// =======================
-/**
- * Dashboard route - Impact analytics dashboard accessible to all authenticated users
- * 
- * Per rubric: Dashboard shows key performance indicators and analytics
- * Displays aggregated data including:
- * - Total participants, events, surveys, donations
- * - Milestone achievements grouped by milestone type
- * - Filter options for event types and participant demographics
- * 
- * All data queries run in parallel using Promise.all for optimal performance.
+ * Sitemap - Public pages plus every upcoming event page, for search engines
  */
-app.get('/dashboard', requireLogin, async (req, res) => {
+app.get('/sitemap.xml', async (req, res) => {
   try {
-    const [participantsCount, eventsCount, surveysCount, donationsResult, milestonesData, eventTypesResult, citiesResult] = await Promise.all([
-      db('participant').count('* as count').first(),
-      db('event_instance').count('* as count').first(),
-      db('survey_submission').count('* as count').first(),
-      db('donation').select(db.raw('sum(donation_amount) as total')).first(),
-      db('milestone as m')
-        .leftJoin('participant_milestone as pm', 'm.milestone_id', 'pm.milestone_id')
-        .select('m.milestone_id', 'm.milestone_title', db.raw('count(pm.participant_id) as count'))
-        .groupBy('m.milestone_id', 'm.milestone_title')
-        .orderBy('m.milestone_title'),
-      db('event').distinct('event_type').pluck('event_type'),
-      db('participant').distinct('participant_city').whereNotNull('participant_city').pluck('participant_city'),
-    ]);
-
-    const totalParticipants = participantsCount?.count || 0;
-    const totalEvents = eventsCount?.count || 0;
-    const totalSurveys = surveysCount?.count || 0;
-    const totalDonationAmount = donationsResult?.total || 0;
+    const baseUrl = getBaseUrl(req);
+    const instances = await db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where('ei.event_date_start_time', '>', new Date())
+      .select('ei.event_instance_id', 'e.event_name')
+      .orderBy('ei.event_date_start_time', 'asc');
 
-    const kpis = [
-      { label: 'Participants', value: totalParticipants },
-      { label: 'Events', value: totalEvents },
-      { label: 'Surveys Submitted', value: totalSurveys },
-      { label: 'Total Donations ($)', value: totalDonationAmount },
+    const urls = [
+      { loc: `${baseUrl}/`, changefreq: 'weekly' },
+      { loc: `${baseUrl}/events`, changefreq: 'daily' },
+      { loc: `${baseUrl}/programs`, changefreq: 'monthly' },
+      { loc: `${baseUrl}/impact`, changefreq: 'monthly' },
+      { loc: `${baseUrl}/donate`, changefreq: 'monthly' },
+      ...instances.map(ei => ({
+        loc: `${baseUrl}${publicEventPath(ei.event_instance_id, ei.event_name)}`,
+        changefreq: 'daily',
+      })),
     ];
 
-    const trendLabels = ['2022', '2023', '2024', '2025'];
-    const trendScores = [2, 5, 9, 14];
-
-    const milestoneLabels = milestonesData.map((m) => m.milestone_title);
-    const milestoneCounts = milestonesData.map((m) => parseInt(m.count) || 0);
-
-    const eventTypes = eventTypesResult || [];
-    const cities = citiesResult || [];
+    const body = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">',
+      ...urls.map(u => `  <url><loc>${escapeXml(u.loc)}</loc><changefreq>${u.changefreq}</changefreq></url>`),
+      '</urlset>',
+    ].join('\n');
 
-    res.render('dashboard/index', {
-      eventTypes,
-      cities,
-      kpis,
-      trendLabels,
-      trendScores,
-      milestoneLabels,
-      milestoneCounts,
-    });
+    res.set('Content-Type', 'application/xml; charset=utf-8');
+    res.send(body);
   } catch (err) {
-    console.error('Error loading dashboard:', err);
-    req.session.error = 'Error loading dashboard data.';
-    res.render('dashboard/index', {
-      eventTypes: [],
-      cities: [],
-      kpis: [],
-      trendLabels: [],
-      trendScores: [],
-      milestoneLabels: [],
-      milestoneCounts: [],
-    });
+    console.error('Error building sitemap:', err);
+    res.status(500).send('Error building sitemap.');
   }
 });
 
-// =======================
-// USER MAINTENANCE
-// =======================
 /**
- * User Maintenance Routes
- * 
- * Per rubric requirements:
- * - "Can only access if logged in" - Protected by requireManager (which checks login first)
- * - "Users are displayed and navigation works including search" - List page with search
- * - "Ability to maintain user account (edit, delete, add) - manager only" - CRUD operations
- * - "Navigation to user maintenance (only manager can access)" - Manager-only routes
+ * Event Registration Routes - Public routes for event registration
  */
 
 /**
- * List Users - Display all users with search functionality
- * 
- * Shows all users in the system with their email, username, and role.
- * Supports case-insensitive search by username or email.
- * Passwords are never exposed (sanitized before display).
+ * loadRegistrationEvent - The event instance as the public registration forms show it, or null
  */
-app.get('/users', requireLogin, async (req, res) => {
+async function loadRegistrationEvent(eventInstanceId) {
+  const eventInstance = await db('event_instance as ei')
+    .join('event as e', 'ei.event_id', 'e.event_id')
+    .where('ei.event_instance_id', eventInstanceId)
+    .select('ei.*', 'e.event_name', 'e.event_type')
+    .first();
+  if (!eventInstance) return null;
+
+  // Full events still accept registrations, which go onto the waitlist
+  const isFull = eventInstance.event_capacity
+    ? await countActiveRegistrations(eventInstanceId) >= eventInstance.event_capacity
+    : false;
+
+  return {
+    id: eventInstance.event_instance_id,
+    name: eventInstance.event_name,
+    type: eventInstance.event_type,
+    date: eventInstance.event_date_start_time,
+    // The day ages and consent expiry are judged on
+    date_key: zonedDateKey(eventInstance.event_date_start_time),
+    location: eventInstance.event_location,
+    isFull,
+  };
+}
+
+/**
+ * renderRegistrationForm - Shows a public registration form with the guardian and consent
+ * options it may need; extra holds the view's own locals
+ */
+async function renderRegistrationForm(res, view, eventInstanceId, extra = {}) {
+  res.render(view, {
+    eventInstance: await loadRegistrationEvent(eventInstanceId),
+    relationships: GUARDIAN_RELATIONSHIPS,
+    consentValidMonths: CONSENT_VALID_MONTHS,
+    adultAge: ADULT_AGE,
+    form: {},
+    ...extra,
+  });
+}
+
+/**
+ * Registration Form - Show existing or new participant registration form
+ */
+app.get('/events/:id/register', async (req, res) => {
   try {
-    const q = (req.query.q || '').toLowerCase();
-    let query = db('users').select('user_id', 'email', 'username', 'role');
+    const eventInstanceId = req.params.id;
+    const registrationType = req.query.type || 'existing'; // 'existing' or 'new'
 
-    if (q) {
-      query = query.where(function() {
-        this.where('username', 'ilike', `%${q}%`)
-          .orWhere('email', 'ilike', `%${q}%`)
-          .orWhere('role', 'ilike', `%${q}%`);
-      });
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
     }
 
-    const filtered = await query.orderBy('username');
-    
-    // Transform database columns to view-friendly field names
-    const users = filtered.map(u => ({
-      id: u.user_id,
-      username: u.username,
-      email: u.email,
-      role: u.role,
-    }));
-    
-    res.render('users/index', { users, q });
+    // Check if event is in the future
+    const eventDate = new Date(eventInstance.event_date_start_time);
+    if (eventDate <= new Date()) {
+      req.session.error = 'Registration is only available for future events.';
+      return res.redirect('/events');
+    }
+
+    await renderRegistrationForm(res, registrationType === 'new' ? 'public/register_new' : 'public/register_existing', eventInstanceId);
   } catch (err) {
-    console.error('Error fetching users:', err);
-    req.session.error = 'Error loading users.';
-    res.render('users/index', { users: [], q: req.query.q || '' });
+    console.error('Error loading registration form:', err);
+    req.session.error = 'Error loading registration form.';
+    res.redirect('/events');
   }
 });
 
-app.get('/users/new', requireManager, (req, res) => {
-  res.render('users/form', {
-    formTitle: 'Create User',
-    formAction: '/users',
-    user: {},
-  });
-});
-
-app.post('/users', requireManager, async (req, res) => {
+/**
+ * Register Existing Participant - Find participant by email and register
+ */
+app.post('/events/:id/register/existing', async (req, res) => {
   try {
-    const { email, username, password, role } = req.body;
-    
-    if (!username) {
-      req.session.error = 'Username is required.';
-      return res.redirect('/users/new');
+    const eventInstanceId = req.params.id;
+    const { email } = req.body;
+
+    if (!email || !email.trim()) {
+      req.session.error = 'Email is required.';
+      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
     }
-    
-    // Hash the password before storing (use default salt rounds of 10)
-    const hashedPassword = password 
-      ? await bcrypt.hash(password, 10)
-      : await bcrypt.hash('password', 10);
-    
-    await db('users').insert({
-      email: email || null,
-      username,
-      password: hashedPassword,
-      role: role === 'admin' ? 'admin' : 'user',
-    });
-    req.session.success = 'User created.';
-    res.redirect('/users');
-  } catch (err) {
-    console.error('Error creating user:', err);
-    req.session.error = 'Error creating user.';
-    res.redirect('/users');
-  }
-});
 
-app.get('/users/:id', requireLogin, async (req, res) => {
-  try {
-    const userData = await db('users').where({ user_id: req.params.id }).select('user_id', 'email', 'username', 'role').first();
-    if (!userData) {
-      req.session.error = 'User not found.';
-      return res.redirect('/users');
+    // Check if event exists and is in the future
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
     }
-    
-    // Transform database columns to view-friendly field names
-    const user = {
-      id: userData.user_id,
-      username: userData.username,
-      email: userData.email,
-      role: userData.role,
-    };
-    
-    res.render('users/show', { user });
-  } catch (err) {
-    console.error('Error fetching user:', err);
-    req.session.error = 'Error loading user.';
-    res.redirect('/users');
-  }
-});
 
-app.get('/users/:id/edit', requireManager, async (req, res) => {
-  try {
-    const userData = await db('users').where({ user_id: req.params.id }).select('user_id', 'email', 'username', 'role').first();
-    if (!userData) {
-      req.session.error = 'User not found.';
-      return res.redirect('/users');
+    const eventDate = new Date(eventInstance.event_date_start_time);
+    if (eventDate <= new Date()) {
+      req.session.error = 'Registration is only available for future events.';
+      return res.redirect('/events');
     }
-    
-    // Transform database columns to form-friendly field names
-    const user = {
-      id: userData.user_id,
-      username: userData.username,
-      email: userData.email,
-      role: userData.role,
-    };
-    
-    res.render('users/form', {
-      formTitle: 'Edit User',
-      formAction: `/users/${userData.user_id}`,
-      user,
-    });
-  } catch (err) {
-    console.error('Error fetching user:', err);
-    req.session.error = 'Error loading user.';
-    res.redirect('/users');
-  }
-});
 
-app.post('/users/:id', requireManager, async (req, res) => {
-  try {
-    const user = await db('users').where({ user_id: req.params.id }).first();
-    if (!user) {
-      req.session.error = 'User not found.';
-      return res.redirect('/users');
+    // Find participant by email
+    const normalizedEmail = email.trim().toLowerCase();
+    const participant = await db('participant')
+      .where('participant_email', normalizedEmail)
+      .first();
+
+    if (!participant) {
+      req.session.error = 'No participant found with that email address. Please register as a new participant.';
+      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
     }
-    const { email, username, password, role } = req.body;
-    const updateData = {
-      email: email || null,
-      username,
-      role: role === 'admin' ? 'admin' : 'user',
-    };
-    // Hash the password before storing if a new password is provided
-    if (password) {
-      updateData.password = await bcrypt.hash(password, 10);
+
+    // Minors without a guardian or current consent need them first. Anyone can type an
+    // email here, so the consent form is only reachable through a link sent to it.
+    const missing = await findMissingConsent(participant, zonedDateKey(eventInstance.event_date_start_time));
+    if (missing) {
+      await emailConsentLink(participant, eventInstanceId, missing, getBaseUrl(req));
+      req.session.success = `Participants under ${ADULT_AGE} need a parent or guardian's consent to register. We've emailed a link to ${normalizedEmail} so a parent or guardian can give it and finish the registration.`;
+      return res.redirect('/events');
     }
-    await db('users').where({ user_id: req.params.id }).update(updateData);
-    req.session.success = 'User updated.';
-    res.redirect('/users');
-  } catch (err) {
-    console.error('Error updating user:', err);
-    req.session.error = 'Error updating user.';
-    res.redirect('/users');
-  }
-});
 
-app.post('/users/:id/delete', requireManager, async (req, res) => {
-  try {
-    await db('users').where({ user_id: req.params.id }).del();
-    req.session.success = 'User deleted.';
-    res.redirect('/users');
+    // Create registration (waitlisted if the event is full)
+    const result = await registerParticipantForEvent(participant.participant_id, eventInstanceId);
+
+    if (result.notFound) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
+    }
+
+    if (result.alreadyRegistered) {
+      req.session.error = result.status === 'waitlisted'
+        ? `${email.trim()} is already on the waitlist for this event.`
+        : `${email.trim()} is already registered for this event.`;
+      return res.redirect('/events');
+    }
+
+    await queueRegistrationEmail(participant.participant_id, eventInstanceId, { baseUrl: getBaseUrl(req) });
+
+    req.session.success = registrationResultMessage(result);
+    res.redirect(result.status === 'waitlisted' ? '/events' : ticketPath(eventInstanceId, participant.participant_id));
   } catch (err) {
-    console.error('Error deleting user:', err);
-    req.session.error = 'Error deleting user.';
-    res.redirect('/users');
+    console.error('Error registering participant:', err);
+    req.session.error = 'Error processing registration.';
+    res.redirect(`/events/${req.params.id}/register?type=existing`);
   }
 });
 
-// =======================
-// PARTICIPANT MAINTENANCE
-// =======================
 /**
- * Participant Maintenance Routes
- * 
- * Per rubric requirements:
- * - "Can only access if logged in" - Protected by requireLogin (all authenticated users can view)
- * - "Participants are displayed and navigation works including search" - List with search functionality
- * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager role
- * - "Ability to maintain milestones for participants" - Separate milestone assignment route
- * 
- * Participants represent the girls who participate in Ella Rises programs.
- * The list shows event attendance counts calculated via subquery for performance.
+ * emailConsentLink - Emails an existing participant a one-time link to the consent form
+ * for an event (see the consent routes below)
  */
+async function emailConsentLink(participant, eventInstanceId, missing, baseUrl) {
+  const eventInstance = await loadRegistrationEvent(eventInstanceId);
+  const token = await createParticipantToken({
+    purpose: 'registration_consent',
+    participantId: participant.participant_id,
+    eventInstanceId,
+    expiresInMinutes: CONSENT_LINK_EXPIRY_HOURS * 60,
+  });
+
+  const missingItems = [
+    ...(missing.guardian ? ['a parent or guardian'] : []),
+    ...(missing.consentTypes.length > 0 ? [`a current ${listConsentTypes(missing.consentTypes)} consent`] : []),
+  ].join(' or ');
+
+  await queueEmail({
+    to: participant.participant_email,
+    subject: `Consent needed: ${eventInstance.name}`,
+    template: 'registration_consent',
+    data: {
+      firstName: participant.participant_first_name,
+      eventName: eventInstance.name,
+      eventDate: formatDateTime(eventInstance.date),
+      adultAge: ADULT_AGE,
+      missingItems,
+      link: `${baseUrl}/events/${eventInstanceId}/register/consent/${token}`,
+      expiresInHours: CONSENT_LINK_EXPIRY_HOURS,
+    },
+  });
+}
 
 /**
- * List Participants - Display all participants with search and event count
- * 
- * Shows all participants with their contact information and number of events attended.
- * Search works across name (first + last), email, and city fields.
- * Uses a subquery to efficiently count attended events per participant.
+ * loadConsentToken - The unused consent link token for an event, with its participant, or null
  */
-app.get('/participants', requireLogin, async (req, res) => {
+async function loadConsentToken(token, eventInstanceId) {
+  const tokenRow = await findParticipantToken(token, 'registration_consent');
+  if (!tokenRow || String(tokenRow.event_instance_id) !== String(eventInstanceId)) return null;
+  const participant = await db('participant').where({ participant_id: tokenRow.participant_id }).first();
+  return participant ? { tokenRow, participant } : null;
+}
+
+/**
+ * Register With Guardian Consent - Second step of existing-participant registration for
+ * a minor whose guardian or consent is missing
+ *
+ * Reached only from the link emailed by emailConsentLink, so a guardian and consents are
+ * never added to someone's record by a visitor who merely knows their email address.
+ * Submitting records the guardian's consent (see recordSignedConsent), uses up the link,
+ * then registers as usual.
+ */
+const CONSENT_LINK_INVALID = 'That consent link is invalid, expired, or has already been used. Please register again to get a new one.';
+
+app.get('/events/:id/register/consent/:token', async (req, res) => {
   try {
-    const q = (req.query.q || '').toLowerCase();
-    
-    let query = db('participant as p')
-      .select(
-        'p.participant_id',
-        'p.participant_first_name',
-        'p.participant_last_name',
-        'p.participant_email',
-        'p.participant_city',
-        db.raw(`(
-          SELECT count(distinct er.event_instance_id)
-          FROM event_registration er
-          WHERE er.participant_id = p.participant_id
-          AND er.registration_attended_flag = true
-        ) as events_count`),
-        db.raw(`(
-          SELECT count(*)
-          FROM donation d
-          WHERE d.participant_id = p.participant_id
-        ) as donations_count`)
-      );
+    const eventInstanceId = req.params.id;
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
 
-    if (q) {
-      query = query.where(function() {
-        this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
-          .orWhere('p.participant_email', 'ilike', `%${q}%`)
-          .orWhere('p.participant_city', 'ilike', `%${q}%`);
-      });
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
     }
 
-    const participantsData = await query.orderBy('p.participant_last_name', 'asc');
+    if (new Date(eventInstance.event_date_start_time) <= new Date()) {
+      req.session.error = 'Registration is only available for future events.';
+      return res.redirect('/events');
+    }
 
-    // Transform data to match view expectations
-    const participants = participantsData.map(p => ({
-      id: p.participant_id,
-      name: formatParticipantName(p),
-      city: p.participant_city,
-      email: p.participant_email,
-      events_count: parseInt(p.events_count) || 0,
-      donations_count: parseInt(p.donations_count) || 0,
-    }));
+    const pending = await loadConsentToken(req.params.token, eventInstanceId);
+    if (!pending) {
+      req.session.error = CONSENT_LINK_INVALID;
+      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
+    }
 
-    res.render('participants/index', { participants, q });
+    const missing = await findMissingConsent(pending.participant, zonedDateKey(eventInstance.event_date_start_time));
+    await renderRegistrationForm(res, 'public/register_consent', eventInstanceId, {
+      token: req.params.token,
+      participantName: pending.participant.participant_first_name,
+      missingConsents: missing ? missing.consentTypes.map(type => CONSENT_TYPES[type]) : [],
+    });
   } catch (err) {
-    console.error('Error fetching participants:', err);
-    req.session.error = 'Error loading participants.';
-    res.render('participants/index', { participants: [], q: req.query.q || '' });
+    console.error('Error loading consent form:', err);
+    req.session.error = 'Error loading registration form.';
+    res.redirect('/events');
   }
 });
 
-app.get('/participants/new', requireManager, (req, res) => {
-  res.render('participants/form', {
-    formTitle: 'Add Participant',
-    formAction: '/participants',
-    participant: {},
-  });
-});
-
-app.post('/participants', requireManager, async (req, res) => {
+app.post('/events/:id/register/consent/:token', async (req, res) => {
   try {
-    const {
-      first_name,
+    const eventInstanceId = req.params.id;
+
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
+    }
+
+    const eventDate = new Date(eventInstance.event_date_start_time);
+    if (eventDate <= new Date()) {
+      req.session.error = 'Registration is only available for future events.';
+      return res.redirect('/events');
+    }
+
+    const pending = await loadConsentToken(req.params.token, eventInstanceId);
+    if (!pending) {
+      req.session.error = CONSENT_LINK_INVALID;
+      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
+    }
+
+    const guardian = parseGuardianForm(req.body);
+    const signature = guardian.error ? null : parseConsentSignature(req.body);
+    if (guardian.error || signature.error) {
+      res.locals.error = guardian.error || signature.error;
+      return renderRegistrationForm(res, 'public/register_consent', eventInstanceId, {
+        token: req.params.token,
+        participantName: pending.participant.participant_first_name,
+        missingConsents: [],
+        form: req.body,
+      });
+    }
+
+    // Redeeming in the same transaction means a link submitted twice records the consent once
+    const participantId = await db.transaction(async (trx) => {
+      const tokenRow = await redeemParticipantToken(req.params.token, 'registration_consent', trx);
+      if (!tokenRow) return null;
+      await recordSignedConsent(trx, tokenRow.participant_id, zonedDateKey(eventDate), guardian.values, signature);
+      return tokenRow.participant_id;
+    });
+
+    if (!participantId) {
+      req.session.error = CONSENT_LINK_INVALID;
+      return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
+    }
+
+    // Create registration (waitlisted if the event is full)
+    const result = await registerParticipantForEvent(participantId, eventInstanceId);
+
+    if (result.notFound) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
+    }
+
+    if (result.alreadyRegistered) {
+      req.session.error = result.status === 'waitlisted'
+        ? `${pending.participant.participant_first_name} is already on the waitlist for this event.`
+        : `${pending.participant.participant_first_name} is already registered for this event.`;
+      return res.redirect('/events');
+    }
+
+    await queueRegistrationEmail(participantId, eventInstanceId, { baseUrl: getBaseUrl(req) });
+
+    req.session.success = registrationResultMessage(result);
+    res.redirect(result.status === 'waitlisted' ? '/events' : ticketPath(eventInstanceId, participantId));
+  } catch (err) {
+    console.error('Error registering participant with consent:', err);
+    req.session.error = 'Error processing registration.';
+    res.redirect(`/events/${req.params.id}/register/consent/${req.params.token}`);
+  }
+});
+
+/**
+ * Register New Participant - Create participant and register for event
+ */
+app.post('/events/:id/register/new', async (req, res) => {
+  try {
+    const eventInstanceId = req.params.id;
+    const {
+      first_name,
       last_name,
       email,
       phone,
@@ -1349,2000 +2038,11551 @@ app.post('/participants', requireManager, async (req, res) => {
       dob,
     } = req.body;
 
-    // Validate email uniqueness if provided
+    // Validate required fields
+    if (!first_name || !first_name.trim() || !last_name || !last_name.trim()) {
+      req.session.error = 'First name and last name are required.';
+      return res.redirect(`/events/${eventInstanceId}/register?type=new`);
+    }
+
+    // Check if event exists and is in the future
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
+    }
+
+    const eventDate = new Date(eventInstance.event_date_start_time);
+    if (eventDate <= new Date()) {
+      req.session.error = 'Registration is only available for future events.';
+      return res.redirect('/events');
+    }
+
+    // Check if email already exists - prevent duplicate emails
     if (email && email.trim()) {
       const normalizedEmail = email.trim().toLowerCase();
-      const existingEmail = await db('participant')
+      const existingParticipant = await db('participant')
         .where('participant_email', normalizedEmail)
         .first();
-      
-      if (existingEmail) {
-        req.session.error = 'A participant with this email already exists.';
-        return res.redirect('/participants/new');
+
+      if (existingParticipant) {
+        // Email already exists - check if they're already registered
+        const existingRegistration = await db('event_registration')
+          .where({
+            participant_id: existingParticipant.participant_id,
+            event_instance_id: eventInstanceId,
+          })
+          .first();
+
+        if (existingRegistration && existingRegistration.registration_status !== 'cancelled') {
+          req.session.error = `${email.trim()} is already registered for this event.`;
+          return res.redirect('/events');
+        }
+
+        // Email exists but not registered - redirect to existing participant registration
+        req.session.error = 'An account with this email already exists. Please use the "Existing Participant" option to register.';
+        return res.redirect(`/events/${eventInstanceId}/register?type=existing`);
       }
     }
 
-    // Validate phone uniqueness if provided
-    if (phone && phone.trim()) {
-      const existingPhone = await db('participant')
-        .where('participant_phone', phone.trim())
-        .first();
-      
-      if (existingPhone) {
-        req.session.error = 'A participant with this phone number already exists.';
-        return res.redirect('/participants/new');
+    // Anyone under 18 on the day of the event needs a guardian and their consent
+    const dobDate = parseDateKey(dob);
+    if (!dobDate || toDateKey(dobDate) > zonedDateKey(new Date())) {
+      res.locals.error = 'Please enter a valid date of birth.';
+      return renderRegistrationForm(res, 'public/register_new', eventInstanceId, { form: req.body });
+    }
+
+    let guardian = null;
+    let signature = null;
+    const eventDateKey = zonedDateKey(eventDate);
+    if (isMinorOn(dob, eventDateKey)) {
+      guardian = parseGuardianForm(req.body);
+      signature = guardian.error ? null : parseConsentSignature(req.body);
+      if (guardian.error || signature.error) {
+        res.locals.error = guardian.error || signature.error;
+        return renderRegistrationForm(res, 'public/register_new', eventInstanceId, { form: req.body });
       }
     }
 
-    await db('participant').insert({
-      participant_first_name: first_name,
-      participant_last_name: last_name,
-      participant_email: email ? email.trim().toLowerCase() : null,
-      participant_phone: phone ? phone.trim() : null,
-      participant_city: city ? city.trim() : null,
-      participant_state: state ? state.trim() : null,
-      participant_zip: zip ? zip.trim() : null,
-      participant_school_or_employer: school ? school.trim() : null,
-      participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
-      participant_dob: dob || null,
-      participant_role: 'participant',
+    // Create new participant (email doesn't exist or no email provided)
+    const participant_id = await db.transaction(async (trx) => {
+      const [newParticipant] = await trx('participant').insert({
+        participant_first_name: first_name.trim(),
+        participant_last_name: last_name.trim(),
+        participant_email: email && email.trim() ? email.trim().toLowerCase() : null,
+        participant_phone: phone ? phone.trim() : null,
+        participant_city: city ? city.trim() : null,
+        participant_state: state ? state.trim() : null,
+        participant_zip: zip ? zip.trim() : null,
+        participant_school_or_employer: school ? school.trim() : null,
+        participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
+        participant_dob: toDateKey(dobDate),
+        participant_role: 'participant',
+      }).returning('participant_id');
+      const newParticipantId = newParticipant.participant_id || newParticipant;
+
+      if (guardian) {
+        await recordSignedConsent(trx, newParticipantId, eventDateKey, guardian.values, signature);
+      }
+      return newParticipantId;
     });
 
-    req.session.success = 'Participant added.';
-    res.redirect('/participants');
+    // Create registration (waitlisted if the event is full)
+    const result = await registerParticipantForEvent(participant_id, eventInstanceId);
+
+    if (result.notFound) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events');
+    }
+
+    if (result.alreadyRegistered) {
+      const displayEmail = email && email.trim() ? email.trim() : 'This participant';
+      req.session.error = `${displayEmail} is already registered for this event.`;
+      return res.redirect('/events');
+    }
+
+    await queueRegistrationEmail(participant_id, eventInstanceId, { baseUrl: getBaseUrl(req) });
+
+    req.session.success = registrationResultMessage(result);
+    res.redirect(result.status === 'waitlisted' ? '/events' : ticketPath(eventInstanceId, participant_id));
   } catch (err) {
-    console.error('Error creating participant:', err);
-    req.session.error = 'Error creating participant.';
-    res.redirect('/participants');
+    console.error('Error registering new participant:', err);
+    req.session.error = 'Error processing registration.';
+    res.redirect(`/events/${req.params.id}/register?type=new`);
   }
 });
 
-app.get('/participants/:id', requireLogin, async (req, res) => {
-  try {
-    const participant = await db('participant').where({ participant_id: req.params.id }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
-    }
+/**
+ * Ticket Routes - A registration's QR code, shown after registering and linked from emails
+ *
+ * The signed code in the URL is the only credential, like the emailed links elsewhere,
+ * so these pages show just the first name and event details.
+ */
 
-    const [milestonesForParticipant, donationCount] = await Promise.all([
-      db('participant_milestone as pm')
-        .join('milestone as m', 'pm.milestone_id', 'm.milestone_id')
-        .where('pm.participant_id', participant.participant_id)
-        .select('m.milestone_id', 'm.milestone_title', 'pm.milestone_date')
-        .orderByRaw('pm.milestone_date DESC NULLS LAST'),
-      db('donation')
-        .where('participant_id', participant.participant_id)
-        .count('* as count')
-        .first(),
-    ]);
+/**
+ * loadTicket - Registration and event details for a ticket code, or null
+ */
+async function loadTicket(code) {
+  const ticket = parseTicketCode(code);
+  if (!ticket) return null;
+
+  return db('event_registration as er')
+    .join('participant as p', 'er.participant_id', 'p.participant_id')
+    .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+    .join('event as e', 'ei.event_id', 'e.event_id')
+    .where({ 'er.event_instance_id': ticket.eventInstanceId, 'er.participant_id': ticket.participantId })
+    .select(
+      'er.event_instance_id',
+      'er.participant_id',
+      'er.registration_status',
+      'p.participant_first_name',
+      'ei.event_date_start_time',
+      'ei.event_location',
+      'e.event_name'
+    )
+    .first();
+}
 
-    // Transform database columns to view-friendly field names
-    const participantVm = {
-      id: participant.participant_id,
-      first_name: participant.participant_first_name,
-      last_name: participant.participant_last_name,
-      email: participant.participant_email,
-      phone: participant.participant_phone,
-      city: participant.participant_city,
-      state: participant.participant_state,
-      zip: participant.participant_zip,
-      school: participant.participant_school_or_employer,
-      field_of_interest: participant.participant_field_of_interest,
-      dob: participant.participant_dob ? formatDateShort(participant.participant_dob) : null,
-      donations_count: parseInt(donationCount?.count) || 0,
-      milestones: milestonesForParticipant.map((pm) => ({
-        id: pm.milestone_id,
-        title: pm.milestone_title,
-        achieved_date_formatted: pm.milestone_date ? formatDateShort(pm.milestone_date) : null,
-      })),
-    };
+/**
+ * Ticket QR Image - PNG of the code, for email clients that cannot show inline SVG
+ */
+app.get('/tickets/:code.png', async (req, res) => {
+  try {
+    const registration = await loadTicket(req.params.code);
+    if (!registration) return res.status(404).send('Ticket not found.');
 
-    res.render('participants/show', {
-      participant: participantVm,
-    });
+    const png = await QRCode.toBuffer(req.params.code, { type: 'png', width: 400, margin: 2 });
+    res.set('Content-Type', 'image/png');
+    res.set('Cache-Control', 'public, max-age=86400');
+    res.send(png);
   } catch (err) {
-    console.error('Error fetching participant:', err);
-    req.session.error = 'Error loading participant.';
-    res.redirect('/participants');
+    console.error('Error building ticket image:', err);
+    res.status(500).send('Error building ticket.');
   }
 });
 
-app.get('/participants/:id/edit', requireManager, async (req, res) => {
+/**
+ * Ticket Page - Registration confirmation with the QR code to show at the door
+ */
+app.get('/tickets/:code', async (req, res) => {
   try {
-    const participant = await db('participant').where({ participant_id: req.params.id }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
+    const registration = await loadTicket(req.params.code);
+    if (!registration) {
+      req.session.error = 'Ticket not found.';
+      return res.redirect('/events');
     }
 
-    // Transform database columns to form-friendly field names
-    const participantForm = {
-      id: participant.participant_id,
-      first_name: participant.participant_first_name,
-      last_name: participant.participant_last_name,
-      email: participant.participant_email,
-      phone: participant.participant_phone,
-      city: participant.participant_city,
-      state: participant.participant_state,
-      zip: participant.participant_zip,
-      school: participant.participant_school_or_employer,
-      field_of_interest: participant.participant_field_of_interest,
-      dob: participant.participant_dob ? new Date(participant.participant_dob).toISOString().slice(0, 10) : '',
+    const status = registration.registration_status || 'registered';
+    const ticket = {
+      code: req.params.code,
+      first_name: registration.participant_first_name,
+      event_name: registration.event_name,
+      date_formatted: formatDateTime(registration.event_date_start_time),
+      location: registration.event_location || 'TBD',
+      status,
+      event_url: publicEventPath(registration.event_instance_id, registration.event_name),
+      calendar_url: `/events/${registration.event_instance_id}/calendar.ics`,
+      // Only seat-holding registrations get a scannable code
+      qr_svg: status === 'waitlisted' || status === 'cancelled'
+        ? null
+        : await QRCode.toString(req.params.code, { type: 'svg', margin: 2 }),
     };
 
-    res.render('participants/form', {
-      formTitle: 'Edit Participant',
-      formAction: `/participants/${participant.participant_id}`,
-      participant: participantForm,
-    });
+    res.render('public/ticket', { ticket });
   } catch (err) {
-    console.error('Error fetching participant:', err);
-    req.session.error = 'Error loading participant.';
-    res.redirect('/participants');
+    console.error('Error loading ticket:', err);
+    req.session.error = 'Error loading ticket.';
+    res.redirect('/events');
   }
 });
 
-app.post('/participants/:id', requireManager, async (req, res) => {
+// =======================
+// PARTICIPANT SELF-SERVICE
+// =======================
+/**
+ * "My Registrations" - Public self-service for participants
+ *
+ * A participant enters her email and receives a one-time sign-in link. Redeeming the
+ * link grants a short participant session (separate from staff logins) in which she can
+ * view upcoming registrations, cancel them, and update her contact details.
+ */
+const MAGIC_LINK_EXPIRY_MINUTES = 30;
+const PARTICIPANT_SESSION_MINUTES = 60;
+
+/**
+ * My Registrations - Email form, or the registration list once signed in
+ */
+app.get('/my-registrations', async (req, res) => {
+  const access = req.session.participantAccess;
+  if (!access || access.expiresAt < Date.now()) {
+    return res.render('public/my_registrations_login');
+  }
+
   try {
-    const participant = await db('participant').where({ participant_id: req.params.id }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
+    const participantId = access.participantId;
+    const [participantData, registrationsData] = await Promise.all([
+      db('participant').where({ participant_id: participantId }).first(),
+      db('event_registration as er')
+        .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('er.participant_id', participantId)
+        .where('ei.event_date_start_time', '>', new Date())
+        .whereRaw("coalesce(er.registration_status, 'registered') <> 'cancelled'")
+        .select(
+          'ei.event_instance_id',
+          'ei.event_date_start_time',
+          'ei.event_location',
+          'e.event_name',
+          'er.registration_status'
+        )
+        .orderBy('ei.event_date_start_time', 'asc'),
+    ]);
+
+    if (!participantData) {
+      req.session.participantAccess = null;
+      return res.redirect('/my-registrations');
     }
 
-    const {
-      first_name,
-      last_name,
-      email,
-      phone,
-      city,
-      state,
-      zip,
-      school,
-      field_of_interest,
-      dob,
-    } = req.body;
-
-    // Validate email uniqueness if provided and changed
-    if (email && email.trim()) {
-      const normalizedEmail = email.trim().toLowerCase();
-      const existingEmail = await db('participant')
-        .where('participant_email', normalizedEmail)
-        .whereNot('participant_id', req.params.id)
-        .first();
-      
-      if (existingEmail) {
-        req.session.error = 'A participant with this email already exists.';
-        return res.redirect(`/participants/${req.params.id}/edit`);
-      }
-    }
+    const registrations = await Promise.all(registrationsData.map(async (reg) => ({
+      event_instance_id: reg.event_instance_id,
+      event_name: reg.event_name,
+      location: reg.event_location || 'TBD',
+      date_formatted: formatDateTime(reg.event_date_start_time),
+      status: reg.registration_status || 'registered',
+      ticket_url: ticketPath(reg.event_instance_id, participantId),
+      waitlist_position: reg.registration_status === 'waitlisted'
+        ? await getWaitlistPosition(reg.event_instance_id, participantId)
+        : null,
+    })));
 
-    // Validate phone uniqueness if provided and changed
-    if (phone && phone.trim()) {
-      const existingPhone = await db('participant')
-        .where('participant_phone', phone.trim())
-        .whereNot('participant_id', req.params.id)
-        .first();
-      
-      if (existingPhone) {
-        req.session.error = 'A participant with this phone number already exists.';
-        return res.redirect(`/participants/${req.params.id}/edit`);
-      }
-    }
+    const participant = {
+      first_name: participantData.participant_first_name,
+      last_name: participantData.participant_last_name,
+      email: participantData.participant_email,
+      phone: participantData.participant_phone,
+      city: participantData.participant_city,
+      state: participantData.participant_state,
+      zip: participantData.participant_zip,
+    };
 
-    await db('participant').where({ participant_id: req.params.id }).update({
-      participant_first_name: first_name,
-      participant_last_name: last_name,
-      participant_email: email ? email.trim().toLowerCase() : null,
-      participant_phone: phone ? phone.trim() : null,
-      participant_city: city ? city.trim() : null,
-      participant_state: state ? state.trim() : null,
-      participant_zip: zip ? zip.trim() : null,
-      participant_school_or_employer: school ? school.trim() : null,
-      participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
-      participant_dob: dob || null,
-    });
+    // The private feed URL is only shown once, right after it is created
+    const calendarFeedUrl = req.session.calendarFeedUrl || null;
+    req.session.calendarFeedUrl = null;
 
-    req.session.success = 'Participant updated.';
-    res.redirect('/participants');
+    res.render('public/my_registrations', { participant, registrations, calendarFeedUrl });
   } catch (err) {
-    console.error('Error updating participant:', err);
-    req.session.error = 'Error updating participant.';
-    res.redirect('/participants');
+    console.error('Error loading participant registrations:', err);
+    req.session.error = 'Error loading your registrations.';
+    res.redirect('/events');
   }
 });
 
-app.post('/participants/:id/delete', requireManager, async (req, res) => {
+/**
+ * Request Sign-In Link - Emails a one-time link to the participant
+ *
+ * Always shows the same confirmation so the form cannot be used to discover
+ * which email addresses belong to participants.
+ */
+app.post('/my-registrations/link', async (req, res) => {
   try {
-    const id = req.params.id;
-    
-    // Check if participant has any donations
-    const donationCount = await db('donation')
-      .where('participant_id', id)
-      .count('* as count')
+    const { email } = req.body;
+    if (!email || !email.trim()) {
+      req.session.error = 'Email is required.';
+      return res.redirect('/my-registrations');
+    }
+
+    const participant = await db('participant')
+      .where('participant_email', email.trim().toLowerCase())
       .first();
-    
-    if (donationCount && parseInt(donationCount.count) > 0) {
-      req.session.error = 'Cannot delete participant. This participant has donations associated with them. Please remove or reassign donations before deleting.';
-      return res.redirect('/participants');
+
+    if (participant) {
+      const token = await createParticipantToken({
+        purpose: 'manage_registrations',
+        participantId: participant.participant_id,
+        expiresInMinutes: MAGIC_LINK_EXPIRY_MINUTES,
+      });
+      const link = `${getBaseUrl(req)}/my-registrations/verify/${token}`;
+
+      await queueEmail({
+        to: participant.participant_email,
+        subject: 'Your Ella Rises sign-in link',
+        template: 'participant_sign_in',
+        data: {
+          firstName: participant.participant_first_name,
+          link,
+          expiresInMinutes: MAGIC_LINK_EXPIRY_MINUTES,
+        },
+      });
     }
-    
-    // If no donations, proceed with deletion
-    await db('participant_milestone').where('participant_id', id).del();
-    await db('participant').where({ participant_id: id }).del();
-    req.session.success = 'Participant deleted.';
-    res.redirect('/participants');
+
+    req.session.success = 'If that email is on file, a sign-in link is on its way. Check your inbox.';
+    res.redirect('/my-registrations');
   } catch (err) {
-    console.error('Error deleting participant:', err);
-    req.session.error = 'Error deleting participant.';
-    res.redirect('/participants');
+    console.error('Error sending sign-in link:', err);
+    req.session.error = 'Error sending sign-in link. Please try again.';
+    res.redirect('/my-registrations');
   }
 });
 
 /**
- * Assign Milestones to Participant - Manager-only route
- * 
- * Per rubric requirement: "Ability to maintain milestones for participants"
- * Managers can assign existing milestone definitions to specific participants
- * with an achieved date. This tracks participant progress toward educational goals.
+ * Sign-In Link - Confirm page for an emailed sign-in link
+ *
+ * Only looks the token up. Mail scanners and link previews open links before the
+ * participant does, so the token is spent by the button on this page (POST), not the GET.
  */
-app.get('/participants/:id/milestones/assign', requireManager, async (req, res) => {
+app.get('/my-registrations/verify/:token', async (req, res) => {
   try {
-    const [participantData, milestonesData] = await Promise.all([
-      db('participant').where({ participant_id: req.params.id }).first(),
-      db('milestone').select('*').orderBy('milestone_title')
-    ]);
-
-    if (!participantData) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
+    const tokenRow = await findParticipantToken(req.params.token, 'manage_registrations');
+    if (!tokenRow) {
+      req.session.error = 'That sign-in link is invalid, expired, or has already been used. Please request a new one.';
+      return res.redirect('/my-registrations');
     }
 
-    // Transform participant data to view-friendly field names
-    const participant = {
-      id: participantData.participant_id,
-      first_name: participantData.participant_first_name,
-      last_name: participantData.participant_last_name,
-    };
-
-    // Transform milestones data to view-friendly field names
-    const milestones = milestonesData.map(m => ({
-      id: m.milestone_id,
-      title: m.milestone_title,
-      description: m.milestone_description,
-    }));
-
-    res.render('milestones/assign', {
-      participant,
-      milestones,
-    });
+    res.render('public/my_registrations_verify', { token: req.params.token });
   } catch (err) {
-    console.error('Error loading milestone assignment:', err);
-    req.session.error = 'Error loading page.';
-    res.redirect('/participants');
+    console.error('Error loading sign-in link:', err);
+    req.session.error = 'Error verifying sign-in link.';
+    res.redirect('/my-registrations');
   }
 });
 
-app.post('/participants/:id/milestones', requireManager, async (req, res) => {
+/**
+ * Redeem Sign-In Link - Validates the one-time token and starts a participant session
+ */
+app.post('/my-registrations/verify/:token', async (req, res) => {
   try {
-    const participantId = req.params.id;
-    const participant = await db('participant').where({ participant_id: participantId }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
-    }
-
-    const { milestone_id, achieved_date } = req.body;
-
-    if (!milestone_id) {
-      req.session.error = 'Please select a milestone.';
-      return res.redirect(`/participants/${participantId}`);
+    const tokenRow = await redeemParticipantToken(req.params.token, 'manage_registrations');
+    if (!tokenRow) {
+      req.session.error = 'That sign-in link is invalid, expired, or has already been used. Please request a new one.';
+      return res.redirect('/my-registrations');
     }
 
-    await db('participant_milestone').insert({
-      participant_id: participantId,
-      milestone_id: milestone_id,
-      milestone_date: achieved_date && achieved_date.trim() ? achieved_date.trim() : null,
-    });
-
-    req.session.success = 'Milestone assigned.';
-    res.redirect(`/participants/${participantId}`);
+    req.session.participantAccess = {
+      participantId: tokenRow.participant_id,
+      expiresAt: Date.now() + PARTICIPANT_SESSION_MINUTES * 60 * 1000,
+    };
+    res.redirect('/my-registrations');
   } catch (err) {
-    console.error('Error assigning milestone:', err);
-    req.session.error = 'Error assigning milestone.';
-    res.redirect(`/participants/${req.params.id}`);
+    console.error('Error verifying sign-in link:', err);
+    req.session.error = 'Error verifying sign-in link.';
+    res.redirect('/my-registrations');
   }
 });
 
-app.get('/participants/:participant_id/milestones/:milestone_id/edit', requireManager, async (req, res) => {
+/**
+ * Cancel My Registration - Participant cancels one of her own registrations
+ *
+ * Sets registration_status = 'cancelled' and promotes the next person on the waitlist.
+ * Only upcoming events can be cancelled; once an event has started the registration is
+ * part of its attendance record.
+ */
+app.post('/my-registrations/:event_instance_id/cancel', requireParticipantAccess, async (req, res) => {
   try {
-    const participantId = req.params.participant_id;
-    const milestoneId = req.params.milestone_id;
-
-    const [participantData, milestoneData] = await Promise.all([
-      db('participant').where({ participant_id: participantId }).first(),
-      db('participant_milestone as pm')
-        .join('milestone as m', 'pm.milestone_id', 'm.milestone_id')
-        .where({
-          'pm.participant_id': participantId,
-          'pm.milestone_id': milestoneId,
-        })
-        .select('m.milestone_id', 'm.milestone_title', 'pm.milestone_date')
-        .first(),
-    ]);
-
-    if (!participantData) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
+    const eventInstanceId = req.params.event_instance_id;
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+    if (eventInstance && new Date(eventInstance.event_date_start_time) <= new Date()) {
+      req.session.error = 'This event has already started, so the registration can no longer be cancelled.';
+      return res.redirect('/my-registrations');
     }
 
-    if (!milestoneData) {
-      req.session.error = 'Milestone assignment not found.';
-      return res.redirect(`/participants/${participantId}`);
-    }
+    const updated = await db('event_registration')
+      .where({
+        participant_id: req.session.participantAccess.participantId,
+        event_instance_id: eventInstanceId,
+      })
+      .whereRaw("coalesce(registration_status, 'registered') <> 'cancelled'")
+      .update({ registration_status: 'cancelled' });
 
-    // Transform data to view-friendly field names
-    const participant = {
-      id: participantData.participant_id,
-      first_name: participantData.participant_first_name,
-      last_name: participantData.participant_last_name,
-    };
+    if (!updated) {
+      req.session.error = 'Registration not found.';
+      return res.redirect('/my-registrations');
+    }
 
-    const milestone = {
-      id: milestoneData.milestone_id,
-      title: milestoneData.milestone_title,
-      date: milestoneData.milestone_date ? new Date(milestoneData.milestone_date).toISOString().slice(0, 10) : '',
-    };
+    await promoteWaitlist(eventInstanceId, getBaseUrl(req));
 
-    res.render('milestones/edit_date', {
-      participant,
-      milestone,
-    });
+    req.session.success = 'Your registration has been cancelled.';
+    res.redirect('/my-registrations');
   } catch (err) {
-    console.error('Error loading milestone date edit:', err);
-    req.session.error = 'Error loading page.';
-    res.redirect(`/participants/${req.params.participant_id}`);
+    console.error('Error cancelling registration:', err);
+    req.session.error = 'Error cancelling registration.';
+    res.redirect('/my-registrations');
   }
 });
 
-app.post('/participants/:participant_id/milestones/:milestone_id', requireManager, async (req, res) => {
+/**
+ * Update My Contact Details - Participant edits contact info on her participant row
+ *
+ * Applies the same email/phone uniqueness rules as POST /participants/:id.
+ */
+app.post('/my-registrations/contact', requireParticipantAccess, async (req, res) => {
   try {
-    const participantId = req.params.participant_id;
-    const milestoneId = req.params.milestone_id;
+    const participantId = req.session.participantAccess.participantId;
+    const { email, phone, city, state, zip } = req.body;
 
-    const participant = await db('participant').where({ participant_id: participantId }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
+    if (!email || !email.trim()) {
+      req.session.error = 'Email is required.';
+      return res.redirect('/my-registrations');
     }
 
-    const existingMilestone = await db('participant_milestone')
-      .where({
-        participant_id: participantId,
-        milestone_id: milestoneId,
-      })
+    const normalizedEmail = email.trim().toLowerCase();
+    const existingEmail = await db('participant')
+      .where('participant_email', normalizedEmail)
+      .whereNot('participant_id', participantId)
       .first();
 
-    if (!existingMilestone) {
-      req.session.error = 'Milestone assignment not found.';
-      return res.redirect(`/participants/${participantId}`);
+    if (existingEmail) {
+      req.session.error = 'Another participant already uses this email.';
+      return res.redirect('/my-registrations');
     }
 
-    const { achieved_date } = req.body;
+    if (phone && phone.trim()) {
+      const existingPhone = await db('participant')
+        .where('participant_phone', phone.trim())
+        .whereNot('participant_id', participantId)
+        .first();
 
-    await db('participant_milestone')
-      .where({
-        participant_id: participantId,
-        milestone_id: milestoneId,
-      })
-      .update({
-        milestone_date: achieved_date && achieved_date.trim() ? achieved_date.trim() : null,
-      });
+      if (existingPhone) {
+        req.session.error = 'Another participant already uses this phone number.';
+        return res.redirect('/my-registrations');
+      }
+    }
 
-    req.session.success = 'Milestone date updated.';
-    res.redirect(`/participants/${participantId}`);
+    await db('participant').where({ participant_id: participantId }).update({
+      participant_email: normalizedEmail,
+      participant_phone: phone && phone.trim() ? phone.trim() : null,
+      participant_city: city && city.trim() ? city.trim() : null,
+      participant_state: state && state.trim() ? state.trim() : null,
+      participant_zip: zip && zip.trim() ? zip.trim() : null,
+    });
+
+    req.session.success = 'Your contact details have been updated.';
+    res.redirect('/my-registrations');
   } catch (err) {
-    console.error('Error updating milestone date:', err);
-    req.session.error = 'Error updating milestone date.';
-    res.redirect(`/participants/${req.params.participant_id}`);
+    console.error('Error updating participant contact details:', err);
+    req.session.error = 'Error updating your contact details.';
+    res.redirect('/my-registrations');
   }
 });
 
-app.post('/participants/:participant_id/milestones/:milestone_id/delete', requireManager, async (req, res) => {
-  try {
-    const participantId = req.params.participant_id;
-    const milestoneId = req.params.milestone_id;
-
-    const participant = await db('participant').where({ participant_id: participantId }).first();
-    if (!participant) {
-      req.session.error = 'Participant not found.';
-      return res.redirect('/participants');
-    }
+/**
+ * Sign Out - Ends the participant session
+ */
+app.post('/my-registrations/logout', (req, res) => {
+  req.session.participantAccess = null;
+  res.redirect('/events');
+});
 
-    await db('participant_milestone')
-      .where({
-        participant_id: participantId,
-        milestone_id: milestoneId,
-      })
-      .del();
+/**
+ * Donate Page - Public donation form
+ * 
+ * Per rubric requirement: "Link to donations page for any visitor"
+ * Visitors can provide their information (name, email) and donation amount.
+ * Form submits to /donations/public route which saves donor info and donation.
+ */
+app.get('/donate', async (req, res) => {
+  try {
+    // Fetch donation and milestone data for analytics
+    const [donationsData, milestonesData, achievedMilestones, donationsByMonth, milestonesByMonth] = await Promise.all([
+      db('donation')
+        .select(db.raw('sum(donation_amount) as total'), db.raw('count(*) as count'))
+        .first(),
+      db('participant_milestone')
+        .whereNotNull('milestone_date')
+        .count('* as count')
+        .first(),
+      db('milestone as m')
+        .join('participant_milestone as pm', 'm.milestone_id', 'pm.milestone_id')
+        .whereNotNull('pm.milestone_date')
+        .select('m.milestone_id', 'm.milestone_title', 'm.milestone_description')
+        .groupBy('m.milestone_id', 'm.milestone_title', 'm.milestone_description')
+        .orderBy('m.milestone_title'),
+      db('donation')
+        .select(
+          db.raw("TO_CHAR(donation_date, 'YYYY-MM') as month"),
+          db.raw('sum(donation_amount) as total'),
+          db.raw('count(*) as count')
+        )
+        .whereNotNull('donation_date')
+        .groupBy(db.raw("TO_CHAR(donation_date, 'YYYY-MM')"))
+        .orderBy(db.raw("TO_CHAR(donation_date, 'YYYY-MM')")),
+      db('participant_milestone')
+        .select(
+          db.raw("TO_CHAR(milestone_date, 'YYYY-MM') as month"),
+          db.raw('count(*) as count')
+        )
+        .whereNotNull('milestone_date')
+        .groupBy(db.raw("TO_CHAR(milestone_date, 'YYYY-MM')"))
+        .orderBy(db.raw("TO_CHAR(milestone_date, 'YYYY-MM')"))
+    ]);
+
+    const totalDonations = parseFloat(donationsData?.total || 0);
+    const totalDonationCount = parseInt(donationsData?.count || 0);
+    const totalMilestones = parseInt(milestonesData?.count || 0);
+    const costPerMilestone = totalMilestones > 0 ? totalDonations / totalMilestones : 0;
+
+    // Prepare correlation data: total donations at time of each milestone achievement
+    // Get all milestone achievements with their dates, ordered chronologically
+    const milestonesWithDates = await db('participant_milestone')
+      .whereNotNull('milestone_date')
+      .select('milestone_date')
+      .orderBy('milestone_date', 'asc');
+
+    // Get all donations with their dates for cumulative calculation
+    const allDonations = await db('donation')
+      .whereNotNull('donation_date')
+      .select('donation_date', 'donation_amount')
+      .orderBy('donation_date', 'asc');
+
+    // Calculate cumulative donations and milestones
+    const chartData = [];
+    let cumulativeDonations = 0;
+    let cumulativeMilestones = 0;
+    let donationIndex = 0;
+
+    // Process each milestone in chronological order
+    milestonesWithDates.forEach(milestone => {
+      const milestoneDate = milestone.milestone_date.toISOString().slice(0, 10);
+      
+      // Add all donations up to and including this milestone date
+      while (donationIndex < allDonations.length) {
+        const donation = allDonations[donationIndex];
+        const donationDate = donation.donation_date.toISOString().slice(0, 10);
+        
+        if (donationDate <= milestoneDate) {
+          cumulativeDonations += parseFloat(donation.donation_amount || 0);
+          donationIndex++;
+        } else {
+          break;
+        }
+      }
+
+      // Increment cumulative milestones
+      cumulativeMilestones += 1;
+
+      // Add data point: x = total donations at this point, y = total milestones achieved
+      chartData.push({
+        x: cumulativeDonations,
+        y: cumulativeMilestones,
+        date: milestoneDate
+      });
+    });
+
+    // Transform achieved milestones for view
+    const milestones = achievedMilestones.map(m => ({
+      id: m.milestone_id,
+      title: m.milestone_title,
+      description: m.milestone_description || '',
+    }));
+
+    res.render('public/donate', {
+      totalDonations,
+      totalDonationCount,
+      totalMilestones,
+      costPerMilestone,
+      milestones,
+      chartData: JSON.stringify(chartData),
+    });
+  } catch (err) {
+    console.error('Error fetching donation analytics:', err);
+    // Render with default values if there's an error
+    res.render('public/donate', {
+      totalDonations: 0,
+      totalDonationCount: 0,
+      totalMilestones: 0,
+      costPerMilestone: 0,
+      milestones: [],
+      chartData: JSON.stringify([]),
+    });
+  }
+});
+
+/**
+ * Tea Route - Returns HTTP 418 I'm a Teapot status code
+ * 
+ * A playful Easter egg route that returns the HTTP 418 status code,
+ * which is a reference to the Hyper Text Coffee Pot Control Protocol (HTCPCP/1.0).
+ */
+app.get('/tea', (req, res) => {
+  res.sendStatus(418);
+});
+
+/**
+ * Impact Page - Shows organization's impact metrics
+ * 
+ * Displays aggregated statistics:
+ * - Total participants reached
+ * - Average event satisfaction (survey questions tagged 'satisfaction')
+ * - Net Promoter Score (survey questions tagged 'recommend', see calculateNps)
+ * - Total milestones achieved
+ * - Total donations received
+ * 
+ * All queries run in parallel for performance.
+ */
+app.get('/impact', async (req, res) => {
+  try {
+    const [participantsResult, satisfactionResult, nps, milestonesResult, donationsResult] = await Promise.all([
+      db
+        .select(db.raw("count(distinct er.participant_id) as participants_count"))
+        .from("event_registration as er")
+        .where("er.registration_attended_flag", "=", true),
+      
+      surveyMetricResponses('satisfaction')
+        .avg('sr.question_response as avg_satisfaction'),
+      
+      loadNetPromoterScore(),
+      
+      db
+        .select(db.raw("count(*) as milestones_achieved"))
+        .from("participant_milestone"),
+      
+      db
+        .select(db.raw("sum(donation_amount) as total_donations"))
+        .from("donation")
+    ]);
+
+    const impactStats = {
+      participantsCount: participantsResult[0]?.participants_count || 0,
+      avgSatisfaction: satisfactionResult[0]?.avg_satisfaction 
+        ? parseFloat(satisfactionResult[0].avg_satisfaction).toFixed(1) 
+        : null,
+      nps,
+      milestonesAchieved: milestonesResult[0]?.milestones_achieved || 0,
+      totalDonations: donationsResult[0]?.total_donations || 0,
+    };
+
+    res.render('public/impact', { impactStats });
+  } catch (err) {
+    console.error('Error loading impact stats:', err);
+    res.render('public/impact', { 
+      impactStats: { 
+        participantsCount: 0, 
+        avgSatisfaction: null, 
+        nps: null, 
+        milestonesAchieved: 0, 
+        totalDonations: 0 
+      } 
+    });
+  }
+});
+
+
+// =======================
+// CALENDAR FEEDS
+// =======================
+/**
+ * iCalendar (.ics) downloads and subscribable feeds
+ *
+ * - GET /events/:id/calendar.ics: one event instance, for "Add to calendar" buttons
+ * - GET /events/calendar.ics: public feed of upcoming events, optionally filtered by
+ *   ?type= and ?location= (the same values the public events page filters on)
+ * - GET /my-registrations/calendar/:token.ics: private feed of one participant's
+ *   registrations. The token is a long-lived participant_token (purpose 'calendar_feed')
+ *   that calendar apps re-use on every refresh, so it is looked up without being consumed.
+ *
+ * UIDs are stable per event instance, so calendar apps update an event in place when its
+ * time or location changes, and drop it when it is cancelled.
+ *
+ * NOTE: /events/calendar.ics must come BEFORE /events/:id to avoid route conflicts.
+ */
+const CALENDAR_FEED_EXPIRY_DAYS = 730;
+// Private feeds keep recent sessions so they do not vanish from calendars the next day
+const CALENDAR_FEED_HISTORY_DAYS = 30;
+// Assumed length of an instance with no end time (calendar DTEND, scheduling conflicts)
+const DEFAULT_EVENT_DURATION_MINUTES = 60;
+
+/**
+ * escapeIcsText - Escapes a value for an iCalendar TEXT property (RFC 5545 3.3.11)
+ */
+function escapeIcsText(value) {
+  return String(value || '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * formatIcsDate - Formats a date as a UTC iCalendar DATE-TIME (e.g. 20261103T230000Z)
+ */
+function formatIcsDate(date) {
+  return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * foldIcsLine - Folds a content line at 75 octets as RFC 5545 requires
+ *
+ * Counts UTF-8 bytes so multi-byte characters (accented names, emoji) are never split.
+ */
+function foldIcsLine(line) {
+  const parts = [];
+  let current = '';
+  let currentBytes = 0;
+  for (const char of line) {
+    const bytes = Buffer.byteLength(char);
+    if (currentBytes + bytes > 75) {
+      parts.push(current);
+      current = ' ';
+      currentBytes = 1;
+    }
+    current += char;
+    currentBytes += bytes;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+/**
+ * buildIcsCalendar - Builds a VCALENDAR document from event instance rows
+ *
+ * Rows need event_instance_id, event_date_start_time, event_date_end_time, event_location,
+ * venue_address, event_name and event_description (see calendarEventQuery).
+ */
+function buildIcsCalendar({ name, instances, baseUrl }) {
+  const host = new URL(baseUrl).host;
+  const stamp = formatIcsDate(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'PRODID:-//Ella Rises//Events//EN',
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeIcsText(name)}`,
+  ];
+
+  instances.forEach((ei) => {
+    const start = new Date(ei.event_date_start_time);
+    const end = ei.event_date_end_time && new Date(ei.event_date_end_time) > start
+      ? new Date(ei.event_date_end_time)
+      : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+
+    lines.push(
+      'BEGIN:VEVENT',
+      `UID:event-instance-${ei.event_instance_id}@${host}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART:${formatIcsDate(start)}`,
+      `DTEND:${formatIcsDate(end)}`,
+      `SUMMARY:${escapeIcsText(ei.event_name || 'Ella Rises Event')}`,
+      `URL:${baseUrl}/events`
+    );
+    const location = [ei.event_location, ei.venue_address].filter(Boolean).join(', ');
+    if (location) lines.push(`LOCATION:${escapeIcsText(location)}`);
+    if (ei.event_description) lines.push(`DESCRIPTION:${escapeIcsText(ei.event_description)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldIcsLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * calendarEventQuery - Event instances joined with their template, in start order
+ */
+function calendarEventQuery() {
+  return db('event_instance as ei')
+    .join('event as e', 'ei.event_id', 'e.event_id')
+    .leftJoin('venue as v', 'ei.venue_id', 'v.venue_id')
+    .select(
+      'ei.event_instance_id',
+      'ei.event_date_start_time',
+      'ei.event_date_end_time',
+      'ei.event_location',
+      'v.venue_address',
+      'e.event_name',
+      'e.event_description'
+    )
+    .orderBy('ei.event_date_start_time', 'asc');
+}
+
+/**
+ * sendIcs - Sends an iCalendar response
+ *
+ * Single events are sent as a download; feeds are served inline for calendar apps.
+ */
+function sendIcs(res, body, downloadName = null) {
+  res.set('Content-Type', 'text/calendar; charset=utf-8');
+  if (downloadName) res.set('Content-Disposition', `attachment; filename="${downloadName}"`);
+  res.send(body);
+}
+
+/**
+ * Public Calendar Feed - All upcoming events, optionally filtered by type and location
+ *
+ * Filters match the labels shown on the public events page, where a missing type is
+ * "General" and a missing location is "TBD".
+ */
+app.get('/events/calendar.ics', async (req, res) => {
+  try {
+    const type = (req.query.type || '').trim().toLowerCase();
+    const location = (req.query.location || '').trim().toLowerCase();
+
+    const query = calendarEventQuery().where('ei.event_date_start_time', '>', new Date());
+    if (type) query.whereRaw("lower(coalesce(e.event_type, 'General')) = ?", [type]);
+    if (location) query.whereRaw("lower(coalesce(ei.event_location, 'TBD')) = ?", [location]);
+
+    const nameParts = ['Ella Rises Events', req.query.type, req.query.location].filter(Boolean);
+    sendIcs(res, buildIcsCalendar({
+      name: nameParts.join(' – '),
+      instances: await query,
+      baseUrl: getBaseUrl(req),
+    }));
+  } catch (err) {
+    console.error('Error building calendar feed:', err);
+    res.status(500).send('Error building calendar feed.');
+  }
+});
+
+/**
+ * Add to Calendar - Single event instance as an .ics download
+ */
+app.get('/events/:id/calendar.ics', async (req, res) => {
+  try {
+    const instance = await calendarEventQuery().where('ei.event_instance_id', req.params.id).first();
+    if (!instance) return res.status(404).send('Event not found.');
+
+    const slug = slugify(instance.event_name);
+    sendIcs(res, buildIcsCalendar({
+      name: instance.event_name || 'Ella Rises Event',
+      instances: [instance],
+      baseUrl: getBaseUrl(req),
+    }), `${slug || 'event'}-${instance.event_instance_id}.ics`);
+  } catch (err) {
+    console.error('Error building event calendar file:', err);
+    res.status(500).send('Error building calendar file.');
+  }
+});
+
+/**
+ * Create My Calendar Link - Issues a private feed URL for the signed-in participant
+ *
+ * Any previous link stops working, so a participant who shared hers by mistake can
+ * simply make a new one. The raw URL is shown once on the next page load.
+ */
+app.post('/my-registrations/calendar-link', requireParticipantAccess, async (req, res) => {
+  try {
+    const participantId = req.session.participantAccess.participantId;
+    const token = await db.transaction(async (trx) => {
+      await trx('participant_token')
+        .where({ participant_id: participantId, token_purpose: 'calendar_feed' })
+        .del();
+      return createParticipantToken({
+        purpose: 'calendar_feed',
+        participantId,
+        expiresInMinutes: CALENDAR_FEED_EXPIRY_DAYS * 24 * 60,
+      }, trx);
+    });
+
+    req.session.calendarFeedUrl = `${getBaseUrl(req)}/my-registrations/calendar/${token}.ics`;
+    req.session.success = 'Your calendar link is ready. Any earlier link has stopped working.';
+    res.redirect('/my-registrations');
+  } catch (err) {
+    console.error('Error creating calendar link:', err);
+    req.session.error = 'Error creating your calendar link.';
+    res.redirect('/my-registrations');
+  }
+});
+
+/**
+ * My Calendar Feed - Private feed of one participant's registrations
+ *
+ * Includes registrations that hold a seat (not waitlisted or cancelled) for events that
+ * started in the last CALENDAR_FEED_HISTORY_DAYS or are still to come.
+ */
+app.get('/my-registrations/calendar/:token.ics', async (req, res) => {
+  try {
+    const feedToken = await findParticipantToken(req.params.token, 'calendar_feed');
+    if (!feedToken) return res.status(404).send('Calendar feed not found.');
+
+    const since = new Date(Date.now() - CALENDAR_FEED_HISTORY_DAYS * 24 * 60 * 60 * 1000);
+    const instances = await calendarEventQuery()
+      .join('event_registration as er', 'er.event_instance_id', 'ei.event_instance_id')
+      .where('er.participant_id', feedToken.participant_id)
+      .whereRaw(ACTIVE_REGISTRATION_SQL)
+      .where('ei.event_date_start_time', '>', since);
+
+    sendIcs(res, buildIcsCalendar({
+      name: 'My Ella Rises Events',
+      instances,
+      baseUrl: getBaseUrl(req),
+    }));
+  } catch (err) {
+    console.error('Error building participant calendar feed:', err);
+    res.status(500).send('Error building calendar feed.');
+  }
+});
+
+// =======================
+// PUBLIC SURVEY
+// =======================
+/**
+ * Participant-facing post-event survey
+ *
+ * Each attended registration gets a one-time link (emailed by the notification scheduler)
+ * to a public form for that participant and event instance. Submitting redeems the token
+ * and writes the submission in the same transaction, and a participant who already has a
+ * submission for the event is refused, so each attendee is counted once.
+ */
+const SURVEY_LINK_EXPIRY_DAYS = 14;
+
+/**
+ * createSurveyLink - Issues a survey token for a participant and event, returns the full URL
+ */
+async function createSurveyLink(participantId, eventInstanceId, trx = db) {
+  const token = await createParticipantToken({
+    purpose: 'survey',
+    participantId,
+    eventInstanceId,
+    expiresInMinutes: SURVEY_LINK_EXPIRY_DAYS * 24 * 60,
+  }, trx);
+  return `${getBaseUrl()}/survey/${token}`;
+}
+
+/**
+ * hasSurveySubmission - Whether the participant already submitted a survey for the event
+ */
+async function hasSurveySubmission(participantId, eventInstanceId, trx = db) {
+  const existing = await trx('survey_submission')
+    .where({ participant_id: participantId, event_instance_id: eventInstanceId })
+    .first('survey_submission_id');
+  return !!existing;
+}
+
+/**
+ * Survey Form - Public survey for the participant and event the token was issued for
+ */
+app.get('/survey/:token', async (req, res) => {
+  try {
+    const tokenRow = await findParticipantToken(req.params.token, 'survey');
+    if (!tokenRow) {
+      return res.render('public/survey_message', {
+        heading: 'Survey link unavailable',
+        message: 'This survey link is invalid, has expired, or has already been used.',
+      });
+    }
+
+    if (await hasSurveySubmission(tokenRow.participant_id, tokenRow.event_instance_id)) {
+      return res.render('public/survey_message', {
+        heading: 'Already submitted',
+        message: 'We already have your feedback for this event. Thank you!',
+      });
+    }
+
+    const [participant, eventInstance, surveyVersionId] = await Promise.all([
+      db('participant').where({ participant_id: tokenRow.participant_id }).first(),
+      db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_instance_id', tokenRow.event_instance_id)
+        .select('e.event_name', 'ei.event_date_start_time')
+        .first(),
+      getSurveyVersionIdForEvent(tokenRow.event_instance_id),
+    ]);
+
+    res.render('public/survey', {
+      token: req.params.token,
+      firstName: participant?.participant_first_name || '',
+      event: {
+        name: eventInstance?.event_name || 'Event',
+        date: eventInstance ? formatDateTime(eventInstance.event_date_start_time) : '',
+      },
+      questions: surveyVersionId ? await getSurveyQuestions(surveyVersionId) : [],
+    });
+  } catch (err) {
+    console.error('Error loading public survey:', err);
+    res.render('public/survey_message', {
+      heading: 'Something went wrong',
+      message: 'We could not load the survey. Please try the link again later.',
+    });
+  }
+});
+
+/**
+ * Submit Survey - Redeems the token and records the answers exactly like POST /surveys
+ */
+app.post('/survey/:token', async (req, res) => {
+  try {
+    const pendingToken = await findParticipantToken(req.params.token, 'survey');
+    const surveyVersionId = pendingToken ? await getSurveyVersionIdForEvent(pendingToken.event_instance_id) : null;
+    const questions = surveyVersionId ? await getSurveyQuestions(surveyVersionId) : [];
+    const { answers, errors } = parseSurveyAnswers(questions, req.body);
+
+    if (pendingToken && errors.length > 0) {
+      req.session.error = errors.join(' ');
+      return res.redirect(`/survey/${req.params.token}`);
+    }
+
+    const result = await db.transaction(async (trx) => {
+      const tokenRow = await redeemParticipantToken(req.params.token, 'survey', trx);
+      if (!tokenRow) return { invalid: true };
+
+      if (await hasSurveySubmission(tokenRow.participant_id, tokenRow.event_instance_id, trx)) {
+        return { duplicate: true };
+      }
+
+      await createSurveySubmission({
+        participantId: tokenRow.participant_id,
+        eventInstanceId: tokenRow.event_instance_id,
+        surveyVersionId,
+        answers,
+      }, trx);
+      return { participantId: tokenRow.participant_id };
+    });
+
+    if (result.invalid) {
+      return res.render('public/survey_message', {
+        heading: 'Survey link unavailable',
+        message: 'This survey link is invalid, has expired, or has already been used.',
+      });
+    }
+    if (result.duplicate) {
+      return res.render('public/survey_message', {
+        heading: 'Already submitted',
+        message: 'We already have your feedback for this event. Thank you!',
+      });
+    }
+
+    await applyMilestoneRulesFor(result.participantId);
+    res.render('public/survey_message', {
+      heading: 'Thank you!',
+      message: 'Your feedback has been recorded. It helps us plan better programs for every girl we serve.',
+    });
+  } catch (err) {
+    console.error('Error submitting public survey:', err);
+    req.session.error = 'Error submitting survey. Please try again.';
+    res.redirect(`/survey/${req.params.token}`);
+  }
+});
+
+// =======================
+// AUTH ROUTES
+// =======================
+/**
+ * Authentication routes for user login/logout
+ * 
+ * Per rubric: "Login is either manager or common user"
+ * Users are authenticated and their role (admin/manager or user) determines access levels.
+ */
+
+/**
+ * Login Page - Display login form
+ * 
+ * If user is already logged in, redirects to dashboard.
+ * Otherwise shows login form for username/password authentication.
+ */
+app.get('/login', (req, res) => {
+  if (req.session.user) {
+    return res.redirect('/dashboard');
+  }
+  res.render('auth/login');
+});
+
+/**
+ * Login Handler - Authenticate user credentials
+ * 
+ * Validates username and password against users table.
+ * On success: Creates session with user info (id, username, role) and redirects to dashboard.
+ * On failure: Shows error message and returns to login page.
+ * 
+ * Uses bcrypt to securely compare the provided password with the hashed password stored in the database.
+ */
+app.post('/login', async (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    
+    if (!username || !password) {
+      req.session.error = 'Please provide both username and password.';
+      return res.redirect('/login');
+    }
+    
+    // Find user by username only (not password, since it's hashed)
+    const user = await db('users')
+      .where({ username })
+      .first();
+
+    if (!user) {
+      req.session.error = 'Invalid username or password.';
+      return res.redirect('/login');
+    }
+
+    // Compare provided password with stored hash using bcrypt
+    const passwordMatch = await bcrypt.compare(password, user.password);
+    
+    if (!passwordMatch) {
+      req.session.error = 'Invalid username or password.';
+      return res.redirect('/login');
+    }
+
+    req.session.user = { id: user.user_id, username: user.username, role: user.role };
+    req.session.success = `Welcome, ${user.username}!`;
+    res.redirect('/dashboard');
+  } catch (err) {
+    console.error('Error during login:', err);
+    req.session.error = 'An error occurred during login.';
+    res.redirect('/login');
+  }
+});
+
+/**
+ * Logout Handler - Destroy user session
+ * 
+ * Clears session data and redirects to home page.
+ */
+app.post('/logout', (req, res) => {
+  req.session.destroy(() => {
+    res.redirect('/');
+  });
+});
+
+/**
+ * Set Password - Landing page for the staff invitation email
+ *
+ * New staff accounts receive a one-time link. The form is only shown while the link is
+ * valid; submitting it consumes the link and stores the bcrypt-hashed password.
+ */
+const STAFF_INVITATION_EXPIRY_DAYS = 7;
+
+app.get('/set-password/:token', async (req, res) => {
+  try {
+    const tokenRow = await findUserToken(req.params.token, 'set_password');
+    if (!tokenRow) {
+      req.session.error = 'That link is invalid, expired, or has already been used. Ask a manager to reset your password.';
+      return res.redirect('/login');
+    }
+
+    const user = await db('users').where({ user_id: tokenRow.user_id }).select('username').first();
+    res.render('auth/set_password', { token: req.params.token, username: user ? user.username : '' });
+  } catch (err) {
+    console.error('Error loading set password page:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect('/login');
+  }
+});
+
+app.post('/set-password/:token', async (req, res) => {
+  try {
+    const { password, password_confirm } = req.body;
+
+    if (!password || password.length < 8) {
+      req.session.error = 'Password must be at least 8 characters.';
+      return res.redirect(`/set-password/${req.params.token}`);
+    }
+
+    if (password !== password_confirm) {
+      req.session.error = 'Passwords do not match.';
+      return res.redirect(`/set-password/${req.params.token}`);
+    }
+
+    const tokenRow = await redeemUserToken(req.params.token, 'set_password');
+    if (!tokenRow) {
+      req.session.error = 'That link is invalid, expired, or has already been used. Ask a manager to reset your password.';
+      return res.redirect('/login');
+    }
+
+    await db('users')
+      .where({ user_id: tokenRow.user_id })
+      .update({ password: await bcrypt.hash(password, 10) });
+
+    req.session.success = 'Password set. You can now log in.';
+    res.redirect('/login');
+  } catch (err) {
+    console.error('Error setting password:', err);
+    req.session.error = 'Error setting password.';
+    res.redirect('/login');
+  }
+});
+
+// =======================
+// DASHBOARD (READ-ONLY PREVIEW)
+// =======================
+/**
+ * Dashboard route - Impact analytics dashboard accessible to all authenticated users
+ * 
+ * Per rubric: Dashboard shows key performance indicators and analytics
+ * Displays aggregated data including:
+ * - Total participants, events, surveys, donations
+ * - Milestone achievements grouped by milestone type
+ * - Filter options for event types and participant demographics
+ * 
+ * All data queries run in parallel using Promise.all for optimal performance.
+ */
+app.get('/dashboard', requireLogin, async (req, res) => {
+  try {
+    const [participantsCount, eventsCount, surveysCount, donationsResult, milestonesData, eventTypesResult, citiesResult] = await Promise.all([
+      db('participant').count('* as count').first(),
+      db('event_instance').count('* as count').first(),
+      db('survey_submission').count('* as count').first(),
+      db('donation').select(db.raw('sum(donation_amount) as total')).first(),
+      db('milestone as m')
+        .leftJoin('participant_milestone as pm', 'm.milestone_id', 'pm.milestone_id')
+        .select('m.milestone_id', 'm.milestone_title', db.raw('count(pm.participant_id) as count'))
+        .groupBy('m.milestone_id', 'm.milestone_title')
+        .orderBy('m.milestone_title'),
+      db('event').distinct('event_type').pluck('event_type'),
+      db('participant').distinct('participant_city').whereNotNull('participant_city').pluck('participant_city'),
+    ]);
+
+    const totalParticipants = participantsCount?.count || 0;
+    const totalEvents = eventsCount?.count || 0;
+    const totalSurveys = surveysCount?.count || 0;
+    const totalDonationAmount = donationsResult?.total || 0;
+
+    const kpis = [
+      { label: 'Participants', value: totalParticipants },
+      { label: 'Events', value: totalEvents },
+      { label: 'Surveys Submitted', value: totalSurveys },
+      { label: 'Total Donations ($)', value: totalDonationAmount },
+    ];
+
+    const trendLabels = ['2022', '2023', '2024', '2025'];
+    const trendScores = [2, 5, 9, 14];
+
+    const milestoneLabels = milestonesData.map((m) => m.milestone_title);
+    const milestoneCounts = milestonesData.map((m) => parseInt(m.count) || 0);
+
+    const eventTypes = eventTypesResult || [];
+    const cities = citiesResult || [];
+
+    res.render('dashboard/index', {
+      eventTypes,
+      cities,
+      kpis,
+      trendLabels,
+      trendScores,
+      milestoneLabels,
+      milestoneCounts,
+    });
+  } catch (err) {
+    console.error('Error loading dashboard:', err);
+    req.session.error = 'Error loading dashboard data.';
+    res.render('dashboard/index', {
+      eventTypes: [],
+      cities: [],
+      kpis: [],
+      trendLabels: [],
+      trendScores: [],
+      milestoneLabels: [],
+      milestoneCounts: [],
+    });
+  }
+});
+
+// =======================
+// LIST EXPORTS
+// =======================
+/**
+ * CSV / Excel Export of the Maintenance Lists
+ *
+ * Each maintenance list (users, participants, milestones, events, surveys, donations) has
+ * an /export route that downloads the rows matching the list's current search and filters,
+ * using the same query function as the list page. ?format=csv (the default) or xlsx.
+ *
+ * Rows are read EXPORT_BATCH_SIZE at a time and written out as they arrive, so a long
+ * donation history is never held in memory at once. The batches are pages of one query,
+ * so its ORDER BY must end with a unique column or rows could repeat or go missing. The
+ * pages are read in one read-only REPEATABLE READ transaction, so they all see the same
+ * snapshot and a row added or deleted mid-export cannot shift a later page.
+ */
+
+const EXPORT_BATCH_SIZE = 500;
+const EXPORT_CONTENT_TYPES = {
+  csv: 'text/csv; charset=utf-8',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+};
+
+/**
+ * readQueryInBatches - Runs an ordered query a page at a time in trx, yielding each page of rows
+ */
+async function* readQueryInBatches(query, trx, batchSize = EXPORT_BATCH_SIZE) {
+  for (let offset = 0; ; offset += batchSize) {
+    const rows = await query.clone().transacting(trx).limit(batchSize).offset(offset);
+    if (rows.length > 0) yield rows;
+    if (rows.length < batchSize) return;
+  }
+}
+
+/**
+ * csvSafeValue - Prefixes text that a spreadsheet would run as a formula (a name typed as
+ * "=HYPERLINK(...)") with an apostrophe
+ */
+function csvSafeValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'string' && /^[=+\-@\t\r]/.test(value) ? `'${value}` : value;
+}
+
+/**
+ * writeToResponse - Writes a chunk, waiting for a slow client to catch up when the buffer is full
+ */
+function writeToResponse(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off('close', onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off('drain', onDrain);
+      reject(new Error('The client closed the connection.'));
+    };
+    res.once('drain', onDrain);
+    res.once('close', onClose);
+  });
+}
+
+/**
+ * sendListExport - Streams an export download
+ *
+ * columns is [{ header, value: (row, details) => cell, width }]. loadDetails(rows, trx),
+ * when given, runs once per batch for data that cannot be joined into the query, and its
+ * result is passed to every value(). An error before anything is sent redirects back to
+ * listPath.
+ */
+async function sendListExport(req, res, { name, sheetName, listPath, query, columns, loadDetails }) {
+  const format = req.query.format === 'xlsx' ? 'xlsx' : 'csv';
+  let started = false;
+  let workbook = null;
+  let sheet = null;
+
+  const start = async () => {
+    if (started) return;
+    started = true;
+    res.attachment(`${name}-${zonedDateKey(new Date())}.${format}`);
+    res.set('Content-Type', EXPORT_CONTENT_TYPES[format]);
+    if (format === 'xlsx') {
+      workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: true });
+      sheet = workbook.addWorksheet(sheetName);
+      sheet.columns = columns.map(c => ({ header: c.header, width: c.width || 16 }));
+      sheet.getRow(1).font = { bold: true };
+    } else {
+      // The byte order mark tells Excel the file is UTF-8, so accented names survive
+      await writeToResponse(res, `\ufeff${stringifyCsv([columns.map(c => c.header)])}`);
+    }
+  };
+
+  try {
+    await db.transaction(async (trx) => {
+      for await (const rows of readQueryInBatches(query, trx)) {
+        const details = loadDetails ? await loadDetails(rows, trx) : null;
+        await start();
+        const cells = rows.map(row => columns.map(c => c.value(row, details) ?? null));
+        if (sheet) {
+          cells.forEach(values => sheet.addRow(values).commit());
+        } else {
+          await writeToResponse(res, stringifyCsv(cells.map(values => values.map(csvSafeValue))));
+        }
+      }
+    }, { isolationLevel: 'repeatable read', readOnly: true });
+    await start();
+
+    if (workbook) {
+      sheet.commit();
+      await workbook.commit();
+    } else {
+      res.end();
+    }
+  } catch (err) {
+    console.error(`Error exporting ${name}:`, err);
+    if (!started) {
+      req.session.error = 'Error creating the export. Please try again.';
+      return res.redirect(listPath);
+    }
+    res.destroy(err);
+  }
+}
+
+// =======================
+// USER MAINTENANCE
+// =======================
+/**
+ * User Maintenance Routes
+ * 
+ * Per rubric requirements:
+ * - "Can only access if logged in" - Protected by requireManager (which checks login first)
+ * - "Users are displayed and navigation works including search" - List page with search
+ * - "Ability to maintain user account (edit, delete, add) - manager only" - CRUD operations
+ * - "Navigation to user maintenance (only manager can access)" - Manager-only routes
+ */
+
+/**
+ * List Users - Display all users with search functionality
+ * 
+ * Shows all users in the system with their email, username, and role.
+ * Supports case-insensitive search by username or email.
+ * Passwords are never exposed (sanitized before display).
+ */
+app.get('/users', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const filtered = await buildUserListQuery({ q });
+    
+    // Transform database columns to view-friendly field names
+    const users = filtered.map(u => ({
+      id: u.user_id,
+      username: u.username,
+      email: u.email,
+      role: u.role,
+    }));
+    
+    res.render('users/index', { users, q });
+  } catch (err) {
+    console.error('Error fetching users:', err);
+    req.session.error = 'Error loading users.';
+    res.render('users/index', { users: [], q: req.query.q || '' });
+  }
+});
+
+/**
+ * buildUserListQuery - Users matching the list's search (username, email or role)
+ */
+function buildUserListQuery({ q = '' } = {}) {
+  let query = db('users').select('user_id', 'email', 'username', 'role');
+
+  if (q) {
+    query = query.where(function() {
+      this.where('username', 'ilike', `%${q}%`)
+        .orWhere('email', 'ilike', `%${q}%`)
+        .orWhere('role', 'ilike', `%${q}%`);
+    });
+  }
+
+  return query.orderBy('username').orderBy('user_id');
+}
+
+/**
+ * Export Users - The users list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/users/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'users',
+  sheetName: 'Users',
+  listPath: '/users',
+  query: buildUserListQuery({ q: (req.query.q || '').toLowerCase() }),
+  columns: [
+    { header: 'Username', value: u => u.username, width: 20 },
+    { header: 'Email', value: u => u.email, width: 30 },
+    { header: 'Role', value: u => u.role, width: 10 },
+  ],
+}));
+
+app.get('/users/new', requireManager, (req, res) => {
+  res.render('users/form', {
+    formTitle: 'Create User',
+    formAction: '/users',
+    user: {},
+  });
+});
+
+app.post('/users', requireManager, async (req, res) => {
+  try {
+    const { email, username, password, role } = req.body;
+    
+    if (!username) {
+      req.session.error = 'Username is required.';
+      return res.redirect('/users/new');
+    }
+    
+    // Hash the password before storing (use default salt rounds of 10)
+    const hashedPassword = password 
+      ? await bcrypt.hash(password, 10)
+      : await bcrypt.hash('password', 10);
+    
+    const [newUser] = await db('users').insert({
+      email: email || null,
+      username,
+      password: hashedPassword,
+      role: role === 'admin' ? 'admin' : 'user',
+    }).returning(['user_id', 'username', 'role']);
+
+    // Invitation email with a one-time link so the new user can choose their own password
+    if (email) {
+      try {
+        const token = await createUserToken({
+          purpose: 'set_password',
+          userId: newUser.user_id,
+          expiresInMinutes: STAFF_INVITATION_EXPIRY_DAYS * 24 * 60,
+        });
+        await queueEmail({
+          to: email,
+          subject: 'Your Ella Rises staff account',
+          template: 'staff_invitation',
+          data: {
+            username: newUser.username,
+            role: newUser.role,
+            link: `${getBaseUrl(req)}/set-password/${token}`,
+            loginUrl: `${getBaseUrl(req)}/login`,
+            expiresInDays: STAFF_INVITATION_EXPIRY_DAYS,
+          },
+        });
+      } catch (err) {
+        console.error('Error queueing staff invitation:', err);
+      }
+    }
+
+    req.session.success = email ? 'User created and invitation emailed.' : 'User created.';
+    res.redirect('/users');
+  } catch (err) {
+    console.error('Error creating user:', err);
+    req.session.error = 'Error creating user.';
+    res.redirect('/users');
+  }
+});
+
+app.get('/users/:id', requireLogin, async (req, res) => {
+  try {
+    const userData = await db('users').where({ user_id: req.params.id }).select('user_id', 'email', 'username', 'role').first();
+    if (!userData) {
+      req.session.error = 'User not found.';
+      return res.redirect('/users');
+    }
+    
+    // Transform database columns to view-friendly field names
+    const user = {
+      id: userData.user_id,
+      username: userData.username,
+      email: userData.email,
+      role: userData.role,
+    };
+
+    // API keys are only listed for managers, who are the ones who can create and revoke them
+    let apiKeys = [];
+    if (req.session.user.role === 'admin') {
+      const keys = await db('api_key')
+        .where({ user_id: userData.user_id })
+        .orderByRaw('api_key_revoked_at is not null')
+        .orderBy('api_key_created_at', 'desc');
+      apiKeys = keys.map(k => ({
+        id: k.api_key_id,
+        name: k.api_key_name,
+        prefix: k.api_key_prefix,
+        created_at: formatDateTime(k.api_key_created_at),
+        last_used_at: k.api_key_last_used_at ? formatDateTime(k.api_key_last_used_at) : 'Never',
+        revoked_at: k.api_key_revoked_at ? formatDateTime(k.api_key_revoked_at) : null,
+      }));
+    }
+
+    // A key that was just created is shown once and then forgotten
+    const newApiKey = req.session.newApiKey && req.session.newApiKey.userId === userData.user_id
+      ? req.session.newApiKey.key
+      : null;
+    delete req.session.newApiKey;
+
+    res.render('users/show', { user, apiKeys, newApiKey });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    req.session.error = 'Error loading user.';
+    res.redirect('/users');
+  }
+});
+
+app.get('/users/:id/edit', requireManager, async (req, res) => {
+  try {
+    const userData = await db('users').where({ user_id: req.params.id }).select('user_id', 'email', 'username', 'role').first();
+    if (!userData) {
+      req.session.error = 'User not found.';
+      return res.redirect('/users');
+    }
+    
+    // Transform database columns to form-friendly field names
+    const user = {
+      id: userData.user_id,
+      username: userData.username,
+      email: userData.email,
+      role: userData.role,
+    };
+    
+    res.render('users/form', {
+      formTitle: 'Edit User',
+      formAction: `/users/${userData.user_id}`,
+      user,
+    });
+  } catch (err) {
+    console.error('Error fetching user:', err);
+    req.session.error = 'Error loading user.';
+    res.redirect('/users');
+  }
+});
+
+app.post('/users/:id', requireManager, async (req, res) => {
+  try {
+    const user = await db('users').where({ user_id: req.params.id }).first();
+    if (!user) {
+      req.session.error = 'User not found.';
+      return res.redirect('/users');
+    }
+    const { email, username, password, role } = req.body;
+    const updateData = {
+      email: email || null,
+      username,
+      role: role === 'admin' ? 'admin' : 'user',
+    };
+    // Hash the password before storing if a new password is provided
+    if (password) {
+      updateData.password = await bcrypt.hash(password, 10);
+    }
+    await db('users').where({ user_id: req.params.id }).update(updateData);
+    req.session.success = 'User updated.';
+    res.redirect('/users');
+  } catch (err) {
+    console.error('Error updating user:', err);
+    req.session.error = 'Error updating user.';
+    res.redirect('/users');
+  }
+});
+
+app.post('/users/:id/delete', requireManager, async (req, res) => {
+  try {
+    await db('users').where({ user_id: req.params.id }).del();
+    req.session.success = 'User deleted.';
+    res.redirect('/users');
+  } catch (err) {
+    console.error('Error deleting user:', err);
+    req.session.error = 'Error deleting user.';
+    res.redirect('/users');
+  }
+});
+
+/**
+ * Create API Key - Issues a key for the JSON API (see JSON API) that acts as this user
+ *
+ * The raw key is kept in the session just long enough for the user page to show it once;
+ * only its hash is stored.
+ */
+app.post('/users/:id/api-keys', requireManager, async (req, res) => {
+  try {
+    const user = await db('users').where({ user_id: req.params.id }).first('user_id');
+    if (!user) {
+      req.session.error = 'User not found.';
+      return res.redirect('/users');
+    }
+    const name = (req.body.api_key_name || '').trim();
+    if (!name) {
+      req.session.error = 'Give the key a name, such as the script or integration that will use it.';
+      return res.redirect(`/users/${user.user_id}`);
+    }
+
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    await db('api_key').insert({
+      user_id: user.user_id,
+      api_key_name: name.slice(0, 100),
+      api_key_hash: hashToken(key),
+      api_key_prefix: key.slice(0, 10),
+      api_key_created_by_user_id: req.session.user.id,
+    });
+
+    req.session.newApiKey = { userId: user.user_id, key };
+    req.session.success = 'API key created. Copy it now - it will not be shown again.';
+    res.redirect(`/users/${user.user_id}`);
+  } catch (err) {
+    console.error('Error creating API key:', err);
+    req.session.error = 'Error creating API key.';
+    res.redirect(`/users/${req.params.id}`);
+  }
+});
+
+/**
+ * Revoke API Key - Stops a key from working; the row stays for the record
+ */
+app.post('/users/:id/api-keys/:keyId/revoke', requireManager, async (req, res) => {
+  try {
+    const revoked = await db('api_key')
+      .where({ api_key_id: req.params.keyId, user_id: req.params.id })
+      .whereNull('api_key_revoked_at')
+      .update({ api_key_revoked_at: new Date() });
+    if (revoked) {
+      req.session.success = 'API key revoked.';
+    } else {
+      req.session.error = 'API key not found or already revoked.';
+    }
+    res.redirect(`/users/${req.params.id}`);
+  } catch (err) {
+    console.error('Error revoking API key:', err);
+    req.session.error = 'Error revoking API key.';
+    res.redirect(`/users/${req.params.id}`);
+  }
+});
+
+// =======================
+// PARTICIPANT DUPLICATES
+// =======================
+/**
+ * Duplicate Finder and Merge Routes (manager only)
+ *
+ * Public registration, public donations (participant_role = 'donor') and manual entry all
+ * create participant rows, so the same person can end up with two records. The finder
+ * suggests pairs that look alike; a merge moves everything from one record onto the other
+ * in a single transaction, deletes the duplicate and writes a participant_merge log entry.
+ *
+ * The anonymous donor record (participant_id 0) is never suggested or merged.
+ */
+
+const ANONYMOUS_PARTICIPANT_ID = 0;
+// Shared values with more records than this (a placeholder phone, a school's ZIP and
+// birthday) say nothing useful about duplicates and are skipped
+const DUPLICATE_GROUP_LIMIT = 25;
+
+// Profile fields offered on the merge screen, in display order
+const MERGE_FIELDS = [
+  { column: 'participant_first_name', label: 'First Name' },
+  { column: 'participant_last_name', label: 'Last Name' },
+  { column: 'participant_email', label: 'Email' },
+  { column: 'participant_phone', label: 'Phone' },
+  { column: 'participant_dob', label: 'Date of Birth' },
+  { column: 'participant_school_or_employer', label: 'School' },
+  { column: 'participant_city', label: 'City' },
+  { column: 'participant_state', label: 'State' },
+  { column: 'participant_zip', label: 'ZIP Code' },
+  { column: 'participant_field_of_interest', label: 'Field of Interest' },
+];
+
+// When both records are registered for the same event, the stronger status is kept
+const REGISTRATION_STATUS_RANK = { cancelled: 0, waitlisted: 1, registered: 2 };
+
+/**
+ * normalizeNameForMatch - Lowercase letters only, accents removed ("José-Luis" -> "jose luis")
+ */
+function normalizeNameForMatch(value) {
+  return (value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+/**
+ * normalizePhoneForMatch - The last ten digits of a phone number, or '' if it has fewer than seven
+ */
+function normalizePhoneForMatch(value) {
+  const digits = (value || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-10) : '';
+}
+
+/**
+ * editDistance - Levenshtein distance between two strings
+ */
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * namesLookAlike - Whether two normalized names are probably the same spelled differently:
+ * one or two typos ("Ana"/"Anna"), or one a short form of the other ("Alex"/"Alexandra")
+ */
+function namesLookAlike(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  const shorter = a.length <= b.length ? a : b;
+  const longer = shorter === a ? b : a;
+  if (shorter.length >= 3 && longer.startsWith(shorter)) return true;
+  return editDistance(a, b) <= (shorter.length <= 4 ? 1 : 2);
+}
+
+/**
+ * findDuplicateCandidates - Pairs of participants that look like the same person
+ *
+ * Pairs match on a similar name (same last name and a similar first name, or the other
+ * way round, or first and last swapped), the same phone number, or the same date of birth
+ * and ZIP code. Dismissed pairs are left out. Returns [{ a, b, reasons }] with the
+ * strongest matches first; a is the record suggested to keep (see pickMergeSurvivor).
+ */
+async function findDuplicateCandidates() {
+  const [participants, dismissed] = await Promise.all([
+    db('participant')
+      .whereNot('participant_id', ANONYMOUS_PARTICIPANT_ID)
+      .select('participant_id', 'participant_first_name', 'participant_last_name', 'participant_email',
+        'participant_phone', 'participant_dob', 'participant_zip', 'participant_city', 'participant_role'),
+    db('participant_duplicate_dismissal').select('participant_id_low', 'participant_id_high'),
+  ]);
+  const dismissedKeys = new Set(dismissed.map(d => `${d.participant_id_low}:${d.participant_id_high}`));
+
+  const pairs = new Map();
+  const addPair = (x, y, reason) => {
+    if (x.participant_id === y.participant_id) return;
+    const [low, high] = x.participant_id < y.participant_id ? [x, y] : [y, x];
+    const key = `${low.participant_id}:${high.participant_id}`;
+    if (dismissedKeys.has(key)) return;
+    if (!pairs.has(key)) pairs.set(key, { low, high, reasons: [] });
+    if (!pairs.get(key).reasons.includes(reason)) pairs.get(key).reasons.push(reason);
+  };
+  const groupBy = (keyOf) => {
+    const groups = new Map();
+    participants.forEach((p) => {
+      const key = keyOf(p);
+      if (!key) return;
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(p);
+    });
+    return [...groups.values()].filter(g => g.length > 1 && g.length <= DUPLICATE_GROUP_LIMIT);
+  };
+  const eachPair = (group, fn) => {
+    for (let i = 0; i < group.length; i++) {
+      for (let j = i + 1; j < group.length; j++) fn(group[i], group[j]);
+    }
+  };
+
+  const first = (p) => normalizeNameForMatch(p.participant_first_name);
+  const last = (p) => normalizeNameForMatch(p.participant_last_name);
+
+  groupBy(last).forEach(group => eachPair(group, (x, y) => {
+    if (namesLookAlike(first(x), first(y))) addPair(x, y, first(x) === first(y) ? 'Same name' : 'Similar name');
+  }));
+  groupBy(first).forEach(group => eachPair(group, (x, y) => {
+    if (last(x) !== last(y) && namesLookAlike(last(x), last(y))) addPair(x, y, 'Similar name');
+  }));
+  groupBy(p => [first(p), last(p)].filter(Boolean).sort().join(' ')).forEach(group => eachPair(group, (x, y) => {
+    if (first(x) !== first(y)) addPair(x, y, 'First and last name swapped');
+  }));
+  groupBy(p => normalizePhoneForMatch(p.participant_phone)).forEach(group => eachPair(group, (x, y) => {
+    addPair(x, y, 'Same phone');
+  }));
+  groupBy(p => (p.participant_dob && p.participant_zip && p.participant_zip.trim()
+    ? `${calendarDateKey(p.participant_dob)}|${p.participant_zip.trim().slice(0, 5)}`
+    : '')).forEach(group => eachPair(group, (x, y) => {
+    addPair(x, y, 'Same date of birth and ZIP');
+  }));
+
+  return [...pairs.values()]
+    .map(({ low, high, reasons }) => {
+      const [a, b] = pickMergeSurvivor(low, high);
+      return { a, b, reasons };
+    })
+    .sort((x, y) => y.reasons.length - x.reasons.length
+      || formatParticipantName(x.a).localeCompare(formatParticipantName(y.a), 'en', { sensitivity: 'base' }));
+}
+
+/**
+ * pickMergeSurvivor - [keep, merge] for two records: a participant record is kept over a
+ * donor-only record, otherwise the older (lower id) record
+ */
+function pickMergeSurvivor(x, y) {
+  const isDonor = (p) => p.participant_role === 'donor';
+  if (isDonor(x) !== isDonor(y)) return isDonor(x) ? [y, x] : [x, y];
+  return x.participant_id < y.participant_id ? [x, y] : [y, x];
+}
+
+/**
+ * formatMergeFieldValue - A participant column's value for the merge screen and log
+ */
+function formatMergeFieldValue(column, value) {
+  if (value === null || value === undefined || value === '') return '';
+  return column === 'participant_dob' ? formatCalendarDate(value) : String(value);
+}
+
+/**
+ * loadMergePair - Both records for a merge, or { error } when the pair cannot be merged
+ */
+async function loadMergePair(keepId, mergeId) {
+  if (!keepId || !mergeId || Number(keepId) === Number(mergeId)) {
+    return { error: 'Choose two different participants to merge.' };
+  }
+  if ([Number(keepId), Number(mergeId)].includes(ANONYMOUS_PARTICIPANT_ID)) {
+    return { error: 'The anonymous donor record cannot be merged.' };
+  }
+  const [keep, merge] = await Promise.all([
+    db('participant').where('participant_id', keepId).first(),
+    db('participant').where('participant_id', mergeId).first(),
+  ]);
+  if (!keep || !merge) return { error: 'Participant not found. It may already have been merged.' };
+  return { keep, merge };
+}
+
+/**
+ * countMergeRecords - How many rows of each kind belong to the duplicate, and how many
+ * registrations and milestones the surviving record already has for the same event or milestone
+ */
+async function countMergeRecords(keepId, mergeId) {
+  const count = (query) => query.count('* as count').first().then(row => parseInt(row?.count) || 0);
+  const [registrations, sharedRegistrations, milestones, sharedMilestones, surveys, donations, guardians, consents] = await Promise.all([
+    count(db('event_registration').where('participant_id', mergeId)),
+    count(db('event_registration').where('participant_id', mergeId)
+      .whereIn('event_instance_id', db('event_registration').where('participant_id', keepId).select('event_instance_id'))),
+    count(db('participant_milestone').where('participant_id', mergeId)),
+    count(db('participant_milestone').where('participant_id', mergeId)
+      .whereIn('milestone_id', db('participant_milestone').where('participant_id', keepId).select('milestone_id'))),
+    count(db('survey_submission').where('participant_id', mergeId)),
+    count(db('donation').where('participant_id', mergeId)),
+    count(db('guardian').where('participant_id', mergeId)),
+    count(db('participant_consent').where('participant_id', mergeId)),
+  ]);
+  return { registrations, sharedRegistrations, milestones, sharedMilestones, surveys, donations, guardians, consents };
+}
+
+/**
+ * mergeParticipants - Moves everything from mergeId onto keepId, deletes mergeId and logs it
+ *
+ * fieldChoices maps participant columns to 'merge' where the duplicate's value should
+ * replace the surviving record's. Where both records are registered for the same event the
+ * registrations are combined (attended if either attended, the stronger status, the
+ * earliest times); where both hold a milestone the earlier date is kept. Donations are
+ * renumbered after the surviving record's highest donation_number. Returns the merge summary.
+ *
+ * Where both records held a seat at the same event, combining them frees one, so the
+ * waitlist of each such event is promoted once the merge has committed.
+ */
+async function mergeParticipants({ keepId, mergeId, fieldChoices, userId, baseUrl }) {
+  const freedSeatEventIds = [];
+  const summary = await db.transaction(async (trx) => {
+    // Lock both rows so a registration or a second merge cannot interleave
+    const [keep, merge] = await Promise.all([
+      trx('participant').where('participant_id', keepId).forUpdate().first(),
+      trx('participant').where('participant_id', mergeId).forUpdate().first(),
+    ]);
+    if (!keep || !merge) throw new Error('Participant not found');
+
+    const result = {
+      fields: [],
+      registrations: 0,
+      combined_registrations: 0,
+      milestones: 0,
+      combined_milestones: 0,
+      surveys: 0,
+      donations: [],
+      guardians: 0,
+      consents: 0,
+    };
+
+    // Registrations
+    const keepRegistrations = await trx('event_registration').where('participant_id', keepId);
+    const mergeRegistrations = await trx('event_registration').where('participant_id', mergeId);
+    const earliest = (x, y) => (!x ? y : !y ? x : new Date(x) <= new Date(y) ? x : y);
+    for (const reg of mergeRegistrations) {
+      const existing = keepRegistrations.find(r => r.event_instance_id === reg.event_instance_id);
+      if (!existing) {
+        await trx('event_registration')
+          .where({ participant_id: mergeId, event_instance_id: reg.event_instance_id })
+          .update({ participant_id: keepId });
+        result.registrations += 1;
+        continue;
+      }
+      const rank = (r) => REGISTRATION_STATUS_RANK[r.registration_status || 'registered'] ?? REGISTRATION_STATUS_RANK.registered;
+      if (rank(existing) === REGISTRATION_STATUS_RANK.registered && rank(reg) === REGISTRATION_STATUS_RANK.registered) {
+        freedSeatEventIds.push(reg.event_instance_id);
+      }
+      const attended = !!(existing.registration_attended_flag || reg.registration_attended_flag);
+      await trx('event_registration')
+        .where({ participant_id: keepId, event_instance_id: reg.event_instance_id })
+        .update({
+          registration_status: attended ? 'registered' : (rank(reg) > rank(existing) ? reg : existing).registration_status,
+          registration_attended_flag: attended,
+          registration_created_at: earliest(existing.registration_created_at, reg.registration_created_at),
+          registration_check_in_time: earliest(existing.registration_check_in_time, reg.registration_check_in_time),
+        });
+      await trx('event_registration')
+        .where({ participant_id: mergeId, event_instance_id: reg.event_instance_id })
+        .del();
+      result.combined_registrations += 1;
+    }
+
+    // Milestones
+    const keepMilestones = await trx('participant_milestone').where('participant_id', keepId);
+    const mergeMilestones = await trx('participant_milestone').where('participant_id', mergeId);
+    for (const pm of mergeMilestones) {
+      const existing = keepMilestones.find(m => m.milestone_id === pm.milestone_id);
+      if (!existing) {
+        await trx('participant_milestone')
+          .where({ participant_id: mergeId, milestone_id: pm.milestone_id })
+          .update({ participant_id: keepId });
+        result.milestones += 1;
+        continue;
+      }
+      if (pm.milestone_date && (!existing.milestone_date || calendarDateKey(pm.milestone_date) < calendarDateKey(existing.milestone_date))) {
+        await trx('participant_milestone')
+          .where({ participant_id: keepId, milestone_id: pm.milestone_id })
+          .update({ milestone_date: calendarDateKey(pm.milestone_date) });
+      }
+      await trx('participant_milestone')
+        .where({ participant_id: mergeId, milestone_id: pm.milestone_id })
+        .del();
+      result.combined_milestones += 1;
+    }
+
+    result.surveys = await trx('survey_submission').where('participant_id', mergeId).update({ participant_id: keepId });
+
+    // Donations: the key is (participant_id, donation_number), so each one gets a new number
+    const maxDonation = await trx('donation').where('participant_id', keepId).max('donation_number as max_num').first();
+    let nextNumber = (maxDonation?.max_num || 0) + 1;
+    const mergeDonations = await trx('donation').where('participant_id', mergeId).orderBy('donation_number');
+    for (const donation of mergeDonations) {
+      await trx('donation')
+        .where({ participant_id: mergeId, donation_number: donation.donation_number })
+        .update({ participant_id: keepId, donation_number: nextNumber });
+      result.donations.push({ from: donation.donation_number, to: nextNumber });
+      nextNumber += 1;
+    }
+
+    // Guardians and consents; the surviving record's primary guardian stays primary
+    const keepHasPrimary = await trx('guardian').where({ participant_id: keepId, guardian_is_primary: true }).first();
+    result.guardians = await trx('guardian')
+      .where('participant_id', mergeId)
+      .update(keepHasPrimary ? { participant_id: keepId, guardian_is_primary: false } : { participant_id: keepId });
+    result.consents = await trx('participant_consent').where('participant_id', mergeId).update({ participant_id: keepId });
+    await trx('consent_override').where('participant_id', mergeId).update({ participant_id: keepId });
+
+    // Access tokens keep working (calendar feeds, survey links); reminders already planned
+    // for the surviving record win over the duplicate's
+    await trx('participant_token').where('participant_id', mergeId).update({ participant_id: keepId });
+    await trx('notification_job')
+      .where('participant_id', mergeId)
+      .whereExists(function() {
+        this.select(1).from('notification_job as k')
+          .where('k.participant_id', keepId)
+          .whereRaw('k.job_type = notification_job.job_type')
+          .whereRaw('k.event_instance_id = notification_job.event_instance_id');
+      })
+      .del();
+    await trx('notification_job').where('participant_id', mergeId).update({ participant_id: keepId });
+
+    // Profile fields; a donor record merged into a participant does not make them a donor
+    const updates = {};
+    MERGE_FIELDS.forEach(({ column, label }) => {
+      if (fieldChoices[column] === 'merge' && merge[column] !== keep[column]) {
+        updates[column] = merge[column];
+        result.fields.push({
+          label,
+          from: formatMergeFieldValue(column, keep[column]),
+          to: formatMergeFieldValue(column, merge[column]),
+        });
+      }
+    });
+    if (keep.participant_role === 'donor' && merge.participant_role !== 'donor') {
+      updates.participant_role = merge.participant_role;
+    }
+
+    await trx('participant').where('participant_id', mergeId).del();
+    if (Object.keys(updates).length > 0) {
+      await trx('participant').where('participant_id', keepId).update(updates);
+    }
+
+    await trx('participant_merge').insert({
+      surviving_participant_id: keepId,
+      merged_participant_id: mergeId,
+      merged_participant: JSON.stringify(merge),
+      surviving_participant_before: JSON.stringify(keep),
+      merge_summary: JSON.stringify(result),
+      merged_by_user_id: userId,
+    });
+    return result;
+  });
+
+  // The merge has committed, so a failed promotion is logged rather than reported as a failed merge
+  for (const eventInstanceId of freedSeatEventIds) {
+    try {
+      await promoteWaitlist(eventInstanceId, baseUrl);
+    } catch (err) {
+      console.error(`Error promoting the waitlist for event instance ${eventInstanceId} after a merge:`, err);
+    }
+  }
+
+  // Combined attendance may now qualify for an automatic milestone
+  await applyMilestoneRulesFor(keepId);
+  return summary;
+}
+
+/**
+ * describeMergeSummary - One sentence for the flash message and the merge log
+ */
+function describeMergeSummary(summary) {
+  const parts = [];
+  const add = (count, noun) => {
+    if (count > 0) parts.push(`${count} ${noun}${count === 1 ? '' : 's'}`);
+  };
+  add(summary.registrations + summary.combined_registrations, 'registration');
+  add(summary.milestones + summary.combined_milestones, 'milestone');
+  add(summary.surveys, 'survey');
+  add(summary.donations.length, 'donation');
+  add(summary.guardians, 'guardian');
+  add(summary.consents, 'consent record');
+  return parts.length > 0 ? `Moved ${parts.join(', ')}.` : 'Nothing else to move.';
+}
+
+/**
+ * Duplicate Finder - Pairs of records that may be the same person
+ */
+app.get('/participants/duplicates', requireManager, async (req, res) => {
+  try {
+    const candidates = await findDuplicateCandidates();
+    const summarize = (p) => ({
+      id: p.participant_id,
+      name: formatParticipantName(p),
+      email: p.participant_email || '',
+      phone: p.participant_phone || '',
+      dob: p.participant_dob ? formatCalendarDate(p.participant_dob) : '',
+      city: p.participant_city || '',
+      is_donor: p.participant_role === 'donor',
+    });
+
+    res.render('participants/duplicates', {
+      pairs: candidates.map(c => ({ a: summarize(c.a), b: summarize(c.b), reasons: c.reasons })),
+    });
+  } catch (err) {
+    console.error('Error finding duplicate participants:', err);
+    req.session.error = 'Error finding duplicates.';
+    res.redirect('/participants');
+  }
+});
+
+/**
+ * Dismiss Duplicate - Records that two participants are different people
+ */
+app.post('/participants/duplicates/dismiss', requireManager, async (req, res) => {
+  try {
+    const ids = [Number(req.body.a), Number(req.body.b)].sort((x, y) => x - y);
+    const pair = await loadMergePair(ids[0], ids[1]);
+    if (pair.error) {
+      req.session.error = pair.error;
+      return res.redirect('/participants/duplicates');
+    }
+
+    await db('participant_duplicate_dismissal')
+      .insert({ participant_id_low: ids[0], participant_id_high: ids[1], dismissed_by_user_id: req.session.user.id })
+      .onConflict(['participant_id_low', 'participant_id_high'])
+      .ignore();
+
+    req.session.success = `${formatParticipantName(pair.keep)} and ${formatParticipantName(pair.merge)} will no longer be suggested as duplicates.`;
+    res.redirect('/participants/duplicates');
+  } catch (err) {
+    console.error('Error dismissing duplicate:', err);
+    req.session.error = 'Error dismissing duplicate.';
+    res.redirect('/participants/duplicates');
+  }
+});
+
+/**
+ * Merge Preview - Both records side by side, with a choice for each field that differs
+ * and counts of what will move (?keep=&merge=)
+ */
+app.get('/participants/merge', requireManager, async (req, res) => {
+  try {
+    const pair = await loadMergePair(req.query.keep, req.query.merge);
+    if (pair.error) {
+      req.session.error = pair.error;
+      return res.redirect('/participants/duplicates');
+    }
+    const { keep, merge } = pair;
+
+    const fields = MERGE_FIELDS.map(({ column, label }) => {
+      const keepValue = formatMergeFieldValue(column, keep[column]);
+      const mergeValue = formatMergeFieldValue(column, merge[column]);
+      return {
+        column,
+        label,
+        keep_value: keepValue,
+        merge_value: mergeValue,
+        differs: keepValue !== mergeValue,
+        // Blanks on the surviving record are filled in from the duplicate
+        use_merge: !keepValue && !!mergeValue,
+      };
+    });
+
+    res.render('participants/merge', {
+      keep: { id: keep.participant_id, name: formatParticipantName(keep), is_donor: keep.participant_role === 'donor' },
+      merge: { id: merge.participant_id, name: formatParticipantName(merge), is_donor: merge.participant_role === 'donor' },
+      fields,
+      counts: await countMergeRecords(keep.participant_id, merge.participant_id),
+    });
+  } catch (err) {
+    console.error('Error loading merge preview:', err);
+    req.session.error = 'Error loading merge preview.';
+    res.redirect('/participants/duplicates');
+  }
+});
+
+/**
+ * Merge Participants - Runs the merge and opens the surviving record
+ */
+app.post('/participants/merge', requireManager, async (req, res) => {
+  try {
+    const pair = await loadMergePair(req.body.keep, req.body.merge);
+    if (pair.error) {
+      req.session.error = pair.error;
+      return res.redirect('/participants/duplicates');
+    }
+    const { keep, merge } = pair;
+
+    const fieldChoices = {};
+    MERGE_FIELDS.forEach(({ column }) => {
+      fieldChoices[column] = req.body[`choice_${column}`] === 'merge' ? 'merge' : 'keep';
+    });
+
+    const summary = await mergeParticipants({
+      keepId: keep.participant_id,
+      mergeId: merge.participant_id,
+      fieldChoices,
+      userId: req.session.user.id,
+      baseUrl: getBaseUrl(req),
+    });
+
+    req.session.success = `Merged ${formatParticipantName(merge)} into ${formatParticipantName(keep)}. ${describeMergeSummary(summary)}`;
+    res.redirect(`/participants/${keep.participant_id}`);
+  } catch (err) {
+    console.error('Error merging participants:', err);
+    req.session.error = 'Error merging participants. Nothing was changed.';
+    res.redirect('/participants/duplicates');
+  }
+});
+
+/**
+ * Merge Log - Every merge, newest first, with what it changed
+ */
+app.get('/participants/merges', requireManager, async (req, res) => {
+  try {
+    const mergesData = await db('participant_merge as pm')
+      .leftJoin('users as u', 'pm.merged_by_user_id', 'u.user_id')
+      .leftJoin('participant as p', 'pm.surviving_participant_id', 'p.participant_id')
+      .select('pm.*', 'u.username', 'p.participant_first_name', 'p.participant_last_name')
+      .orderBy('pm.merged_at', 'desc');
+
+    const merges = mergesData.map((m) => {
+      // jsonb comes back parsed from pg; some drivers hand back the text
+      const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+      const merged = parse(m.merged_participant);
+      const summary = parse(m.merge_summary);
+      return {
+        id: m.participant_merge_id,
+        merged_at_formatted: formatDateTime(m.merged_at),
+        merged_by: m.username || 'Deleted user',
+        surviving_id: m.surviving_participant_id,
+        // The surviving record may itself have been merged or deleted since
+        surviving_name: m.participant_first_name ? formatParticipantName(m) : null,
+        merged_id: m.merged_participant_id,
+        merged_name: formatParticipantName(merged),
+        merged_details: MERGE_FIELDS
+          .map(({ column, label }) => ({ label, value: formatMergeFieldValue(column, merged[column]) }))
+          .filter(f => f.value),
+        fields: summary.fields || [],
+        donations: summary.donations || [],
+        description: describeMergeSummary(summary),
+      };
+    });
+
+    res.render('participants/merges', { merges });
+  } catch (err) {
+    console.error('Error loading merge log:', err);
+    req.session.error = 'Error loading merge log.';
+    res.redirect('/participants');
+  }
+});
+
+// =======================
+// PARTICIPANT MAINTENANCE
+// =======================
+/**
+ * Participant Maintenance Routes
+ * 
+ * Per rubric requirements:
+ * - "Can only access if logged in" - Protected by requireLogin (all authenticated users can view)
+ * - "Participants are displayed and navigation works including search" - List with search functionality
+ * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager role
+ * - "Ability to maintain milestones for participants" - Separate milestone assignment route
+ * 
+ * Participants represent the girls who participate in Ella Rises programs.
+ * The list shows event attendance counts calculated via subquery for performance.
+ */
+
+/**
+ * List Participants - Display all participants with search and event count
+ * 
+ * Shows all participants with their contact information and number of events attended.
+ * Search works across name (first + last), email, and city fields.
+ * Uses a subquery to efficiently count attended events per participant.
+ */
+app.get('/participants', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const participantsData = await buildParticipantListQuery({ q });
+
+    // Transform data to match view expectations
+    const participants = participantsData.map(p => ({
+      id: p.participant_id,
+      name: formatParticipantName(p),
+      city: p.participant_city,
+      email: p.participant_email,
+      events_count: parseInt(p.events_count) || 0,
+      donations_count: parseInt(p.donations_count) || 0,
+    }));
+
+    res.render('participants/index', { participants, q });
+  } catch (err) {
+    console.error('Error fetching participants:', err);
+    req.session.error = 'Error loading participants.';
+    res.render('participants/index', { participants: [], q: req.query.q || '' });
+  }
+});
+
+/**
+ * buildParticipantListQuery - Participants matching the list's search (name, email or city)
+ *
+ * The list page filters by city in the browser; exports pass the chosen city here.
+ */
+function buildParticipantListQuery({ q = '', city = '' } = {}) {
+  let query = db('participant as p')
+    .select(
+      'p.participant_id',
+      'p.participant_first_name',
+      'p.participant_last_name',
+      'p.participant_email',
+      'p.participant_phone',
+      'p.participant_dob',
+      'p.participant_school_or_employer',
+      'p.participant_city',
+      'p.participant_state',
+      'p.participant_zip',
+      'p.participant_field_of_interest',
+      'p.participant_role',
+      db.raw(`(
+        SELECT count(distinct er.event_instance_id)
+        FROM event_registration er
+        WHERE er.participant_id = p.participant_id
+        AND er.registration_attended_flag = true
+      ) as events_count`),
+      db.raw(`(
+        SELECT count(*)
+        FROM donation d
+        WHERE d.participant_id = p.participant_id
+      ) as donations_count`)
+    );
+
+  if (q) {
+    query = query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('p.participant_email', 'ilike', `%${q}%`)
+        .orWhere('p.participant_city', 'ilike', `%${q}%`);
+    });
+  }
+
+  if (city) {
+    query = query.whereRaw('lower(p.participant_city) = ?', [city.toLowerCase()]);
+  }
+
+  return query.orderBy('p.participant_last_name', 'asc').orderBy('p.participant_id');
+}
+
+/**
+ * Export Participants - The participants list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/participants/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'participants',
+  sheetName: 'Participants',
+  listPath: '/participants',
+  query: buildParticipantListQuery({ q: (req.query.q || '').toLowerCase(), city: req.query.city || '' }),
+  columns: [
+    { header: 'First Name', value: p => p.participant_first_name },
+    { header: 'Last Name', value: p => p.participant_last_name },
+    { header: 'Email', value: p => p.participant_email, width: 28 },
+    { header: 'Phone', value: p => p.participant_phone },
+    { header: 'Date of Birth', value: p => formatCalendarDate(p.participant_dob) },
+    { header: 'School or Employer', value: p => p.participant_school_or_employer, width: 24 },
+    { header: 'City', value: p => p.participant_city },
+    { header: 'State', value: p => p.participant_state, width: 8 },
+    { header: 'ZIP Code', value: p => p.participant_zip, width: 10 },
+    { header: 'Field of Interest', value: p => p.participant_field_of_interest, width: 20 },
+    { header: 'Role', value: p => p.participant_role, width: 12 },
+    { header: 'Events Attended', value: p => parseInt(p.events_count) || 0 },
+    { header: 'Donations', value: p => parseInt(p.donations_count) || 0, width: 10 },
+  ],
+}));
+
+app.get('/participants/new', requireManager, (req, res) => {
+  res.render('participants/form', {
+    formTitle: 'Add Participant',
+    formAction: '/participants',
+    participant: {},
+    guardian: {},
+    relationships: GUARDIAN_RELATIONSHIPS,
+  });
+});
+
+app.post('/participants', requireManager, async (req, res) => {
+  try {
+    const {
+      first_name,
+      last_name,
+      email,
+      phone,
+      city,
+      state,
+      zip,
+      school,
+      field_of_interest,
+      dob,
+    } = req.body;
+
+    // Validate email uniqueness if provided
+    if (email && email.trim()) {
+      const normalizedEmail = email.trim().toLowerCase();
+      const existingEmail = await db('participant')
+        .where('participant_email', normalizedEmail)
+        .first();
+      
+      if (existingEmail) {
+        req.session.error = 'A participant with this email already exists.';
+        return res.redirect('/participants/new');
+      }
+    }
+
+    // Validate phone uniqueness if provided
+    if (phone && phone.trim()) {
+      const existingPhone = await db('participant')
+        .where('participant_phone', phone.trim())
+        .first();
+      
+      if (existingPhone) {
+        req.session.error = 'A participant with this phone number already exists.';
+        return res.redirect('/participants/new');
+      }
+    }
+
+    // Minors need a guardian; for adults the guardian fields are optional
+    const isMinor = isMinorOn(dob, zonedDateKey(new Date()));
+    let guardianValues = null;
+    if (isMinor || hasGuardianInput(req.body)) {
+      const parsed = parseGuardianForm(req.body);
+      if (parsed.error) {
+        res.locals.error = isMinor ? `${parsed.error} A guardian is required for participants under ${ADULT_AGE}.` : parsed.error;
+        return res.render('participants/form', {
+          formTitle: 'Add Participant',
+          formAction: '/participants',
+          participant: req.body,
+          guardian: req.body,
+          relationships: GUARDIAN_RELATIONSHIPS,
+        });
+      }
+      guardianValues = parsed.values;
+    }
+
+    await db.transaction(async (trx) => {
+      const [newParticipant] = await trx('participant').insert({
+        participant_first_name: first_name,
+        participant_last_name: last_name,
+        participant_email: email ? email.trim().toLowerCase() : null,
+        participant_phone: phone ? phone.trim() : null,
+        participant_city: city ? city.trim() : null,
+        participant_state: state ? state.trim() : null,
+        participant_zip: zip ? zip.trim() : null,
+        participant_school_or_employer: school ? school.trim() : null,
+        participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
+        participant_dob: dob || null,
+        participant_role: 'participant',
+      }).returning('participant_id');
+
+      if (guardianValues) {
+        await addGuardian(trx, newParticipant.participant_id || newParticipant, guardianValues);
+      }
+    });
+
+    req.session.success = 'Participant added.';
+    res.redirect('/participants');
+  } catch (err) {
+    console.error('Error creating participant:', err);
+    req.session.error = 'Error creating participant.';
+    res.redirect('/participants');
+  }
+});
+
+app.get('/participants/:id', requireLogin, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const [milestonesForParticipant, donationCount, pathways, guardianConsent] = await Promise.all([
+      db('participant_milestone as pm')
+        .join('milestone as m', 'pm.milestone_id', 'm.milestone_id')
+        .leftJoin('milestone_rule as mr', 'pm.milestone_rule_id', 'mr.milestone_rule_id')
+        .where('pm.participant_id', participant.participant_id)
+        .select('m.milestone_id', 'm.milestone_title', 'pm.milestone_date', 'mr.milestone_rule_id', 'mr.rule_metric', 'mr.rule_event_type', 'mr.rule_threshold')
+        .orderByRaw('pm.milestone_date DESC NULLS LAST'),
+      db('donation')
+        .where('participant_id', participant.participant_id)
+        .count('* as count')
+        .first(),
+      loadPathways(),
+      loadGuardianConsent(participant),
+    ]);
+    const held = new Map(milestonesForParticipant.map(pm => [pm.milestone_id, pm.milestone_date]));
+
+    // Transform database columns to view-friendly field names
+    const participantVm = {
+      id: participant.participant_id,
+      first_name: participant.participant_first_name,
+      last_name: participant.participant_last_name,
+      email: participant.participant_email,
+      phone: participant.participant_phone,
+      city: participant.participant_city,
+      state: participant.participant_state,
+      zip: participant.participant_zip,
+      school: participant.participant_school_or_employer,
+      field_of_interest: participant.participant_field_of_interest,
+      dob: participant.participant_dob ? formatCalendarDate(participant.participant_dob) : null,
+      donations_count: parseInt(donationCount?.count) || 0,
+      milestones: milestonesForParticipant.map((pm) => ({
+        id: pm.milestone_id,
+        title: pm.milestone_title,
+        achieved_date_formatted: pm.milestone_date ? formatCalendarDate(pm.milestone_date) : null,
+        awarded_by_rule: pm.milestone_rule_id ? describeMilestoneRule(pm) : null,
+      })),
+      pathways: pathwayProgress(pathways, held),
+      ...guardianConsent,
+    };
+
+    res.render('participants/show', {
+      participant: participantVm,
+      consentTypes: CONSENT_TYPES,
+    });
+  } catch (err) {
+    console.error('Error fetching participant:', err);
+    req.session.error = 'Error loading participant.';
+    res.redirect('/participants');
+  }
+});
+
+app.get('/participants/:id/edit', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    // Transform database columns to form-friendly field names
+    const participantForm = {
+      id: participant.participant_id,
+      first_name: participant.participant_first_name,
+      last_name: participant.participant_last_name,
+      email: participant.participant_email,
+      phone: participant.participant_phone,
+      city: participant.participant_city,
+      state: participant.participant_state,
+      zip: participant.participant_zip,
+      school: participant.participant_school_or_employer,
+      field_of_interest: participant.participant_field_of_interest,
+      dob: participant.participant_dob ? new Date(participant.participant_dob).toISOString().slice(0, 10) : '',
+    };
+
+    res.render('participants/form', {
+      formTitle: 'Edit Participant',
+      formAction: `/participants/${participant.participant_id}`,
+      participant: participantForm,
+    });
+  } catch (err) {
+    console.error('Error fetching participant:', err);
+    req.session.error = 'Error loading participant.';
+    res.redirect('/participants');
+  }
+});
+
+app.post('/participants/:id', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const {
+      first_name,
+      last_name,
+      email,
+      phone,
+      city,
+      state,
+      zip,
+      school,
+      field_of_interest,
+      dob,
+    } = req.body;
+
+    // Validate email uniqueness if provided and changed
+    if (email && email.trim()) {
+      const normalizedEmail = email.trim().toLowerCase();
+      const existingEmail = await db('participant')
+        .where('participant_email', normalizedEmail)
+        .whereNot('participant_id', req.params.id)
+        .first();
+      
+      if (existingEmail) {
+        req.session.error = 'A participant with this email already exists.';
+        return res.redirect(`/participants/${req.params.id}/edit`);
+      }
+    }
+
+    // Validate phone uniqueness if provided and changed
+    if (phone && phone.trim()) {
+      const existingPhone = await db('participant')
+        .where('participant_phone', phone.trim())
+        .whereNot('participant_id', req.params.id)
+        .first();
+      
+      if (existingPhone) {
+        req.session.error = 'A participant with this phone number already exists.';
+        return res.redirect(`/participants/${req.params.id}/edit`);
+      }
+    }
+
+    await db('participant').where({ participant_id: req.params.id }).update({
+      participant_first_name: first_name,
+      participant_last_name: last_name,
+      participant_email: email ? email.trim().toLowerCase() : null,
+      participant_phone: phone ? phone.trim() : null,
+      participant_city: city ? city.trim() : null,
+      participant_state: state ? state.trim() : null,
+      participant_zip: zip ? zip.trim() : null,
+      participant_school_or_employer: school ? school.trim() : null,
+      participant_field_of_interest: field_of_interest ? field_of_interest.trim() : null,
+      participant_dob: dob || null,
+    });
+
+    req.session.success = 'Participant updated.';
+    res.redirect('/participants');
+  } catch (err) {
+    console.error('Error updating participant:', err);
+    req.session.error = 'Error updating participant.';
+    res.redirect('/participants');
+  }
+});
+
+app.post('/participants/:id/delete', requireManager, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    // Check if participant has any donations
+    const donationCount = await db('donation')
+      .where('participant_id', id)
+      .count('* as count')
+      .first();
+    
+    if (donationCount && parseInt(donationCount.count) > 0) {
+      req.session.error = 'Cannot delete participant. This participant has donations associated with them. Please remove or reassign donations before deleting.';
+      return res.redirect('/participants');
+    }
+    
+    // If no donations, proceed with deletion
+    await db('participant_milestone').where('participant_id', id).del();
+    await db('participant').where({ participant_id: id }).del();
+    req.session.success = 'Participant deleted.';
+    res.redirect('/participants');
+  } catch (err) {
+    console.error('Error deleting participant:', err);
+    req.session.error = 'Error deleting participant.';
+    res.redirect('/participants');
+  }
+});
+
+/**
+ * renderMilestoneAssign - Shows the assign form, with prerequisite warnings when re-shown
+ */
+async function renderMilestoneAssign(res, participantData, { form = {}, warnings = [] } = {}) {
+  const milestonesData = await db('milestone').select('*').orderBy('milestone_title');
+
+  // Transform participant data to view-friendly field names
+  const participant = {
+    id: participantData.participant_id,
+    first_name: participantData.participant_first_name,
+    last_name: participantData.participant_last_name,
+  };
+
+  // Transform milestones data to view-friendly field names
+  const milestones = milestonesData.map(m => ({
+    id: m.milestone_id,
+    title: m.milestone_title,
+    description: m.milestone_description,
+  }));
+
+  res.render('milestones/assign', {
+    participant,
+    milestones,
+    form,
+    warnings,
+  });
+}
+
+/**
+ * Assign Milestones to Participant - Manager-only route
+ * 
+ * Per rubric requirement: "Ability to maintain milestones for participants"
+ * Managers can assign existing milestone definitions to specific participants
+ * with an achieved date. This tracks participant progress toward educational goals.
+ */
+app.get('/participants/:id/milestones/assign', requireManager, async (req, res) => {
+  try {
+    const participantData = await db('participant').where({ participant_id: req.params.id }).first();
+
+    if (!participantData) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    await renderMilestoneAssign(res, participantData);
+  } catch (err) {
+    console.error('Error loading milestone assignment:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect('/participants');
+  }
+});
+
+/**
+ * Assign Milestone - Saves one milestone for a participant
+ *
+ * If a pathway prerequisite is missing or was achieved later, the form is shown again with
+ * the warnings and saving needs a second, confirmed submit (confirm_prerequisites).
+ */
+app.post('/participants/:id/milestones', requireManager, async (req, res) => {
+  try {
+    const participantId = req.params.id;
+    const participant = await db('participant').where({ participant_id: participantId }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const { milestone_id, achieved_date } = req.body;
+
+    if (!milestone_id) {
+      req.session.error = 'Please select a milestone.';
+      return res.redirect(`/participants/${participantId}`);
+    }
+
+    const achievedDate = achieved_date && achieved_date.trim() ? achieved_date.trim() : null;
+    if (!req.body.confirm_prerequisites) {
+      const warnings = await findPrerequisiteWarnings(Number(milestone_id), [participant.participant_id], achievedDate);
+      if (warnings.size > 0) {
+        return await renderMilestoneAssign(res, participant, {
+          form: { milestone_id: String(milestone_id), achieved_date: achievedDate || '' },
+          warnings: warnings.get(participant.participant_id),
+        });
+      }
+    }
+
+    await db('participant_milestone').insert({
+      participant_id: participantId,
+      milestone_id: milestone_id,
+      milestone_date: achievedDate,
+      milestone_awarded_at: new Date(),
+    });
+
+    req.session.success = 'Milestone assigned.';
+    res.redirect(`/participants/${participantId}`);
+  } catch (err) {
+    console.error('Error assigning milestone:', err);
+    req.session.error = 'Error assigning milestone.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+app.get('/participants/:participant_id/milestones/:milestone_id/edit', requireManager, async (req, res) => {
+  try {
+    const participantId = req.params.participant_id;
+    const milestoneId = req.params.milestone_id;
+
+    const [participantData, milestoneData] = await Promise.all([
+      db('participant').where({ participant_id: participantId }).first(),
+      db('participant_milestone as pm')
+        .join('milestone as m', 'pm.milestone_id', 'm.milestone_id')
+        .where({
+          'pm.participant_id': participantId,
+          'pm.milestone_id': milestoneId,
+        })
+        .select('m.milestone_id', 'm.milestone_title', 'pm.milestone_date')
+        .first(),
+    ]);
+
+    if (!participantData) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    if (!milestoneData) {
+      req.session.error = 'Milestone assignment not found.';
+      return res.redirect(`/participants/${participantId}`);
+    }
+
+    // Transform data to view-friendly field names
+    const participant = {
+      id: participantData.participant_id,
+      first_name: participantData.participant_first_name,
+      last_name: participantData.participant_last_name,
+    };
+
+    const milestone = {
+      id: milestoneData.milestone_id,
+      title: milestoneData.milestone_title,
+      date: milestoneData.milestone_date ? new Date(milestoneData.milestone_date).toISOString().slice(0, 10) : '',
+    };
+
+    res.render('milestones/edit_date', {
+      participant,
+      milestone,
+    });
+  } catch (err) {
+    console.error('Error loading milestone date edit:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect(`/participants/${req.params.participant_id}`);
+  }
+});
+
+app.post('/participants/:participant_id/milestones/:milestone_id', requireManager, async (req, res) => {
+  try {
+    const participantId = req.params.participant_id;
+    const milestoneId = req.params.milestone_id;
+
+    const participant = await db('participant').where({ participant_id: participantId }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const existingMilestone = await db('participant_milestone')
+      .where({
+        participant_id: participantId,
+        milestone_id: milestoneId,
+      })
+      .first();
+
+    if (!existingMilestone) {
+      req.session.error = 'Milestone assignment not found.';
+      return res.redirect(`/participants/${participantId}`);
+    }
+
+    const { achieved_date } = req.body;
+
+    await db('participant_milestone')
+      .where({
+        participant_id: participantId,
+        milestone_id: milestoneId,
+      })
+      .update({
+        milestone_date: achieved_date && achieved_date.trim() ? achieved_date.trim() : null,
+      });
+
+    req.session.success = 'Milestone date updated.';
+    res.redirect(`/participants/${participantId}`);
+  } catch (err) {
+    console.error('Error updating milestone date:', err);
+    req.session.error = 'Error updating milestone date.';
+    res.redirect(`/participants/${req.params.participant_id}`);
+  }
+});
+
+app.post('/participants/:participant_id/milestones/:milestone_id/delete', requireManager, async (req, res) => {
+  try {
+    const participantId = req.params.participant_id;
+    const milestoneId = req.params.milestone_id;
+
+    const participant = await db('participant').where({ participant_id: participantId }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    await db('participant_milestone')
+      .where({
+        participant_id: participantId,
+        milestone_id: milestoneId,
+      })
+      .del();
+
+    req.session.success = 'Milestone removed from participant.';
+    res.redirect(`/participants/${participantId}`);
+  } catch (err) {
+    console.error('Error removing milestone from participant:', err);
+    req.session.error = 'Error removing milestone.';
+    res.redirect(`/participants/${req.params.participant_id}`);
+  }
+});
+
+// =======================
+// GUARDIANS & CONSENT
+// =======================
+/**
+ * Guardian and Consent Routes
+ *
+ * Most participants are minors. Anyone under 18 on the day of an event needs a guardian on
+ * file and unexpired program participation and emergency medical consents
+ * (REQUIRED_CONSENT_TYPES) before they can register for it. The public registration forms
+ * collect both from the parent or guardian (for a participant already on file, only through
+ * a link emailed to their address); staff maintain them from the participant page,
+ * for example when a paper form comes in. The photo/media release is recorded but never
+ * required. Participants with no date of birth are treated as adults.
+ *
+ * Viewing requires login; maintaining guardians and consents is manager-only.
+ */
+
+const CONSENT_TYPES = {
+  program: 'Program participation',
+  medical: 'Emergency medical',
+  media: 'Photo/media release',
+};
+const REQUIRED_CONSENT_TYPES = ['program', 'medical'];
+// Consents given on the public forms last a year; staff set the expiry when recording one
+const CONSENT_VALID_MONTHS = 12;
+// Emailed links for a guardian to give consent when an existing participant registers
+const CONSENT_LINK_EXPIRY_HOURS = 72;
+// Consents this close to expiring are flagged on the participant page
+const CONSENT_EXPIRY_WARNING_DAYS = 30;
+const ADULT_AGE = 18;
+const GUARDIAN_RELATIONSHIPS = ['Parent', 'Stepparent', 'Grandparent', 'Aunt or uncle', 'Sibling', 'Foster parent', 'Legal guardian', 'Other'];
+
+/**
+ * isMinorOn - Whether someone born on dob (DATE value or "YYYY-MM-DD") is under 18 on a
+ * day ("YYYY-MM-DD"); false when the date of birth is unknown
+ */
+function isMinorOn(dob, dateKey) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(calendarDateKey(dob));
+  if (!match) return false;
+  const [year, monthDay] = [Number(dateKey.slice(0, 4)), dateKey.slice(5)];
+  const age = year - Number(match[1]) - (monthDay < `${match[2]}-${match[3]}` ? 1 : 0);
+  return age < ADULT_AGE;
+}
+
+/**
+ * addMonthsToDateKey - The same day some months later, as YYYY-MM-DD (Feb 29 rolls to Mar 1)
+ */
+function addMonthsToDateKey(dateKey, months) {
+  const date = parseDateKey(dateKey);
+  date.setMonth(date.getMonth() + months);
+  return toDateKey(date);
+}
+
+/**
+ * listConsentTypes - "program participation and emergency medical" for messages
+ */
+function listConsentTypes(types) {
+  const labels = types.map(type => CONSENT_TYPES[type].toLowerCase());
+  return labels.length > 1 ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]}` : labels[0];
+}
+
+/**
+ * findMissingConsent - What stops a participant registering for an event on dateKey
+ *
+ * Returns null for adults and for minors with everything on file. Otherwise returns
+ * { guardian, consentTypes }: guardian is true when no guardian is recorded, and
+ * consentTypes lists the required consents with no record that is still valid that day.
+ * A participant that is not saved yet (no participant_id) has nothing on file.
+ */
+async function findMissingConsent(participant, dateKey) {
+  if (!isMinorOn(participant.participant_dob, dateKey)) return null;
+  if (participant.participant_id == null) {
+    return { guardian: true, consentTypes: [...REQUIRED_CONSENT_TYPES] };
+  }
+
+  const [guardianCount, covered] = await Promise.all([
+    db('guardian').where('participant_id', participant.participant_id).count('* as count').first(),
+    db('participant_consent')
+      .where('participant_id', participant.participant_id)
+      .whereIn('consent_type', REQUIRED_CONSENT_TYPES)
+      .where(function() {
+        this.whereNull('consent_expires_date').orWhere('consent_expires_date', '>=', dateKey);
+      })
+      .pluck('consent_type'),
+  ]);
+
+  const missing = {
+    guardian: !(parseInt(guardianCount?.count) > 0),
+    consentTypes: REQUIRED_CONSENT_TYPES.filter(type => !covered.includes(type)),
+  };
+  return missing.guardian || missing.consentTypes.length > 0 ? missing : null;
+}
+
+/**
+ * hasGuardianInput - Whether any guardian field on a form was filled in
+ */
+function hasGuardianInput(body) {
+  return ['guardian_first_name', 'guardian_last_name', 'guardian_email', 'guardian_phone']
+    .some(name => typeof body[name] === 'string' && body[name].trim());
+}
+
+/**
+ * parseGuardianForm - Guardian fields from a form; returns { values } or { error }
+ *
+ * A name, a relationship and at least one way to reach the guardian are required.
+ */
+function parseGuardianForm(body) {
+  const field = (name) => (typeof body[name] === 'string' && body[name].trim() ? body[name].trim() : null);
+  const values = {
+    guardian_first_name: field('guardian_first_name'),
+    guardian_last_name: field('guardian_last_name'),
+    guardian_relationship: field('guardian_relationship'),
+    guardian_email: field('guardian_email') ? field('guardian_email').toLowerCase() : null,
+    guardian_phone: field('guardian_phone'),
+    guardian_preferred_language: field('guardian_preferred_language'),
+  };
+
+  if (!values.guardian_first_name || !values.guardian_last_name) {
+    return { error: "The parent or guardian's first and last name are required." };
+  }
+  if (!values.guardian_relationship) {
+    return { error: "Please choose the guardian's relationship to the participant." };
+  }
+  if (!values.guardian_email && !values.guardian_phone) {
+    return { error: 'Please give a phone number or email address for the parent or guardian.' };
+  }
+  return { values };
+}
+
+/**
+ * parseConsentSignature - Consents ticked on a public form and the typed signature
+ *
+ * Returns { types, signedName } or { error }; every type in REQUIRED_CONSENT_TYPES must be ticked.
+ */
+function parseConsentSignature(body) {
+  const types = Object.keys(CONSENT_TYPES).filter(type => body[`consent_${type}`]);
+  const unticked = REQUIRED_CONSENT_TYPES.filter(type => !types.includes(type));
+  if (unticked.length > 0) {
+    return { error: `A parent or guardian must agree to the ${listConsentTypes(unticked)} consent for a participant under ${ADULT_AGE}.` };
+  }
+
+  const signedName = typeof body.consent_signed_name === 'string' ? body.consent_signed_name.trim() : '';
+  if (!signedName) {
+    return { error: "Please type the parent or guardian's full name to sign the consent." };
+  }
+  return { types, signedName };
+}
+
+/**
+ * addGuardian - Adds a guardian, making them the primary contact if asked or if they are
+ * the participant's first; returns the new guardian_id
+ */
+async function addGuardian(trx, participantId, values, makePrimary = false) {
+  const existing = await trx('guardian').where('participant_id', participantId).count('* as count').first();
+  const isPrimary = makePrimary || !(parseInt(existing?.count) > 0);
+  if (isPrimary) {
+    await trx('guardian').where('participant_id', participantId).update({ guardian_is_primary: false });
+  }
+
+  const [guardian] = await trx('guardian')
+    .insert({ ...values, participant_id: participantId, guardian_is_primary: isPrimary })
+    .returning('guardian_id');
+  return guardian.guardian_id || guardian;
+}
+
+/**
+ * recordSignedConsent - Saves the consents signed on a public form for an event on eventDateKey
+ *
+ * They are valid for CONSENT_VALID_MONTHS, or until the event if that is later. The guardian is matched by name to one already on file, or added. Nothing else about an
+ * existing guardian is changed, since the form is signed by whoever holds the emailed link.
+ */
+async function recordSignedConsent(trx, participantId, eventDateKey, guardianValues, { types, signedName }) {
+  const match = await trx('guardian')
+    .where('participant_id', participantId)
+    .whereRaw('lower(guardian_first_name) = ?', [guardianValues.guardian_first_name.toLowerCase()])
+    .whereRaw('lower(guardian_last_name) = ?', [guardianValues.guardian_last_name.toLowerCase()])
+    .first();
+  const guardianId = match ? match.guardian_id : await addGuardian(trx, participantId, guardianValues);
+
+  const today = zonedDateKey(new Date());
+  const yearOn = addMonthsToDateKey(today, CONSENT_VALID_MONTHS);
+  await trx('participant_consent').insert(types.map(type => ({
+    participant_id: participantId,
+    consent_type: type,
+    guardian_id: guardianId,
+    consent_signed_name: signedName,
+    consent_signed_date: today,
+    consent_expires_date: eventDateKey > yearOn ? eventDateKey : yearOn,
+  })));
+}
+
+/**
+ * loadGuardianConsent - Guardians, consent records and a per-type summary for the participant page
+ */
+async function loadGuardianConsent(participant) {
+  const [guardiansData, consentsData, overridesData] = await Promise.all([
+    db('guardian')
+      .where('participant_id', participant.participant_id)
+      .orderBy([{ column: 'guardian_is_primary', order: 'desc' }, 'guardian_id']),
+    db('participant_consent as c')
+      .leftJoin('users as u', 'c.consent_recorded_by_user_id', 'u.user_id')
+      .where('c.participant_id', participant.participant_id)
+      .select('c.*', 'u.username')
+      .orderBy([{ column: 'c.consent_signed_date', order: 'desc' }, { column: 'c.consent_id', order: 'desc' }]),
+    db('consent_override as o')
+      .join('event_instance as ei', 'o.event_instance_id', 'ei.event_instance_id')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .leftJoin('users as u', 'o.override_user_id', 'u.user_id')
+      .where('o.participant_id', participant.participant_id)
+      .select('o.*', 'e.event_name', 'ei.event_date_start_time', 'u.username')
+      .orderBy('o.override_created_at', 'desc'),
+  ]);
+
+  const today = zonedDateKey(new Date());
+  const warnUntil = zonedDateKey(new Date(Date.now() + CONSENT_EXPIRY_WARNING_DAYS * 24 * 60 * 60 * 1000));
+  const statusOf = (c) => {
+    const expires = c.consent_expires_date ? calendarDateKey(c.consent_expires_date) : null;
+    if (expires && expires < today) return 'expired';
+    if (expires && expires <= warnUntil) return 'expiring';
+    return 'valid';
+  };
+  const statusRank = { valid: 2, expiring: 1, expired: 0 };
+
+  const consents = consentsData.map(c => ({
+    id: c.consent_id,
+    type: c.consent_type,
+    type_label: CONSENT_TYPES[c.consent_type] || c.consent_type,
+    signed_name: c.consent_signed_name,
+    signed_date_formatted: formatCalendarDate(c.consent_signed_date),
+    expires_date_formatted: c.consent_expires_date ? formatCalendarDate(c.consent_expires_date) : 'Never',
+    recorded_by: c.consent_recorded_by_user_id ? (c.username || 'Staff') : 'Online form',
+    status: statusOf(c),
+  }));
+
+  // Best record of each type: the one that is valid, or valid longest
+  const summary = Object.entries(CONSENT_TYPES).map(([type, label]) => {
+    const best = consents
+      .filter(c => c.type === type)
+      .sort((a, b) => statusRank[b.status] - statusRank[a.status])[0];
+    return {
+      type,
+      label,
+      required: REQUIRED_CONSENT_TYPES.includes(type),
+      status: best ? best.status : 'missing',
+      expires_date_formatted: best ? best.expires_date_formatted : '',
+    };
+  });
+
+  return {
+    is_minor: isMinorOn(participant.participant_dob, today),
+    guardians: guardiansData.map(g => ({
+      id: g.guardian_id,
+      name: `${g.guardian_first_name} ${g.guardian_last_name}`,
+      relationship: g.guardian_relationship || '',
+      email: g.guardian_email || '',
+      phone: g.guardian_phone || '',
+      preferred_language: g.guardian_preferred_language || '',
+      is_primary: g.guardian_is_primary,
+    })),
+    consents,
+    summary,
+    consent_overrides: overridesData.map(o => ({
+      event_instance_id: o.event_instance_id,
+      event_name: o.event_name || 'Event',
+      event_date_formatted: formatDateTime(o.event_date_start_time),
+      missing: o.override_missing,
+      reason: o.override_reason,
+      by: o.username || 'Unknown user',
+    })),
+    consent_defaults: {
+      signed_date: today,
+      expires_date: addMonthsToDateKey(today, CONSENT_VALID_MONTHS),
+    },
+  };
+}
+
+/**
+ * renderGuardianForm - Shows the add/edit guardian form; guardian is keyed by column name
+ */
+function renderGuardianForm(res, participant, { formTitle, formAction, guardian }) {
+  res.render('participants/guardian_form', {
+    formTitle,
+    formAction,
+    participant: {
+      id: participant.participant_id,
+      name: formatParticipantName(participant),
+    },
+    guardian,
+    relationships: GUARDIAN_RELATIONSHIPS,
+  });
+}
+
+/**
+ * findParticipantGuardian - A guardian that belongs to the participant, or undefined
+ */
+function findParticipantGuardian(participantId, guardianId) {
+  return db('guardian')
+    .where({ participant_id: participantId, guardian_id: guardianId })
+    .first();
+}
+
+app.get('/participants/:id/guardians/new', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    renderGuardianForm(res, participant, {
+      formTitle: 'Add Guardian',
+      formAction: `/participants/${participant.participant_id}/guardians`,
+      guardian: {},
+    });
+  } catch (err) {
+    console.error('Error loading guardian form:', err);
+    req.session.error = 'Error loading guardian form.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+app.post('/participants/:id/guardians', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const parsed = parseGuardianForm(req.body);
+    if (parsed.error) {
+      res.locals.error = parsed.error;
+      return renderGuardianForm(res, participant, {
+        formTitle: 'Add Guardian',
+        formAction: `/participants/${participant.participant_id}/guardians`,
+        guardian: { ...req.body, guardian_is_primary: !!req.body.guardian_is_primary },
+      });
+    }
+
+    await db.transaction(trx => addGuardian(trx, participant.participant_id, parsed.values, !!req.body.guardian_is_primary));
+
+    req.session.success = 'Guardian added.';
+    res.redirect(`/participants/${participant.participant_id}`);
+  } catch (err) {
+    console.error('Error adding guardian:', err);
+    req.session.error = 'Error adding guardian.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+app.get('/participants/:id/guardians/:guardianId/edit', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    const guardian = participant && await findParticipantGuardian(participant.participant_id, req.params.guardianId);
+    if (!guardian) {
+      req.session.error = 'Guardian not found.';
+      return res.redirect(participant ? `/participants/${participant.participant_id}` : '/participants');
+    }
+
+    renderGuardianForm(res, participant, {
+      formTitle: 'Edit Guardian',
+      formAction: `/participants/${participant.participant_id}/guardians/${guardian.guardian_id}`,
+      guardian,
+    });
+  } catch (err) {
+    console.error('Error loading guardian:', err);
+    req.session.error = 'Error loading guardian.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+app.post('/participants/:id/guardians/:guardianId', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    const guardian = participant && await findParticipantGuardian(participant.participant_id, req.params.guardianId);
+    if (!guardian) {
+      req.session.error = 'Guardian not found.';
+      return res.redirect(participant ? `/participants/${participant.participant_id}` : '/participants');
+    }
+
+    const parsed = parseGuardianForm(req.body);
+    if (parsed.error) {
+      res.locals.error = parsed.error;
+      return renderGuardianForm(res, participant, {
+        formTitle: 'Edit Guardian',
+        formAction: `/participants/${participant.participant_id}/guardians/${guardian.guardian_id}`,
+        guardian: { ...req.body, guardian_is_primary: guardian.guardian_is_primary || !!req.body.guardian_is_primary },
+      });
+    }
+
+    await db.transaction(async (trx) => {
+      // The primary contact can only change by making someone else primary
+      const makePrimary = !guardian.guardian_is_primary && !!req.body.guardian_is_primary;
+      if (makePrimary) {
+        await trx('guardian').where('participant_id', participant.participant_id).update({ guardian_is_primary: false });
+      }
+      await trx('guardian')
+        .where('guardian_id', guardian.guardian_id)
+        .update({ ...parsed.values, guardian_is_primary: guardian.guardian_is_primary || makePrimary });
+    });
+
+    req.session.success = 'Guardian updated.';
+    res.redirect(`/participants/${participant.participant_id}`);
+  } catch (err) {
+    console.error('Error updating guardian:', err);
+    req.session.error = 'Error updating guardian.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+app.post('/participants/:id/guardians/:guardianId/delete', requireManager, async (req, res) => {
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    const guardian = participant && await findParticipantGuardian(participant.participant_id, req.params.guardianId);
+    if (!guardian) {
+      req.session.error = 'Guardian not found.';
+      return res.redirect(participant ? `/participants/${participant.participant_id}` : '/participants');
+    }
+
+    await db.transaction(async (trx) => {
+      // Consents they signed are kept; consent_signed_name still says who signed
+      await trx('guardian').where('guardian_id', guardian.guardian_id).del();
+      if (guardian.guardian_is_primary) {
+        const next = await trx('guardian')
+          .where('participant_id', participant.participant_id)
+          .orderBy('guardian_id')
+          .first();
+        if (next) await trx('guardian').where('guardian_id', next.guardian_id).update({ guardian_is_primary: true });
+      }
+    });
+
+    req.session.success = 'Guardian removed.';
+    res.redirect(`/participants/${participant.participant_id}`);
+  } catch (err) {
+    console.error('Error removing guardian:', err);
+    req.session.error = 'Error removing guardian.';
+    res.redirect(`/participants/${req.params.id}`);
+  }
+});
+
+/**
+ * Record Consent - Staff enter a signed consent form, usually a paper one
+ *
+ * The signature defaults to the chosen guardian's name. Leaving the expiry blank records a
+ * consent that does not expire.
+ */
+app.post('/participants/:id/consents', requireManager, async (req, res) => {
+  const participantPath = `/participants/${req.params.id}`;
+  try {
+    const participant = await db('participant').where({ participant_id: req.params.id }).first();
+    if (!participant) {
+      req.session.error = 'Participant not found.';
+      return res.redirect('/participants');
+    }
+
+    const { consent_type, guardian_id, signed_name, signed_date, expires_date } = req.body;
+    if (!Object.prototype.hasOwnProperty.call(CONSENT_TYPES, consent_type)) {
+      req.session.error = 'Please choose a consent type.';
+      return res.redirect(participantPath);
+    }
+
+    const guardian = guardian_id ? await findParticipantGuardian(participant.participant_id, guardian_id) : null;
+    if (guardian_id && !guardian) {
+      req.session.error = 'Please choose one of this participant\'s guardians.';
+      return res.redirect(participantPath);
+    }
+
+    const signedName = (signed_name && signed_name.trim())
+      || (guardian ? `${guardian.guardian_first_name} ${guardian.guardian_last_name}` : '');
+    if (!signedName) {
+      req.session.error = 'Please choose the guardian who signed or enter the name on the form.';
+      return res.redirect(participantPath);
+    }
+
+    const signedDate = parseDateKey(signed_date);
+    if (!signedDate || toDateKey(signedDate) > zonedDateKey(new Date())) {
+      req.session.error = 'Please enter the date the form was signed (it cannot be in the future).';
+      return res.redirect(participantPath);
+    }
+
+    const expiresDate = expires_date && expires_date.trim() ? parseDateKey(expires_date) : null;
+    if (expires_date && expires_date.trim() && (!expiresDate || expiresDate < signedDate)) {
+      req.session.error = 'The expiry date must be on or after the signed date.';
+      return res.redirect(participantPath);
+    }
+
+    await db('participant_consent').insert({
+      participant_id: participant.participant_id,
+      consent_type,
+      guardian_id: guardian ? guardian.guardian_id : null,
+      consent_signed_name: signedName,
+      consent_signed_date: toDateKey(signedDate),
+      consent_expires_date: expiresDate ? toDateKey(expiresDate) : null,
+      consent_recorded_by_user_id: req.session.user.id,
+    });
+
+    req.session.success = `${CONSENT_TYPES[consent_type]} consent recorded.`;
+    res.redirect(participantPath);
+  } catch (err) {
+    console.error('Error recording consent:', err);
+    req.session.error = 'Error recording consent.';
+    res.redirect(participantPath);
+  }
+});
+
+app.post('/participants/:id/consents/:consentId/delete', requireManager, async (req, res) => {
+  const participantPath = `/participants/${req.params.id}`;
+  try {
+    const deleted = await db('participant_consent')
+      .where({ participant_id: req.params.id, consent_id: req.params.consentId })
+      .del();
+
+    if (deleted) {
+      req.session.success = 'Consent record deleted.';
+    } else {
+      req.session.error = 'Consent record not found.';
+    }
+    res.redirect(participantPath);
+  } catch (err) {
+    console.error('Error deleting consent:', err);
+    req.session.error = 'Error deleting consent record.';
+    res.redirect(participantPath);
+  }
+});
+
+// =======================
+// MILESTONES MAINTENANCE
+// =======================
+/**
+ * Milestone Maintenance Routes
+ * 
+ * Per rubric requirements:
+ * - "Can only access if logged in" - Protected by requireLogin
+ * - "Milestones are displayed and navigation works including search" - List with search
+ * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager
+ * 
+ * Milestones represent predefined achievements (e.g., "Enrolled in AP Math", "Declared STEAM Major")
+ * that can be assigned to participants to track their progress.
+ */
+
+/**
+ * List Milestones - Display all milestone definitions
+ * 
+ * Shows all milestone types that can be assigned to participants.
+ * Search works across milestone title and description fields.
+ */
+app.get('/milestones', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const filtered = await buildMilestoneListQuery({ q });
+    
+    // Transform database columns to view-friendly field names
+    const milestones = filtered.map(m => ({
+      id: m.milestone_id,
+      title: m.milestone_title,
+      description: m.milestone_description,
+    }));
+    
+    res.render('milestones/index', { milestones, q });
+  } catch (err) {
+    console.error('Error fetching milestones:', err);
+    req.session.error = 'Error loading milestones.';
+    res.render('milestones/index', { milestones: [], q: req.query.q || '' });
+  }
+});
+
+/**
+ * buildMilestoneListQuery - Milestones matching the list's search (title or description)
+ */
+function buildMilestoneListQuery({ q = '' } = {}) {
+  let query = db('milestone as m').select(
+    'm.*',
+    db.raw('(SELECT count(*) FROM participant_milestone pm WHERE pm.milestone_id = m.milestone_id) as awarded_count')
+  );
+
+  if (q) {
+    query = query.where(function() {
+      this.where('m.milestone_title', 'ilike', `%${q}%`)
+        .orWhere('m.milestone_description', 'ilike', `%${q}%`);
+    });
+  }
+
+  return query.orderBy('m.milestone_title').orderBy('m.milestone_id');
+}
+
+/**
+ * Export Milestones - The milestones list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/milestones/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'milestones',
+  sheetName: 'Milestones',
+  listPath: '/milestones',
+  query: buildMilestoneListQuery({ q: (req.query.q || '').toLowerCase() }),
+  columns: [
+    { header: 'Title', value: m => m.milestone_title, width: 30 },
+    { header: 'Description', value: m => m.milestone_description, width: 50 },
+    { header: 'Participants Awarded', value: m => parseInt(m.awarded_count) || 0, width: 20 },
+  ],
+}));
+
+app.get('/milestones/new', requireManager, (req, res) => {
+  res.render('milestones/form', {
+    formTitle: 'Create Milestone',
+    formAction: '/milestones',
+    milestone: {},
+  });
+});
+
+app.post('/milestones', requireManager, async (req, res) => {
+  try {
+    const { title, description } = req.body;
+    await db('milestone').insert({ milestone_title: title, milestone_description: description });
+    req.session.success = 'Milestone created.';
+    res.redirect('/milestones');
+  } catch (err) {
+    console.error('Error creating milestone:', err);
+    req.session.error = 'Error creating milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+/**
+ * Bulk Milestone Awards - Manager-only
+ *
+ * Awards one milestone to many participants at once, e.g. "Attended Annual Conference" to
+ * everyone checked in at the conference. Participants come from one of three sources:
+ * - attendees: everyone checked in at an event instance
+ * - search: participants matching a search, like the participants list
+ * - emails: a pasted list of email addresses
+ *
+ * The form is submitted twice: "Preview" lists who matched with a checkbox each, then
+ * "Award" assigns the milestone to the ticked participants. Anyone who already has the
+ * milestone is skipped and keeps their original date.
+ *
+ * NOTE: These routes must come BEFORE /milestones/:id to avoid route conflicts.
+ */
+const BULK_AWARD_SOURCES = ['attendees', 'search', 'emails'];
+
+/**
+ * parseEmailList - Unique lowercased addresses from pasted text (commas, semicolons or lines)
+ */
+function parseEmailList(text) {
+  const emails = (text || '')
+    .split(/[\s,;]+/)
+    .map(e => e.trim().replace(/^<|>$/g, '').toLowerCase())
+    .filter(e => e.includes('@'));
+  return [...new Set(emails)];
+}
+
+/**
+ * findBulkAwardCandidates - Participants selected by a bulk award source
+ *
+ * Returns { participants, unmatchedEmails }; unmatchedEmails lists pasted addresses that
+ * belong to nobody so the manager can fix typos.
+ */
+async function findBulkAwardCandidates({ source, eventInstanceId, q, emails }) {
+  const query = db('participant as p')
+    .select('p.participant_id', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email')
+    .orderBy(['p.participant_last_name', 'p.participant_first_name']);
+
+  if (source === 'attendees') {
+    query
+      .join('event_registration as er', 'er.participant_id', 'p.participant_id')
+      .where('er.event_instance_id', Number(eventInstanceId) || 0)
+      .where('er.registration_attended_flag', true);
+  } else if (source === 'search') {
+    const search = (q || '').trim();
+    query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${search}%`)
+        .orWhere('p.participant_email', 'ilike', `%${search}%`)
+        .orWhere('p.participant_city', 'ilike', `%${search}%`)
+        .orWhere('p.participant_school_or_employer', 'ilike', `%${search}%`);
+    });
+  } else {
+    query.whereIn(db.raw('lower(p.participant_email)'), emails);
+  }
+
+  const participants = await query;
+  const found = new Set(participants.map(p => (p.participant_email || '').toLowerCase()));
+  const unmatchedEmails = source === 'emails' ? emails.filter(e => !found.has(e)) : [];
+  return { participants, unmatchedEmails };
+}
+
+/**
+ * renderBulkAward - Shows the bulk award form, with a preview when a source was chosen
+ */
+async function renderBulkAward(req, res, input) {
+  const [milestonesData, eventsData] = await Promise.all([
+    db('milestone').select('milestone_id', 'milestone_title').orderBy('milestone_title'),
+    // Events that have started, plus the one linked from an event page
+    db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where(function() {
+        this.where('ei.event_date_start_time', '<', new Date())
+          .orWhere('ei.event_instance_id', Number(input.event_instance_id) || 0);
+      })
+      .select('ei.event_instance_id', 'ei.event_date_start_time', 'e.event_name')
+      .orderBy('ei.event_date_start_time', 'desc')
+      .limit(200),
+  ]);
+
+  const form = {
+    milestone_id: input.milestone_id ? String(input.milestone_id) : '',
+    source: BULK_AWARD_SOURCES.includes(input.source) ? input.source : 'attendees',
+    event_instance_id: input.event_instance_id ? String(input.event_instance_id) : '',
+    q: input.q || '',
+    emails: input.emails || '',
+    achieved_date: input.achieved_date || '',
+  };
+
+  // Attendee awards default to the day of the event
+  if (!form.achieved_date && form.source === 'attendees' && form.event_instance_id) {
+    const selected = eventsData.find(e => String(e.event_instance_id) === form.event_instance_id);
+    if (selected) form.achieved_date = zonedDateKey(selected.event_date_start_time);
+  }
+
+  let preview = null;
+  const readyToPreview = form.source === 'attendees' ? form.event_instance_id
+    : form.source === 'search' ? form.q.trim()
+      : form.emails.trim();
+  if (input.preview && readyToPreview) {
+    const emails = parseEmailList(form.emails);
+    const { participants, unmatchedEmails } = await findBulkAwardCandidates({
+      source: form.source,
+      eventInstanceId: form.event_instance_id,
+      q: form.q,
+      emails,
+    });
+
+    const alreadyIds = new Set();
+    if (form.milestone_id && participants.length > 0) {
+      const existing = await db('participant_milestone')
+        .where('milestone_id', Number(form.milestone_id) || 0)
+        .whereIn('participant_id', participants.map(p => p.participant_id))
+        .select('participant_id');
+      existing.forEach(row => alreadyIds.add(row.participant_id));
+    }
+    const prerequisiteWarnings = form.milestone_id
+      ? await findPrerequisiteWarnings(
+        Number(form.milestone_id),
+        participants.filter(p => !alreadyIds.has(p.participant_id)).map(p => p.participant_id),
+        form.achieved_date || null
+      )
+      : new Map();
+
+    preview = {
+      participants: participants.map(p => ({
+        id: p.participant_id,
+        name: formatParticipantName(p) || 'Unknown',
+        email: p.participant_email || '',
+        already: alreadyIds.has(p.participant_id),
+        warnings: prerequisiteWarnings.get(p.participant_id) || [],
+      })),
+      unmatched_emails: unmatchedEmails,
+    };
+    preview.new_count = preview.participants.filter(p => !p.already).length;
+  }
+
+  res.render('milestones/bulk_award', {
+    form,
+    preview,
+    milestones: milestonesData.map(m => ({ id: m.milestone_id, title: m.milestone_title })),
+    events: eventsData.map(e => ({
+      id: e.event_instance_id,
+      label: `${e.event_name || 'Event'} – ${formatDateShort(e.event_date_start_time)}`,
+    })),
+  });
+}
+
+/**
+ * Bulk Award Form - Prefilled from the milestone page (?milestone_id=) or an event
+ * instance page (?source=attendees&event_instance_id=), which previews straight away
+ */
+app.get('/milestones/award', requireManager, async (req, res) => {
+  try {
+    await renderBulkAward(req, res, { ...req.query, preview: !!req.query.event_instance_id });
+  } catch (err) {
+    console.error('Error loading bulk milestone award:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect('/milestones');
+  }
+});
+
+/**
+ * Bulk Award - Previews the matched participants, or awards the ticked ones (step=award)
+ */
+app.post('/milestones/award', requireManager, async (req, res) => {
+  try {
+    if (req.body.step !== 'award') {
+      return await renderBulkAward(req, res, { ...req.body, preview: true });
+    }
+
+    // Problems re-show the form in place (rather than redirecting) so a pasted list is not lost
+    const milestone = await db('milestone').where({ milestone_id: Number(req.body.milestone_id) || 0 }).first();
+    if (!milestone) {
+      res.locals.error = 'Please select a milestone.';
+      return await renderBulkAward(req, res, { ...req.body, preview: true });
+    }
+
+    const achievedDate = (req.body.achieved_date || '').trim();
+    if (achievedDate && !/^\d{4}-\d{2}-\d{2}$/.test(achievedDate)) {
+      res.locals.error = 'Please enter a valid achieved date.';
+      return await renderBulkAward(req, res, { ...req.body, preview: true });
+    }
+
+    const participantIds = [...new Set([].concat(req.body.participant_ids || []).map(Number).filter(Boolean))];
+    if (participantIds.length === 0) {
+      res.locals.error = 'Please select at least one participant.';
+      return await renderBulkAward(req, res, { ...req.body, preview: true });
+    }
+
+    const { awarded, skipped } = await db.transaction(async (trx) => {
+      const [validIds, existing] = await Promise.all([
+        trx('participant').whereIn('participant_id', participantIds).pluck('participant_id'),
+        trx('participant_milestone')
+          .where('milestone_id', milestone.milestone_id)
+          .whereIn('participant_id', participantIds)
+          .pluck('participant_id'),
+      ]);
+      const alreadyIds = new Set(existing);
+      const newIds = validIds.filter(id => !alreadyIds.has(id));
+
+      if (newIds.length > 0) {
+        await trx('participant_milestone').insert(newIds.map(participantId => ({
+          participant_id: participantId,
+          milestone_id: milestone.milestone_id,
+          milestone_date: achievedDate || null,
+          milestone_awarded_at: new Date(),
+        })));
+      }
+      return { awarded: newIds.length, skipped: alreadyIds.size };
+    });
+
+    const plural = (n) => `${n} participant${n !== 1 ? 's' : ''}`;
+    req.session.success = `Awarded "${milestone.milestone_title}" to ${plural(awarded)}.`
+      + (skipped > 0 ? ` Skipped ${plural(skipped)} who already had it.` : '');
+    res.redirect(`/milestones/${milestone.milestone_id}`);
+  } catch (err) {
+    console.error('Error awarding milestone:', err);
+    req.session.error = 'Error awarding milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+app.get('/milestones/:id', requireLogin, async (req, res) => {
+  try {
+    const [milestoneData, awardsData, rulesData, eventTypesData] = await Promise.all([
+      db('milestone').where({ milestone_id: req.params.id }).first(),
+      db('participant_milestone as pm')
+        .join('participant as p', 'pm.participant_id', 'p.participant_id')
+        .leftJoin('milestone_rule as mr', 'pm.milestone_rule_id', 'mr.milestone_rule_id')
+        .where('pm.milestone_id', req.params.id)
+        .select(
+          'p.participant_id',
+          'p.participant_first_name',
+          'p.participant_last_name',
+          'pm.milestone_date',
+          'mr.milestone_rule_id',
+          'mr.rule_metric',
+          'mr.rule_event_type',
+          'mr.rule_threshold'
+        )
+        .orderByRaw('pm.milestone_date DESC NULLS LAST')
+        .orderBy('p.participant_last_name'),
+      db('milestone_rule as mr')
+        .where('mr.milestone_id', req.params.id)
+        .select('mr.*', db.raw(`(
+          SELECT count(*) FROM participant_milestone pm WHERE pm.milestone_rule_id = mr.milestone_rule_id
+        ) as awarded_count`))
+        .orderBy('mr.milestone_rule_id'),
+      db('event').whereNotNull('event_type').distinct('event_type').orderBy('event_type'),
+    ]);
+
+    if (!milestoneData) {
+      req.session.error = 'Milestone not found.';
+      return res.redirect('/milestones');
+    }
+
+    // Transform database columns to view-friendly field names
+    const milestone = {
+      id: milestoneData.milestone_id,
+      title: milestoneData.milestone_title,
+      description: milestoneData.milestone_description,
+      participants_count: awardsData.length,
+    };
+
+    const awards = awardsData.map(pm => ({
+      participant_id: pm.participant_id,
+      name: formatParticipantName(pm) || 'Unknown',
+      achieved_date_formatted: pm.milestone_date ? formatCalendarDate(pm.milestone_date) : '-',
+      source: pm.milestone_rule_id ? `Automatic: ${describeMilestoneRule(pm)}` : 'Manual',
+    }));
+
+    const rules = rulesData.map(r => ({
+      id: r.milestone_rule_id,
+      description: describeMilestoneRule(r),
+      active: r.rule_active,
+      awarded_count: parseInt(r.awarded_count) || 0,
+    }));
+
+    res.render('milestones/show', {
+      milestone,
+      awards,
+      rules,
+      metrics: MILESTONE_RULE_METRICS,
+      eventTypes: eventTypesData.map(e => e.event_type),
+    });
+  } catch (err) {
+    console.error('Error fetching milestone:', err);
+    req.session.error = 'Error loading milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+app.get('/milestones/:id/edit', requireManager, async (req, res) => {
+  try {
+    const milestoneData = await db('milestone').where({ milestone_id: req.params.id }).first();
+    if (!milestoneData) {
+      req.session.error = 'Milestone not found.';
+      return res.redirect('/milestones');
+    }
+
+    // Transform database columns to form-friendly field names
+    const milestone = {
+      id: milestoneData.milestone_id,
+      title: milestoneData.milestone_title,
+      description: milestoneData.milestone_description,
+    };
+
+    res.render('milestones/form', {
+      formTitle: 'Edit Milestone',
+      formAction: `/milestones/${milestoneData.milestone_id}`,
+      milestone,
+    });
+  } catch (err) {
+    console.error('Error fetching milestone:', err);
+    req.session.error = 'Error loading milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+app.post('/milestones/:id', requireManager, async (req, res) => {
+  try {
+    const milestone = await db('milestone').where({ milestone_id: req.params.id }).first();
+    if (!milestone) {
+      req.session.error = 'Milestone not found.';
+      return res.redirect('/milestones');
+    }
+
+    const { title, description } = req.body;
+    await db('milestone').where({ milestone_id: req.params.id }).update({ milestone_title: title, milestone_description: description });
+    req.session.success = 'Milestone updated.';
+    res.redirect('/milestones');
+  } catch (err) {
+    console.error('Error updating milestone:', err);
+    req.session.error = 'Error updating milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+app.post('/milestones/:id/delete', requireManager, async (req, res) => {
+  try {
+    const id = req.params.id;
+    
+    // Check if milestone is assigned to any participants
+    const participantCount = await db('participant_milestone')
+      .where('milestone_id', id)
+      .count('* as count')
+      .first();
+    
+    if (participantCount && parseInt(participantCount.count) > 0) {
+      req.session.error = 'Cannot delete milestone. This milestone is assigned to participants. Please remove it from all participants before deleting.';
+      return res.redirect('/milestones');
+    }
+    
+    // If no participants assigned, proceed with deletion
+    await db('milestone').where({ milestone_id: id }).del();
+    req.session.success = 'Milestone deleted.';
+    res.redirect('/milestones');
+  } catch (err) {
+    console.error('Error deleting milestone:', err);
+    req.session.error = 'Error deleting milestone.';
+    res.redirect('/milestones');
+  }
+});
+
+// =======================
+// MILESTONE RULES
+// =======================
+/**
+ * Rule-based milestone awards
+ *
+ * A milestone_rule awards its milestone once a participant reaches rule_threshold on one
+ * metric (see MILESTONE_RULE_METRICS), optionally counting only events of rule_event_type.
+ * Active rules are applied:
+ * - for one participant whenever their attendance or a survey is recorded (check-in, kiosk,
+ *   walk-in, survey submission), and
+ * - for everyone by a nightly job, which picks up new rules and attendance edited by hand.
+ *
+ * Awards written by a rule carry its milestone_rule_id, which is how staff tell them from
+ * manual awards; milestone_date is the day the threshold was reached. Participants who
+ * already have the milestone are skipped, so a manually removed award comes back the next
+ * time the rule runs if the participant still qualifies.
+ */
+const MILESTONE_RULE_METRICS = {
+  events_attended: 'Events attended',
+  event_months: 'Different months with an attended event',
+  surveys_submitted: 'Surveys submitted',
+};
+// Nightly run, in organization time
+const MILESTONE_RULE_RUN_HOUR = 2;
+
+/**
+ * describeMilestoneRule - Plain-language rule, e.g. "Attended 5 STEAM events"
+ */
+function describeMilestoneRule(rule) {
+  const n = rule.rule_threshold;
+  const s = n !== 1 ? 's' : '';
+  const type = rule.rule_event_type ? `${rule.rule_event_type} ` : '';
+  if (rule.rule_metric === 'event_months') return `Attended any ${type}event in ${n} different month${s}`;
+  if (rule.rule_metric === 'surveys_submitted') return `Submitted ${n} survey${s}${type ? ` for ${type}events` : ''}`;
+  return `Attended ${n} ${type}event${s}`;
+}
+
+/**
+ * evaluateMilestoneRule - Participants who meet a rule but do not have its milestone yet
+ *
+ * Limited to participantIds when given. Returns [{ participantId, achievedAt }] where
+ * achievedAt is the attended event or survey that reached the threshold.
+ */
+async function evaluateMilestoneRule(rule, participantIds = null) {
+  const surveys = rule.rule_metric === 'surveys_submitted';
+  const participantColumn = surveys ? 'ss.participant_id' : 'er.participant_id';
+
+  const query = surveys
+    ? db('survey_submission as ss')
+      .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .whereNotNull('ss.survey_submission_date')
+      .select('ss.participant_id', 'ss.survey_submission_date as occurred_at')
+    : db('event_registration as er')
+      .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where('er.registration_attended_flag', true)
+      .select('er.participant_id', 'ei.event_date_start_time as occurred_at');
+
+  if (rule.rule_event_type) query.whereRaw('lower(e.event_type) = lower(?)', [rule.rule_event_type]);
+  if (participantIds) query.whereIn(participantColumn, participantIds);
+  query
+    .whereNotExists(function() {
+      this.select(db.raw('1'))
+        .from('participant_milestone as pm')
+        .where('pm.milestone_id', rule.milestone_id)
+        .whereRaw(`pm.participant_id = ${participantColumn}`);
+    })
+    .orderBy([participantColumn, 'occurred_at']);
+
+  const progress = new Map();
+  const qualified = [];
+  (await query).forEach((row) => {
+    if (!progress.has(row.participant_id)) progress.set(row.participant_id, { count: 0, months: new Set() });
+    const p = progress.get(row.participant_id);
+    if (p.count >= rule.rule_threshold) return;
+
+    if (rule.rule_metric === 'event_months') {
+      const month = zonedDateKey(row.occurred_at).slice(0, 7);
+      if (p.months.has(month)) return;
+      p.months.add(month);
+    }
+
+    p.count += 1;
+    if (p.count === rule.rule_threshold) {
+      qualified.push({ participantId: row.participant_id, achievedAt: row.occurred_at });
+    }
+  });
+  return qualified;
+}
+
+/**
+ * applyMilestoneRules - Awards the milestones of active rules to everyone who qualifies
+ *
+ * options: { participantIds, ruleIds } narrow the run; ruleIds also runs inactive rules
+ * (the manager's "Award now"). Rules run one after another, so a participant who meets two
+ * rules for the same milestone gets it once. Returns the number of awards per rule id.
+ */
+async function applyMilestoneRules({ participantIds = null, ruleIds = null } = {}) {
+  const rulesQuery = db('milestone_rule').orderBy('milestone_rule_id');
+  if (ruleIds) rulesQuery.whereIn('milestone_rule_id', ruleIds);
+  else rulesQuery.where('rule_active', true);
+
+  const awarded = {};
+  for (const rule of await rulesQuery) {
+    const qualified = await evaluateMilestoneRule(rule, participantIds);
+    awarded[rule.milestone_rule_id] = 0;
+    if (qualified.length === 0) continue;
+
+    // Another run (a second app instance, or a manual award) may get there first, so
+    // awards already held are skipped by the primary key rather than by a prior read
+    const rows = qualified.map(q => ({
+      participant_id: q.participantId,
+      milestone_id: rule.milestone_id,
+      milestone_date: zonedDateKey(q.achievedAt),
+      milestone_rule_id: rule.milestone_rule_id,
+      milestone_awarded_at: new Date(),
+    }));
+    const inserted = await db('participant_milestone')
+      .insert(rows)
+      .onConflict(['participant_id', 'milestone_id'])
+      .ignore()
+      .returning('participant_id');
+    awarded[rule.milestone_rule_id] = inserted.length;
+  }
+  return awarded;
+}
+
+/**
+ * applyMilestoneRulesFor - Runs the active rules for one participant after new activity
+ *
+ * Errors are logged rather than thrown so awarding never undoes a check-in or survey.
+ */
+async function applyMilestoneRulesFor(participantId) {
+  try {
+    await applyMilestoneRules({ participantIds: [Number(participantId)] });
+  } catch (err) {
+    console.error('Error applying milestone rules:', err);
+  }
+}
+
+/**
+ * startMilestoneRuleJob - Applies every active rule each night at MILESTONE_RULE_RUN_HOUR
+ */
+function startMilestoneRuleJob() {
+  const scheduleNext = () => {
+    const now = zonedParts(new Date());
+    let next = zonedTimeToDate(now.year, now.month, now.day, MILESTONE_RULE_RUN_HOUR);
+    if (next <= new Date()) next = zonedTimeToDate(now.year, now.month, now.day + 1, MILESTONE_RULE_RUN_HOUR);
+
+    setTimeout(async () => {
+      try {
+        const awarded = await applyMilestoneRules();
+        const total = Object.values(awarded).reduce((sum, n) => sum + n, 0);
+        if (total > 0) console.log(`Milestone rules awarded ${total} milestone(s).`);
+      } catch (err) {
+        console.error('Error running milestone rules:', err);
+      }
+      scheduleNext();
+    }, next - new Date());
+  };
+  scheduleNext();
+}
+
+/**
+ * parseMilestoneRuleForm - Validates the rule form; returns { values } or { error }
+ */
+function parseMilestoneRuleForm(body) {
+  const metric = body.metric;
+  const threshold = Number(body.threshold);
+  if (!Object.keys(MILESTONE_RULE_METRICS).includes(metric)) return { error: 'Please choose what the rule counts.' };
+  if (!Number.isInteger(threshold) || threshold < 1) return { error: 'The rule needs a whole number of at least 1.' };
+
+  return {
+    values: {
+      rule_metric: metric,
+      rule_threshold: threshold,
+      rule_event_type: body.event_type && body.event_type.trim() ? body.event_type.trim() : null,
+    },
+  };
+}
+
+/**
+ * findMilestoneRule - Rule by id with its milestone title, or undefined
+ */
+function findMilestoneRule(ruleId) {
+  return db('milestone_rule as mr')
+    .join('milestone as m', 'mr.milestone_id', 'm.milestone_id')
+    .where('mr.milestone_rule_id', Number(ruleId) || 0)
+    .select('mr.*', 'm.milestone_title')
+    .first();
+}
+
+/**
+ * Create Rule - Manager-only; added from the milestone page
+ */
+app.post('/milestones/:id/rules', requireManager, async (req, res) => {
+  try {
+    const milestone = await db('milestone').where({ milestone_id: req.params.id }).first();
+    if (!milestone) {
+      req.session.error = 'Milestone not found.';
+      return res.redirect('/milestones');
+    }
+
+    const { values, error } = parseMilestoneRuleForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect(`/milestones/${milestone.milestone_id}`);
+    }
+
+    const [rule] = await db('milestone_rule').insert({
+      ...values,
+      milestone_id: milestone.milestone_id,
+      rule_created_by_user_id: req.session.user?.id || null,
+    }).returning('milestone_rule_id');
+
+    req.session.success = 'Rule added. It runs every night and whenever attendance is recorded; here is who qualifies today.';
+    res.redirect(`/milestones/rules/${rule.milestone_rule_id}/preview`);
+  } catch (err) {
+    console.error('Error creating milestone rule:', err);
+    req.session.error = 'Error creating rule.';
+    res.redirect(`/milestones/${req.params.id}`);
+  }
+});
+
+/**
+ * Rule Preview - Dry run listing who the rule would award right now
+ */
+app.get('/milestones/rules/:ruleId/preview', requireManager, async (req, res) => {
+  try {
+    const rule = await findMilestoneRule(req.params.ruleId);
+    if (!rule) {
+      req.session.error = 'Rule not found.';
+      return res.redirect('/milestones');
+    }
+
+    const qualified = await evaluateMilestoneRule(rule);
+    const participantsData = qualified.length > 0
+      ? await db('participant')
+        .whereIn('participant_id', qualified.map(q => q.participantId))
+        .select('participant_id', 'participant_first_name', 'participant_last_name', 'participant_email')
+      : [];
+    const byId = new Map(participantsData.map(p => [p.participant_id, p]));
+
+    const participants = qualified.map(q => ({
+      id: q.participantId,
+      name: formatParticipantName(byId.get(q.participantId) || {}) || 'Unknown',
+      email: byId.get(q.participantId)?.participant_email || '',
+      achieved_date: formatDateShort(q.achievedAt),
+    })).sort((x, y) => x.name.localeCompare(y.name));
+
+    res.render('milestones/rule_preview', {
+      rule: {
+        id: rule.milestone_rule_id,
+        milestone_id: rule.milestone_id,
+        milestone_title: rule.milestone_title,
+        description: describeMilestoneRule(rule),
+        active: rule.rule_active,
+      },
+      participants,
+    });
+  } catch (err) {
+    console.error('Error previewing milestone rule:', err);
+    req.session.error = 'Error previewing rule.';
+    res.redirect('/milestones');
+  }
+});
+
+/**
+ * Award Now - Applies one rule immediately instead of waiting for the nightly run
+ */
+app.post('/milestones/rules/:ruleId/run', requireManager, async (req, res) => {
+  try {
+    const rule = await findMilestoneRule(req.params.ruleId);
+    if (!rule) {
+      req.session.error = 'Rule not found.';
+      return res.redirect('/milestones');
+    }
+
+    const awarded = (await applyMilestoneRules({ ruleIds: [rule.milestone_rule_id] }))[rule.milestone_rule_id] || 0;
+    req.session.success = `Awarded "${rule.milestone_title}" to ${awarded} participant${awarded !== 1 ? 's' : ''}.`;
+    res.redirect(`/milestones/${rule.milestone_id}`);
+  } catch (err) {
+    console.error('Error running milestone rule:', err);
+    req.session.error = 'Error running rule.';
+    res.redirect('/milestones');
+  }
+});
+
+/**
+ * Turn Rule On/Off - Inactive rules stop awarding but keep their award history
+ */
+app.post('/milestones/rules/:ruleId/toggle', requireManager, async (req, res) => {
+  try {
+    const rule = await findMilestoneRule(req.params.ruleId);
+    if (!rule) {
+      req.session.error = 'Rule not found.';
+      return res.redirect('/milestones');
+    }
+
+    await db('milestone_rule')
+      .where({ milestone_rule_id: rule.milestone_rule_id })
+      .update({ rule_active: !rule.rule_active });
+    req.session.success = rule.rule_active ? 'Rule turned off.' : 'Rule turned on.';
+    res.redirect(`/milestones/${rule.milestone_id}`);
+  } catch (err) {
+    console.error('Error updating milestone rule:', err);
+    req.session.error = 'Error updating rule.';
+    res.redirect('/milestones');
+  }
+});
+
+/**
+ * Delete Rule - Only rules that never awarded anything; others can be turned off
+ */
+app.post('/milestones/rules/:ruleId/delete', requireManager, async (req, res) => {
+  try {
+    const rule = await findMilestoneRule(req.params.ruleId);
+    if (!rule) {
+      req.session.error = 'Rule not found.';
+      return res.redirect('/milestones');
+    }
+
+    const awards = await db('participant_milestone')
+      .where({ milestone_rule_id: rule.milestone_rule_id })
+      .count('* as count')
+      .first();
+    if (parseInt(awards?.count) > 0) {
+      req.session.error = 'This rule has awarded milestones, so it is kept as their record. Turn it off instead.';
+      return res.redirect(`/milestones/${rule.milestone_id}`);
+    }
+
+    await db('milestone_rule').where({ milestone_rule_id: rule.milestone_rule_id }).del();
+    req.session.success = 'Rule deleted.';
+    res.redirect(`/milestones/${rule.milestone_id}`);
+  } catch (err) {
+    console.error('Error deleting milestone rule:', err);
+    req.session.error = 'Error deleting rule.';
+    res.redirect('/milestones');
+  }
+});
+
+// =======================
+// PATHWAYS MAINTENANCE
+// =======================
+/**
+ * Milestone Pathway Routes
+ *
+ * A pathway is an ordered list of milestones (pathway_step.step_order); each step's
+ * prerequisite is the step before it. Pathways drive the progress view on the participant
+ * page and a funnel on the pathway page, and staff are warned when they assign a milestone
+ * whose prerequisite the participant has not achieved yet (or achieved later).
+ *
+ * Viewing requires login; maintaining pathways is manager-only.
+ */
+
+/**
+ * loadPathways - Pathways with their steps in order; limited to pathwayIds when given
+ *
+ * Returns [{ id, name, description, steps: [{ milestone_id, title }] }].
+ */
+async function loadPathways(pathwayIds = null) {
+  const pathwaysQuery = db('pathway').select('*').orderBy('pathway_name');
+  const stepsQuery = db('pathway_step as s')
+    .join('milestone as m', 's.milestone_id', 'm.milestone_id')
+    .select('s.pathway_id', 's.milestone_id', 'm.milestone_title')
+    .orderBy(['s.pathway_id', 's.step_order']);
+  if (pathwayIds) {
+    pathwaysQuery.whereIn('pathway_id', pathwayIds);
+    stepsQuery.whereIn('s.pathway_id', pathwayIds);
+  }
+
+  const [pathwaysData, stepsData] = await Promise.all([pathwaysQuery, stepsQuery]);
+  return pathwaysData.map(pw => ({
+    id: pw.pathway_id,
+    name: pw.pathway_name,
+    description: pw.pathway_description || '',
+    steps: stepsData
+      .filter(s => s.pathway_id === pw.pathway_id)
+      .map(s => ({ milestone_id: s.milestone_id, title: s.milestone_title })),
+  }));
+}
+
+/**
+ * findPrerequisiteWarnings - Participants who would get a milestone ahead of its prerequisites
+ *
+ * For each pathway containing the milestone, the step before it is a prerequisite. Returns a
+ * Map of participant_id to warning sentences; participants without problems are left out.
+ * achievedDate ("YYYY-MM-DD", optional) also flags prerequisites achieved after that day.
+ */
+async function findPrerequisiteWarnings(milestoneId, participantIds, achievedDate = null) {
+  const warnings = new Map();
+  if (participantIds.length === 0) return warnings;
+
+  const pathwayIds = (await db('pathway_step').where('milestone_id', milestoneId).pluck('pathway_id'));
+  const prerequisites = [];
+  (await loadPathways(pathwayIds)).forEach((pathway) => {
+    const index = pathway.steps.findIndex(s => s.milestone_id === Number(milestoneId));
+    if (index > 0) prerequisites.push({ ...pathway.steps[index - 1], pathway: pathway.name });
+  });
+  if (prerequisites.length === 0) return warnings;
+
+  const held = await db('participant_milestone')
+    .whereIn('participant_id', participantIds)
+    .whereIn('milestone_id', prerequisites.map(p => p.milestone_id))
+    .select('participant_id', 'milestone_id', 'milestone_date');
+
+  participantIds.forEach((participantId) => {
+    const messages = [];
+    prerequisites.forEach((prerequisite) => {
+      const row = held.find(h => h.participant_id === participantId && h.milestone_id === prerequisite.milestone_id);
+      if (!row) {
+        messages.push(`"${prerequisite.title}" comes first on the ${prerequisite.pathway} pathway and has not been achieved yet.`);
+      } else if (achievedDate && row.milestone_date && calendarDateKey(row.milestone_date) > achievedDate) {
+        messages.push(`"${prerequisite.title}" comes first on the ${prerequisite.pathway} pathway but was achieved later (${formatCalendarDate(row.milestone_date)}).`);
+      }
+    });
+    if (messages.length > 0) warnings.set(participantId, messages);
+  });
+  return warnings;
+}
+
+/**
+ * pathwayProgress - Where a participant is on each pathway
+ *
+ * held maps milestone_id to milestone_date for the participant's milestones. Each step is
+ * 'achieved', 'next' (the first step not yet achieved) or 'later'; an achieved step whose
+ * predecessor is missing is flagged out_of_order.
+ */
+function pathwayProgress(pathways, held) {
+  return pathways.filter(pw => pw.steps.length > 0).map((pathway) => {
+    let nextFound = false;
+    const steps = pathway.steps.map((step, index) => {
+      const achieved = held.has(step.milestone_id);
+      let status = 'achieved';
+      if (!achieved) {
+        status = nextFound ? 'later' : 'next';
+        nextFound = true;
+      }
+      return {
+        milestone_id: step.milestone_id,
+        title: step.title,
+        status,
+        achieved_date_formatted: achieved && held.get(step.milestone_id) ? formatCalendarDate(held.get(step.milestone_id)) : '',
+        out_of_order: achieved && index > 0 && !held.has(pathway.steps[index - 1].milestone_id),
+      };
+    });
+    const achievedCount = steps.filter(s => s.status === 'achieved').length;
+    return {
+      id: pathway.id,
+      name: pathway.name,
+      steps,
+      achieved_count: achievedCount,
+      percent: Math.round((achievedCount / steps.length) * 100),
+    };
+  });
+}
+
+/**
+ * parsePathwayForm - Name, description and ordered milestone ids; returns { values, steps } or { error }
+ */
+async function parsePathwayForm(body) {
+  const name = body.name && body.name.trim();
+  if (!name) return { error: 'Pathway name is required.' };
+
+  const steps = [...new Set([].concat(body.steps || []).map(Number).filter(Boolean))];
+  if (steps.length > 0) {
+    const found = await db('milestone').whereIn('milestone_id', steps).pluck('milestone_id');
+    if (found.length !== steps.length) return { error: 'Please choose milestones from the list.' };
+  }
+
+  return {
+    values: {
+      pathway_name: name,
+      pathway_description: body.description && body.description.trim() ? body.description.trim() : null,
+    },
+    steps,
+  };
+}
+
+/**
+ * savePathwaySteps - Replaces a pathway's steps with the given milestone ids, in order
+ */
+async function savePathwaySteps(trx, pathwayId, steps) {
+  await trx('pathway_step').where({ pathway_id: pathwayId }).del();
+  if (steps.length > 0) {
+    await trx('pathway_step').insert(steps.map((milestoneId, index) => ({
+      pathway_id: pathwayId,
+      milestone_id: milestoneId,
+      step_order: index + 1,
+    })));
+  }
+}
+
+/**
+ * renderPathwayForm - Shows the create/edit form with every milestone to pick steps from
+ */
+async function renderPathwayForm(res, { formTitle, formAction, pathway }) {
+  const milestones = await db('milestone').select('milestone_id', 'milestone_title').orderBy('milestone_title');
+  res.render('pathways/form', {
+    formTitle,
+    formAction,
+    pathway,
+    milestones: milestones.map(m => ({ id: m.milestone_id, title: m.milestone_title })),
+  });
+}
+
+/**
+ * List Pathways - Every pathway with its steps
+ */
+app.get('/pathways', requireLogin, async (req, res) => {
+  try {
+    res.render('pathways/index', { pathways: await loadPathways() });
+  } catch (err) {
+    console.error('Error fetching pathways:', err);
+    req.session.error = 'Error loading pathways.';
+    res.render('pathways/index', { pathways: [] });
+  }
+});
+
+app.get('/pathways/new', requireManager, async (req, res) => {
+  try {
+    await renderPathwayForm(res, {
+      formTitle: 'Create Pathway',
+      formAction: '/pathways',
+      pathway: { steps: [] },
+    });
+  } catch (err) {
+    console.error('Error loading pathway form:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect('/pathways');
+  }
+});
+
+app.post('/pathways', requireManager, async (req, res) => {
+  try {
+    const { values, steps, error } = await parsePathwayForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect('/pathways/new');
+    }
+
+    const pathwayId = await db.transaction(async (trx) => {
+      const [pathway] = await trx('pathway').insert(values).returning('pathway_id');
+      await savePathwaySteps(trx, pathway.pathway_id, steps);
+      return pathway.pathway_id;
+    });
+
+    req.session.success = 'Pathway created.';
+    res.redirect(`/pathways/${pathwayId}`);
+  } catch (err) {
+    console.error('Error creating pathway:', err);
+    req.session.error = 'Error creating pathway.';
+    res.redirect('/pathways');
+  }
+});
+
+/**
+ * Pathway Details - Steps with how many participants have reached each one
+ */
+app.get('/pathways/:id', requireLogin, async (req, res) => {
+  try {
+    const [pathway] = await loadPathways([Number(req.params.id) || 0]);
+    if (!pathway) {
+      req.session.error = 'Pathway not found.';
+      return res.redirect('/pathways');
+    }
+
+    const counts = pathway.steps.length > 0
+      ? await db('participant_milestone')
+        .whereIn('milestone_id', pathway.steps.map(s => s.milestone_id))
+        .groupBy('milestone_id')
+        .select('milestone_id', db.raw('count(*) as count'))
+      : [];
+    const countByMilestone = new Map(counts.map(c => [c.milestone_id, parseInt(c.count) || 0]));
+    pathway.steps.forEach((step) => {
+      step.participants_count = countByMilestone.get(step.milestone_id) || 0;
+    });
+
+    res.render('pathways/show', { pathway });
+  } catch (err) {
+    console.error('Error fetching pathway:', err);
+    req.session.error = 'Error loading pathway.';
+    res.redirect('/pathways');
+  }
+});
+
+app.get('/pathways/:id/edit', requireManager, async (req, res) => {
+  try {
+    const [pathway] = await loadPathways([Number(req.params.id) || 0]);
+    if (!pathway) {
+      req.session.error = 'Pathway not found.';
+      return res.redirect('/pathways');
+    }
+
+    await renderPathwayForm(res, {
+      formTitle: 'Edit Pathway',
+      formAction: `/pathways/${pathway.id}`,
+      pathway,
+    });
+  } catch (err) {
+    console.error('Error fetching pathway:', err);
+    req.session.error = 'Error loading pathway.';
+    res.redirect('/pathways');
+  }
+});
+
+app.post('/pathways/:id', requireManager, async (req, res) => {
+  try {
+    const pathway = await db('pathway').where({ pathway_id: req.params.id }).first();
+    if (!pathway) {
+      req.session.error = 'Pathway not found.';
+      return res.redirect('/pathways');
+    }
+
+    const { values, steps, error } = await parsePathwayForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect(`/pathways/${pathway.pathway_id}/edit`);
+    }
+
+    await db.transaction(async (trx) => {
+      await trx('pathway').where({ pathway_id: pathway.pathway_id }).update(values);
+      await savePathwaySteps(trx, pathway.pathway_id, steps);
+    });
+
+    req.session.success = 'Pathway updated.';
+    res.redirect(`/pathways/${pathway.pathway_id}`);
+  } catch (err) {
+    console.error('Error updating pathway:', err);
+    req.session.error = 'Error updating pathway.';
+    res.redirect('/pathways');
+  }
+});
+
+/**
+ * Delete Pathway - Removes the grouping only; milestones and awards are untouched
+ */
+app.post('/pathways/:id/delete', requireManager, async (req, res) => {
+  try {
+    await db('pathway').where({ pathway_id: req.params.id }).del();
+    req.session.success = 'Pathway deleted.';
+    res.redirect('/pathways');
+  } catch (err) {
+    console.error('Error deleting pathway:', err);
+    req.session.error = 'Error deleting pathway.';
+    res.redirect('/pathways');
+  }
+});
+
+// =======================
+// VENUES MAINTENANCE
+// =======================
+/**
+ * Venue Maintenance Routes
+ *
+ * Venues are the places events happen (name, address, room, max capacity, accessibility
+ * and parking/transit notes). Event instances and series pick a venue instead of typing a
+ * location. event_location is kept as the venue's display label (see formatVenueLabel)
+ * and rewritten whenever a venue is picked or renamed, so everything that shows or
+ * compares locations keeps working.
+ *
+ * Viewing requires login; maintaining venues is manager-only.
+ */
+
+/**
+ * formatVenueLabel - Display label for a venue row, e.g. "Provo Library – Room B"
+ */
+function formatVenueLabel(venue) {
+  if (!venue) return null;
+  return venue.venue_room ? `${venue.venue_name} – ${venue.venue_room}` : venue.venue_name;
+}
+
+/**
+ * loadVenueOptions - Venues for dropdowns on the event instance and series forms
+ */
+async function loadVenueOptions() {
+  const venues = await db('venue').select('*').orderBy(['venue_name', 'venue_room']);
+  return venues.map(v => ({
+    id: v.venue_id,
+    label: formatVenueLabel(v),
+    max_capacity: v.venue_max_capacity,
+  }));
+}
+
+/**
+ * findVenue - Looks up a venue from a form value; blank means "no venue"
+ *
+ * Returns { venue } (null when blank) or { error } when the id does not exist.
+ */
+async function findVenue(venueId) {
+  if (!venueId) return { venue: null };
+  const venue = await db('venue').where({ venue_id: Number(venueId) || 0 }).first();
+  return venue ? { venue } : { error: 'Please choose a venue from the list.' };
+}
+
+/**
+ * resolveEventCapacity - Capacity for an instance at a venue
+ *
+ * A typed capacity may not exceed the venue's max capacity. A blank capacity falls back
+ * to defaultCapacity (the template default for new instances), limited to the venue max,
+ * or to the venue max itself. Returns { capacity } or { error }.
+ */
+function resolveEventCapacity(capacityInput, venue, defaultCapacity = null) {
+  const venueMax = venue && venue.venue_max_capacity !== null && venue.venue_max_capacity !== undefined
+    ? Number(venue.venue_max_capacity)
+    : null;
+
+  if (capacityInput !== null && capacityInput !== undefined && String(capacityInput).trim() !== '') {
+    const capacity = Number(capacityInput);
+    if (!Number.isInteger(capacity) || capacity < 0) return { error: 'Capacity must be a whole number.' };
+    if (venueMax !== null && capacity > venueMax) {
+      return { error: `Capacity cannot be more than ${formatVenueLabel(venue)}'s maximum of ${venueMax}.` };
+    }
+    return { capacity };
+  }
+
+  const fallback = defaultCapacity !== null && defaultCapacity !== undefined ? Number(defaultCapacity) : null;
+  if (venueMax === null) return { capacity: fallback };
+  return { capacity: fallback === null ? venueMax : Math.min(fallback, venueMax) };
+}
+
+/**
+ * parseVenueForm - Trims venue form fields; returns { values } or { error }
+ */
+function parseVenueForm(body) {
+  const clean = (value) => (value && value.trim() ? value.trim() : null);
+  const values = {
+    venue_name: clean(body.name),
+    venue_address: clean(body.address),
+    venue_room: clean(body.room),
+    venue_max_capacity: clean(body.max_capacity) !== null ? Number(body.max_capacity) : null,
+    venue_accessibility_notes: clean(body.accessibility_notes),
+    venue_parking_notes: clean(body.parking_notes),
+  };
+
+  if (!values.venue_name) return { error: 'Venue name is required.' };
+  if (values.venue_max_capacity !== null && (!Number.isInteger(values.venue_max_capacity) || values.venue_max_capacity < 0)) {
+    return { error: 'Max capacity must be a whole number.' };
+  }
+  return { values };
+}
+
+/**
+ * findDuplicateVenue - Another venue with the same name and room (case-insensitive)
+ */
+function findDuplicateVenue(values, exceptId = null) {
+  const query = db('venue')
+    .whereRaw('lower(trim(venue_name)) = ?', [values.venue_name.toLowerCase()])
+    .whereRaw("lower(coalesce(trim(venue_room), '')) = ?", [(values.venue_room || '').toLowerCase()]);
+  if (exceptId) query.whereNot('venue_id', exceptId);
+  return query.first();
+}
+
+/**
+ * venueViewModel - Transforms a venue row into view-friendly field names
+ */
+function venueViewModel(v) {
+  return {
+    id: v.venue_id,
+    name: v.venue_name,
+    label: formatVenueLabel(v),
+    address: v.venue_address || '',
+    room: v.venue_room || '',
+    max_capacity: v.venue_max_capacity,
+    accessibility_notes: v.venue_accessibility_notes || '',
+    parking_notes: v.venue_parking_notes || '',
+  };
+}
+
+/**
+ * List Venues - All venues with search and upcoming event counts
+ */
+app.get('/venues', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    let query = db('venue as v').select(
+      'v.*',
+      db.raw(`(
+        SELECT count(*)
+        FROM event_instance ei
+        WHERE ei.venue_id = v.venue_id
+        AND ei.event_date_start_time > now()
+      ) as upcoming_count`)
+    );
+
+    if (q) {
+      query = query.where(function() {
+        this.where('v.venue_name', 'ilike', `%${q}%`)
+          .orWhere('v.venue_room', 'ilike', `%${q}%`)
+          .orWhere('v.venue_address', 'ilike', `%${q}%`);
+      });
+    }
+
+    const venuesData = await query.orderBy(['v.venue_name', 'v.venue_room']);
+    const venues = venuesData.map(v => ({
+      ...venueViewModel(v),
+      upcoming_count: parseInt(v.upcoming_count) || 0,
+    }));
+
+    res.render('venues/index', { venues, q });
+  } catch (err) {
+    console.error('Error fetching venues:', err);
+    req.session.error = 'Error loading venues.';
+    res.render('venues/index', { venues: [], q: req.query.q || '' });
+  }
+});
+
+app.get('/venues/new', requireManager, (req, res) => {
+  res.render('venues/form', {
+    formTitle: 'Create Venue',
+    formAction: '/venues',
+    venue: {},
+  });
+});
+
+app.post('/venues', requireManager, async (req, res) => {
+  try {
+    const { values, error } = parseVenueForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect('/venues/new');
+    }
+
+    if (await findDuplicateVenue(values)) {
+      req.session.error = 'A venue with this name and room already exists.';
+      return res.redirect('/venues/new');
+    }
+
+    await db('venue').insert(values);
+    req.session.success = 'Venue created.';
+    res.redirect('/venues');
+  } catch (err) {
+    console.error('Error creating venue:', err);
+    req.session.error = 'Error creating venue.';
+    res.redirect('/venues');
+  }
+});
+
+app.get('/venues/:id', requireLogin, async (req, res) => {
+  try {
+    const venueData = await db('venue').where({ venue_id: req.params.id }).first();
+    if (!venueData) {
+      req.session.error = 'Venue not found.';
+      return res.redirect('/venues');
+    }
+
+    const [eventsData, usageCount] = await Promise.all([
+      db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.venue_id', venueData.venue_id)
+        .where('ei.event_date_start_time', '>', new Date())
+        .select('ei.event_instance_id', 'ei.event_date_start_time', 'ei.event_capacity', 'e.event_name')
+        .orderBy('ei.event_date_start_time'),
+      db('event_instance').where({ venue_id: venueData.venue_id }).count('* as count').first(),
+    ]);
+
+    const venue = {
+      ...venueViewModel(venueData),
+      events_count: parseInt(usageCount?.count) || 0,
+    };
+    const upcomingEvents = eventsData.map(e => ({
+      id: e.event_instance_id,
+      name: e.event_name,
+      start_time_formatted: formatDateTime(e.event_date_start_time),
+      capacity: e.event_capacity,
+    }));
+
+    res.render('venues/show', { venue, upcomingEvents });
+  } catch (err) {
+    console.error('Error fetching venue:', err);
+    req.session.error = 'Error loading venue.';
+    res.redirect('/venues');
+  }
+});
+
+app.get('/venues/:id/edit', requireManager, async (req, res) => {
+  try {
+    const venueData = await db('venue').where({ venue_id: req.params.id }).first();
+    if (!venueData) {
+      req.session.error = 'Venue not found.';
+      return res.redirect('/venues');
+    }
+
+    res.render('venues/form', {
+      formTitle: 'Edit Venue',
+      formAction: `/venues/${venueData.venue_id}`,
+      venue: venueViewModel(venueData),
+    });
+  } catch (err) {
+    console.error('Error fetching venue:', err);
+    req.session.error = 'Error loading venue.';
+    res.redirect('/venues');
+  }
+});
+
+/**
+ * Update Venue - Saves the venue and relabels every instance and series held there
+ *
+ * Lowering the max capacity below an upcoming instance's capacity is refused so no
+ * event is left over the limit; upcoming instances without a limit get the new maximum.
+ */
+app.post('/venues/:id', requireManager, async (req, res) => {
+  try {
+    const venue = await db('venue').where({ venue_id: req.params.id }).first();
+    if (!venue) {
+      req.session.error = 'Venue not found.';
+      return res.redirect('/venues');
+    }
+
+    const { values, error } = parseVenueForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect(`/venues/${venue.venue_id}/edit`);
+    }
+
+    if (await findDuplicateVenue(values, venue.venue_id)) {
+      req.session.error = 'A venue with this name and room already exists.';
+      return res.redirect(`/venues/${venue.venue_id}/edit`);
+    }
+
+    if (values.venue_max_capacity !== null) {
+      const overLimit = await db('event_instance')
+        .where({ venue_id: venue.venue_id })
+        .where('event_date_start_time', '>', new Date())
+        .where('event_capacity', '>', values.venue_max_capacity)
+        .count('* as count')
+        .first();
+      const overLimitCount = parseInt(overLimit?.count) || 0;
+      if (overLimitCount > 0) {
+        req.session.error = `${overLimitCount} upcoming event${overLimitCount !== 1 ? 's have' : ' has'} a capacity above ${values.venue_max_capacity}. Lower ${overLimitCount !== 1 ? 'those' : 'it'} first.`;
+        return res.redirect(`/venues/${venue.venue_id}/edit`);
+      }
+    }
+
+    const label = formatVenueLabel(values);
+    await db.transaction(async (trx) => {
+      await trx('venue').where({ venue_id: venue.venue_id }).update(values);
+      await trx('event_instance').where({ venue_id: venue.venue_id }).update({ event_location: label });
+      // Upcoming events without a limit now get the venue's
+      if (values.venue_max_capacity !== null) {
+        await trx('event_instance')
+          .where({ venue_id: venue.venue_id })
+          .where('event_date_start_time', '>', new Date())
+          .whereNull('event_capacity')
+          .update({ event_capacity: values.venue_max_capacity });
+      }
+      await trx('event_series').where({ venue_id: venue.venue_id }).update({ series_location: label });
+    });
+
+    req.session.success = 'Venue updated.';
+    res.redirect(`/venues/${venue.venue_id}`);
+  } catch (err) {
+    console.error('Error updating venue:', err);
+    req.session.error = 'Error updating venue.';
+    res.redirect('/venues');
+  }
+});
+
+app.post('/venues/:id/delete', requireManager, async (req, res) => {
+  try {
+    const id = req.params.id;
+
+    // Venues that events point at are kept so past events still say where they happened
+    const usageCount = await db('event_instance')
+      .where('venue_id', id)
+      .count('* as count')
+      .first();
+
+    if (usageCount && parseInt(usageCount.count) > 0) {
+      req.session.error = 'Cannot delete venue. Events are scheduled at this venue.';
+      return res.redirect(`/venues/${id}`);
+    }
+
+    await db('venue').where({ venue_id: id }).del();
+    req.session.success = 'Venue deleted.';
+    res.redirect('/venues');
+  } catch (err) {
+    console.error('Error deleting venue:', err);
+    req.session.error = 'Error deleting venue.';
+    res.redirect('/venues');
+  }
+});
+
+// =======================
+// EVENTS MAINTENANCE
+// =======================
+/**
+ * Event Maintenance Routes
+ * 
+ * Per rubric requirements:
+ * - "Can access only if logged in" - Protected by requireLogin (all authenticated users can view)
+ * - "Events are displayed and navigation works including search" - List with search functionality
+ * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager role
+ * 
+ * Events are stored in two related tables:
+ * - `event`: Master event definitions (name, type, description)
+ * - `event_instance`: Specific occurrences with date, location, capacity
+ * 
+ * The admin route lists all event instances with their associated event details.
+ */
+
+/**
+ * List Events (Admin) - Display all event instances with search
+ * 
+ * Shows all event instances (specific event occurrences) joined with their event definitions.
+ * Search works across event name, type, and location fields.
+ * Events are ordered by date (newest first) for easy viewing of recent activities.
+ */
+app.get('/events/admin', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const filtered = await buildEventListQuery({ q });
+    const viewModels = filtered.map((e) => ({
+      id: e.event_instance_id,
+      name: e.event_name || 'Event',
+      type: e.event_type || 'General',
+      location: e.event_location || 'TBD',
+      dateFormatted: formatDateShort(e.event_date_start_time),
+      dateTime: e.event_date_start_time, // Raw date-time for client-side filtering
+      hour: e.event_date_start_time ? zonedParts(e.event_date_start_time).hour : null, // Organization time
+      capacity: e.event_capacity || 0,
+      registrations: parseInt(e.registrations_count) || 0,
+    }));
+
+    res.render('events/instances/index', { events: viewModels, q });
+  } catch (err) {
+    console.error('Error fetching events:', err);
+    req.session.error = 'Error loading events.';
+    res.render('events/instances/index', { events: [], q: req.query.q || '' });
+  }
+});
+
+// Start hours (organization time) of the list's time-of-day filter; anything else is 'night'
+const EVENT_TIME_OF_DAY_HOURS = {
+  morning: [6, 12],
+  afternoon: [12, 17],
+  evening: [17, 21],
+};
+
+/**
+ * buildEventListQuery - Event instances matching the list's search (name, type or location)
+ *
+ * The list page applies its timeframe, type, location and time-of-day filters in the
+ * browser; exports pass them here so the download matches what is on screen. Future
+ * events sort soonest first, like the list.
+ */
+function buildEventListQuery({ q = '', timeframe = 'all', type = '', location = '', time = '' } = {}) {
+  let query = db('event_instance as ei')
+    .select(
+      'ei.event_instance_id',
+      'ei.event_date_start_time',
+      'ei.event_date_end_time',
+      'e.event_name',
+      'e.event_type',
+      'ei.event_location',
+      'ei.event_capacity',
+      db.raw(`(
+        SELECT count(*)
+        FROM event_registration er
+        WHERE er.event_instance_id = ei.event_instance_id
+        AND ${ACTIVE_REGISTRATION_SQL}
+      ) as registrations_count`)
+    )
+    .leftJoin('event as e', 'ei.event_id', 'e.event_id');
+
+  if (q) {
+    query = query.where(function() {
+      this.where('e.event_name', 'ilike', `%${q}%`)
+        .orWhere('e.event_type', 'ilike', `%${q}%`)
+        .orWhere('ei.event_location', 'ilike', `%${q}%`);
+    });
+  }
+
+  const now = new Date();
+  if (timeframe === 'future') {
+    query = query.where('ei.event_date_start_time', '>', now);
+  } else if (timeframe === 'past') {
+    query = query.where(function() {
+      this.where('ei.event_date_start_time', '<=', now).orWhereNull('ei.event_date_start_time');
+    });
+  }
+
+  // The list shows a missing type as "General" and a missing location as "TBD"
+  if (type) {
+    query = query.whereRaw("lower(coalesce(e.event_type, 'General')) = ?", [type.toLowerCase()]);
+  }
+  if (location) {
+    query = query.whereRaw("lower(coalesce(ei.event_location, 'TBD')) = ?", [location.toLowerCase()]);
+  }
+
+  if (time) {
+    const startHour = db.raw('extract(hour from ei.event_date_start_time at time zone ?)', [ORG_TIMEZONE]);
+    const hours = EVENT_TIME_OF_DAY_HOURS[time];
+    if (hours) {
+      query = query.where(startHour, '>=', hours[0]).where(startHour, '<', hours[1]);
+    } else if (time === 'night') {
+      query = query.where(function() {
+        this.where(startHour, '<', EVENT_TIME_OF_DAY_HOURS.morning[0])
+          .orWhere(startHour, '>=', EVENT_TIME_OF_DAY_HOURS.evening[1]);
+      });
+    }
+  }
+
+  const direction = timeframe === 'future' ? 'asc' : 'desc';
+  return query.orderBy('ei.event_date_start_time', direction).orderBy('ei.event_instance_id', direction);
+}
+
+/**
+ * Export Events - The events list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/events/admin/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'events',
+  sheetName: 'Events',
+  listPath: '/events/admin',
+  query: buildEventListQuery({
+    q: (req.query.q || '').toLowerCase(),
+    timeframe: req.query.timeframe || 'all',
+    type: req.query.type || '',
+    location: req.query.location || '',
+    time: req.query.time || '',
+  }),
+  columns: [
+    { header: 'Event', value: e => e.event_name || 'Event', width: 28 },
+    { header: 'Type', value: e => e.event_type || 'General' },
+    { header: 'Start', value: e => formatDateTime(e.event_date_start_time), width: 24 },
+    { header: 'End', value: e => formatDateTime(e.event_date_end_time), width: 24 },
+    { header: 'Location', value: e => e.event_location || 'TBD', width: 28 },
+    { header: 'Capacity', value: e => e.event_capacity, width: 10 },
+    { header: 'Registrations', value: e => parseInt(e.registrations_count) || 0, width: 14 },
+  ],
+}));
+
+app.get('/events/new', requireManager, async (req, res) => {
+  try {
+    // Fetch all events from event table for dropdown
+    const eventsData = await db('event')
+      .select('event_id', 'event_name')
+      .orderBy('event_name');
+
+    // Transform to view-friendly format
+    const events = eventsData.map(e => ({
+      id: e.event_id,
+      name: e.event_name,
+    }));
+
+    res.render('events/instances/form', {
+      formTitle: 'Create Event Instance',
+      formAction: '/events',
+      event: {},
+      events: events || [],
+      venues: await loadVenueOptions(),
+      currentUser: res.locals.currentUser,
+    });
+  } catch (err) {
+    console.error('Error loading events for dropdown:', err);
+    req.session.error = 'Error loading page.';
+    res.redirect('/events/admin');
+  }
+});
+
+// =======================
+// SCHEDULING CONFLICTS
+// =======================
+/**
+ * Scheduling Conflict Detection
+ *
+ * Two event instances conflict when they are at the same event_location (trimmed,
+ * case-insensitive) and their times overlap. Instances without an end time are treated
+ * as lasting DEFAULT_EVENT_DURATION_MINUTES; instances without a location never conflict.
+ *
+ * Saving a conflicting instance (single create/edit, series generation, series-wide edits)
+ * is refused until a manager enters an override reason. Each acknowledged pair is stored
+ * in event_conflict_override and dropped again when either instance moves.
+ *
+ * NOTE: These routes must come BEFORE /events/:id to avoid route conflicts.
+ */
+
+/**
+ * normalizeLocation - Location key used for conflict matching
+ */
+function normalizeLocation(location) {
+  return (location || '').trim().toLowerCase();
+}
+
+/**
+ * instanceEndSql - SQL for an instance's effective end time (see slotEnd)
+ */
+function instanceEndSql(alias) {
+  return `CASE WHEN ${alias}.event_date_end_time > ${alias}.event_date_start_time
+    THEN ${alias}.event_date_end_time
+    ELSE ${alias}.event_date_start_time + interval '${DEFAULT_EVENT_DURATION_MINUTES} minutes' END`;
+}
+
+/**
+ * slotEnd - Effective end of a { start, end } slot; a missing or invalid end means the default length
+ */
+function slotEnd({ start, end }) {
+  return end && end > start ? end : new Date(start.getTime() + DEFAULT_EVENT_DURATION_MINUTES * 60 * 1000);
+}
+
+/**
+ * conflictPairKey - Order-independent key for a pair of instance ids
+ */
+function conflictPairKey(a, b) {
+  return `${Math.min(a, b)}:${Math.max(a, b)}`;
+}
+
+/**
+ * findSchedulingConflicts - Existing instances that overlap proposed slots at the same location
+ *
+ * slots: [{ start, end, location, eventInstanceId, keepOverrides }]. Instances listed in
+ * excludeIds (the ones being saved) are ignored. For slots with keepOverrides (an existing
+ * instance whose time and location did not change), pairs that were already overridden
+ * are not reported again. Pass trx to read inside a transaction.
+ *
+ * Returns [{ slotIndex, id, event_name, time_formatted, location }].
+ */
+async function findSchedulingConflicts(slots, excludeIds = [], trx = db) {
+  const located = slots
+    .map((slot, slotIndex) => ({ ...slot, slotIndex }))
+    .filter(slot => slot.start && normalizeLocation(slot.location));
+  if (located.length === 0) return [];
+
+  const candidates = await trx('event_instance as ei')
+    .join('event as e', 'ei.event_id', 'e.event_id')
+    .whereIn(trx.raw('lower(trim(ei.event_location))'), [...new Set(located.map(s => normalizeLocation(s.location)))])
+    .whereNotIn('ei.event_instance_id', excludeIds)
+    .where('ei.event_date_start_time', '<', new Date(Math.max(...located.map(slotEnd))))
+    .whereRaw(`${instanceEndSql('ei')} > ?`, [new Date(Math.min(...located.map(s => s.start)))])
+    .select('ei.event_instance_id', 'ei.event_date_start_time', 'ei.event_date_end_time', 'ei.event_location', 'e.event_name')
+    .orderBy('ei.event_date_start_time');
+
+  const keepIds = located.filter(s => s.keepOverrides && s.eventInstanceId).map(s => s.eventInstanceId);
+  const overridden = new Set();
+  if (keepIds.length > 0) {
+    const overrides = await trx('event_conflict_override')
+      .whereIn('event_instance_id', keepIds)
+      .orWhereIn('other_event_instance_id', keepIds);
+    overrides.forEach(o => overridden.add(conflictPairKey(o.event_instance_id, o.other_event_instance_id)));
+  }
+
+  const conflicts = [];
+  located.forEach((slot) => {
+    const end = slotEnd(slot);
+    candidates.forEach((c) => {
+      const start = new Date(c.event_date_start_time);
+      const candidateEnd = slotEnd({ start, end: c.event_date_end_time && new Date(c.event_date_end_time) });
+      if (normalizeLocation(c.event_location) !== normalizeLocation(slot.location)) return;
+      if (!(slot.start < candidateEnd && start < end)) return;
+      if (slot.keepOverrides && overridden.has(conflictPairKey(slot.eventInstanceId, c.event_instance_id))) return;
+
+      conflicts.push({
+        slotIndex: slot.slotIndex,
+        id: c.event_instance_id,
+        event_name: c.event_name || 'Event',
+        time_formatted: `${formatDateTime(start)} – ${formatDateTime(candidateEnd)}`,
+        location: c.event_location,
+      });
+    });
+  });
+  return conflicts;
+}
+
+/**
+ * recordConflictOverrides - Stores a manager's override reason for each conflicting pair
+ *
+ * pairs: [[eventInstanceId, otherEventInstanceId], ...]
+ */
+async function recordConflictOverrides(pairs, reason, userId, trx = db) {
+  const rows = {};
+  pairs.forEach(([a, b]) => {
+    rows[conflictPairKey(a, b)] = {
+      event_instance_id: Math.min(a, b),
+      other_event_instance_id: Math.max(a, b),
+      override_reason: reason,
+      override_user_id: userId || null,
+      override_created_at: new Date(),
+    };
+  });
+  if (Object.keys(rows).length === 0) return;
+
+  await trx('event_conflict_override')
+    .insert(Object.values(rows))
+    .onConflict(['event_instance_id', 'other_event_instance_id'])
+    .merge(['override_reason', 'override_user_id', 'override_created_at']);
+}
+
+/**
+ * clearConflictOverrides - Drops overrides involving instances whose time or location changed
+ */
+function clearConflictOverrides(eventInstanceIds, trx = db) {
+  return trx('event_conflict_override')
+    .whereIn('event_instance_id', eventInstanceIds)
+    .orWhereIn('other_event_instance_id', eventInstanceIds)
+    .del();
+}
+
+/**
+ * Scheduling Conflicts - Every overlapping pair that has not finished yet
+ *
+ * ?show=unresolved hides pairs a manager already overrode.
+ */
+app.get('/events/conflicts', requireManager, async (req, res) => {
+  try {
+    const show = req.query.show === 'unresolved' ? 'unresolved' : 'all';
+    const result = await db.raw(`
+      SELECT
+        a.event_instance_id AS a_id, a.event_date_start_time AS a_start, ${instanceEndSql('a')} AS a_end,
+        ea.event_name AS a_name, a.event_location AS location,
+        b.event_instance_id AS b_id, b.event_date_start_time AS b_start, ${instanceEndSql('b')} AS b_end,
+        eb.event_name AS b_name,
+        o.override_reason, o.override_created_at, u.username AS override_username
+      FROM event_instance a
+      JOIN event_instance b
+        ON a.event_instance_id < b.event_instance_id
+        AND lower(trim(a.event_location)) = lower(trim(b.event_location))
+        AND a.event_date_start_time < ${instanceEndSql('b')}
+        AND b.event_date_start_time < ${instanceEndSql('a')}
+      JOIN event ea ON ea.event_id = a.event_id
+      JOIN event eb ON eb.event_id = b.event_id
+      LEFT JOIN event_conflict_override o
+        ON o.event_instance_id = a.event_instance_id AND o.other_event_instance_id = b.event_instance_id
+      LEFT JOIN users u ON u.user_id = o.override_user_id
+      WHERE trim(a.event_location) <> ''
+        AND greatest(${instanceEndSql('a')}, ${instanceEndSql('b')}) > now()
+        ${show === 'unresolved' ? 'AND o.event_conflict_override_id IS NULL' : ''}
+      ORDER BY a.event_date_start_time, b.event_date_start_time
+    `);
+
+    const conflicts = result.rows.map(row => ({
+      location: row.location,
+      first: { id: row.a_id, name: row.a_name || 'Event', time_formatted: `${formatDateTime(row.a_start)} – ${formatDateTime(row.a_end)}` },
+      second: { id: row.b_id, name: row.b_name || 'Event', time_formatted: `${formatDateTime(row.b_start)} – ${formatDateTime(row.b_end)}` },
+      override_reason: row.override_reason,
+      override_by: row.override_username || 'Unknown user',
+      override_at: row.override_created_at ? formatDateTime(row.override_created_at) : '',
+    }));
+
+    res.render('events/conflicts', { conflicts, show });
+  } catch (err) {
+    console.error('Error loading scheduling conflicts:', err);
+    req.session.error = 'Error loading scheduling conflicts.';
+    res.redirect('/events/admin');
+  }
+});
+
+// =======================
+// EVENT SERIES
+// =======================
+/**
+ * Recurring Event Series Routes
+ *
+ * A series is a recurrence rule attached to an event template: weekly, every two weeks or
+ * monthly, ending on an until date or after a number of occurrences, minus exception dates.
+ * Creating a series generates all of its event_instance rows at once. The generated rows are
+ * ordinary instances (registration, check-in, reminders and surveys need nothing special);
+ * event_instance.event_series_id only remembers where they came from.
+ *
+ * Later edits and cancellations apply to "this occurrence", "this and following" or "all
+ * upcoming" occurrences. Occurrences that have already started are left alone by
+ * series-wide changes so attendance history never moves.
+ *
+ * Rule dates and times are wall-clock values in the organization's time zone, matching
+ * the datetime-local inputs used by the single-instance form. Calendar days are carried
+ * around as local-midnight Dates (see parseDateKey) and only become instants in
+ * atTimeOfDay, so a 4:00 PM series stays at 4:00 PM across DST changes.
+ *
+ * NOTE: These routes must come BEFORE /events/:id to avoid route conflicts.
+ */
+
+const SERIES_FREQUENCIES = {
+  weekly: 'Weekly',
+  biweekly: 'Every 2 weeks',
+  monthly: 'Monthly',
+};
+
+const SERIES_MONTHLY_BY = {
+  day_of_month: 'Same day of the month',
+  weekday: 'Same weekday of the month',
+};
+
+const SERIES_SCOPES = {
+  this: 'This occurrence only',
+  following: 'This and following occurrences',
+  all: 'All upcoming occurrences',
+};
+
+const WEEKDAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Upper bound on a single series (two years of weekly sessions)
+const SERIES_MAX_OCCURRENCES = 104;
+
+/**
+ * toDateKey - Formats a calendar day (a local-midnight Date or DATE column) as YYYY-MM-DD
+ *
+ * Accepts Date objects or strings that already start with a YYYY-MM-DD date
+ * (some drivers return DATE columns as strings). Use zonedDateKey for event times.
+ */
+function toDateKey(date) {
+  if (!date) return '';
+  if (typeof date === 'string' && /^\d{4}-\d{2}-\d{2}/.test(date)) return date.slice(0, 10);
+  const d = new Date(date);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+}
+
+/**
+ * parseDateKey - Parses YYYY-MM-DD into a local-midnight Date, or null when invalid
+ */
+function parseDateKey(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec((value || '').trim());
+  if (!match) return null;
+  const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+  return date.getDate() === Number(match[3]) ? date : null;
+}
+
+/**
+ * parseTimeOfDay - Parses HH:MM into minutes after midnight, or null when invalid
+ */
+function parseTimeOfDay(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec((value || '').trim());
+  if (!match || Number(match[1]) > 23 || Number(match[2]) > 59) return null;
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+/**
+ * atTimeOfDay - Instant at the given minutes after midnight on a calendar day, in organization time
+ */
+function atTimeOfDay(date, minutes) {
+  return zonedTimeToDate(date.getFullYear(), date.getMonth() + 1, date.getDate(), 0, minutes);
+}
+
+/**
+ * formatTimeOfDay - Formats minutes after midnight as e.g. "4:30 PM"
+ */
+function formatTimeOfDay(minutes) {
+  return new Date(Date.UTC(2000, 0, 1, 0, minutes))
+    .toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', hour12: true, timeZone: 'UTC' });
+}
+
+/**
+ * nthWeekdayOfMonth - The nth (1-4) weekday of a month; 5 means the last one
+ */
+function nthWeekdayOfMonth(year, month, weekday, nth) {
+  if (nth >= 5) {
+    const last = new Date(year, month + 1, 0);
+    return new Date(year, month, last.getDate() - ((last.getDay() - weekday + 7) % 7));
+  }
+  const first = new Date(year, month, 1);
+  return new Date(year, month, 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7);
+}
+
+/**
+ * ordinalWeek - "1st", "2nd", "3rd", "4th" or "last" for a week-of-month number
+ */
+function ordinalWeek(nth) {
+  return ['1st', '2nd', '3rd', '4th'][nth - 1] || 'last';
+}
+
+/**
+ * seriesCandidateDates - Yields every date matching the rule's pattern from its start date on
+ *
+ * Endless; expandSeriesRule decides when to stop. Monthly "same day" rules skip months that
+ * do not have that day (e.g. the 31st). Monthly "same weekday" rules use the start date's
+ * week of the month, where a start in the 5th week means "last".
+ */
+function* seriesCandidateDates(rule) {
+  const start = rule.startDate;
+
+  if (rule.frequency === 'monthly') {
+    const nth = Math.ceil(start.getDate() / 7);
+    for (let offset = 0; ; offset++) {
+      if (rule.monthlyBy === 'weekday') {
+        yield nthWeekdayOfMonth(start.getFullYear(), start.getMonth() + offset, start.getDay(), nth);
+      } else {
+        const date = new Date(start.getFullYear(), start.getMonth() + offset, start.getDate());
+        if (date.getDate() === start.getDate()) yield date;
+      }
+    }
+  }
+
+  const interval = rule.frequency === 'biweekly' ? 2 : 1;
+  const weekStart = new Date(start.getFullYear(), start.getMonth(), start.getDate() - start.getDay());
+  for (let week = 0; ; week += interval) {
+    for (const weekday of rule.weekdays) {
+      const date = new Date(weekStart.getFullYear(), weekStart.getMonth(), weekStart.getDate() + week * 7 + weekday);
+      if (date >= start) yield date;
+    }
+  }
+}
+
+/**
+ * expandSeriesRule - Expands a recurrence rule into occurrence dates (local midnight)
+ *
+ * Exception dates are skipped and do not count toward the occurrence count, so "10 sessions"
+ * always produces ten sessions. Returns { dates, truncated }, where truncated means an
+ * until-date rule would run past SERIES_MAX_OCCURRENCES.
+ */
+function expandSeriesRule(rule) {
+  const dates = [];
+  for (const date of seriesCandidateDates(rule)) {
+    if (rule.untilDate && date > rule.untilDate) break;
+    if (rule.exceptions.includes(toDateKey(date))) continue;
+    if (dates.length === SERIES_MAX_OCCURRENCES) return { dates, truncated: true };
+    dates.push(date);
+    if (dates.length === rule.count) break;
+  }
+  return { dates, truncated: false };
+}
+
+/**
+ * parseExceptionDates - Splits a textarea of dates (one per line or comma-separated)
+ *
+ * Returns { dates } with sorted, de-duplicated YYYY-MM-DD keys, or { error } naming the
+ * first entry that is not a valid date.
+ */
+function parseExceptionDates(value) {
+  const entries = (value || '').split(/[\n,]/).map(e => e.trim()).filter(Boolean);
+  const invalid = entries.find(e => !parseDateKey(e));
+  if (invalid) return { error: `"${invalid}" is not a valid exception date. Use YYYY-MM-DD.` };
+  return { dates: [...new Set(entries)].sort() };
+}
+
+/**
+ * parseSeriesForm - Validates the series form and builds the recurrence rule
+ *
+ * Returns { values } (the submitted form, normalized for re-rendering) plus either
+ * { rule } or { error }. The venue and capacity need a lookup, so the route adds
+ * location, venueId and capacity to the rule.
+ */
+function parseSeriesForm(body) {
+  const weekdays = [].concat(body.weekdays || []).map(Number)
+    .filter(d => Number.isInteger(d) && d >= 0 && d <= 6);
+  const values = {
+    frequency: body.frequency || 'weekly',
+    weekdays: [...new Set(weekdays)].sort((a, b) => a - b),
+    monthly_by: body.monthly_by || 'day_of_month',
+    start_date: (body.start_date || '').trim(),
+    start_time: (body.start_time || '').trim(),
+    end_time: (body.end_time || '').trim(),
+    until_date: (body.until_date || '').trim(),
+    count: (body.count || '').trim(),
+    exception_dates: body.exception_dates || '',
+    venue_id: (body.venue_id || '').trim(),
+    capacity: (body.capacity || '').trim(),
+    override_reason: (body.override_reason || '').trim(),
+  };
+
+  if (!SERIES_FREQUENCIES[values.frequency]) return { values, error: 'Please choose how often the event repeats.' };
+  if (values.frequency === 'monthly' && !SERIES_MONTHLY_BY[values.monthly_by]) {
+    return { values, error: 'Please choose how monthly dates are picked.' };
+  }
+
+  const startDate = parseDateKey(values.start_date);
+  if (!startDate) return { values, error: 'A valid first date is required.' };
+
+  const startMinutes = parseTimeOfDay(values.start_time);
+  if (startMinutes === null) return { values, error: 'A valid start time is required.' };
+
+  let durationMinutes = null;
+  if (values.end_time) {
+    const endMinutes = parseTimeOfDay(values.end_time);
+    if (endMinutes === null || endMinutes <= startMinutes) {
+      return { values, error: 'End time must be after the start time.' };
+    }
+    durationMinutes = endMinutes - startMinutes;
+  }
+
+  const untilDate = values.until_date ? parseDateKey(values.until_date) : null;
+  if (values.until_date && !untilDate) return { values, error: 'The end date is not a valid date.' };
+  if (untilDate && untilDate < startDate) return { values, error: 'The end date must be on or after the first date.' };
+
+  const count = values.count ? Number(values.count) : null;
+  if (values.count && (!Number.isInteger(count) || count < 1 || count > SERIES_MAX_OCCURRENCES)) {
+    return { values, error: `Number of occurrences must be between 1 and ${SERIES_MAX_OCCURRENCES}.` };
+  }
+  if (!untilDate && !count) return { values, error: 'Choose an end date or a number of occurrences.' };
+
+  const exceptions = parseExceptionDates(values.exception_dates);
+  if (exceptions.error) return { values, error: exceptions.error };
+
+  // Weekly rules default to the first date's weekday when none are ticked
+  if (values.frequency !== 'monthly' && values.weekdays.length === 0) {
+    values.weekdays = [startDate.getDay()];
+  }
+
+  return {
+    values,
+    rule: {
+      frequency: values.frequency,
+      weekdays: values.weekdays,
+      monthlyBy: values.frequency === 'monthly' ? values.monthly_by : null,
+      startDate,
+      startMinutes,
+      durationMinutes,
+      untilDate,
+      count,
+      exceptions: exceptions.dates,
+    },
+  };
+}
+
+/**
+ * describeSeries - One-line summary of a stored series rule
+ *
+ * e.g. "Weekly on Tuesday, Thursday at 4:00 PM, until Dec 15, 2026"
+ */
+function describeSeries(series) {
+  const startDate = parseDateKey(toDateKey(series.series_start_date));
+  const parts = [SERIES_FREQUENCIES[series.series_frequency] || 'Repeats'];
+
+  if (series.series_frequency === 'monthly') {
+    parts.push(series.series_monthly_by === 'weekday'
+      ? `on the ${ordinalWeek(Math.ceil(startDate.getDate() / 7))} ${WEEKDAY_NAMES[startDate.getDay()]}`
+      : `on day ${startDate.getDate()}`);
+  } else {
+    const weekdays = (series.series_weekdays || '').split(',').filter(Boolean).map(Number);
+    parts.push(`on ${weekdays.map(d => WEEKDAY_NAMES[d]).join(', ')}`);
+  }
+
+  parts.push(`at ${formatTimeOfDay(parseTimeOfDay(series.series_start_time))}`);
+
+  let summary = parts.join(' ');
+  if (series.series_until_date) summary += `, until ${formatCalendarDate(toDateKey(series.series_until_date))}`;
+  if (series.series_count) summary += `, ${series.series_count} occurrence${series.series_count !== 1 ? 's' : ''}`;
+  return summary;
+}
+
+/**
+ * buildSeriesInstances - event_instance rows for a parsed rule and its expanded dates
+ */
+function buildSeriesInstances(rule, dates, { eventId, eventSeriesId = null, defaultCapacity = null }) {
+  return dates.map(date => {
+    const start = atTimeOfDay(date, rule.startMinutes);
+    return {
+      event_id: eventId,
+      event_series_id: eventSeriesId,
+      event_date_start_time: start,
+      event_date_end_time: rule.durationMinutes !== null ? atTimeOfDay(date, rule.startMinutes + rule.durationMinutes) : null,
+      event_location: rule.location,
+      venue_id: rule.venueId,
+      event_capacity: rule.capacity !== null ? rule.capacity : defaultCapacity,
+    };
+  });
+}
+
+/**
+ * applyOccurrenceTimes - Start and end for a series occurrence after another one was edited
+ *
+ * The edit carries over as "same day shift, same start time, same length", so moving one
+ * Tuesday 4:00 PM session to Wednesday 5:00 PM moves every targeted session the same way.
+ */
+function applyOccurrenceTimes(target, original, start, end) {
+  const dayOf = (date) => parseDateKey(zonedDateKey(date));
+  const dayShift = Math.round((dayOf(start) - dayOf(original.event_date_start_time)) / 86400000);
+  const targetDay = dayOf(target.event_date_start_time);
+  const startParts = zonedParts(start);
+  const newStart = atTimeOfDay(
+    new Date(targetDay.getFullYear(), targetDay.getMonth(), targetDay.getDate() + dayShift),
+    startParts.hour * 60 + startParts.minute
+  );
+  return {
+    event_date_start_time: newStart,
+    event_date_end_time: end ? new Date(newStart.getTime() + (end - start)) : target.event_date_end_time,
+  };
+}
+
+/**
+ * loadSeriesScope - Instances affected by a change to one occurrence of a series
+ *
+ * 'this' is just the occurrence. 'following' adds later occurrences of the series and 'all'
+ * adds every upcoming one; in both cases occurrences that already started (other than the
+ * one being changed) are left out.
+ */
+async function loadSeriesScope(eventInstance, scope, trx = db) {
+  if (scope === 'this' || !eventInstance.event_series_id) return [eventInstance];
+
+  const query = trx('event_instance')
+    .where('event_series_id', eventInstance.event_series_id)
+    .where(function() {
+      this.where('event_date_start_time', '>', new Date())
+        .orWhere('event_instance_id', eventInstance.event_instance_id);
+    })
+    .orderBy('event_date_start_time');
+
+  if (scope === 'following') {
+    query.where('event_date_start_time', '>=', eventInstance.event_date_start_time);
+  }
+  return query;
+}
+
+/**
+ * cancelEventOccurrences - Deletes upcoming occurrences and emails everyone registered
+ *
+ * Registrations, tokens and notification jobs go with the instances (ON DELETE CASCADE).
+ * Cancelled dates are added to the series' exception dates so the series page keeps a
+ * record of them. Returns the number of cancelled occurrences.
+ */
+async function cancelEventOccurrences(instances, baseUrl) {
+  const ids = instances.map(i => i.event_instance_id);
+  if (ids.length === 0) return 0;
+
+  await db.transaction(async (trx) => {
+    const registrations = await trx('event_registration as er')
+      .join('participant as p', 'er.participant_id', 'p.participant_id')
+      .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .whereIn('er.event_instance_id', ids)
+      .whereRaw("coalesce(er.registration_status, 'registered') <> 'cancelled'")
+      .whereNotNull('p.participant_email')
+      .select('p.participant_email', 'p.participant_first_name', 'e.event_name', 'ei.event_date_start_time', 'ei.event_location');
+
+    for (const reg of registrations) {
+      await queueEmail({
+        to: reg.participant_email,
+        subject: `Cancelled: ${reg.event_name} on ${formatDateShort(reg.event_date_start_time)}`,
+        template: 'event_cancelled',
+        data: {
+          firstName: reg.participant_first_name,
+          eventName: reg.event_name,
+          eventDate: formatDateTime(reg.event_date_start_time),
+          location: reg.event_location || 'TBD',
+          eventsUrl: `${baseUrl}/events`,
+        },
+      }, trx);
+    }
+
+    const bySeries = {};
+    instances.filter(i => i.event_series_id).forEach(i => {
+      (bySeries[i.event_series_id] = bySeries[i.event_series_id] || []).push(zonedDateKey(i.event_date_start_time));
+    });
+    for (const [seriesId, dates] of Object.entries(bySeries)) {
+      const series = await trx('event_series').where('event_series_id', seriesId).first();
+      const existing = (series.series_exception_dates || '').split(',').filter(Boolean);
+      await trx('event_series').where('event_series_id', seriesId).update({
+        series_exception_dates: [...new Set([...existing, ...dates])].sort().join(','),
+      });
+    }
+
+    await trx('event_instance').whereIn('event_instance_id', ids).del();
+  });
+
+  processOutbox().catch(err => console.error('Error processing email outbox:', err));
+  return ids.length;
+}
+
+/**
+ * seriesFormViewModel - Shared locals for the series form
+ */
+function seriesFormViewModel(template, values, extra = {}) {
+  return {
+    template: { id: template.event_id, name: template.event_name, default_capacity: template.event_default_capacity },
+    values,
+    frequencies: SERIES_FREQUENCIES,
+    monthlyBy: SERIES_MONTHLY_BY,
+    weekdayNames: WEEKDAY_NAMES,
+    maxOccurrences: SERIES_MAX_OCCURRENCES,
+    preview: null,
+    conflicts: [],
+    ...extra,
+  };
+}
+
+/**
+ * New Series Form - Recurrence rule form for an event template
+ */
+app.get('/events/templates/:id/series/new', requireManager, async (req, res) => {
+  try {
+    const template = await db('event').where({ event_id: req.params.id }).first();
+    if (!template) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    res.render('events/series/form', seriesFormViewModel(template, {
+      frequency: 'weekly',
+      weekdays: [],
+      monthly_by: 'day_of_month',
+      exception_dates: '',
+    }, { venues: await loadVenueOptions() }));
+  } catch (err) {
+    console.error('Error loading series form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect(`/events/templates/${req.params.id}`);
+  }
+});
+
+/**
+ * Preview / Create Series - Expands the rule and generates every occurrence in one step
+ *
+ * The "Preview dates" button re-renders the form with the dates that would be created.
+ * Validation problems re-render the form too, so a long rule never has to be retyped.
+ */
+app.post('/events/templates/:id/series', requireManager, async (req, res) => {
+  try {
+    const template = await db('event').where({ event_id: req.params.id }).first();
+    if (!template) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    const venues = await loadVenueOptions();
+    const { values, rule, error } = parseSeriesForm(req.body);
+    const renderForm = (extra) => res.render('events/series/form', seriesFormViewModel(template, values, { venues, ...extra }));
+    if (error) return renderForm({ error });
+
+    // Every occurrence is held at the chosen venue, within its max capacity
+    const { venue, error: venueError } = await findVenue(values.venue_id);
+    if (venueError) return renderForm({ error: venueError });
+    const { capacity, error: capacityError } = resolveEventCapacity(values.capacity, venue, template.event_default_capacity);
+    if (capacityError) return renderForm({ error: capacityError });
+    rule.location = formatVenueLabel(venue);
+    rule.venueId = venue ? venue.venue_id : null;
+    rule.capacity = capacity;
+
+    const { dates, truncated } = expandSeriesRule(rule);
+    if (truncated) {
+      return renderForm({ error: `This rule produces more than ${SERIES_MAX_OCCURRENCES} occurrences. Choose an earlier end date.` });
+    }
+    if (dates.length === 0) return renderForm({ error: 'This rule does not produce any dates.' });
+
+    const instances = buildSeriesInstances(rule, dates, {
+      eventId: template.event_id,
+      defaultCapacity: template.event_default_capacity,
+    });
+
+    const conflicts = await findSchedulingConflicts(instances.map(i => ({
+      start: i.event_date_start_time,
+      end: i.event_date_end_time,
+      location: i.event_location,
+    })));
+    const overrideReason = (req.body.override_reason || '').trim();
+
+    if (req.body.preview) {
+      return renderForm({
+        conflicts,
+        preview: instances.map((i, index) => ({
+          start_time_formatted: formatDateTime(i.event_date_start_time),
+          weekday: WEEKDAY_NAMES[zonedParts(i.event_date_start_time).weekday],
+          conflicts: conflicts.filter(c => c.slotIndex === index),
+        })),
+      });
+    }
+
+    if (conflicts.length > 0 && !overrideReason) {
+      const conflictingDates = new Set(conflicts.map(c => c.slotIndex)).size;
+      return renderForm({
+        conflicts,
+        error: `${conflictingDates} of these dates ${conflictingDates === 1 ? 'overlaps' : 'overlap'} other events at the same location. Preview the dates to see which, or give a reason to book them anyway.`,
+      });
+    }
+
+    const seriesId = await db.transaction(async (trx) => {
+      const [series] = await trx('event_series').insert({
+        event_id: template.event_id,
+        series_frequency: rule.frequency,
+        series_weekdays: rule.frequency === 'monthly' ? null : rule.weekdays.join(','),
+        series_monthly_by: rule.monthlyBy,
+        series_start_date: values.start_date,
+        series_start_time: values.start_time,
+        series_duration_minutes: rule.durationMinutes,
+        series_until_date: values.until_date || null,
+        series_count: rule.count,
+        series_exception_dates: rule.exceptions.join(',') || null,
+        series_location: rule.location,
+        venue_id: rule.venueId,
+        series_capacity: rule.capacity,
+      }).returning('event_series_id');
+
+      const inserted = await trx('event_instance')
+        .insert(instances.map(i => ({ ...i, event_series_id: series.event_series_id })))
+        .returning('event_instance_id');
+
+      await recordConflictOverrides(
+        conflicts.map(c => [inserted[c.slotIndex].event_instance_id, c.id]),
+        overrideReason,
+        req.session.user.id,
+        trx
+      );
+      return series.event_series_id;
+    });
+
+    req.session.success = `Series created with ${instances.length} occurrence${instances.length !== 1 ? 's' : ''}.`;
+    res.redirect(`/events/series/${seriesId}`);
+  } catch (err) {
+    console.error('Error creating event series:', err);
+    req.session.error = 'Error creating event series.';
+    res.redirect(`/events/templates/${req.params.id}`);
+  }
+});
+
+/**
+ * Show Series - Rule summary and every occurrence, past and upcoming
+ */
+app.get('/events/series/:id', requireLogin, async (req, res) => {
+  try {
+    const seriesData = await db('event_series as es')
+      .join('event as e', 'es.event_id', 'e.event_id')
+      .where('es.event_series_id', req.params.id)
+      .select('es.*', 'e.event_name', 'e.event_type')
+      .first();
+
+    if (!seriesData) {
+      req.session.error = 'Series not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const occurrencesData = await db('event_instance as ei')
+      .where('ei.event_series_id', seriesData.event_series_id)
+      .select(
+        'ei.*',
+        db.raw(`(
+          SELECT count(*)
+          FROM event_registration er
+          WHERE er.event_instance_id = ei.event_instance_id
+          AND ${ACTIVE_REGISTRATION_SQL}
+        ) as registrations_count`)
+      )
+      .orderBy('ei.event_date_start_time');
+
+    const now = new Date();
+    const series = {
+      id: seriesData.event_series_id,
+      event_id: seriesData.event_id,
+      event_name: seriesData.event_name,
+      event_type: seriesData.event_type || '-',
+      summary: describeSeries(seriesData),
+      location: seriesData.series_location || 'TBD',
+      capacity: seriesData.series_capacity,
+      duration: seriesData.series_duration_minutes,
+      exception_dates: (seriesData.series_exception_dates || '').split(',').filter(Boolean)
+        .map(d => formatCalendarDate(d)),
+    };
+
+    const occurrences = occurrencesData.map(o => ({
+      id: o.event_instance_id,
+      start_time_formatted: formatDateTime(o.event_date_start_time),
+      location: o.event_location || 'TBD',
+      capacity: o.event_capacity,
+      registrations: parseInt(o.registrations_count) || 0,
+      is_past: new Date(o.event_date_start_time) <= now,
+    }));
+    series.upcoming_count = occurrences.filter(o => !o.is_past).length;
+
+    res.render('events/series/show', { series, occurrences });
+  } catch (err) {
+    console.error('Error fetching event series:', err);
+    req.session.error = 'Error loading series.';
+    res.redirect('/events/admin');
+  }
+});
+
+/**
+ * Cancel Occurrences - Cancels one occurrence, it and the following ones, or all upcoming ones
+ *
+ * Only upcoming occurrences can be cancelled; registered participants are emailed.
+ * Instances that are not part of a series only support 'this'.
+ */
+app.post('/events/:id/cancel', requireManager, async (req, res) => {
+  try {
+    const eventInstance = await db('event_instance').where({ event_instance_id: req.params.id }).first();
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const scope = SERIES_SCOPES[req.body.scope] ? req.body.scope : 'this';
+    if (scope === 'this' && new Date(eventInstance.event_date_start_time) <= new Date()) {
+      req.session.error = 'This occurrence has already started and cannot be cancelled.';
+      return res.redirect(`/events/${eventInstance.event_instance_id}`);
+    }
+
+    const now = new Date();
+    const targets = (await loadSeriesScope(eventInstance, scope))
+      .filter(i => new Date(i.event_date_start_time) > now);
+    const cancelled = await cancelEventOccurrences(targets, getBaseUrl(req));
+
+    req.session.success = cancelled > 0
+      ? `${cancelled} occurrence${cancelled !== 1 ? 's' : ''} cancelled. Registered participants have been notified.`
+      : 'There were no upcoming occurrences to cancel.';
+    res.redirect(eventInstance.event_series_id ? `/events/series/${eventInstance.event_series_id}` : '/events/admin');
+  } catch (err) {
+    console.error('Error cancelling event occurrences:', err);
+    req.session.error = 'Error cancelling event.';
+    res.redirect(`/events/${req.params.id}`);
+  }
+});
+
+// =======================
+// EVENT TEMPLATES MAINTENANCE
+// =======================
+/**
+ * Event Template Maintenance Routes
+ * 
+ * Manages event templates (event definitions in the event table) separately from event instances.
+ * Templates define reusable event definitions that can be used to create multiple event instances.
+ * 
+ * NOTE: These routes must come BEFORE /events/:id to avoid route conflicts.
+ */
+
+/**
+ * loadSurveyVersionOptions - Survey versions for the template form's survey dropdown
+ */
+function loadSurveyVersionOptions() {
+  return db('survey_version')
+    .select('survey_version_id as id', 'survey_version_name as name', 'survey_version_is_default as is_default')
+    .orderBy('survey_version_created_at', 'desc');
+}
+
+/**
+ * List Event Templates - Display all event templates
+ */
+app.get('/events/templates', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    let query = db('event').select('*').orderBy('event_name');
+
+    if (q) {
+      query = query.where(function() {
+        this.where('event_name', 'ilike', `%${q}%`)
+          .orWhere('event_type', 'ilike', `%${q}%`)
+          .orWhere('event_description', 'ilike', `%${q}%`);
+      });
+    }
+
+    const templatesData = await query;
+
+    // Transform database columns to view-friendly field names
+    const templates = templatesData.map(t => ({
+      id: t.event_id,
+      name: t.event_name,
+      type: t.event_type || '-',
+      description: t.event_description || '',
+      default_capacity: t.event_default_capacity || '-',
+    }));
+
+    res.render('events/templates/index', { templates, q, currentUser: res.locals.currentUser });
+  } catch (err) {
+    console.error('Error fetching event templates:', err);
+    req.session.error = 'Error loading event templates.';
+    res.render('events/templates/index', { templates: [], q: req.query.q || '', currentUser: res.locals.currentUser });
+  }
+});
+
+/**
+ * New Event Template Form - Display form to create new template
+ * NOTE: This route must come BEFORE /events/templates/:id to avoid route conflicts
+ */
+app.get('/events/templates/new', requireManager, async (req, res) => {
+  try {
+    res.render('events/templates/form', {
+      formTitle: 'Create Event Template',
+      formAction: '/events/templates',
+      template: {},
+      surveyVersions: await loadSurveyVersionOptions(),
+      currentUser: res.locals.currentUser,
+    });
+  } catch (err) {
+    console.error('Error loading event template form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * Show Event Template - Display template details
+ */
+app.get('/events/templates/:id', requireLogin, async (req, res) => {
+  try {
+    const [templateData, instanceCountResult, seriesData] = await Promise.all([
+      db('event as e')
+        .leftJoin('survey_version as sv', 'e.survey_version_id', 'sv.survey_version_id')
+        .where({ 'e.event_id': req.params.id })
+        .select('e.*', 'sv.survey_version_name')
+        .first(),
+      db('event_instance')
+        .where({ event_id: req.params.id })
+        .count('* as count')
+        .first(),
+      db('event_series as es')
+        .where({ 'es.event_id': req.params.id })
+        .select(
+          'es.*',
+          db.raw(`(
+            SELECT count(*)
+            FROM event_instance ei
+            WHERE ei.event_series_id = es.event_series_id
+            AND ei.event_date_start_time > now()
+          ) as upcoming_count`)
+        )
+        .orderBy('es.series_start_date', 'desc')
+    ]);
+
+    if (!templateData) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    // Transform database columns to view-friendly field names
+    const template = {
+      id: templateData.event_id,
+      name: templateData.event_name,
+      type: templateData.event_type || '-',
+      description: templateData.event_description || '',
+      default_capacity: templateData.event_default_capacity || '-',
+      survey_version_id: templateData.survey_version_id,
+      survey_version_name: templateData.survey_version_name || 'Default survey',
+      instances_count: instanceCountResult ? parseInt(instanceCountResult.count) : 0,
+    };
+
+    const series = seriesData.map(es => ({
+      id: es.event_series_id,
+      summary: describeSeries(es),
+      location: es.series_location || 'TBD',
+      upcoming_count: parseInt(es.upcoming_count) || 0,
+    }));
+
+    res.render('events/templates/show', { template, series, currentUser: res.locals.currentUser });
+  } catch (err) {
+    console.error('Error fetching event template:', err);
+    req.session.error = 'Error loading event template.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * Create Event Template - Manager-only route
+ */
+app.post('/events/templates', requireManager, async (req, res) => {
+  try {
+    const { name, type, description, default_capacity, survey_version_id } = req.body;
+
+    if (!name || !name.trim()) {
+      req.session.error = 'Event name is required.';
+      return res.redirect('/events/templates/new');
+    }
+
+    await db('event').insert({
+      event_name: name.trim(),
+      event_type: type ? type.trim() : null,
+      event_description: description ? description.trim() : null,
+      event_default_capacity: default_capacity ? Number(default_capacity) : null,
+      survey_version_id: survey_version_id ? Number(survey_version_id) : null,
+    });
+
+    req.session.success = 'Event template created.';
+    res.redirect('/events/templates');
+  } catch (err) {
+    console.error('Error creating event template:', err);
+    req.session.error = 'Error creating event template.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * Edit Event Template Form - Display form to edit template
+ */
+app.get('/events/templates/:id/edit', requireManager, async (req, res) => {
+  try {
+    const [templateData, surveyVersions] = await Promise.all([
+      db('event')
+        .where({ event_id: req.params.id })
+        .first(),
+      loadSurveyVersionOptions(),
+    ]);
+
+    if (!templateData) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    // Transform database columns to form-friendly field names
+    const template = {
+      id: templateData.event_id,
+      name: templateData.event_name,
+      type: templateData.event_type || '',
+      description: templateData.event_description || '',
+      default_capacity: templateData.event_default_capacity || '',
+      survey_version_id: templateData.survey_version_id,
+    };
+
+    res.render('events/templates/form', {
+      formTitle: 'Edit Event Template',
+      formAction: `/events/templates/${req.params.id}`,
+      template,
+      surveyVersions,
+      currentUser: res.locals.currentUser,
+    });
+  } catch (err) {
+    console.error('Error fetching event template:', err);
+    req.session.error = 'Error loading event template.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * Update Event Template - Manager-only route
+ */
+app.post('/events/templates/:id', requireManager, async (req, res) => {
+  try {
+    const template = await db('event').where({ event_id: req.params.id }).first();
+    if (!template) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    const { name, type, description, default_capacity, survey_version_id } = req.body;
+
+    if (!name || !name.trim()) {
+      req.session.error = 'Event name is required.';
+      return res.redirect(`/events/templates/${req.params.id}/edit`);
+    }
+
+    await db('event').where({ event_id: req.params.id }).update({
+      event_name: name.trim(),
+      event_type: type ? type.trim() : null,
+      event_description: description ? description.trim() : null,
+      event_default_capacity: default_capacity ? Number(default_capacity) : null,
+      survey_version_id: survey_version_id ? Number(survey_version_id) : null,
+    });
+
+    req.session.success = 'Event template updated.';
+    res.redirect('/events/templates');
+  } catch (err) {
+    console.error('Error updating event template:', err);
+    req.session.error = 'Error updating event template.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * Delete Event Template - Manager-only route
+ */
+app.post('/events/templates/:id/delete', requireManager, async (req, res) => {
+  try {
+    const template = await db('event').where({ event_id: req.params.id }).first();
+    if (!template) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/events/templates');
+    }
+
+    // Check if template has any instances
+    const instanceCount = await db('event_instance')
+      .where({ event_id: req.params.id })
+      .count('* as count')
+      .first();
+
+    if (instanceCount && parseInt(instanceCount.count) > 0) {
+      req.session.error = 'Cannot delete event template. This template has event instances associated with it. Please delete or reassign instances before deleting.';
+      return res.redirect('/events/templates');
+    }
+
+    await db('event').where({ event_id: req.params.id }).del();
+    req.session.success = 'Event template deleted.';
+    res.redirect('/events/templates');
+  } catch (err) {
+    console.error('Error deleting event template:', err);
+    req.session.error = 'Error deleting event template.';
+    res.redirect('/events/templates');
+  }
+});
+
+/**
+ * renderEventInstanceFormAgain - Re-renders the instance form with the submitted values
+ *
+ * Used when a save is refused (end before start, scheduling conflicts) so the manager
+ * does not have to retype the form. options: { formTitle, formAction, event, conflicts, error }
+ */
+async function renderEventInstanceFormAgain(res, { formTitle, formAction, event, conflicts = [], error }) {
+  const eventsData = await db('event')
+    .select('event_id', 'event_name')
+    .orderBy('event_name');
+
+  res.render('events/instances/form', {
+    formTitle,
+    formAction,
+    event,
+    events: eventsData.map(e => ({ id: e.event_id, name: e.event_name })),
+    venues: await loadVenueOptions(),
+    conflicts,
+    scopes: SERIES_SCOPES,
+    error,
+    currentUser: res.locals.currentUser,
+  });
+}
+
+/**
+ * Create Event Instance - Manager-only route
+ * 
+ * Creates a new event instance (specific occurrence) linked to an existing event definition.
+ * The event_id is selected from the dropdown, which displays event names from the event table.
+ * 
+ * This design allows multiple instances of the same event (e.g., multiple workshops)
+ * while maintaining a single event definition with common attributes.
+ *
+ * The instance is refused if it ends before it starts, or if it overlaps another instance
+ * at the same location and no override reason was given (see SCHEDULING CONFLICTS).
+ * The location is the chosen venue, and capacity defaults to and may not exceed the
+ * venue's max capacity (see VENUES MAINTENANCE).
+ */
+app.post('/events', requireManager, async (req, res) => {
+  try {
+    const { event_id, start_time, end_time, venue_id, capacity } = req.body;
+    
+    if (!event_id) {
+      req.session.error = 'Please select an event.';
+      return res.redirect('/events/new');
+    }
+
+    // Form times are organization wall-clock times (see Organization Time Zone)
+    const start = start_time ? parseDateTimeLocal(start_time) : new Date();
+    const end = end_time ? parseDateTimeLocal(end_time) : null;
+    const overrideReason = (req.body.override_reason || '').trim();
+    const renderForm = (extra) => renderEventInstanceFormAgain(res, {
+      formTitle: 'Create Event Instance',
+      formAction: '/events',
+      event: { ...req.body },
+      ...extra,
+    });
+
+    if (!start || (end_time && !end)) {
+      return renderForm({ error: 'Please enter a valid start and end date and time.' });
+    }
+    if (end && end <= start) {
+      return renderForm({ error: 'End time must be after the start time.' });
+    }
+
+    const { venue, error: venueError } = await findVenue(venue_id);
+    if (venueError) return renderForm({ error: venueError });
+    const location = formatVenueLabel(venue);
+
+    // Determine capacity: use provided value, or the event's default capacity if blank
+    const eventData = await db('event')
+      .where({ event_id: event_id })
+      .select('event_default_capacity')
+      .first();
+    const { capacity: finalCapacity, error: capacityError } = resolveEventCapacity(
+      capacity,
+      venue,
+      eventData ? eventData.event_default_capacity : null
+    );
+    if (capacityError) return renderForm({ error: capacityError });
+
+    const conflicts = await findSchedulingConflicts([{ start, end, location }]);
+    if (conflicts.length > 0 && !overrideReason) {
+      return renderForm({ conflicts, error: 'This event overlaps another event at the same location. Change the time or location, or give a reason to book it anyway.' });
+    }
+
+    // Create the event_instance (specific occurrence with date/location)
+    await db.transaction(async (trx) => {
+      const [instance] = await trx('event_instance').insert({
+        event_id: event_id,
+        event_date_start_time: start,
+        event_date_end_time: end,
+        event_location: location,
+        venue_id: venue ? venue.venue_id : null,
+        event_capacity: finalCapacity,
+      }).returning('event_instance_id');
+
+      await recordConflictOverrides(
+        conflicts.map(c => [instance.event_instance_id, c.id]),
+        overrideReason,
+        req.session.user.id,
+        trx
+      );
+    });
+
+    req.session.success = conflicts.length > 0
+      ? 'Event instance created. The scheduling conflict override was recorded.'
+      : 'Event instance created.';
+    res.redirect('/events/admin');
+  } catch (err) {
+    console.error('Error creating event instance:', err);
+    req.session.error = 'Error creating event instance.';
+    res.redirect('/events/admin');
+  }
+});
+
+app.get('/events/:id', requireLogin, async (req, res) => {
+  try {
+    const [eventData, registrationsData] = await Promise.all([
+      db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_instance_id', req.params.id)
+        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
+        .first(),
+      db('event_registration as er')
+        .join('participant as p', 'er.participant_id', 'p.participant_id')
+        .where('er.event_instance_id', req.params.id)
+        .select(
+          'p.participant_id',
+          'p.participant_first_name',
+          'p.participant_last_name',
+          'p.participant_email',
+          'er.registration_status',
+          'er.registration_attended_flag',
+          'er.registration_created_at',
+          'er.registration_check_in_time'
+        )
+        .orderBy('er.registration_created_at', 'desc')
+    ]);
+
+    if (!eventData) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const series = eventData.event_series_id
+      ? await db('event_series').where({ event_series_id: eventData.event_series_id }).first()
+      : null;
+
+    // Transform database columns to view-friendly field names
+    const event = {
+      id: eventData.event_instance_id,
+      event_id: eventData.event_id,
+      event_name: eventData.event_name,
+      event_type: eventData.event_type,
+      event_description: eventData.event_description,
+      start_time: eventData.event_date_start_time,
+      end_time: eventData.event_date_end_time,
+      location: eventData.event_location,
+      capacity: eventData.event_capacity,
+      start_time_formatted: formatDateTime(eventData.event_date_start_time),
+      end_time_formatted: eventData.event_date_end_time ? formatDateTime(eventData.event_date_end_time) : '',
+      is_upcoming: new Date(eventData.event_date_start_time) > new Date(),
+      public_url: publicEventPath(eventData.event_instance_id, eventData.event_name),
+      series_id: series ? series.event_series_id : null,
+      series_summary: series ? describeSeries(series) : '',
+    };
+
+    // Waitlist positions follow registration order (oldest first)
+    const waitlistPositions = {};
+    registrationsData
+      .filter(reg => reg.registration_status === 'waitlisted')
+      .sort((a, b) => new Date(a.registration_created_at) - new Date(b.registration_created_at))
+      .forEach((reg, index) => {
+        waitlistPositions[reg.participant_id] = index + 1;
+      });
+
+    // Transform registrations for view
+    const registrations = registrationsData.map(reg => ({
+      participant_id: reg.participant_id,
+      name: `${reg.participant_first_name || ''} ${reg.participant_last_name || ''}`.trim() || 'Unknown',
+      email: reg.participant_email || '-',
+      status: reg.registration_status || '-',
+      waitlist_position: waitlistPositions[reg.participant_id] || null,
+      attended: reg.registration_attended_flag ? 'Yes' : 'No',
+      created_at: reg.registration_created_at ? formatDateTime(reg.registration_created_at) : '-',
+      check_in_time: reg.registration_check_in_time ? formatDateTime(reg.registration_check_in_time) : '-',
+    }));
+
+    event.registered_count = registrationsData.filter(reg => !['waitlisted', 'cancelled'].includes(reg.registration_status)).length;
+    event.waitlist_count = Object.keys(waitlistPositions).length;
+
+    res.render('events/instances/show', { event, registrations, scopes: SERIES_SCOPES, currentUser: res.locals.currentUser });
+  } catch (err) {
+    console.error('Error fetching event:', err);
+    req.session.error = 'Error loading event.';
+    res.redirect('/events/admin');
+  }
+});
+
+/**
+ * Event Check-In Routes
+ *
+ * Attendance capture for a single event instance. These routes are the only place
+ * registration_check_in_time and registration_attended_flag are written, and every
+ * impact statistic (home, impact page, participants list) counts attended registrations.
+ *
+ * Check-in is open to all logged-in users (not just managers) because door volunteers
+ * typically sign in with common user accounts.
+ */
+
+/**
+ * checkInRedirect - Builds the redirect back to check-in mode
+ *
+ * Preserves the search term the volunteer had typed so the list stays filtered
+ * after each check-in / undo round trip.
+ */
+function checkInRedirect(eventInstanceId, q) {
+  const search = q && q.trim() ? `?q=${encodeURIComponent(q.trim())}` : '';
+  return `/events/${eventInstanceId}/check-in${search}`;
+}
+
+/**
+ * Check-In Mode - Searchable list of registrations with one-tap check in / undo
+ *
+ * Lists every registration for the event instance with contact info so volunteers can
+ * find people by name, email, or phone. Filtering happens client-side as you type.
+ */
+app.get('/events/:id/check-in', requireLogin, async (req, res) => {
+  try {
+    const [eventData, registrationsData] = await Promise.all([
+      db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_instance_id', req.params.id)
+        .select('ei.*', 'e.event_name', 'e.event_type')
+        .first(),
+      db('event_registration as er')
+        .join('participant as p', 'er.participant_id', 'p.participant_id')
+        .where('er.event_instance_id', req.params.id)
+        .select(
+          'p.participant_id',
+          'p.participant_first_name',
+          'p.participant_last_name',
+          'p.participant_email',
+          'p.participant_phone',
+          'er.registration_status',
+          'er.registration_attended_flag',
+          'er.registration_check_in_time'
+        )
+        .orderBy('p.participant_last_name', 'asc')
+        .orderBy('p.participant_first_name', 'asc'),
+    ]);
+
+    if (!eventData) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const event = {
+      id: eventData.event_instance_id,
+      event_name: eventData.event_name,
+      event_type: eventData.event_type,
+      location: eventData.event_location,
+      start_time_formatted: formatDateTime(eventData.event_date_start_time),
+    };
+
+    // Transform registrations for view
+    const registrations = registrationsData.map(reg => ({
+      participant_id: reg.participant_id,
+      name: formatParticipantName(reg) || 'Unknown',
+      email: reg.participant_email || '',
+      phone: reg.participant_phone || '',
+      status: reg.registration_status || '-',
+      checked_in: !!reg.registration_attended_flag,
+      check_in_time: reg.registration_check_in_time ? formatDateTime(reg.registration_check_in_time) : '',
+    }));
+
+    const checkedInCount = registrations.filter(r => r.checked_in).length;
+
+    // Set by a walk-in stopped for missing consent; shown once
+    const walkInConsent = req.session.walkInConsent && String(req.session.walkInConsent.eventInstanceId) === String(event.id)
+      ? req.session.walkInConsent
+      : null;
+    delete req.session.walkInConsent;
+
+    res.render('events/instances/check_in', {
+      event,
+      registrations,
+      checkedInCount,
+      walkInConsent,
+      adultAge: ADULT_AGE,
+      q: req.query.q || '',
+    });
+  } catch (err) {
+    console.error('Error loading check-in:', err);
+    req.session.error = 'Error loading check-in.';
+    res.redirect(`/events/${req.params.id}`);
+  }
+});
+
+/**
+ * Check In Participant - Marks a registration as attended with the current time
+ *
+ * A waitlisted or cancelled participant who is checked in at the desk is in the room, so
+ * the registration becomes 'registered' like a walk-in; otherwise it could still be
+ * promoted from the waitlist, or count as attended while cancelled.
+ */
+app.post('/events/:id/check-in/:participant_id', requireLogin, async (req, res) => {
+  const eventInstanceId = req.params.id;
+  try {
+    const updated = await db('event_registration')
+      .where({
+        event_instance_id: eventInstanceId,
+        participant_id: req.params.participant_id,
+      })
+      .update({
+        registration_status: 'registered',
+        registration_attended_flag: true,
+        registration_check_in_time: new Date(),
+      });
+
+    if (!updated) {
+      req.session.error = 'Registration not found.';
+    } else {
+      await applyMilestoneRulesFor(req.params.participant_id);
+      req.session.success = 'Participant checked in.';
+    }
+    res.redirect(checkInRedirect(eventInstanceId, req.body.q));
+  } catch (err) {
+    console.error('Error checking in participant:', err);
+    req.session.error = 'Error checking in participant.';
+    res.redirect(checkInRedirect(eventInstanceId, req.body.q));
+  }
+});
+
+/**
+ * Undo Check-In - Clears the attended flag and check-in time for a registration
+ */
+app.post('/events/:id/check-in/:participant_id/undo', requireLogin, async (req, res) => {
+  const eventInstanceId = req.params.id;
+  try {
+    const updated = await db('event_registration')
+      .where({
+        event_instance_id: eventInstanceId,
+        participant_id: req.params.participant_id,
+      })
+      .update({
+        registration_attended_flag: false,
+        registration_check_in_time: null,
+      });
+
+    if (!updated) {
+      req.session.error = 'Registration not found.';
+    } else {
+      req.session.success = 'Check-in undone.';
+    }
+    res.redirect(checkInRedirect(eventInstanceId, req.body.q));
+  } catch (err) {
+    console.error('Error undoing check-in:', err);
+    req.session.error = 'Error undoing check-in.';
+    res.redirect(checkInRedirect(eventInstanceId, req.body.q));
+  }
+});
+
+/**
+ * Walk-In Registration - Registers and checks in someone who is not on the list
+ *
+ * If an email is given and matches an existing participant, that participant is used;
+ * otherwise a new participant record is created, which needs a name and date of birth.
+ * The registration is created already checked in. Capacity is not enforced here because
+ * the person is already in the room.
+ *
+ * A participant under 18 without a guardian or current consent on file (see
+ * findMissingConsent; a new walk-in has neither) is not checked in straight away: the check-in page lists what is
+ * missing. A manager can check them in anyway (consent_override=1 with an
+ * override_reason), for example after collecting a paper form; each override is recorded
+ * in consent_override with who approved it.
+ */
+app.post('/events/:id/walk-in', requireLogin, async (req, res) => {
+  const eventInstanceId = req.params.id;
+  try {
+    const { first_name, last_name, email, phone, dob } = req.body;
+
+    const eventInstance = await db('event_instance')
+      .where('event_instance_id', eventInstanceId)
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const normalizedEmail = email && email.trim() ? email.trim().toLowerCase() : null;
+    let participant = normalizedEmail
+      ? await db('participant').where('participant_email', normalizedEmail).first()
+      : null;
+    const isNewParticipant = !participant;
+
+    if (isNewParticipant) {
+      if (!first_name || !first_name.trim() || !last_name || !last_name.trim()) {
+        req.session.error = 'First name and last name are required for new walk-ins.';
+        return res.redirect(checkInRedirect(eventInstanceId));
+      }
+      const dobDate = parseDateKey(dob);
+      if (!dobDate || toDateKey(dobDate) > zonedDateKey(new Date())) {
+        req.session.error = 'A valid date of birth is required for new walk-ins.';
+        return res.redirect(checkInRedirect(eventInstanceId));
+      }
+
+      // Saved with the registration below, once the consent check has passed
+      participant = {
+        participant_first_name: first_name.trim(),
+        participant_last_name: last_name.trim(),
+        participant_email: normalizedEmail,
+        participant_phone: phone && phone.trim() ? phone.trim() : null,
+        participant_dob: toDateKey(dobDate),
+        participant_role: 'participant',
+      };
+    }
+
+    let override = null;
+    const missing = await findMissingConsent(participant, zonedDateKey(eventInstance.event_date_start_time));
+    if (missing) {
+      const missingItems = [
+        ...(missing.guardian ? ['No parent or guardian on file'] : []),
+        ...missing.consentTypes.map(type => `No current ${CONSENT_TYPES[type].toLowerCase()} consent`),
+      ];
+      const overrideReason = (req.body.override_reason || '').trim();
+      let stopReason = null;
+      if (req.body.consent_override !== '1') {
+        stopReason = `${formatParticipantName(participant)} is under ${ADULT_AGE} and is missing a guardian or consent. They have not been checked in.`;
+      } else if (req.session.user.role !== 'admin') {
+        stopReason = 'Only a manager can check in a participant whose guardian or consent is missing.';
+      } else if (!overrideReason) {
+        stopReason = 'Give a reason for checking them in without the missing guardian or consent.';
+      }
+
+      if (stopReason) {
+        req.session.walkInConsent = {
+          eventInstanceId: eventInstance.event_instance_id,
+          participantId: participant.participant_id || null,
+          name: formatParticipantName(participant),
+          // Posted again by "Check In Anyway"; a new walk-in has no record to find by email yet
+          form: isNewParticipant
+            ? { first_name: first_name.trim(), last_name: last_name.trim(), email: normalizedEmail || '', phone: phone || '', dob }
+            : { email: normalizedEmail },
+          missing: missingItems,
+        };
+        req.session.error = stopReason;
+        return res.redirect(checkInRedirect(eventInstanceId));
+      }
+      override = {
+        event_instance_id: eventInstance.event_instance_id,
+        override_missing: missingItems.join('; '),
+        override_reason: overrideReason,
+        override_user_id: req.session.user.id,
+      };
+    }
+
+    await db.transaction(async (trx) => {
+      if (isNewParticipant) {
+        [participant] = await trx('participant').insert(participant).returning('*');
+      }
+
+      const existingRegistration = await trx('event_registration')
+        .where({
+          participant_id: participant.participant_id,
+          event_instance_id: eventInstanceId,
+        })
+        .first();
+
+      const now = new Date();
+      if (existingRegistration) {
+        // Already on the list (or waitlist) - they are here, so give them the seat and check them in
+        await trx('event_registration')
+          .where({
+            participant_id: participant.participant_id,
+            event_instance_id: eventInstanceId,
+          })
+          .update({
+            registration_status: 'registered',
+            registration_attended_flag: true,
+            registration_check_in_time: now,
+          });
+      } else {
+        await trx('event_registration').insert({
+          participant_id: participant.participant_id,
+          event_instance_id: eventInstanceId,
+          registration_status: 'registered',
+          registration_attended_flag: true,
+          registration_created_at: now,
+          registration_check_in_time: now,
+        });
+      }
+
+      if (override) await trx('consent_override').insert({ ...override, participant_id: participant.participant_id });
+    });
+
+    await applyMilestoneRulesFor(participant.participant_id);
+    req.session.success = override
+      ? `${formatParticipantName(participant)} checked in as a walk-in. Their guardian or consent is still missing; record it on the participant page.`
+      : `${formatParticipantName(participant)} checked in as a walk-in.`;
+    res.redirect(checkInRedirect(eventInstanceId));
+  } catch (err) {
+    console.error('Error registering walk-in:', err);
+    req.session.error = 'Error registering walk-in.';
+    res.redirect(checkInRedirect(eventInstanceId));
+  }
+});
+
+/**
+ * countKioskCheckIns - Registrations at an event instance that have been checked in
+ */
+async function countKioskCheckIns(eventInstanceId) {
+  const result = await db('event_registration')
+    .where({ event_instance_id: eventInstanceId, registration_attended_flag: true })
+    .count('* as count')
+    .first();
+  return parseInt(result?.count || 0);
+}
+
+/**
+ * Check-In Kiosk - Full-screen page that scans ticket QR codes with the device camera
+ *
+ * Scanning uses the browser's BarcodeDetector where available and falls back to jsQR
+ * (served from node_modules at /vendor/jsQR.js). Handheld scanners that type the code and
+ * press Enter work through the same page. Each scan is posted to the scan route below.
+ */
+app.get('/events/:id/kiosk', requireLogin, async (req, res) => {
+  try {
+    const eventData = await db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where('ei.event_instance_id', req.params.id)
+      .select('ei.event_instance_id', 'ei.event_date_start_time', 'ei.event_location', 'e.event_name')
+      .first();
+
+    if (!eventData) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const [seated, checkedIn] = await Promise.all([
+      countActiveRegistrations(eventData.event_instance_id),
+      countKioskCheckIns(eventData.event_instance_id),
+    ]);
+
+    res.render('events/instances/kiosk', {
+      event: {
+        id: eventData.event_instance_id,
+        name: eventData.event_name || 'Event',
+        start_time_formatted: formatDateTime(eventData.event_date_start_time),
+        location: eventData.event_location || 'TBD',
+      },
+      seated,
+      checkedIn,
+    });
+  } catch (err) {
+    console.error('Error loading check-in kiosk:', err);
+    req.session.error = 'Error loading check-in kiosk.';
+    res.redirect(`/events/${req.params.id}`);
+  }
+});
+
+/**
+ * jsQR - Browser build of the QR decoder used by the kiosk when BarcodeDetector is missing
+ */
+app.get('/vendor/jsQR.js', (req, res) => {
+  res.sendFile(require.resolve('jsqr/dist/jsQR.js'));
+});
+
+/**
+ * Kiosk Scan - Checks in the registration named by a scanned ticket code
+ *
+ * Responds with JSON for the kiosk page: { result, name, status, message, checkedIn },
+ * where result is 'checked_in', 'already' (scanned twice) or 'rejected'. Codes that fail
+ * the signature check, belong to another event instance, or whose registration is
+ * cancelled or still waitlisted are rejected without changing anything.
+ */
+app.post('/events/:id/kiosk/scan', requireLogin, async (req, res) => {
+  const eventInstanceId = Number(req.params.id);
+  const reply = async (result, message, registration = null) => res.json({
+    result,
+    message,
+    name: registration ? formatParticipantName(registration) || 'Unknown' : null,
+    status: registration ? registration.registration_status || 'registered' : null,
+    checkedIn: await countKioskCheckIns(eventInstanceId),
+  });
+
+  try {
+    const ticket = parseTicketCode(req.body.code);
+    if (!ticket) return reply('rejected', 'This is not a valid Ella Rises ticket.');
+
+    const registration = await db('event_registration as er')
+      .join('participant as p', 'er.participant_id', 'p.participant_id')
+      .where({ 'er.event_instance_id': ticket.eventInstanceId, 'er.participant_id': ticket.participantId })
+      .select(
+        'p.participant_first_name',
+        'p.participant_last_name',
+        'er.registration_status',
+        'er.registration_attended_flag',
+        'er.registration_check_in_time'
+      )
+      .first();
+
+    if (ticket.eventInstanceId !== eventInstanceId) {
+      const otherEvent = await db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_instance_id', ticket.eventInstanceId)
+        .select('ei.event_date_start_time', 'e.event_name')
+        .first();
+      const otherLabel = otherEvent
+        ? `${otherEvent.event_name || 'another event'} on ${formatDateTime(otherEvent.event_date_start_time)}`
+        : 'another event';
+      return reply('rejected', `This ticket is for ${otherLabel}.`, registration);
+    }
+
+    if (!registration) return reply('rejected', 'No registration was found for this ticket.');
+    if (registration.registration_status === 'cancelled') {
+      return reply('rejected', 'This registration was cancelled.', registration);
+    }
+    if (registration.registration_status === 'waitlisted') {
+      return reply('rejected', 'On the waitlist and does not have a seat yet. Please see the check-in desk.', registration);
+    }
+
+    // Only flips an unchecked registration, so two kiosks scanning the same code check in once
+    const updated = await db('event_registration')
+      .where({ event_instance_id: eventInstanceId, participant_id: ticket.participantId })
+      .where(function() {
+        this.where('registration_attended_flag', false).orWhereNull('registration_attended_flag');
+      })
+      .update({
+        registration_attended_flag: true,
+        registration_check_in_time: new Date(),
+      });
+
+    if (!updated) {
+      const checkedInAt = registration.registration_check_in_time
+        ? ` at ${formatDateTime(registration.registration_check_in_time)}`
+        : '';
+      return reply('already', `Already checked in${checkedInAt}.`, registration);
+    }
+    await applyMilestoneRulesFor(ticket.participantId);
+    return reply('checked_in', 'Checked in. Welcome!', registration);
+  } catch (err) {
+    console.error('Error scanning ticket:', err);
+    res.status(500).json({ result: 'error', message: 'Error checking in. Please try again.' });
+  }
+});
+
+/**
+ * Event Printouts - Sign-in sheet, name badges and emergency roster
+ *
+ * Each printout is available as a PDF (GET /events/:id/printouts/:kind.pdf, built with
+ * PDFKit) and as printable HTML (GET /events/:id/printouts/:kind). Both are generated
+ * on the server from the registration data alone, so they work without network access.
+ *
+ * Everyone holding a seat is listed (waitlisted and cancelled registrations are left
+ * out), alphabetized by last name. Open to all logged-in users like check-in mode, since
+ * door volunteers print these on event day.
+ */
+const PRINTOUT_KINDS = {
+  'sign-in': 'Sign-In Sheet',
+  badges: 'Name Badges',
+  roster: 'Emergency Roster',
+};
+
+// Blank rows at the end of the sign-in sheet for walk-ins
+const SIGN_IN_BLANK_ROWS = 5;
+
+// Avery 5395 / 8395 name badge sheet: 2 x 4 badges of 3-3/8" x 2-1/3" on US Letter
+const BADGE_LAYOUT = {
+  columns: 2,
+  rows: 4,
+  width: 3.375 * 72,
+  height: 2.3333 * 72,
+  left: 0.6875 * 72,
+  top: 0.5833 * 72,
+  columnPitch: 3.6875 * 72,
+  rowPitch: 2.5 * 72,
+};
+
+/**
+ * loadPrintoutData - Event details and seated participants for a printout
+ *
+ * Returns null when the event instance does not exist.
+ */
+async function loadPrintoutData(eventInstanceId) {
+  const [eventData, participantsData] = await Promise.all([
+    db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where('ei.event_instance_id', eventInstanceId)
+      .select('ei.*', 'e.event_name', 'e.event_type')
+      .first(),
+    db('event_registration as er')
+      .join('participant as p', 'er.participant_id', 'p.participant_id')
+      .leftJoin('guardian as g', function() {
+        this.on('g.participant_id', 'p.participant_id').andOn('g.guardian_is_primary', db.raw('true'));
+      })
+      .where('er.event_instance_id', eventInstanceId)
+      .whereRaw(ACTIVE_REGISTRATION_SQL)
+      .select(
+        'p.participant_id',
+        'p.participant_first_name',
+        'p.participant_last_name',
+        'p.participant_email',
+        'p.participant_phone',
+        'er.registration_attended_flag',
+        'g.guardian_first_name',
+        'g.guardian_last_name',
+        'g.guardian_relationship',
+        'g.guardian_phone',
+        'g.guardian_email'
+      ),
+  ]);
+
+  if (!eventData) return null;
+
+  // Sorted here rather than in SQL so accented names (Álvarez) file under their letter
+  const byName = (value) => (value || '').trim();
+  participantsData.sort((a, b) =>
+    byName(a.participant_last_name).localeCompare(byName(b.participant_last_name), 'en', { sensitivity: 'base' })
+    || byName(a.participant_first_name).localeCompare(byName(b.participant_first_name), 'en', { sensitivity: 'base' }));
+
+  return {
+    event: {
+      id: eventData.event_instance_id,
+      name: eventData.event_name || 'Event',
+      type: eventData.event_type || 'General',
+      location: eventData.event_location || 'TBD',
+      start_time_formatted: formatDateTime(eventData.event_date_start_time),
+      end_time_formatted: eventData.event_date_end_time ? formatDateTime(eventData.event_date_end_time) : '',
+    },
+    participants: participantsData.map(p => ({
+      first_name: (p.participant_first_name || '').trim(),
+      last_name: (p.participant_last_name || '').trim(),
+      // "Last, First" so the sheet reads in the same order it is sorted
+      sort_name: [p.participant_last_name, p.participant_first_name].map(s => (s || '').trim()).filter(Boolean).join(', ') || 'Unknown',
+      email: p.participant_email || '',
+      phone: p.participant_phone || '',
+      // Primary guardian, e.g. "Maria Lopez (Parent) 801-555-0100"
+      guardian: p.guardian_first_name
+        ? `${p.guardian_first_name} ${p.guardian_last_name}${p.guardian_relationship ? ` (${p.guardian_relationship})` : ''} ${p.guardian_phone || p.guardian_email || ''}`.trim()
+        : '',
+      checked_in: !!p.registration_attended_flag,
+    })),
+  };
+}
+
+/**
+ * drawPdfTable - Draws a simple ruled table, repeating the page header and column
+ * headings on every page
+ *
+ * columns: [{ label, width, value(row) }]; drawHeader(doc) prints the page heading.
+ */
+function drawPdfTable(doc, { columns, rows, rowHeight, drawHeader }) {
+  const left = doc.page.margins.left;
+  const bottom = doc.page.height - doc.page.margins.bottom;
+  const tableWidth = columns.reduce((sum, c) => sum + c.width, 0);
+
+  const drawHeadings = () => {
+    drawHeader(doc);
+    const y = doc.y;
+    doc.font('Helvetica-Bold').fontSize(10);
+    let x = left;
+    columns.forEach((c) => {
+      doc.text(c.label, x + 4, y + 4, { width: c.width - 8, lineBreak: false });
+      x += c.width;
+    });
+    doc.moveTo(left, y + 18).lineTo(left + tableWidth, y + 18).lineWidth(1).stroke();
+    doc.y = y + 18;
+    doc.font('Helvetica').fontSize(10);
+  };
+
+  drawHeadings();
+  rows.forEach((row, index) => {
+    if (doc.y + rowHeight > bottom) {
+      doc.addPage();
+      drawHeadings();
+    }
+    const y = doc.y;
+    let x = left;
+    columns.forEach((c) => {
+      doc.text(c.value(row, index), x + 4, y + (rowHeight - 10) / 2, {
+        width: c.width - 8,
+        height: rowHeight - 4,
+        ellipsis: true,
+        lineBreak: false,
+      });
+      x += c.width;
+    });
+    doc.moveTo(left, y + rowHeight).lineTo(left + tableWidth, y + rowHeight).lineWidth(0.5).stroke();
+    doc.y = y + rowHeight;
+  });
+}
+
+/**
+ * writePrintoutPdf - Writes one printout to a PDFKit document
+ */
+function writePrintoutPdf(doc, kind, { event, participants }) {
+  const subtitle = [event.start_time_formatted, event.location].filter(Boolean).join('  •  ');
+  const drawHeader = (title) => (d) => {
+    d.font('Helvetica-Bold').fontSize(16).text(`${event.name} – ${title}`, d.page.margins.left, d.page.margins.top);
+    d.font('Helvetica').fontSize(10).text(subtitle);
+    d.moveDown(0.75);
+  };
+
+  if (kind === 'sign-in') {
+    const blanks = Array.from({ length: SIGN_IN_BLANK_ROWS }, () => null);
+    drawPdfTable(doc, {
+      rows: [...participants, ...blanks],
+      rowHeight: 26,
+      drawHeader: drawHeader(PRINTOUT_KINDS['sign-in']),
+      columns: [
+        { label: '#', width: 28, value: (p, i) => String(i + 1) },
+        { label: 'Name', width: 200, value: p => (p ? p.sort_name : '') },
+        { label: 'Signature', width: 240, value: () => '' },
+        { label: 'Time In', width: 72, value: () => '' },
+      ],
+    });
+    return;
+  }
+
+  if (kind === 'roster') {
+    drawPdfTable(doc, {
+      rows: participants,
+      rowHeight: 22,
+      drawHeader: (d) => {
+        drawHeader(PRINTOUT_KINDS.roster)(d);
+        d.font('Helvetica-Oblique').fontSize(9).text('Confidential – contains contact details. Keep with the event lead and shred afterwards.');
+        d.moveDown(0.5);
+      },
+      columns: [
+        { label: 'Name', width: 170, value: p => p.sort_name },
+        { label: 'Phone', width: 110, value: p => p.phone },
+        { label: 'Email', width: 200, value: p => p.email },
+        { label: 'Guardian Contact', width: 170, value: p => p.guardian },
+        { label: 'Checked In', width: 70, value: p => (p.checked_in ? 'Yes' : '') },
+      ],
+    });
+    if (participants.length === 0) doc.moveDown().text('No one is registered yet.');
+    return;
+  }
+
+  // Name badges: one per participant, laid out on label sheets
+  const perPage = BADGE_LAYOUT.columns * BADGE_LAYOUT.rows;
+  participants.forEach((p, index) => {
+    if (index > 0 && index % perPage === 0) doc.addPage();
+    const slot = index % perPage;
+    const x = BADGE_LAYOUT.left + (slot % BADGE_LAYOUT.columns) * BADGE_LAYOUT.columnPitch;
+    const y = BADGE_LAYOUT.top + Math.floor(slot / BADGE_LAYOUT.columns) * BADGE_LAYOUT.rowPitch;
+    const inner = { width: BADGE_LAYOUT.width - 24, align: 'center', lineBreak: false, ellipsis: true };
+
+    doc.font('Helvetica').fontSize(9).fillColor('#f06292').text('ELLA RISES', x + 12, y + 16, inner);
+    doc.font('Helvetica-Bold').fontSize(26).fillColor('#000').text(p.first_name || p.sort_name, x + 12, y + 50, inner);
+    doc.font('Helvetica').fontSize(14).text(p.first_name ? p.last_name : '', x + 12, y + 88, inner);
+    doc.fontSize(9).fillColor('#555').text(event.name, x + 12, y + BADGE_LAYOUT.height - 28, inner);
+    doc.fillColor('#000');
+  });
+}
+
+/**
+ * Printout PDF - Downloads a sign-in sheet, badge sheet or roster as a PDF
+ */
+app.get('/events/:id/printouts/:kind.pdf', requireLogin, async (req, res) => {
+  try {
+    const kind = req.params.kind;
+    if (!PRINTOUT_KINDS[kind]) {
+      req.session.error = 'Unknown printout.';
+      return res.redirect(`/events/${req.params.id}`);
+    }
+
+    const data = await loadPrintoutData(req.params.id);
+    if (!data) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      layout: kind === 'roster' ? 'landscape' : 'portrait',
+      margin: kind === 'badges' ? 0 : 48,
+      info: { Title: `${data.event.name} – ${PRINTOUT_KINDS[kind]}`, Author: 'Ella Rises' },
+    });
+    res.set('Content-Type', 'application/pdf');
+    res.set('Content-Disposition', `inline; filename="${slugify(data.event.name) || 'event'}-${data.event.id}-${kind}.pdf"`);
+    doc.pipe(res);
+    writePrintoutPdf(doc, kind, data);
+    doc.end();
+  } catch (err) {
+    console.error('Error generating printout PDF:', err);
+    req.session.error = 'Error generating printout.';
+    res.redirect(`/events/${req.params.id}`);
+  }
+});
+
+/**
+ * Printout HTML - Printable page version of the same printouts
+ */
+app.get('/events/:id/printouts/:kind', requireLogin, async (req, res) => {
+  try {
+    const kind = req.params.kind;
+    if (!PRINTOUT_KINDS[kind]) {
+      req.session.error = 'Unknown printout.';
+      return res.redirect(`/events/${req.params.id}`);
+    }
+
+    const data = await loadPrintoutData(req.params.id);
+    if (!data) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    res.render('events/instances/printout', {
+      ...data,
+      kind,
+      title: PRINTOUT_KINDS[kind],
+      blankRows: SIGN_IN_BLANK_ROWS,
+    });
+  } catch (err) {
+    console.error('Error loading printout:', err);
+    req.session.error = 'Error loading printout.';
+    res.redirect(`/events/${req.params.id}`);
+  }
+});
+
+/**
+ * Cancel Registration - Manager-only route
+ *
+ * Marks a registration as cancelled (the row is kept for history) and promotes the
+ * next person on the waitlist into the freed seat.
+ */
+app.post('/events/:id/registrations/:participant_id/cancel', requireManager, async (req, res) => {
+  const eventInstanceId = req.params.id;
+  try {
+    const updated = await db('event_registration')
+      .where({
+        event_instance_id: eventInstanceId,
+        participant_id: req.params.participant_id,
+      })
+      .update({ registration_status: 'cancelled' });
+
+    if (!updated) {
+      req.session.error = 'Registration not found.';
+      return res.redirect(`/events/${eventInstanceId}`);
+    }
+
+    const promotedIds = await promoteWaitlist(eventInstanceId, getBaseUrl(req));
+    req.session.success = promotedIds.length > 0
+      ? `Registration cancelled. ${promotedIds.length} waitlisted participant${promotedIds.length !== 1 ? 's' : ''} promoted.`
+      : 'Registration cancelled.';
+    res.redirect(`/events/${eventInstanceId}`);
+  } catch (err) {
+    console.error('Error cancelling registration:', err);
+    req.session.error = 'Error cancelling registration.';
+    res.redirect(`/events/${eventInstanceId}`);
+  }
+});
+
+app.get('/events/:id/edit', requireManager, async (req, res) => {
+  try {
+    const [eventData, eventsData] = await Promise.all([
+      db('event_instance as ei')
+        .join('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_instance_id', req.params.id)
+        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
+        .first(),
+      db('event')
+        .select('event_id', 'event_name')
+        .orderBy('event_name')
+    ]);
+
+    if (!eventData) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    // Transform events for dropdown
+    const events = eventsData.map(e => ({
+      id: e.event_id,
+      name: e.event_name,
+    }));
+
+    const series = eventData.event_series_id
+      ? await db('event_series').where({ event_series_id: eventData.event_series_id }).first()
+      : null;
+
+    // Transform database columns to form-friendly field names
+    const event = {
+      id: eventData.event_instance_id,
+      event_id: eventData.event_id,
+      start_time: toDateTimeLocal(eventData.event_date_start_time),
+      end_time: toDateTimeLocal(eventData.event_date_end_time),
+      venue_id: eventData.venue_id || '',
+      location: eventData.event_location || '',
+      capacity: eventData.event_capacity ?? '',
+      series_id: series ? series.event_series_id : null,
+      series_summary: series ? describeSeries(series) : '',
+    };
+
+    res.render('events/instances/form', {
+      formTitle: 'Edit Event Instance',
+      formAction: `/events/${req.params.id}`,
+      event,
+      events: events || [],
+      venues: await loadVenueOptions(),
+      scopes: SERIES_SCOPES,
+      currentUser: res.locals.currentUser,
+    });
+  } catch (err) {
+    console.error('Error fetching event:', err);
+    req.session.error = 'Error loading event.';
+    res.redirect('/events/admin');
+  }
+});
+
+app.post('/events/:id', requireManager, async (req, res) => {
+  try {
+    const eventInstance = await db('event_instance').where({ event_instance_id: req.params.id }).first();
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/events/admin');
+    }
+
+    const { event_id, start_time, end_time, venue_id, capacity, apply_to } = req.body;
+
+    if (!event_id) {
+      req.session.error = 'Please select an event.';
+      return res.redirect(`/events/${req.params.id}/edit`);
+    }
+
+    // Occurrences of a series can pass the change on to later ones (see EVENT SERIES)
+    const scope = eventInstance.event_series_id && SERIES_SCOPES[apply_to] ? apply_to : 'this';
+    const targets = await loadSeriesScope(eventInstance, scope);
+
+    // A blank capacity means the venue's max capacity, or no limit without one
+    const { venue, error: venueError } = await findVenue(venue_id);
+    if (venueError) {
+      req.session.error = venueError;
+      return res.redirect(`/events/${req.params.id}/edit`);
+    }
+    const { capacity: newCapacity, error: capacityError } = resolveEventCapacity(capacity, venue);
+    if (capacityError) {
+      req.session.error = capacityError;
+      return res.redirect(`/events/${req.params.id}/edit`);
+    }
+    const location = formatVenueLabel(venue);
+
+    // Check if new capacity is lower than current registrations
+    // Waitlisted and cancelled registrations do not hold a seat, so they are not counted
+    // If capacity is being set (not null/empty), validate it
+    if (newCapacity !== null) {
+      for (const target of targets) {
+        const currentRegistrations = await countActiveRegistrations(target.event_instance_id);
+        // If capacity is being set to a number, it must be at least equal to current registrations
+        if (newCapacity < currentRegistrations) {
+          const occurrence = targets.length > 1 ? ` for the ${formatDateShort(target.event_date_start_time)} occurrence` : '';
+          req.session.error = `Cannot set capacity to ${newCapacity}. There are currently ${currentRegistrations} registered participant${currentRegistrations !== 1 ? 's' : ''}${occurrence}. Capacity must be at least ${currentRegistrations}.`;
+          return res.redirect(`/events/${req.params.id}/edit`);
+        }
+      }
+    }
+
+    // Form times are organization wall-clock times (see Organization Time Zone)
+    const start = start_time ? parseDateTimeLocal(start_time) : new Date(eventInstance.event_date_start_time);
+    const end = end_time ? parseDateTimeLocal(end_time) : eventInstance.event_date_end_time;
+    const overrideReason = (req.body.override_reason || '').trim();
+    const renderForm = async (extra) => {
+      const series = eventInstance.event_series_id
+        ? await db('event_series').where({ event_series_id: eventInstance.event_series_id }).first()
+        : null;
+      return renderEventInstanceFormAgain(res, {
+        formTitle: 'Edit Event Instance',
+        formAction: `/events/${req.params.id}`,
+        event: {
+          ...req.body,
+          id: eventInstance.event_instance_id,
+          series_id: series ? series.event_series_id : null,
+          series_summary: series ? describeSeries(series) : '',
+        },
+        ...extra,
+      });
+    };
+
+    if (!start || (end_time && !end)) {
+      return renderForm({ error: 'Please enter a valid start and end date and time.' });
+    }
+    if (end_time && end <= start) {
+      return renderForm({ error: 'End time must be after the start time.' });
+    }
+
+    // Instances whose time and location stay the same keep their existing conflict overrides
+    const slots = targets.map((target) => {
+      const times = applyOccurrenceTimes(target, eventInstance, start, end);
+      const sameTime = new Date(target.event_date_start_time).getTime() === times.event_date_start_time.getTime()
+        && String(target.event_date_end_time && new Date(target.event_date_end_time).getTime())
+          === String(times.event_date_end_time && new Date(times.event_date_end_time).getTime());
+      return {
+        ...times,
+        start: times.event_date_start_time,
+        end: times.event_date_end_time ? new Date(times.event_date_end_time) : null,
+        location,
+        eventInstanceId: target.event_instance_id,
+        keepOverrides: sameTime && normalizeLocation(location) === normalizeLocation(target.event_location),
+      };
+    });
+
+    const conflicts = (await findSchedulingConflicts(slots, targets.map(t => t.event_instance_id)))
+      .map(c => ({ ...c, occurrence: targets.length > 1 ? formatDateShort(slots[c.slotIndex].start) : null }));
+    if (conflicts.length > 0 && !overrideReason) {
+      return renderForm({ conflicts, error: 'This change overlaps another event at the same location. Change the time or location, or give a reason to book it anyway.' });
+    }
+
+    // Update event_instance table only (event definition is not changed)
+    await db.transaction(async (trx) => {
+      for (const slot of slots) {
+        await trx('event_instance').where({ event_instance_id: slot.eventInstanceId }).update({
+          event_id: event_id,
+          event_date_start_time: slot.event_date_start_time,
+          event_date_end_time: slot.event_date_end_time,
+          event_location: location,
+          venue_id: venue ? venue.venue_id : null,
+          event_capacity: newCapacity,
+        });
+      }
+
+      const movedIds = slots.filter(slot => !slot.keepOverrides).map(slot => slot.eventInstanceId);
+      if (movedIds.length > 0) await clearConflictOverrides(movedIds, trx);
+      await recordConflictOverrides(
+        conflicts.map(c => [slots[c.slotIndex].eventInstanceId, c.id]),
+        overrideReason,
+        req.session.user.id,
+        trx
+      );
+
+      // Keep the series defaults in step when the whole series changed
+      if (scope === 'all') {
+        await trx('event_series').where({ event_series_id: eventInstance.event_series_id }).update({
+          event_id: event_id,
+          series_start_time: toDateTimeLocal(start).slice(11),
+          series_duration_minutes: end ? Math.round((new Date(end) - start) / 60000) : null,
+          series_location: location,
+          venue_id: venue ? venue.venue_id : null,
+          series_capacity: newCapacity,
+        });
+      }
+    });
+
+    // A capacity increase (or removing the limit) may open seats for the waitlist
+    let promotedCount = 0;
+    for (const target of targets) {
+      promotedCount += (await promoteWaitlist(target.event_instance_id, getBaseUrl(req))).length;
+    }
+
+    const updated = targets.length > 1 ? `${targets.length} occurrences updated.` : 'Event instance updated.';
+    req.session.success = promotedCount > 0
+      ? `${updated} ${promotedCount} waitlisted participant${promotedCount !== 1 ? 's' : ''} promoted.`
+      : updated;
+    res.redirect('/events/admin');
+  } catch (err) {
+    console.error('Error updating event instance:', err);
+    req.session.error = 'Error updating event instance.';
+    res.redirect('/events/admin');
+  }
+});
+
+app.post('/events/:id/delete', requireManager, async (req, res) => {
+  try {
+    const eventInstance = await db('event_instance').where({ event_instance_id: req.params.id }).first();
+    if (eventInstance) {
+      await db('event_instance').where({ event_instance_id: req.params.id }).del();
+      // Note: We may want to keep the event if there are other instances
+      // For now, we'll delete it if this is the only instance
+      const otherInstances = await db('event_instance').where({ event_id: eventInstance.event_id }).count('* as count').first();
+      if (otherInstances.count === 0) {
+        await db('event').where({ event_id: eventInstance.event_id }).del();
+      }
+    }
+    req.session.success = 'Event deleted.';
+    res.redirect('/events/admin');
+  } catch (err) {
+    console.error('Error deleting event:', err);
+    req.session.error = 'Error deleting event.';
+    res.redirect('/events/admin');
+  }
+});
+
+// =======================
+// SURVEY DEFINITIONS
+// =======================
+/**
+ * Survey question bank
+ *
+ * Questions belong to a survey version; an event template can pick a version and every
+ * other event uses the default one. A submission records the version it answered, and a
+ * version's questions are locked once it has submissions - to change them, copy the
+ * version. Copies keep question numbers, so the same question can be compared across
+ * versions.
+ *
+ * question_metric tags the questions the site-wide stats are built from ('satisfaction',
+ * 'usefulness', 'recommend'), so nothing depends on a particular question number.
+ */
+const SURVEY_QUESTION_TYPES = {
+  likert_5: { label: 'Rating (1–5)', min: 1, max: 5 },
+  nps_10: { label: 'Likelihood to recommend (0–10)', min: 0, max: 10 },
+  multiple_choice: { label: 'Multiple choice' },
+  free_text: { label: 'Free text' },
+};
+
+const SURVEY_METRICS = {
+  satisfaction: 'Satisfaction',
+  usefulness: 'Usefulness',
+  recommend: 'Recommend',
+};
+
+/**
+ * getSurveyQuestions - Questions of a survey version in display order
+ *
+ * Multiple-choice options are stored one per line and returned as an array.
+ */
+async function getSurveyQuestions(surveyVersionId, trx = db) {
+  const rows = await trx('survey_question')
+    .where({ survey_version_id: surveyVersionId })
+    .orderBy([{ column: 'question_order' }, { column: 'question_number' }]);
+
+  return rows.map(q => ({
+    id: q.survey_question_id,
+    number: q.question_number,
+    text: q.question_text,
+    type: q.question_type,
+    type_label: SURVEY_QUESTION_TYPES[q.question_type]?.label || q.question_type,
+    options: (q.question_options || '').split('\n').map(o => o.trim()).filter(Boolean),
+    metric: q.question_metric,
+    order: q.question_order,
+    required: q.question_required,
+  }));
+}
+
+/**
+ * getSurveyVersionIdForEvent - The survey version an event instance collects
+ *
+ * Uses the event template's version, falling back to the default version.
+ */
+async function getSurveyVersionIdForEvent(eventInstanceId, trx = db) {
+  const eventRow = eventInstanceId
+    ? await trx('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .where('ei.event_instance_id', eventInstanceId)
+      .first('e.survey_version_id')
+    : null;
+
+  if (eventRow && eventRow.survey_version_id) return eventRow.survey_version_id;
+
+  const defaultVersion = await trx('survey_version')
+    .where({ survey_version_is_default: true })
+    .first('survey_version_id');
+  return defaultVersion ? defaultVersion.survey_version_id : null;
+}
+
+/**
+ * parseSurveyAnswers - Validates submitted answers (fields q_<question_number>) against the questions
+ *
+ * Returns { answers, errors }, where answers is a list of { question, value } for every
+ * answered question. Rating values must be in range and choices must be one of the options.
+ */
+function parseSurveyAnswers(questions, body) {
+  const answers = [];
+  const errors = [];
+
+  questions.forEach(question => {
+    const raw = (body[`q_${question.number}`] || '').toString().trim();
+
+    if (!raw) {
+      if (question.required) errors.push(`Please answer "${question.text}".`);
+      return;
+    }
+
+    if (question.type === 'free_text') {
+      answers.push({ question, value: raw });
+      return;
+    }
+
+    const value = Number(raw);
+    const range = question.type === 'multiple_choice'
+      ? { min: 1, max: question.options.length }
+      : SURVEY_QUESTION_TYPES[question.type];
+
+    if (!Number.isInteger(value) || value < range.min || value > range.max) {
+      errors.push(`"${question.text}" needs an answer from ${range.min} to ${range.max}.`);
+      return;
+    }
+    answers.push({ question, value });
+  });
+
+  return { answers, errors };
+}
+
+/**
+ * saveSurveyAnswers - Writes answers for a submission
+ *
+ * Rating and choice answers go to survey_response, free text to survey_comment, both
+ * keyed by the question number.
+ */
+async function saveSurveyAnswers(submissionId, answers, trx = db) {
+  const responses = answers
+    .filter(a => a.question.type !== 'free_text')
+    .map(a => ({ survey_submission_id: submissionId, question_number: a.question.number, question_response: a.value }));
+  const comments = answers
+    .filter(a => a.question.type === 'free_text')
+    .map(a => ({ survey_submission_id: submissionId, comment_number: a.question.number, comment_text: a.value }));
+
+  if (responses.length > 0) {
+    await trx('survey_response').insert(responses);
+  }
+  if (comments.length > 0) {
+    await trx('survey_comment').insert(comments);
+  }
+}
+
+/**
+ * getSurveyAnswerMap - Stored answers of a submission keyed by question number
+ */
+async function getSurveyAnswerMap(submissionId) {
+  const [responses, comments] = await Promise.all([
+    db('survey_response').where({ survey_submission_id: submissionId }).select('question_number', 'question_response'),
+    db('survey_comment').where({ survey_submission_id: submissionId }).select('comment_number', 'comment_text'),
+  ]);
+
+  const answerMap = {};
+  responses.forEach(r => { answerMap[r.question_number] = r.question_response; });
+  comments.forEach(c => { answerMap[c.comment_number] = c.comment_text; });
+  return answerMap;
+}
+
+/**
+ * formatSurveyAnswer - Human-readable answer for the survey show page
+ */
+function formatSurveyAnswer(question, value) {
+  if (value === undefined || value === null || value === '') return null;
+  if (question.type === 'multiple_choice') return question.options[value - 1] || `Option ${value}`;
+  if (question.type === 'likert_5') return `${value} / 5`;
+  if (question.type === 'nps_10') return `${value} / 10`;
+  return value;
+}
+
+/**
+ * surveyMetricResponses - Query over all 1–5 rating responses tagged with a metric
+ *
+ * Used for the site-wide averages on the home, impact and 404 pages, e.g.
+ * surveyMetricResponses('satisfaction').avg('sr.question_response as avg_satisfaction').
+ */
+function surveyMetricResponses(metric) {
+  return db('survey_response as sr')
+    .join('survey_submission as ss', 'sr.survey_submission_id', 'ss.survey_submission_id')
+    .join('survey_question as sq', function() {
+      this.on('sq.survey_version_id', '=', 'ss.survey_version_id')
+        .andOn('sq.question_number', '=', 'sr.question_number');
+    })
+    .where({ 'sq.question_metric': metric, 'sq.question_type': 'likert_5' });
+}
+
+/**
+ * createSurveySubmission - Writes one survey submission with its answers
+ *
+ * Shared by the manager form (POST /surveys) and the public survey (POST /survey/:token):
+ * 1. Creates the survey_submission record linking participant, event and survey version
+ * 2. Writes each answer to survey_response or survey_comment
+ *
+ * Returns the new survey_submission_id.
+ */
+async function createSurveySubmission({ participantId, eventInstanceId, surveyVersionId, answers }, trx = db) {
+  // Create survey submission record (links participant to event)
+  const [submission] = await trx('survey_submission').insert({
+    participant_id: participantId,
+    event_instance_id: eventInstanceId,
+    survey_version_id: surveyVersionId,
+    survey_submission_date: new Date(),
+  }).returning('survey_submission_id');
+
+  await saveSurveyAnswers(submission.survey_submission_id, answers, trx);
+  return submission.survey_submission_id;
+}
+
+// =======================
+// SURVEY ANALYTICS
+// =======================
+/**
+ * Survey analytics per event instance and per event template
+ *
+ * Shows response rate (submissions vs attended registrations), a distribution histogram
+ * and average for every question, free-text answers, a month-by-month trend, and the Net
+ * Promoter Score from the question tagged 'recommend'.
+ *
+ * Questions are matched across survey versions by question number and type, which copied
+ * versions keep, so a template's results stay comparable after its survey is revised.
+ *
+ * NOTE: These routes must come BEFORE /surveys/:id to avoid route conflicts.
+ */
+const SURVEY_COMMENT_LIMIT = 25;
+
+/**
+ * NPS_BUCKETS - Promoter / detractor cut-offs per question type
+ *
+ * 0–10 questions use the standard NPS buckets (9–10 promoters, 0–6 detractors). For the
+ * 1–5 recommend question of older surveys, 5 counts as a promoter and 1–3 as detractors,
+ * the closest equivalent on a five-point scale.
+ */
+const NPS_BUCKETS = {
+  nps_10: { promoterMin: 9, detractorMax: 6 },
+  likert_5: { promoterMin: 5, detractorMax: 3 },
+};
+
+/**
+ * calculateNps - Net Promoter Score from recommend answers
+ *
+ * Takes rows of { question_type, question_response, count }. NPS is the percentage of
+ * promoters minus the percentage of detractors (-100 to 100). Returns null with no answers.
+ */
+function calculateNps(rows) {
+  let promoters = 0;
+  let passives = 0;
+  let detractors = 0;
+
+  rows.forEach(r => {
+    const buckets = NPS_BUCKETS[r.question_type];
+    if (!buckets) return;
+    const count = parseInt(r.count || 1);
+    if (r.question_response >= buckets.promoterMin) promoters += count;
+    else if (r.question_response <= buckets.detractorMax) detractors += count;
+    else passives += count;
+  });
+
+  const total = promoters + passives + detractors;
+  if (total === 0) return null;
+
+  return {
+    score: Math.round(((promoters - detractors) / total) * 100),
+    promoters,
+    passives,
+    detractors,
+    total,
+  };
+}
+
+/**
+ * loadNetPromoterScore - NPS over all recommend answers, optionally for some event instances
+ */
+async function loadNetPromoterScore(eventInstanceIds = null) {
+  let query = db('survey_response as sr')
+    .join('survey_submission as ss', 'sr.survey_submission_id', 'ss.survey_submission_id')
+    .join('survey_question as sq', function() {
+      this.on('sq.survey_version_id', '=', 'ss.survey_version_id')
+        .andOn('sq.question_number', '=', 'sr.question_number');
+    })
+    .where('sq.question_metric', 'recommend')
+    .whereIn('sq.question_type', Object.keys(NPS_BUCKETS));
+
+  if (eventInstanceIds) {
+    query = query.whereIn('ss.event_instance_id', eventInstanceIds);
+  }
+
+  const rows = await query
+    .groupBy('sq.question_type', 'sr.question_response')
+    .select('sq.question_type', 'sr.question_response', db.raw('count(*) as count'));
+  return calculateNps(rows);
+}
+
+/**
+ * getDistributionBuckets - Histogram buckets for a question: [{ value, label }]
+ */
+function getDistributionBuckets(question) {
+  if (question.type === 'multiple_choice') {
+    return question.options.map((option, i) => ({ value: i + 1, label: option }));
+  }
+  const { min, max } = SURVEY_QUESTION_TYPES[question.type];
+  const buckets = [];
+  for (let v = min; v <= max; v++) buckets.push({ value: v, label: String(v) });
+  return buckets;
+}
+
+/**
+ * averageOf - Mean of a list of numbers to one decimal, or null when empty
+ */
+function averageOf(values) {
+  if (values.length === 0) return null;
+  return (values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(1);
+}
+
+/**
+ * buildSurveyAnalytics - All analytics for a set of event instances
+ *
+ * Returns { attendedCount, submissionCount, responseRate, nps, questions, trend }.
+ * Each question has { text, type_label, count, average, distribution, comments };
+ * trend has one row per month of the event date with submissions, satisfaction and
+ * usefulness averages, and NPS.
+ */
+async function buildSurveyAnalytics(eventInstanceIds) {
+  if (eventInstanceIds.length === 0) {
+    return { attendedCount: 0, submissionCount: 0, responseRate: null, nps: null, questions: [], trend: [] };
+  }
+
+  const [attendedResult, submissions, responses, comments] = await Promise.all([
+    db('event_registration')
+      .whereIn('event_instance_id', eventInstanceIds)
+      .where('registration_attended_flag', true)
+      .count('* as count')
+      .first(),
+    db('survey_submission as ss')
+      .join('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
+      .whereIn('ss.event_instance_id', eventInstanceIds)
+      .select('ss.survey_submission_id', 'ss.survey_version_id', 'ei.event_date_start_time'),
+    db('survey_response as sr')
+      .join('survey_submission as ss', 'sr.survey_submission_id', 'ss.survey_submission_id')
+      .whereIn('ss.event_instance_id', eventInstanceIds)
+      .select('sr.survey_submission_id', 'ss.survey_version_id', 'sr.question_number', 'sr.question_response'),
+    db('survey_comment as sc')
+      .join('survey_submission as ss', 'sc.survey_submission_id', 'ss.survey_submission_id')
+      .whereIn('ss.event_instance_id', eventInstanceIds)
+      .orderBy('ss.survey_submission_date', 'desc')
+      .select('ss.survey_version_id', 'sc.comment_number', 'sc.comment_text', 'ss.survey_submission_date'),
+  ]);
+
+  // Question definitions for every version answered; newest version wins for labels and order
+  const versionIds = [...new Set(submissions.map(s => s.survey_version_id).filter(Boolean))].sort((a, b) => b - a);
+  const questionsByVersion = {};
+  for (const versionId of versionIds) {
+    questionsByVersion[versionId] = await getSurveyQuestions(versionId);
+  }
+
+  const questionKey = q => `${q.number}:${q.type}`;
+  const questionStats = new Map();
+  versionIds.forEach(versionId => {
+    questionsByVersion[versionId].forEach(q => {
+      if (!questionStats.has(questionKey(q))) {
+        questionStats.set(questionKey(q), { question: q, values: [], comments: [] });
+      }
+    });
+  });
+
+  const findQuestion = (versionId, number) =>
+    (questionsByVersion[versionId] || []).find(q => q.number === number);
+
+  // Bucket every answer under its question and the month of its event
+  const submissionMonth = {};
+  submissions.forEach(s => {
+    submissionMonth[s.survey_submission_id] = zonedDateKey(s.event_date_start_time).slice(0, 7);
+  });
+
+  const months = {};
+  const npsRows = [];
+  submissions.forEach(s => {
+    const month = submissionMonth[s.survey_submission_id];
+    if (!months[month]) months[month] = { submissions: 0, satisfaction: [], usefulness: [], npsRows: [] };
+    months[month].submissions++;
+  });
+
+  responses.forEach(r => {
+    const question = findQuestion(r.survey_version_id, r.question_number);
+    if (!question || question.type === 'free_text') return;
+    questionStats.get(questionKey(question)).values.push(r.question_response);
+
+    const month = months[submissionMonth[r.survey_submission_id]];
+    if (question.type === 'likert_5' && (question.metric === 'satisfaction' || question.metric === 'usefulness')) {
+      month[question.metric].push(r.question_response);
+    }
+    if (question.metric === 'recommend') {
+      const npsRow = { question_type: question.type, question_response: r.question_response };
+      month.npsRows.push(npsRow);
+      npsRows.push(npsRow);
+    }
+  });
+
+  comments.forEach(c => {
+    const question = findQuestion(c.survey_version_id, c.comment_number);
+    if (!question || question.type !== 'free_text') return;
+    const stats = questionStats.get(questionKey(question));
+    if (stats.comments.length < SURVEY_COMMENT_LIMIT) {
+      stats.comments.push({ text: c.comment_text, date: formatDateShort(c.survey_submission_date) });
+    }
+    stats.values.push(c.comment_text);
+  });
+
+  const questions = [...questionStats.values()].map(({ question, values, comments: questionComments }) => {
+    const result = {
+      text: question.text,
+      type: question.type,
+      type_label: question.type_label,
+      count: values.length,
+      average: null,
+      distribution: [],
+      comments: questionComments,
+    };
+
+    if (question.type !== 'free_text') {
+      const buckets = getDistributionBuckets(question);
+      const max = Math.max(1, ...buckets.map(b => values.filter(v => v === b.value).length));
+      result.distribution = buckets.map(b => {
+        const count = values.filter(v => v === b.value).length;
+        return {
+          label: b.label,
+          count,
+          percent: values.length ? Math.round((count / values.length) * 100) : 0,
+          width: Math.round((count / max) * 100),
+        };
+      });
+      if (question.type !== 'multiple_choice') result.average = averageOf(values);
+    }
+    return result;
+  });
+
+  const trend = Object.keys(months).sort().map(month => {
+    const m = months[month];
+    const [year, monthIndex] = month.split('-').map(Number);
+    return {
+      label: new Date(year, monthIndex - 1, 1).toLocaleDateString('en-US', { month: 'short', year: 'numeric' }),
+      submissions: m.submissions,
+      satisfaction: averageOf(m.satisfaction),
+      usefulness: averageOf(m.usefulness),
+      nps: calculateNps(m.npsRows),
+    };
+  });
+
+  const attendedCount = parseInt(attendedResult?.count || 0);
+
+  return {
+    attendedCount,
+    submissionCount: submissions.length,
+    responseRate: attendedCount > 0 ? Math.round((submissions.length / attendedCount) * 100) : null,
+    nps: calculateNps(npsRows),
+    questions,
+    trend,
+  };
+}
+
+/**
+ * Survey Analytics Index - Pick an event template or event instance
+ */
+app.get('/surveys/analytics', requireLogin, async (req, res) => {
+  try {
+    const [templatesData, instancesData, nps] = await Promise.all([
+      db('event as e')
+        .select(
+          'e.event_id',
+          'e.event_name',
+          'e.event_type',
+          db.raw(`(
+            SELECT count(*)
+            FROM survey_submission ss
+            JOIN event_instance ei ON ss.event_instance_id = ei.event_instance_id
+            WHERE ei.event_id = e.event_id
+          ) as submission_count`)
+        )
+        .orderBy('e.event_name'),
+      db('event_instance as ei')
+        .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+        .where('ei.event_date_start_time', '<=', new Date())
+        .select(
+          'ei.event_instance_id',
+          'ei.event_date_start_time',
+          'e.event_name',
+          db.raw('(SELECT count(*) FROM survey_submission ss WHERE ss.event_instance_id = ei.event_instance_id) as submission_count'),
+          db.raw('(SELECT count(*) FROM event_registration er WHERE er.event_instance_id = ei.event_instance_id AND er.registration_attended_flag = true) as attended_count')
+        )
+        .orderBy('ei.event_date_start_time', 'desc')
+        .limit(50),
+      loadNetPromoterScore(),
+    ]);
+
+    // Transform database columns to view-friendly field names
+    const templates = templatesData.map(t => ({
+      id: t.event_id,
+      name: t.event_name,
+      type: t.event_type || '-',
+      submission_count: parseInt(t.submission_count || 0),
+    }));
+
+    const instances = instancesData.map(i => ({
+      id: i.event_instance_id,
+      name: i.event_name || 'Event',
+      date: formatDateShort(i.event_date_start_time),
+      submission_count: parseInt(i.submission_count || 0),
+      attended_count: parseInt(i.attended_count || 0),
+    }));
+
+    res.render('surveys/analytics/index', { templates, instances, nps });
+  } catch (err) {
+    console.error('Error loading survey analytics:', err);
+    req.session.error = 'Error loading survey analytics.';
+    res.redirect('/surveys');
+  }
+});
+
+/**
+ * Template Analytics - All event instances of an event template combined
+ */
+app.get('/surveys/analytics/templates/:id', requireLogin, async (req, res) => {
+  try {
+    const template = await db('event').where({ event_id: req.params.id }).first();
+    if (!template) {
+      req.session.error = 'Event template not found.';
+      return res.redirect('/surveys/analytics');
+    }
+
+    const instanceIds = await db('event_instance')
+      .where({ event_id: req.params.id })
+      .pluck('event_instance_id');
+    const analytics = await buildSurveyAnalytics(instanceIds);
+
+    res.render('surveys/analytics/show', {
+      heading: template.event_name,
+      subheading: `All ${instanceIds.length} session${instanceIds.length === 1 ? '' : 's'} of this event template`,
+      analytics,
+    });
+  } catch (err) {
+    console.error('Error loading template survey analytics:', err);
+    req.session.error = 'Error loading survey analytics.';
+    res.redirect('/surveys/analytics');
+  }
+});
+
+/**
+ * Event Instance Analytics - One session of an event
+ */
+app.get('/surveys/analytics/events/:id', requireLogin, async (req, res) => {
+  try {
+    const eventInstance = await db('event_instance as ei')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .where('ei.event_instance_id', req.params.id)
+      .select('ei.event_instance_id', 'ei.event_date_start_time', 'e.event_name')
+      .first();
+
+    if (!eventInstance) {
+      req.session.error = 'Event not found.';
+      return res.redirect('/surveys/analytics');
+    }
+
+    const analytics = await buildSurveyAnalytics([eventInstance.event_instance_id]);
+
+    res.render('surveys/analytics/show', {
+      heading: eventInstance.event_name || 'Event',
+      subheading: formatDateTime(eventInstance.event_date_start_time),
+      analytics,
+    });
+  } catch (err) {
+    console.error('Error loading event survey analytics:', err);
+    req.session.error = 'Error loading survey analytics.';
+    res.redirect('/surveys/analytics');
+  }
+});
+
+// =======================
+// SURVEYS MAINTENANCE
+// =======================
+/**
+ * Survey Maintenance Routes
+ *
+ * Per rubric requirements:
+ * - "Can only access if logged in" - Protected by requireLogin
+ * - "Surveys are displayed and navigation works including search" - List with search
+ * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager
+ *
+ * Surveys capture post-event feedback from participants.
+ * Structure:
+ * - `survey_version` / `survey_question`: The question bank (see SURVEY DEFINITIONS above)
+ * - `survey_submission`: Links participant to event with submission date and survey version
+ * - `survey_response`: Rating and multiple-choice answers, keyed by question_number
+ * - `survey_comment`: Free-text answers, keyed by question_number (stored separately per ERD design)
+ */
+
+/**
+ * buildSurveyListQuery - Survey submissions matching the list's search (participant or
+ * event name) and event filter
+ */
+function buildSurveyListQuery({ q = '', event = '' } = {}) {
+  let query = db('survey_submission as ss')
+    .join('participant as p', 'ss.participant_id', 'p.participant_id')
+    .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
+    .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+    .select(
+      'ss.survey_submission_id as id',
+      'ss.survey_submission_date as submitted_at',
+      'p.participant_first_name',
+      'p.participant_last_name',
+      'p.participant_email',
+      'e.event_name as eventName',
+      'ei.event_date_start_time'
+    );
+
+  if (q) {
+    query = query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('e.event_name', 'ilike', `%${q}%`);
+    });
+  }
+
+  if (event) {
+    query = query.where('e.event_name', event);
+  }
+
+  return query.orderBy('ss.survey_submission_date', 'desc').orderBy('ss.survey_submission_id', 'desc');
+}
+
+/**
+ * loadSurveyMetricAnswers - Answers to the metric-tagged questions (satisfaction,
+ * usefulness, recommend) of some submissions: { submissionId: { metric: answer } }
+ */
+async function loadSurveyMetricAnswers(surveyIds, trx = db) {
+  const metricResponses = surveyIds.length > 0 ? await trx('survey_response as sr')
+    .join('survey_submission as ss', 'sr.survey_submission_id', 'ss.survey_submission_id')
+    .join('survey_question as sq', function() {
+      this.on('sq.survey_version_id', '=', 'ss.survey_version_id')
+        .andOn('sq.question_number', '=', 'sr.question_number');
+    })
+    .whereIn('sr.survey_submission_id', surveyIds)
+    .whereNotNull('sq.question_metric')
+    .select('sr.survey_submission_id', 'sq.question_metric', 'sr.question_response') : [];
+
+  const responseMap = {};
+  metricResponses.forEach(r => {
+    if (!responseMap[r.survey_submission_id]) {
+      responseMap[r.survey_submission_id] = {};
+    }
+    responseMap[r.survey_submission_id][r.question_metric] = r.question_response;
+  });
+  return responseMap;
+}
+
+/**
+ * List Surveys - Display all survey submissions with search
+ *
+ * Shows all survey submissions with participant name, event name, and the
+ * satisfaction / usefulness / recommend scores (whichever questions carry those metrics).
+ * Search works across participant name and event name.
+ * Uses complex joins to aggregate data from multiple related tables.
+ */
+app.get('/surveys', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const eventFilter = req.query.event || '';
+
+    // Get list of unique event names for the filter dropdown
+    const eventNames = await db('event')
+      .distinct('event_name')
+      .whereNotNull('event_name')
+      .orderBy('event_name', 'asc')
+      .pluck('event_name');
+
+    const surveysData = await buildSurveyListQuery({ q, event: eventFilter });
+
+    // Look up the metric-tagged answers for the listed submissions
+    const responseMap = await loadSurveyMetricAnswers(surveysData.map(s => s.id));
+
+    // Transform database columns to view-friendly field names
+    const surveys = surveysData.map(s => ({
+      id: s.id,
+      participantName: `${s.participant_first_name || ''} ${s.participant_last_name || ''}`.trim(),
+      eventName: s.eventName || '-',
+      submitted_at: formatDateShort(s.submitted_at),
+      satisfaction: responseMap[s.id]?.satisfaction ?? '-',
+      usefulness: responseMap[s.id]?.usefulness ?? '-',
+      recommend: responseMap[s.id]?.recommend ?? '-',
+    }));
+
+    res.render('surveys/index', { surveys, q, eventFilter, eventNames });
+  } catch (err) {
+    console.error('Error fetching surveys:', err);
+    req.session.error = 'Error loading surveys.';
+    const eventNames = await db('event')
+      .distinct('event_name')
+      .whereNotNull('event_name')
+      .orderBy('event_name', 'asc')
+      .pluck('event_name')
+      .catch(() => []);
+    res.render('surveys/index', { surveys: [], q: req.query.q || '', eventFilter: req.query.event || '', eventNames });
+  }
+});
+
+/**
+ * loadSurveyFormOptions - Participants and event instances for the survey form dropdowns
+ */
+async function loadSurveyFormOptions() {
+  const [participantsRaw, events] = await Promise.all([
+    db('participant').select('participant_id as id', 'participant_first_name', 'participant_last_name').orderBy('participant_last_name'),
+    db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .select('ei.event_instance_id as id', 'e.event_name as name', 'ei.event_date_start_time')
+      .orderBy('ei.event_date_start_time', 'desc')
+  ]);
+
+  // Transform participants for dropdown
+  const participants = participantsRaw.map(p => ({
+    id: p.id,
+    first_name: p.participant_first_name,
+    last_name: p.participant_last_name,
+  }));
+
+  return { participants, events };
+}
+
+/**
+ * New Survey Form - Questions come from the selected event's survey version
+ *
+ * Picking an event reloads the form (?event_id=) so the right questions are shown.
+ */
+/**
+ * Export Surveys - The survey submissions list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/surveys/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'surveys',
+  sheetName: 'Surveys',
+  listPath: '/surveys',
+  query: buildSurveyListQuery({ q: (req.query.q || '').toLowerCase(), event: req.query.event || '' }),
+  loadDetails: (rows, trx) => loadSurveyMetricAnswers(rows.map(s => s.id), trx),
+  columns: [
+    { header: 'Participant', value: s => `${s.participant_first_name || ''} ${s.participant_last_name || ''}`.trim(), width: 24 },
+    { header: 'Participant Email', value: s => s.participant_email, width: 28 },
+    { header: 'Event', value: s => s.eventName, width: 28 },
+    { header: 'Event Date', value: s => formatDateShort(s.event_date_start_time), width: 14 },
+    { header: 'Submitted', value: s => formatDateShort(s.submitted_at), width: 14 },
+    { header: 'Satisfaction', value: (s, answers) => answers[s.id]?.satisfaction, width: 12 },
+    { header: 'Usefulness', value: (s, answers) => answers[s.id]?.usefulness, width: 12 },
+    { header: 'Recommend', value: (s, answers) => answers[s.id]?.recommend, width: 12 },
+  ],
+}));
+
+app.get('/surveys/new', requireManager, async (req, res) => {
+  try {
+    const eventId = req.query.event_id ? Number(req.query.event_id) : null;
+    const [{ participants, events }, surveyVersionId] = await Promise.all([
+      loadSurveyFormOptions(),
+      getSurveyVersionIdForEvent(eventId),
+    ]);
+    const questions = surveyVersionId ? await getSurveyQuestions(surveyVersionId) : [];
+
+    res.render('surveys/form', {
+      formTitle: 'Record Survey',
+      formAction: '/surveys',
+      survey: { event_id: eventId, participant_id: req.query.participant_id ? Number(req.query.participant_id) : null, answers: {} },
+      questions,
+      reloadOnEventChange: true,
+      participants,
+      events,
+    });
+  } catch (err) {
+    console.error('Error loading survey form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/surveys');
+  }
+});
+
+/**
+ * Create Survey - Manager-only route
+ *
+ * Records a submission against the event's survey version (see createSurveySubmission).
+ * This normalized structure allows for flexible survey questions while maintaining
+ * referential integrity.
+ */
+app.post('/surveys', requireManager, async (req, res) => {
+  try {
+    const { participant_id, event_id } = req.body;
+    const surveyVersionId = await getSurveyVersionIdForEvent(Number(event_id));
+    const questions = surveyVersionId ? await getSurveyQuestions(surveyVersionId) : [];
+    const { answers, errors } = parseSurveyAnswers(questions, req.body);
+
+    if (errors.length > 0) {
+      req.session.error = errors.join(' ');
+      return res.redirect(`/surveys/new?event_id=${encodeURIComponent(event_id || '')}&participant_id=${encodeURIComponent(participant_id || '')}`);
+    }
+
+    await db.transaction(trx => createSurveySubmission({
+      participantId: Number(participant_id),
+      eventInstanceId: Number(event_id),
+      surveyVersionId,
+      answers,
+    }, trx));
+    await applyMilestoneRulesFor(participant_id);
+
+    req.session.success = 'Survey recorded.';
+    res.redirect('/surveys');
+  } catch (err) {
+    console.error('Error creating survey:', err);
+    req.session.error = 'Error creating survey.';
+    res.redirect('/surveys');
+  }
+});
+
+app.get('/surveys/:id', requireLogin, async (req, res) => {
+  try {
+    const submission = await db('survey_submission as ss')
+      .join('participant as p', 'ss.participant_id', 'p.participant_id')
+      .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .leftJoin('survey_version as sv', 'ss.survey_version_id', 'sv.survey_version_id')
+      .where('ss.survey_submission_id', req.params.id)
+      .select('ss.*', 'p.*', 'e.event_name as eventName', 'ei.event_instance_id as eventInstanceId', 'sv.survey_version_name')
+      .first();
+
+    if (!submission) {
+      req.session.error = 'Survey not found.';
+      return res.redirect('/surveys');
+    }
+
+    const [questions, answerMap] = await Promise.all([
+      submission.survey_version_id ? getSurveyQuestions(submission.survey_version_id) : [],
+      getSurveyAnswerMap(req.params.id),
+    ]);
+
+    // Transform data for the view
+    const survey = {
+      id: submission.survey_submission_id,
+      version_name: submission.survey_version_name,
+      answers: questions.map(question => ({
+        text: question.text,
+        type: question.type,
+        answer: formatSurveyAnswer(question, answerMap[question.number]),
+      })),
+    };
+
+    const event = submission.eventName ? {
+      name: submission.eventName,
+    } : null;
+
+    const participant = {
+      first_name: submission.participant_first_name,
+      last_name: submission.participant_last_name,
+    };
+
+    res.render('surveys/show', { survey, event, participant });
+  } catch (err) {
+    console.error('Error fetching survey:', err);
+    req.session.error = 'Error loading survey.';
+    res.redirect('/surveys');
+  }
+});
+
+/**
+ * Edit Survey Form - Always shows the questions of the version the submission answered
+ */
+app.get('/surveys/:id/edit', requireManager, async (req, res) => {
+  try {
+    const [submission, { participants, events }] = await Promise.all([
+      db('survey_submission').where({ survey_submission_id: req.params.id }).first(),
+      loadSurveyFormOptions(),
+    ]);
+
+    if (!submission) {
+      req.session.error = 'Survey not found.';
+      return res.redirect('/surveys');
+    }
+
+    const [questions, answers] = await Promise.all([
+      submission.survey_version_id ? getSurveyQuestions(submission.survey_version_id) : [],
+      getSurveyAnswerMap(req.params.id),
+    ]);
+
+    const survey = {
+      id: submission.survey_submission_id,
+      participant_id: submission.participant_id,
+      event_id: submission.event_instance_id,
+      answers,
+    };
+
+    res.render('surveys/form', {
+      formTitle: 'Edit Survey',
+      formAction: `/surveys/${submission.survey_submission_id}`,
+      survey,
+      questions,
+      reloadOnEventChange: false,
+      participants,
+      events,
+    });
+  } catch (err) {
+    console.error('Error loading survey form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/surveys');
+  }
+});
+
+/**
+ * Update Survey - Manager-only route
+ *
+ * Answers are validated against the submission's own survey version and replace the
+ * stored answers in one transaction.
+ */
+app.post('/surveys/:id', requireManager, async (req, res) => {
+  try {
+    const submission = await db('survey_submission').where({ survey_submission_id: req.params.id }).first();
+    if (!submission) {
+      req.session.error = 'Survey not found.';
+      return res.redirect('/surveys');
+    }
+
+    const { participant_id, event_id } = req.body;
+    const questions = submission.survey_version_id ? await getSurveyQuestions(submission.survey_version_id) : [];
+    const { answers, errors } = parseSurveyAnswers(questions, req.body);
+
+    if (errors.length > 0) {
+      req.session.error = errors.join(' ');
+      return res.redirect(`/surveys/${req.params.id}/edit`);
+    }
+
+    await db.transaction(async (trx) => {
+      // Update submission
+      await trx('survey_submission').where({ survey_submission_id: req.params.id }).update({
+        participant_id: Number(participant_id),
+        event_instance_id: Number(event_id),
+      });
+
+      // Replace answers
+      await trx('survey_response').where({ survey_submission_id: req.params.id }).del();
+      await trx('survey_comment').where({ survey_submission_id: req.params.id }).del();
+      await saveSurveyAnswers(submission.survey_submission_id, answers, trx);
+    });
+
+    req.session.success = 'Survey updated.';
+    res.redirect('/surveys');
+  } catch (err) {
+    console.error('Error updating survey:', err);
+    req.session.error = 'Error updating survey.';
+    res.redirect('/surveys');
+  }
+});
+
+app.post('/surveys/:id/delete', requireManager, async (req, res) => {
+  try {
+    await db('survey_comment').where('survey_submission_id', req.params.id).del();
+    await db('survey_response').where('survey_submission_id', req.params.id).del();
+    await db('survey_submission').where({ survey_submission_id: req.params.id }).del();
+    req.session.success = 'Survey deleted.';
+    res.redirect('/surveys');
+  } catch (err) {
+    console.error('Error deleting survey:', err);
+    req.session.error = 'Error deleting survey.';
+    res.redirect('/surveys');
+  }
+});
+
+// =======================
+// SURVEY VERSIONS MAINTENANCE
+// =======================
+/**
+ * Survey Version Routes - Manager-only
+ *
+ * Manage the question bank: create versions (optionally copied from another), add,
+ * edit, reorder and remove questions, and choose the default version. Questions of a
+ * version that already has submissions can be reordered but not changed.
+ */
+
+/**
+ * loadSurveyVersion - A version row plus its submission count, or null
+ */
+async function loadSurveyVersion(id) {
+  const version = await db('survey_version').where({ survey_version_id: id }).first();
+  if (!version) return null;
+
+  const submissionCount = await db('survey_submission')
+    .where({ survey_version_id: id })
+    .count('* as count')
+    .first();
+  return { ...version, submission_count: parseInt(submissionCount?.count || 0) };
+}
+
+/**
+ * parseSurveyQuestionForm - Validates the question form, returns { values, error }
+ */
+function parseSurveyQuestionForm(body) {
+  const text = (body.question_text || '').trim();
+  const type = body.question_type;
+  const options = (body.question_options || '').split('\n').map(o => o.trim()).filter(Boolean);
+  const metric = body.question_metric || null;
+
+  if (!text) return { error: 'Question text is required.' };
+  if (!SURVEY_QUESTION_TYPES[type]) return { error: 'Please choose a question type.' };
+  if (type === 'multiple_choice' && options.length < 2) {
+    return { error: 'Multiple-choice questions need at least two options, one per line.' };
+  }
+  if (metric && !SURVEY_METRICS[metric]) return { error: 'Unknown metric.' };
+  if (metric && type === 'free_text') return { error: 'Free-text questions cannot feed a metric.' };
+
+  return {
+    values: {
+      question_text: text,
+      question_type: type,
+      question_options: type === 'multiple_choice' ? options.join('\n') : null,
+      question_metric: metric,
+      question_required: body.question_required === 'on',
+    },
+  };
+}
+
+/**
+ * List Survey Versions
+ */
+app.get('/survey-versions', requireManager, async (req, res) => {
+  try {
+    const versionsData = await db('survey_version as sv')
+      .select(
+        'sv.*',
+        db.raw('(SELECT count(*) FROM survey_question sq WHERE sq.survey_version_id = sv.survey_version_id) as question_count'),
+        db.raw('(SELECT count(*) FROM survey_submission ss WHERE ss.survey_version_id = sv.survey_version_id) as submission_count'),
+        db.raw('(SELECT count(*) FROM event e WHERE e.survey_version_id = sv.survey_version_id) as template_count')
+      )
+      .orderBy('sv.survey_version_created_at', 'desc');
+
+    // Transform database columns to view-friendly field names
+    const versions = versionsData.map(v => ({
+      id: v.survey_version_id,
+      name: v.survey_version_name,
+      description: v.survey_version_description || '',
+      is_default: v.survey_version_is_default,
+      question_count: parseInt(v.question_count || 0),
+      submission_count: parseInt(v.submission_count || 0),
+      template_count: parseInt(v.template_count || 0),
+      created_at: formatDateShort(v.survey_version_created_at),
+    }));
+
+    res.render('surveys/versions/index', { versions });
+  } catch (err) {
+    console.error('Error fetching survey versions:', err);
+    req.session.error = 'Error loading survey versions.';
+    res.render('surveys/versions/index', { versions: [] });
+  }
+});
+
+/**
+ * New Survey Version Form
+ */
+app.get('/survey-versions/new', requireManager, async (req, res) => {
+  try {
+    const versions = await db('survey_version')
+      .select('survey_version_id as id', 'survey_version_name as name')
+      .orderBy('survey_version_created_at', 'desc');
+
+    res.render('surveys/versions/form', {
+      formTitle: 'New Survey Version',
+      formAction: '/survey-versions',
+      version: { copy_from: req.query.copy_from ? Number(req.query.copy_from) : null },
+      versions,
+    });
+  } catch (err) {
+    console.error('Error loading survey version form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Create Survey Version - Optionally copies every question of another version
+ */
+app.post('/survey-versions', requireManager, async (req, res) => {
+  try {
+    const { name, description, copy_from } = req.body;
+
+    if (!name || !name.trim()) {
+      req.session.error = 'Version name is required.';
+      return res.redirect('/survey-versions/new');
+    }
+
+    const versionId = await db.transaction(async (trx) => {
+      const [version] = await trx('survey_version').insert({
+        survey_version_name: name.trim(),
+        survey_version_description: description ? description.trim() : null,
+      }).returning('survey_version_id');
+
+      if (copy_from) {
+        const questions = await trx('survey_question').where({ survey_version_id: Number(copy_from) });
+        if (questions.length > 0) {
+          await trx('survey_question').insert(questions.map(({ survey_question_id, ...q }) => ({
+            ...q,
+            survey_version_id: version.survey_version_id,
+          })));
+        }
+      }
+
+      return version.survey_version_id;
+    });
+
+    req.session.success = 'Survey version created.';
+    res.redirect(`/survey-versions/${versionId}`);
+  } catch (err) {
+    console.error('Error creating survey version:', err);
+    req.session.error = 'Error creating survey version.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Show Survey Version - Questions, templates using it, and the add-question form
+ */
+app.get('/survey-versions/:id', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    const [questions, templates] = await Promise.all([
+      getSurveyQuestions(req.params.id),
+      db('event')
+        .where({ survey_version_id: req.params.id })
+        .select('event_id as id', 'event_name as name')
+        .orderBy('event_name'),
+    ]);
+
+    const version = {
+      id: versionData.survey_version_id,
+      name: versionData.survey_version_name,
+      description: versionData.survey_version_description || '',
+      is_default: versionData.survey_version_is_default,
+      submission_count: versionData.submission_count,
+      locked: versionData.submission_count > 0,
+    };
+
+    res.render('surveys/versions/show', {
+      version,
+      questions,
+      templates,
+      questionTypes: SURVEY_QUESTION_TYPES,
+      metrics: SURVEY_METRICS,
+    });
+  } catch (err) {
+    console.error('Error fetching survey version:', err);
+    req.session.error = 'Error loading survey version.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Edit Survey Version Form - Name and description only
+ */
+app.get('/survey-versions/:id/edit', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    res.render('surveys/versions/form', {
+      formTitle: 'Edit Survey Version',
+      formAction: `/survey-versions/${req.params.id}`,
+      version: {
+        id: versionData.survey_version_id,
+        name: versionData.survey_version_name,
+        description: versionData.survey_version_description || '',
+      },
+      versions: [],
+    });
+  } catch (err) {
+    console.error('Error loading survey version form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Update Survey Version - Renaming doesn't change what past responses mean, so it is always allowed
+ */
+app.post('/survey-versions/:id', requireManager, async (req, res) => {
+  try {
+    const { name, description } = req.body;
+
+    if (!name || !name.trim()) {
+      req.session.error = 'Version name is required.';
+      return res.redirect(`/survey-versions/${req.params.id}/edit`);
+    }
+
+    await db('survey_version').where({ survey_version_id: req.params.id }).update({
+      survey_version_name: name.trim(),
+      survey_version_description: description ? description.trim() : null,
+    });
+
+    req.session.success = 'Survey version updated.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  } catch (err) {
+    console.error('Error updating survey version:', err);
+    req.session.error = 'Error updating survey version.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Make Default - Events whose template has no survey version use the default
+ */
+app.post('/survey-versions/:id/default', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    await db.transaction(async (trx) => {
+      await trx('survey_version').update({ survey_version_is_default: false });
+      await trx('survey_version').where({ survey_version_id: req.params.id }).update({ survey_version_is_default: true });
+    });
+
+    req.session.success = `"${versionData.survey_version_name}" is now the default survey.`;
+    res.redirect(`/survey-versions/${req.params.id}`);
+  } catch (err) {
+    console.error('Error setting default survey version:', err);
+    req.session.error = 'Error setting default survey version.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Delete Survey Version - Only versions without submissions that aren't the default
+ */
+app.post('/survey-versions/:id/delete', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    if (versionData.survey_version_is_default) {
+      req.session.error = 'Cannot delete the default survey version. Make another version the default first.';
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    if (versionData.submission_count > 0) {
+      req.session.error = `Cannot delete a survey version with responses (has ${versionData.submission_count} submission${versionData.submission_count > 1 ? 's' : ''}).`;
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    // Templates using this version fall back to the default (FK is ON DELETE SET NULL)
+    await db('survey_version').where({ survey_version_id: req.params.id }).del();
+    req.session.success = 'Survey version deleted.';
+    res.redirect('/survey-versions');
+  } catch (err) {
+    console.error('Error deleting survey version:', err);
+    req.session.error = 'Error deleting survey version.';
+    res.redirect('/survey-versions');
+  }
+});
+
+/**
+ * Add Question - Appends a question with the next free question number
+ */
+app.post('/survey-versions/:id/questions', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    if (versionData.submission_count > 0) {
+      req.session.error = 'This version already has responses, so its questions cannot change. Copy it to a new version instead.';
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    const { values, error } = parseSurveyQuestionForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    const last = await db('survey_question')
+      .where({ survey_version_id: req.params.id })
+      .max('question_number as max_number')
+      .max('question_order as max_order')
+      .first();
+
+    await db('survey_question').insert({
+      ...values,
+      survey_version_id: Number(req.params.id),
+      question_number: (last?.max_number || 0) + 1,
+      question_order: (last?.max_order || 0) + 1,
+    });
+
+    req.session.success = 'Question added.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  } catch (err) {
+    console.error('Error adding survey question:', err);
+    req.session.error = 'Error adding question.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  }
+});
+
+/**
+ * Edit Question Form
+ */
+app.get('/survey-versions/:id/questions/:question_id/edit', requireManager, async (req, res) => {
+  try {
+    const question = await db('survey_question')
+      .where({ survey_version_id: req.params.id, survey_question_id: req.params.question_id })
+      .first();
+
+    if (!question) {
+      req.session.error = 'Question not found.';
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    res.render('surveys/versions/question_form', {
+      versionId: req.params.id,
+      question: {
+        id: question.survey_question_id,
+        text: question.question_text,
+        type: question.question_type,
+        options: question.question_options || '',
+        metric: question.question_metric || '',
+        required: question.question_required,
+      },
+      questionTypes: SURVEY_QUESTION_TYPES,
+      metrics: SURVEY_METRICS,
+    });
+  } catch (err) {
+    console.error('Error loading survey question:', err);
+    req.session.error = 'Error loading question.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  }
+});
+
+/**
+ * Update Question
+ */
+app.post('/survey-versions/:id/questions/:question_id', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    if (versionData.submission_count > 0) {
+      req.session.error = 'This version already has responses, so its questions cannot change. Copy it to a new version instead.';
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    const { values, error } = parseSurveyQuestionForm(req.body);
+    if (error) {
+      req.session.error = error;
+      return res.redirect(`/survey-versions/${req.params.id}/questions/${req.params.question_id}/edit`);
+    }
+
+    await db('survey_question')
+      .where({ survey_version_id: req.params.id, survey_question_id: req.params.question_id })
+      .update(values);
+
+    req.session.success = 'Question updated.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  } catch (err) {
+    console.error('Error updating survey question:', err);
+    req.session.error = 'Error updating question.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  }
+});
 
-    req.session.success = 'Milestone removed from participant.';
-    res.redirect(`/participants/${participantId}`);
+/**
+ * Move Question - Swaps display order with the neighbouring question (direction up/down)
+ *
+ * Ordering doesn't change what an answer means, so this works on locked versions too.
+ */
+app.post('/survey-versions/:id/questions/:question_id/move', requireManager, async (req, res) => {
+  try {
+    const questions = await getSurveyQuestions(req.params.id);
+    const index = questions.findIndex(q => q.id === Number(req.params.question_id));
+    const swapIndex = req.body.direction === 'up' ? index - 1 : index + 1;
+
+    if (index !== -1 && swapIndex >= 0 && swapIndex < questions.length) {
+      // Renumber the whole list so legacy duplicate orders can't get stuck
+      const reordered = [...questions];
+      [reordered[index], reordered[swapIndex]] = [reordered[swapIndex], reordered[index]];
+      await db.transaction(async (trx) => {
+        for (const [i, q] of reordered.entries()) {
+          await trx('survey_question').where({ survey_question_id: q.id }).update({ question_order: i + 1 });
+        }
+      });
+    }
+
+    res.redirect(`/survey-versions/${req.params.id}`);
   } catch (err) {
-    console.error('Error removing milestone from participant:', err);
-    req.session.error = 'Error removing milestone.';
-    res.redirect(`/participants/${req.params.participant_id}`);
+    console.error('Error moving survey question:', err);
+    req.session.error = 'Error reordering questions.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  }
+});
+
+/**
+ * Delete Question
+ */
+app.post('/survey-versions/:id/questions/:question_id/delete', requireManager, async (req, res) => {
+  try {
+    const versionData = await loadSurveyVersion(req.params.id);
+    if (!versionData) {
+      req.session.error = 'Survey version not found.';
+      return res.redirect('/survey-versions');
+    }
+
+    if (versionData.submission_count > 0) {
+      req.session.error = 'This version already has responses, so its questions cannot change. Copy it to a new version instead.';
+      return res.redirect(`/survey-versions/${req.params.id}`);
+    }
+
+    await db('survey_question')
+      .where({ survey_version_id: req.params.id, survey_question_id: req.params.question_id })
+      .del();
+
+    req.session.success = 'Question deleted.';
+    res.redirect(`/survey-versions/${req.params.id}`);
+  } catch (err) {
+    console.error('Error deleting survey question:', err);
+    req.session.error = 'Error deleting question.';
+    res.redirect(`/survey-versions/${req.params.id}`);
   }
 });
 
 // =======================
-// MILESTONES MAINTENANCE
+// DONATIONS MAINTENANCE
 // =======================
 /**
- * Milestone Maintenance Routes
+ * Donation Maintenance Routes
  * 
  * Per rubric requirements:
- * - "Can only access if logged in" - Protected by requireLogin
- * - "Milestones are displayed and navigation works including search" - List with search
+ * - "Can only access if logged in" - Admin donations view protected by requireLogin
+ * - "Donations are displayed and navigation works including search" - List with search (admin view)
  * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager
+ * - "Ability to add user information and donation" - Public route saves donor info (FIXED)
  * 
- * Milestones represent predefined achievements (e.g., "Enrolled in AP Math", "Declared STEAM Major")
- * that can be assigned to participants to track their progress.
+ * Donations use a composite primary key (participant_id, donation_number) per ERD.
+ * Anonymous donations use participant_id = 0 (references a special "Anonymous" participant record).
+ * Public donations can optionally create participant records for donors.
  */
 
 /**
- * List Milestones - Display all milestone definitions
+ * Public Donation Handler - Accepts donations from website visitors
  * 
- * Shows all milestone types that can be assigned to participants.
- * Search works across milestone title and description fields.
+ * Per rubric requirement: "Ability to add user information and donation"
+ * This route processes donations from the public website:
+ * - If donor provides name/email: Creates or finds participant record and links donation
+ * - If anonymous: Creates donation with participant_id = 0 (Anonymous participant)
+ * - Always saves donation amount and date
+ * 
+ * This ensures donor information is stored as required by the rubric.
  */
-app.get('/milestones', requireLogin, async (req, res) => {
+// Public-facing simple donation capture
+// This route handles donations from the public website where visitors can provide their information
+// Per rubric requirement: "Ability to add user information and donation" - we save donor info as participants
+app.post('/donations/public', async (req, res) => {
   try {
-    const q = (req.query.q || '').toLowerCase();
-    let query = db('milestone').select('*');
+    const { donor_first_name, donor_last_name, donor_email, amount } = req.body;
+    
+    // Validate required fields
+    if (!amount || Number(amount) <= 0) {
+      req.session.error = 'Please enter a valid donation amount.';
+      return res.redirect('/donate');
+    }
+    
+    if (!donor_first_name || !donor_first_name.trim()) {
+      req.session.error = 'Please enter your first name.';
+      return res.redirect('/donate');
+    }
+    
+    if (!donor_last_name || !donor_last_name.trim()) {
+      req.session.error = 'Please enter your last name.';
+      return res.redirect('/donate');
+    }
+    
+    // Default to participant_id = 0 for anonymous donations
+    // Participant ID 0 represents the "Anonymous" participant record
+    let participant_id = 0;
 
-    if (q) {
-      query = query.where(function() {
-        this.where('milestone_title', 'ilike', `%${q}%`)
-          .orWhere('milestone_description', 'ilike', `%${q}%`);
-      });
+    // If donor provided email, find or create a participant record to link the donation
+    // This meets the rubric requirement to store user information with donations
+    // First and last name are required fields
+    if (donor_email) {
+      // Get first and last name from form fields (required, so should be present)
+      const first_name = donor_first_name.trim();
+      const last_name = donor_last_name.trim();
+
+      // Normalize email for lookup
+      const normalizedEmail = donor_email.trim().toLowerCase();
+
+      // Check if a participant with this email already exists
+      let existingParticipant = await db('participant')
+        .where('participant_email', normalizedEmail)
+        .first();
+
+      if (existingParticipant) {
+        // Use existing participant
+        participant_id = existingParticipant.participant_id;
+      } else {
+        // Create a new participant record for the donor with the role of 'donor'
+        // This allows us to track donors and link multiple donations to the same person
+        const insertResult = await db('participant')
+          .insert({
+            participant_first_name: first_name,
+            participant_last_name: last_name,
+            participant_email: normalizedEmail,
+            participant_role: 'donor',
+            // Leave other fields null since this is just a donor record
+          })
+          .returning('participant_id');
+        
+        // Handle different return formats from returning() - could be array, object, or direct value
+        let newParticipant;
+        if (Array.isArray(insertResult)) {
+          newParticipant = insertResult[0];
+        } else {
+          newParticipant = insertResult;
+        }
+        
+        // Extract participant_id - handle both object property and direct value
+        if (newParticipant && typeof newParticipant === 'object') {
+          participant_id = newParticipant.participant_id;
+        } else {
+          participant_id = newParticipant;
+        }
+        
+        // Fallback: if we still don't have an ID, query for the participant we just created
+        if (!participant_id) {
+          const created = await db('participant')
+            .where('participant_email', normalizedEmail)
+            .first();
+          if (created) {
+            participant_id = created.participant_id;
+          } else {
+            throw new Error('Failed to create or retrieve participant record');
+          }
+        }
+      }
     }
 
-    const filtered = await query.orderBy('milestone_title');
+    // Determine the next donation_number for this participant
+    // Anonymous donations use participant_id = 0
+    // The donation table uses a composite key (participant_id, donation_number)
+    const maxDonation = await db('donation')
+      .where({ participant_id })
+      .max('donation_number as max_num')
+      .first();
     
-    // Transform database columns to view-friendly field names
-    const milestones = filtered.map(m => ({
-      id: m.milestone_id,
-      title: m.milestone_title,
-      description: m.milestone_description,
+    const donation_number = (maxDonation?.max_num || 0) + 1;
+
+    // Insert the donation record
+    await db('donation').insert({
+      participant_id: participant_id,
+      donation_number: donation_number,
+      donation_amount: Number(amount),
+      donation_date: zonedDateKey(new Date()),
+    });
+
+    // Thank-you email (only when the donor left an address)
+    if (donor_email && donor_email.trim()) {
+      await queueEmail({
+        to: donor_email.trim().toLowerCase(),
+        subject: 'Thank you for supporting Ella Rises',
+        template: 'donation_thank_you',
+        data: {
+          firstName: donor_first_name.trim(),
+          amount: `$${Number(amount).toFixed(2)}`,
+          donationDate: formatDateShort(new Date()),
+        },
+      }).catch(err => console.error('Error queueing donation email:', err));
+    }
+
+    req.session.success = 'Thank you for your support!';
+    res.redirect('/donate');
+  } catch (err) {
+    console.error('Error recording donation:', err);
+    req.session.error = 'Error recording donation. Please try again.';
+    res.redirect('/donate');
+  }
+});
+
+/**
+ * buildDonationListQuery - Donations matching the list's search (donor name or email)
+ */
+function buildDonationListQuery({ q = '' } = {}) {
+  let query = db('donation as d')
+    .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
+    .select(
+      'd.participant_id',
+      'd.donation_number',
+      'd.donation_amount as amount',
+      'd.donation_date as date',
+      'p.participant_first_name',
+      'p.participant_last_name',
+      'p.participant_email'
+    );
+
+  if (q) {
+    query = query.where(function() {
+      this.where('p.participant_email', 'ilike', `%${q}%`)
+        .orWhere('p.participant_first_name', 'ilike', `%${q}%`)
+        .orWhere('p.participant_last_name', 'ilike', `%${q}%`);
+    });
+  }
+
+  return query.orderBy('d.donation_date', 'desc').orderBy(['d.participant_id', 'd.donation_number']);
+}
+
+/**
+ * formatDonorName - Donor shown on donation lists; participant 0 is anonymous
+ */
+function formatDonorName(donation) {
+  return donation.participant_id
+    ? `${donation.participant_first_name || ''} ${donation.participant_last_name || ''}`.trim() || 'Unknown'
+    : 'Anonymous';
+}
+
+/**
+ * List Donations (Admin) - Display all donations with search
+ * 
+ * Shows all donations with linked participant information (if available).
+ * Anonymous donations show as "Anonymous" when participant_id is null.
+ * Search works across participant name and email fields.
+ * Uses composite key (participant_id, donation_number) for unique identification.
+ */
+app.get('/donations', requireLogin, async (req, res) => {
+  try {
+    const q = (req.query.q || '').toLowerCase();
+    const donationsData = await buildDonationListQuery({ q });
+    // Transform database columns to view-friendly field names with composite key identifier
+    const donationsWithId = donationsData.map(d => ({
+      participant_id: d.participant_id,
+      donation_number: d.donation_number,
+      id: d.participant_id ? `${d.participant_id}-${d.donation_number}` : `null-${d.donation_number}`,
+      donor: formatDonorName(d),
+      email: d.participant_email || null,
+      amount: Number(d.amount) || 0,
+      date: formatCalendarDate(d.date), // Formats donation_date from database
     }));
     
-    res.render('milestones/index', { milestones, q });
+    res.render('donations/index', { donations: donationsWithId, q });
   } catch (err) {
-    console.error('Error fetching milestones:', err);
-    req.session.error = 'Error loading milestones.';
-    res.render('milestones/index', { milestones: [], q: req.query.q || '' });
+    console.error('Error fetching donations:', err);
+    req.session.error = 'Error loading donations.';
+    res.render('donations/index', { donations: [], q: req.query.q || '' });
+  }
+});
+
+/**
+ * Export Donations - The donations list as CSV or XLSX (see LIST EXPORTS)
+ */
+app.get('/donations/export', requireLogin, (req, res) => sendListExport(req, res, {
+  name: 'donations',
+  sheetName: 'Donations',
+  listPath: '/donations',
+  query: buildDonationListQuery({ q: (req.query.q || '').toLowerCase() }),
+  columns: [
+    { header: 'Date', value: d => formatCalendarDate(d.date), width: 14 },
+    { header: 'Donor', value: d => formatDonorName(d), width: 24 },
+    { header: 'Email', value: d => d.participant_email, width: 28 },
+    { header: 'Amount', value: d => Number(d.amount) || 0, width: 12 },
+    { header: 'Donation Number', value: d => d.donation_number },
+  ],
+}));
+
+app.get('/donations/new', requireManager, async (req, res) => {
+  try {
+    const prefillAmount = req.query.amount || '';
+    const participants = await db('participant')
+      .select('participant_id as id', 'participant_first_name', 'participant_last_name')
+      .orderBy('participant_last_name');
+    
+    res.render('donations/form', {
+      formTitle: 'Record Donation',
+      formAction: '/donations',
+      donation: { amount: prefillAmount },
+      participants,
+    });
+  } catch (err) {
+    console.error('Error loading donation form:', err);
+    req.session.error = 'Error loading form.';
+    res.redirect('/donations');
   }
 });
 
-app.get('/milestones/new', requireManager, (req, res) => {
-  res.render('milestones/form', {
-    formTitle: 'Create Milestone',
-    formAction: '/milestones',
-    milestone: {},
-  });
-});
+/**
+ * Create Donation (Admin) - Manager-only route
+ * 
+ * Allows managers to manually record donations linked to participants or as anonymous.
+ * Handles composite key by calculating the next donation_number for the selected participant.
+ * Supports both participant-linked and anonymous donations.
+ */
+app.post('/donations', requireManager, async (req, res) => {
+  try {
+    const { participant_id, amount, date } = req.body;
+    // Use 0 for anonymous donations instead of null (database requires non-null)
+    const partId = participant_id && participant_id.trim() !== '' ? Number(participant_id) : 0;
+
+    // Get the next donation_number for this participant
+    // Anonymous donations use participant_id = 0
+    // The donation table uses composite key (participant_id, donation_number) per ERD
+    const maxDonation = await db('donation')
+      .where({ participant_id: partId })
+      .max('donation_number as max_num')
+      .first();
+    
+    const donation_number = (maxDonation?.max_num || 0) + 1;
+
+    await db('donation').insert({
+      participant_id: partId,
+      donation_number,
+      donation_amount: Number(amount) || 0,
+      donation_date: date || zonedDateKey(new Date()),
+    });
 
-app.post('/milestones', requireManager, async (req, res) => {
-  try {
-    const { title, description } = req.body;
-    await db('milestone').insert({ milestone_title: title, milestone_description: description });
-    req.session.success = 'Milestone created.';
-    res.redirect('/milestones');
+    req.session.success = 'Donation recorded.';
+    res.redirect('/donations');
   } catch (err) {
-    console.error('Error creating milestone:', err);
-    req.session.error = 'Error creating milestone.';
-    res.redirect('/milestones');
+    console.error('Error creating donation:', err);
+    req.session.error = 'Error creating donation.';
+    res.redirect('/donations');
   }
 });
 
-app.get('/milestones/:id', requireLogin, async (req, res) => {
+app.get('/donations/:participant_id/:donation_number', requireLogin, async (req, res) => {
   try {
-    const [milestoneData, participantCount] = await Promise.all([
-      db('milestone').where({ milestone_id: req.params.id }).first(),
-      db('participant_milestone')
-        .where('milestone_id', req.params.id)
-        .count('* as count')
-        .first(),
-    ]);
+    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
+    const donation_number = Number(req.params.donation_number);
 
-    if (!milestoneData) {
-      req.session.error = 'Milestone not found.';
-      return res.redirect('/milestones');
+    let donationQuery;
+    if (participant_id === null) {
+      donationQuery = db('donation as d')
+        .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
+        .whereNull('d.participant_id')
+        .where('d.donation_number', donation_number)
+        .select('d.*', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email');
+    } else {
+      donationQuery = db('donation as d')
+        .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
+        .where('d.participant_id', participant_id)
+        .where('d.donation_number', donation_number)
+        .select('d.*', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email');
+    }
+
+    const donationData = await donationQuery.first();
+
+    if (!donationData) {
+      req.session.error = 'Donation not found.';
+      return res.redirect('/donations');
     }
 
     // Transform database columns to view-friendly field names
-    const milestone = {
-      id: milestoneData.milestone_id,
-      title: milestoneData.milestone_title,
-      description: milestoneData.milestone_description,
-      participants_count: parseInt(participantCount?.count) || 0,
+    const donation = {
+      participant_id: donationData.participant_id,
+      donation_number: donationData.donation_number,
+      donor: donationData.participant_id 
+        ? `${donationData.participant_first_name || ''} ${donationData.participant_last_name || ''}`.trim() || 'Unknown'
+        : 'Anonymous',
+      email: donationData.participant_email || null,
+      amount: Number(donationData.donation_amount) || 0,
+      date: formatCalendarDate(donationData.donation_date),
     };
 
-    res.render('milestones/show', { milestone });
+    res.render('donations/show', { donation });
   } catch (err) {
-    console.error('Error fetching milestone:', err);
-    req.session.error = 'Error loading milestone.';
-    res.redirect('/milestones');
+    console.error('Error fetching donation:', err);
+    req.session.error = 'Error loading donation.';
+    res.redirect('/donations');
   }
 });
 
-app.get('/milestones/:id/edit', requireManager, async (req, res) => {
+app.get('/donations/:participant_id/:donation_number/edit', requireManager, async (req, res) => {
   try {
-    const milestoneData = await db('milestone').where({ milestone_id: req.params.id }).first();
-    if (!milestoneData) {
-      req.session.error = 'Milestone not found.';
-      return res.redirect('/milestones');
+    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
+    const donation_number = Number(req.params.donation_number);
+
+    let donationQuery;
+    if (participant_id === null) {
+      donationQuery = db('donation')
+        .whereNull('participant_id')
+        .where({ donation_number });
+    } else {
+      donationQuery = db('donation')
+        .where({ participant_id, donation_number });
+    }
+
+    const [donation, participants] = await Promise.all([
+      donationQuery.first(),
+      db('participant').select('participant_id as id', 'participant_first_name', 'participant_last_name').orderBy('participant_last_name')
+    ]);
+
+    if (!donation) {
+      req.session.error = 'Donation not found.';
+      return res.redirect('/donations');
     }
 
     // Transform database columns to form-friendly field names
-    const milestone = {
-      id: milestoneData.milestone_id,
-      title: milestoneData.milestone_title,
-      description: milestoneData.milestone_description,
+    const donationForm = {
+      participant_id: donation.participant_id,
+      amount: donation.donation_amount,
+      dateISO: donation.donation_date ? new Date(donation.donation_date).toISOString().slice(0, 10) : '',
     };
 
-    res.render('milestones/form', {
-      formTitle: 'Edit Milestone',
-      formAction: `/milestones/${milestoneData.milestone_id}`,
-      milestone,
+    res.render('donations/form', {
+      formTitle: 'Edit Donation',
+      formAction: `/donations/${req.params.participant_id}/${req.params.donation_number}`,
+      donation: donationForm,
+      participants,
     });
   } catch (err) {
-    console.error('Error fetching milestone:', err);
-    req.session.error = 'Error loading milestone.';
-    res.redirect('/milestones');
+    console.error('Error loading donation:', err);
+    req.session.error = 'Error loading donation.';
+    res.redirect('/donations');
   }
 });
 
-app.post('/milestones/:id', requireManager, async (req, res) => {
+app.post('/donations/:participant_id/:donation_number', requireManager, async (req, res) => {
   try {
-    const milestone = await db('milestone').where({ milestone_id: req.params.id }).first();
-    if (!milestone) {
-      req.session.error = 'Milestone not found.';
-      return res.redirect('/milestones');
+    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
+    const donation_number = Number(req.params.donation_number);
+
+    let donation;
+    if (participant_id === null) {
+      donation = await db('donation')
+        .whereNull('participant_id')
+        .where({ donation_number })
+        .first();
+    } else {
+      donation = await db('donation')
+        .where({ participant_id, donation_number })
+        .first();
     }
 
-    const { title, description } = req.body;
-    await db('milestone').where({ milestone_id: req.params.id }).update({ milestone_title: title, milestone_description: description });
-    req.session.success = 'Milestone updated.';
-    res.redirect('/milestones');
+    if (!donation) {
+      req.session.error = 'Donation not found.';
+      return res.redirect('/donations');
+    }
+
+    const { participant_id: new_participant_id, amount, date } = req.body;
+    const newPartId = new_participant_id ? Number(new_participant_id) : null;
+
+    // If participant_id changed, we need to delete old and create new (can't update composite key)
+    if (newPartId !== participant_id) {
+      if (participant_id === null) {
+        await db('donation')
+          .whereNull('participant_id')
+          .where({ donation_number })
+          .del();
+      } else {
+        await db('donation')
+          .where({ participant_id, donation_number })
+          .del();
+      }
+
+      // Get new donation_number for the new participant
+      let maxDonation;
+      if (newPartId) {
+        maxDonation = await db('donation')
+          .where({ participant_id: newPartId })
+          .max('donation_number as max_num')
+          .first();
+      } else {
+        maxDonation = await db('donation')
+          .whereNull('participant_id')
+          .max('donation_number as max_num')
+          .first();
+      }
+      
+      const new_donation_number = (maxDonation?.max_num || 0) + 1;
+
+      await db('donation').insert({
+        participant_id: newPartId,
+        donation_number: new_donation_number,
+        donation_amount: Number(amount) || donation.donation_amount,
+        donation_date: date || donation.donation_date,
+      });
+    } else {
+      // Just update amount and date
+      if (participant_id === null) {
+        await db('donation')
+          .whereNull('participant_id')
+          .where({ donation_number })
+          .update({
+            donation_amount: Number(amount) || donation.donation_amount,
+            donation_date: date || donation.donation_date,
+          });
+      } else {
+        await db('donation')
+          .where({ participant_id, donation_number })
+          .update({
+            donation_amount: Number(amount) || donation.donation_amount,
+            donation_date: date || donation.donation_date,
+          });
+      }
+    }
+
+    req.session.success = 'Donation updated.';
+    res.redirect('/donations');
   } catch (err) {
-    console.error('Error updating milestone:', err);
-    req.session.error = 'Error updating milestone.';
-    res.redirect('/milestones');
+    console.error('Error updating donation:', err);
+    req.session.error = 'Error updating donation.';
+    res.redirect('/donations');
   }
 });
 
-app.post('/milestones/:id/delete', requireManager, async (req, res) => {
+app.post('/donations/:participant_id/:donation_number/delete', requireManager, async (req, res) => {
   try {
-    const id = req.params.id;
-    
-    // Check if milestone is assigned to any participants
-    const participantCount = await db('participant_milestone')
-      .where('milestone_id', id)
-      .count('* as count')
-      .first();
-    
-    if (participantCount && parseInt(participantCount.count) > 0) {
-      req.session.error = 'Cannot delete milestone. This milestone is assigned to participants. Please remove it from all participants before deleting.';
-      return res.redirect('/milestones');
-    }
+    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
+    const donation_number = Number(req.params.donation_number);
+
+    await db('donation')
+      .where({ 
+        participant_id: participant_id === null ? db.raw('NULL') : participant_id,
+        donation_number 
+      })
+      .del();
     
-    // If no participants assigned, proceed with deletion
-    await db('milestone').where({ milestone_id: id }).del();
-    req.session.success = 'Milestone deleted.';
-    res.redirect('/milestones');
+    req.session.success = 'Donation deleted.';
+    res.redirect('/donations');
   } catch (err) {
-    console.error('Error deleting milestone:', err);
-    req.session.error = 'Error deleting milestone.';
-    res.redirect('/milestones');
+    console.error('Error deleting donation:', err);
+    req.session.error = 'Error deleting donation.';
+    res.redirect('/donations');
   }
 });
 
 // =======================
-// EVENTS MAINTENANCE
+// DATA IMPORT
 // =======================
 /**
- * Event Maintenance Routes
- * 
- * Per rubric requirements:
- * - "Can access only if logged in" - Protected by requireLogin (all authenticated users can view)
- * - "Events are displayed and navigation works including search" - List with search functionality
- * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager role
- * 
- * Events are stored in two related tables:
- * - `event`: Master event definitions (name, type, description)
- * - `event_instance`: Specific occurrences with date, location, capacity
- * 
- * The admin route lists all event instances with their associated event details.
+ * Spreadsheet Import Routes (manager only)
+ *
+ * Data from partner schools and old spreadsheets is imported through a wizard, one entity
+ * at a time (IMPORT_ENTITIES):
+ * 1. Upload a CSV or XLSX file; the first row is the header row. The parsed file is kept
+ *    on a draft import_batch between steps.
+ * 2. Map the file's columns to the entity's fields (guessed from the headers).
+ * 3. Preview every row with its validation errors. Participants follow the same rules as
+ *    POST /participants (unique email and phone, a guardian for minors).
+ * 4. Commit: the valid rows are validated again and inserted in one transaction, and the
+ *    rows that were skipped are kept in the import report.
+ *
+ * Every row an import creates carries its import_batch_id, so a whole batch can be rolled
+ * back as long as nothing else has come to depend on it (registrations, donations...).
+ * Imported event instances are not checked for scheduling conflicts; the conflicts page
+ * lists any they cause.
  */
 
+const IMPORT_MAX_FILE_BYTES = 5 * 1024 * 1024;
+const IMPORT_MAX_ROWS = 5000;
+// Abandoned drafts are cleared out when the next file is uploaded
+const IMPORT_DRAFT_HOURS = 24;
+// Valid rows shown on the preview; rows with errors are always all shown
+const IMPORT_PREVIEW_ROWS = 100;
+
+const importUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: IMPORT_MAX_FILE_BYTES } });
+
+const IMPORT_ENTITIES = {
+  participants: {
+    label: 'Participants',
+    description: 'New participant records. Rows whose email or phone already belongs to a participant are skipped. Participants under 18 need a guardian.',
+    fields: [
+      { key: 'first_name', label: 'First Name', required: true, aliases: ['first', 'firstname', 'given name'] },
+      { key: 'last_name', label: 'Last Name', required: true, aliases: ['last', 'lastname', 'surname', 'family name'] },
+      { key: 'email', label: 'Email', aliases: ['email address', 'e-mail'] },
+      { key: 'phone', label: 'Phone', aliases: ['phone number', 'mobile', 'cell'] },
+      { key: 'dob', label: 'Date of Birth', aliases: ['dob', 'birthday', 'birth date', 'birthdate'] },
+      { key: 'school', label: 'School', aliases: ['school or employer', 'employer'] },
+      { key: 'city', label: 'City' },
+      { key: 'state', label: 'State' },
+      { key: 'zip', label: 'ZIP Code', aliases: ['zip', 'zipcode', 'postal code'] },
+      { key: 'field_of_interest', label: 'Field of Interest', aliases: ['interest'] },
+      { key: 'guardian_first_name', label: 'Guardian First Name', aliases: ['parent first name'] },
+      { key: 'guardian_last_name', label: 'Guardian Last Name', aliases: ['parent last name'] },
+      { key: 'guardian_relationship', label: 'Guardian Relationship', aliases: ['relationship'] },
+      { key: 'guardian_email', label: 'Guardian Email', aliases: ['parent email'] },
+      { key: 'guardian_phone', label: 'Guardian Phone', aliases: ['parent phone'] },
+      { key: 'guardian_preferred_language', label: 'Guardian Preferred Language', aliases: ['language', 'preferred language'] },
+    ],
+    validate: validateParticipantImport,
+    insert: insertParticipantImport,
+  },
+  events: {
+    label: 'Events',
+    description: 'Event instances of existing event templates. A row for a template and start time that already exists, or that overlaps another event at the same venue, is skipped.',
+    fields: [
+      { key: 'event_name', label: 'Event', required: true, aliases: ['event name', 'template', 'name'] },
+      { key: 'start', label: 'Start', required: true, aliases: ['start time', 'date', 'starts'] },
+      { key: 'end', label: 'End', aliases: ['end time', 'ends'] },
+      { key: 'venue', label: 'Venue', aliases: ['location', 'place'] },
+      { key: 'capacity', label: 'Capacity', aliases: ['seats', 'max'] },
+    ],
+    validate: validateEventImport,
+    insert: insertEventImport,
+  },
+  milestones: {
+    label: 'Participant Milestones',
+    description: 'Milestones achieved by existing participants, found by email or, failing that, by full name.',
+    fields: [
+      { key: 'email', label: 'Participant Email', aliases: ['email'] },
+      { key: 'first_name', label: 'Participant First Name', aliases: ['first name', 'first'] },
+      { key: 'last_name', label: 'Participant Last Name', aliases: ['last name', 'last'] },
+      { key: 'milestone', label: 'Milestone', required: true, aliases: ['milestone title', 'title'] },
+      { key: 'date', label: 'Achieved Date', aliases: ['date', 'achieved'] },
+    ],
+    validate: validateMilestoneImport,
+    insert: insertMilestoneImport,
+  },
+  donations: {
+    label: 'Donations',
+    description: 'Donations by existing participants (by email or full name). An unknown email with a name creates a donor record; a row with no donor is anonymous.',
+    fields: [
+      { key: 'email', label: 'Donor Email', aliases: ['email'] },
+      { key: 'first_name', label: 'Donor First Name', aliases: ['first name', 'first'] },
+      { key: 'last_name', label: 'Donor Last Name', aliases: ['last name', 'last'] },
+      { key: 'amount', label: 'Amount', required: true, aliases: ['donation', 'donation amount', 'gift'] },
+      { key: 'date', label: 'Date', required: true, aliases: ['donation date'] },
+    ],
+    validate: validateDonationImport,
+    insert: insertDonationImport,
+  },
+};
+
 /**
- * List Events (Admin) - Display all event instances with search
- * 
- * Shows all event instances (specific event occurrences) joined with their event definitions.
- * Search works across event name, type, and location fields.
- * Events are ordered by date (newest first) for easy viewing of recent activities.
+ * importCellText - An XLSX cell value as the text a CSV would have held
+ *
+ * Excel stores dates as wall-clock times in UTC; midnight becomes "YYYY-MM-DD", anything
+ * else "YYYY-MM-DD HH:MM".
  */
-app.get('/events/admin', requireLogin, async (req, res) => {
-  try {
-    const q = (req.query.q || '').toLowerCase();
-    let query = db('event_instance as ei')
-      .select(
-        'ei.event_instance_id', 
-        'ei.event_date_start_time', 
-        'e.event_name', 
-        'e.event_type', 
-        'ei.event_location', 
-        'ei.event_capacity',
-        db.raw(`(
-          SELECT count(*)
-          FROM event_registration er
-          WHERE er.event_instance_id = ei.event_instance_id
-        ) as registrations_count`)
-      )
-      .leftJoin('event as e', 'ei.event_id', 'e.event_id');
+function importCellText(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) {
+    const iso = value.toISOString();
+    return iso.slice(11, 16) === '00:00' ? iso.slice(0, 10) : `${iso.slice(0, 10)} ${iso.slice(11, 16)}`;
+  }
+  if (typeof value === 'object') {
+    if (Array.isArray(value.richText)) return value.richText.map(part => part.text).join('').trim();
+    if ('result' in value) return importCellText(value.result);
+    if ('text' in value) return importCellText(value.text);
+    return '';
+  }
+  return String(value).trim();
+}
 
-    if (q) {
-      query = query.where(function() {
-        this.where('e.event_name', 'ilike', `%${q}%`)
-          .orWhere('e.event_type', 'ilike', `%${q}%`)
-          .orWhere('ei.event_location', 'ilike', `%${q}%`);
-      });
+/**
+ * readImportFile - Parses an uploaded CSV or XLSX file
+ *
+ * Returns { headers, rows: [{ line, cells }] } where line is the row number in the file, or { error }.
+ */
+async function readImportFile(file) {
+  const name = (file.originalname || '').toLowerCase();
+  let table;
+  try {
+    if (name.endsWith('.xlsx')) {
+      const workbook = new ExcelJS.Workbook();
+      await workbook.xlsx.load(file.buffer);
+      const sheet = workbook.worksheets[0];
+      table = [];
+      if (sheet) {
+        sheet.eachRow((row) => {
+          const cells = [];
+          for (let c = 1; c <= sheet.columnCount; c++) cells.push(importCellText(row.getCell(c).value));
+          table.push({ line: row.number, cells });
+        });
+      }
+    } else if (name.endsWith('.csv')) {
+      table = parseCsv(file.buffer, {
+        bom: true,
+        delimiter: [',', ';', '\t'],
+        relax_column_count: true,
+        skip_empty_lines: true,
+        trim: true,
+        info: true,
+      }).map(({ record, info }) => ({ line: info.lines, cells: record }));
+    } else {
+      return { error: 'Please upload a .csv or .xlsx file.' };
     }
-
-    const filtered = await query.orderBy('ei.event_date_start_time', 'desc');
-    const viewModels = filtered.map((e) => ({
-      id: e.event_instance_id,
-      name: e.event_name || 'Event',
-      type: e.event_type || 'General',
-      location: e.event_location || 'TBD',
-      dateFormatted: formatDateShort(e.event_date_start_time),
-      dateTime: e.event_date_start_time, // Raw date-time for client-side filtering
-      capacity: e.event_capacity || 0,
-      registrations: parseInt(e.registrations_count) || 0,
-    }));
-
-    res.render('events/instances/index', { events: viewModels, q });
   } catch (err) {
-    console.error('Error fetching events:', err);
-    req.session.error = 'Error loading events.';
-    res.render('events/instances/index', { events: [], q: req.query.q || '' });
+    return { error: `Could not read ${file.originalname}: ${err.message}` };
   }
-});
-
-app.get('/events/new', requireManager, async (req, res) => {
-  try {
-    // Fetch all events from event table for dropdown
-    const eventsData = await db('event')
-      .select('event_id', 'event_name')
-      .orderBy('event_name');
 
-    // Transform to view-friendly format
-    const events = eventsData.map(e => ({
-      id: e.event_id,
-      name: e.event_name,
-    }));
-
-    res.render('events/instances/form', {
-      formTitle: 'Create Event Instance',
-      formAction: '/events',
-      event: {},
-      events: events || [],
-      currentUser: res.locals.currentUser,
-    });
-  } catch (err) {
-    console.error('Error loading events for dropdown:', err);
-    req.session.error = 'Error loading page.';
-    res.redirect('/events/admin');
+  table = table.filter(row => row.cells.some(cell => cell !== ''));
+  if (table.length < 2) return { error: 'The file needs a header row and at least one row of data.' };
+  if (table.length - 1 > IMPORT_MAX_ROWS) {
+    return { error: `The file has ${table.length - 1} rows; split it into files of at most ${IMPORT_MAX_ROWS}.` };
   }
-});
 
-// =======================
-// EVENT TEMPLATES MAINTENANCE
-// =======================
+  const width = Math.max(...table.map(row => row.cells.length));
+  const headers = Array.from({ length: width }, (_, i) => table[0].cells[i] || `Column ${i + 1}`);
+  return {
+    headers,
+    rows: table.slice(1).map(row => ({ line: row.line, cells: headers.map((_, i) => row.cells[i] || '') })),
+  };
+}
+
 /**
- * Event Template Maintenance Routes
- * 
- * Manages event templates (event definitions in the event table) separately from event instances.
- * Templates define reusable event definitions that can be used to create multiple event instances.
- * 
- * NOTE: These routes must come BEFORE /events/:id to avoid route conflicts.
+ * guessImportMapping - Matches each field to the column whose header looks like its name
  */
+function guessImportMapping(entity, headers) {
+  const normalize = (text) => (text || '').toLowerCase().replace(/[^a-z0-9]+/g, '');
+  const normalizedHeaders = headers.map(normalize);
+  const mapping = {};
+  entity.fields.forEach((field) => {
+    const names = [field.label, field.key, ...(field.aliases || [])].map(normalize);
+    const index = normalizedHeaders.findIndex((header, i) => names.includes(header) && !Object.values(mapping).includes(i));
+    mapping[field.key] = index >= 0 ? index : null;
+  });
+  return mapping;
+}
 
 /**
- * List Event Templates - Display all event templates
+ * mapImportRows - Applies a column mapping: [{ line, values: { fieldKey: text } }]
  */
-app.get('/events/templates', requireLogin, async (req, res) => {
-  try {
-    const q = (req.query.q || '').toLowerCase();
-    let query = db('event').select('*').orderBy('event_name');
+function mapImportRows(entity, data, mapping) {
+  return data.rows.map(row => ({
+    line: row.line,
+    values: Object.fromEntries(entity.fields.map(field => [
+      field.key,
+      mapping[field.key] === null || mapping[field.key] === undefined ? '' : (row.cells[mapping[field.key]] || '').trim(),
+    ])),
+  }));
+}
 
-    if (q) {
-      query = query.where(function() {
-        this.where('event_name', 'ilike', `%${q}%`)
-          .orWhere('event_type', 'ilike', `%${q}%`)
-          .orWhere('event_description', 'ilike', `%${q}%`);
-      });
+/**
+ * parseImportDate - "YYYY-MM-DD", "M/D/YYYY" or "M/D/YY" as YYYY-MM-DD, or null
+ *
+ * Two-digit years are this century unless that would be in the future.
+ */
+function parseImportDate(text) {
+  const value = (text || '').trim().replace(/[ T]00:00(:00)?$/, '');
+  let year;
+  let month;
+  let day;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(value);
+  if (match) {
+    [year, month, day] = match.slice(1).map(Number);
+  } else {
+    match = /^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/.exec(value);
+    if (!match) return null;
+    [month, day, year] = match.slice(1).map(Number);
+    if (match[3].length === 2) {
+      const thisYear = Number(zonedDateKey(new Date()).slice(0, 4));
+      year += 2000;
+      if (year > thisYear) year -= 100;
     }
+  }
+  const date = parseDateKey(`${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`);
+  return date ? toDateKey(date) : null;
+}
 
-    const templatesData = await query;
-
-    // Transform database columns to view-friendly field names
-    const templates = templatesData.map(t => ({
-      id: t.event_id,
-      name: t.event_name,
-      type: t.event_type || '-',
-      description: t.event_description || '',
-      default_capacity: t.event_default_capacity || '-',
-    }));
-
-    res.render('events/templates/index', { templates, q, currentUser: res.locals.currentUser });
-  } catch (err) {
-    console.error('Error fetching event templates:', err);
-    req.session.error = 'Error loading event templates.';
-    res.render('events/templates/index', { templates: [], q: req.query.q || '', currentUser: res.locals.currentUser });
+/**
+ * parseImportDateTime - A date and time in organization time ("2026-11-03 16:00",
+ * "11/3/2026 4:00 PM"); returns a Date or null
+ */
+function parseImportDateTime(text) {
+  const match = /^(.+?)[ T](\d{1,2}):(\d{2})(?::\d{2})?\s*([AaPp][Mm])?$/.exec((text || '').trim());
+  if (!match) return null;
+  const date = parseImportDate(match[1]);
+  let hour = Number(match[2]);
+  if (!date || hour > 23) return null;
+  if (match[4]) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (match[4].toLowerCase() === 'pm' ? 12 : 0);
   }
-});
+  return parseDateTimeLocal(`${date}T${String(hour).padStart(2, '0')}:${match[3]}`);
+}
 
 /**
- * New Event Template Form - Display form to create new template
- * NOTE: This route must come BEFORE /events/templates/:id to avoid route conflicts
+ * findRepeatedValues - Map of row index to the earlier row (by line) with the same key,
+ * for catching duplicates within one file
  */
-app.get('/events/templates/new', requireManager, (req, res) => {
-  res.render('events/templates/form', {
-    formTitle: 'Create Event Template',
-    formAction: '/events/templates',
-    template: {},
-    currentUser: res.locals.currentUser,
+function findRepeatedValues(rows, keyOf) {
+  const firstSeen = new Map();
+  const repeats = new Map();
+  rows.forEach((row, index) => {
+    const key = keyOf(row);
+    if (!key) return;
+    if (firstSeen.has(key)) repeats.set(index, firstSeen.get(key));
+    else firstSeen.set(key, row.line);
   });
-});
+  return repeats;
+}
 
 /**
- * Show Event Template - Display template details
+ * findParticipantsByEmailOrName - Lookups for rows that name an existing participant
+ *
+ * Returns a function (values) => { participant } or { error }. Email wins; without one
+ * the full name must match exactly one participant (ignoring case).
  */
-app.get('/events/templates/:id', requireLogin, async (req, res) => {
-  try {
-    const [templateData, instanceCountResult] = await Promise.all([
-      db('event')
-        .where({ event_id: req.params.id })
-        .first(),
-      db('event_instance')
-        .where({ event_id: req.params.id })
-        .count('* as count')
-        .first()
-    ]);
+async function findParticipantsByEmailOrName(rows, trx) {
+  const emails = [...new Set(rows.map(r => r.values.email.toLowerCase()).filter(Boolean))];
+  const names = [...new Set(rows.filter(r => !r.values.email && r.values.first_name && r.values.last_name)
+    .map(r => `${r.values.first_name} ${r.values.last_name}`.toLowerCase()))];
+
+  const [byEmail, byName] = await Promise.all([
+    emails.length > 0
+      ? trx('participant').whereIn('participant_email', emails).select('participant_id', 'participant_email')
+      : [],
+    names.length > 0
+      ? trx('participant')
+        .whereIn(trx.raw("lower(participant_first_name || ' ' || participant_last_name)"), names)
+        .whereNot('participant_id', ANONYMOUS_PARTICIPANT_ID)
+        .select('participant_id', 'participant_first_name', 'participant_last_name')
+      : [],
+  ]);
+
+  return (values) => {
+    if (values.email) {
+      const participant = byEmail.find(p => p.participant_email === values.email.toLowerCase());
+      return participant ? { participant } : { error: `No participant has the email ${values.email}.` };
+    }
+    if (!values.first_name || !values.last_name) return { error: 'Give an email or a first and last name.' };
+    const fullName = `${values.first_name} ${values.last_name}`.toLowerCase();
+    const matches = byName.filter(p => `${p.participant_first_name} ${p.participant_last_name}`.toLowerCase() === fullName);
+    if (matches.length === 0) return { error: `No participant is named ${values.first_name} ${values.last_name}.` };
+    if (matches.length > 1) {
+      return { error: `${matches.length} participants are named ${values.first_name} ${values.last_name}; add an email to tell them apart.` };
+    }
+    return { participant: matches[0] };
+  };
+}
 
-    if (!templateData) {
-      req.session.error = 'Event template not found.';
-      return res.redirect('/events/templates');
+/**
+ * validateParticipantImport - Checks participant rows; each result has errors and, when
+ * valid, the record to insert
+ */
+async function validateParticipantImport(rows, trx) {
+  const emails = rows.map(r => r.values.email.toLowerCase()).filter(Boolean);
+  const phones = rows.map(r => r.values.phone).filter(Boolean);
+  const [takenEmails, takenPhones] = await Promise.all([
+    emails.length > 0 ? trx('participant').whereIn('participant_email', emails).pluck('participant_email') : [],
+    phones.length > 0 ? trx('participant').whereIn('participant_phone', phones).pluck('participant_phone') : [],
+  ]);
+  const repeatedEmails = findRepeatedValues(rows, r => r.values.email.toLowerCase());
+  const repeatedPhones = findRepeatedValues(rows, r => r.values.phone);
+  const today = zonedDateKey(new Date());
+
+  return rows.map((row, index) => {
+    const v = row.values;
+    const errors = [];
+    if (!v.first_name || !v.last_name) errors.push('First name and last name are required.');
+
+    const email = v.email.toLowerCase();
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push(`${v.email} is not an email address.`);
+    else if (takenEmails.includes(email)) errors.push('A participant with this email already exists.');
+    else if (repeatedEmails.has(index)) errors.push(`The same email is on row ${repeatedEmails.get(index)}.`);
+
+    if (takenPhones.includes(v.phone)) errors.push('A participant with this phone number already exists.');
+    else if (repeatedPhones.has(index)) errors.push(`The same phone number is on row ${repeatedPhones.get(index)}.`);
+
+    const dob = v.dob ? parseImportDate(v.dob) : null;
+    if (v.dob && !dob) errors.push(`Date of birth "${v.dob}" is not a date.`);
+    else if (dob && dob > today) errors.push('Date of birth is in the future.');
+
+    let guardian = null;
+    if (isMinorOn(dob, today) || hasGuardianInput(v)) {
+      const parsed = parseGuardianForm(v);
+      if (parsed.error) errors.push(isMinorOn(dob, today) ? `${parsed.error} A guardian is required for participants under ${ADULT_AGE}.` : parsed.error);
+      guardian = parsed.values;
     }
 
-    // Transform database columns to view-friendly field names
-    const template = {
-      id: templateData.event_id,
-      name: templateData.event_name,
-      type: templateData.event_type || '-',
-      description: templateData.event_description || '',
-      default_capacity: templateData.event_default_capacity || '-',
-      instances_count: instanceCountResult ? parseInt(instanceCountResult.count) : 0,
+    const clean = (value) => value || null;
+    return {
+      line: row.line,
+      errors,
+      record: {
+        participant: {
+          participant_first_name: v.first_name,
+          participant_last_name: v.last_name,
+          participant_email: clean(email),
+          participant_phone: clean(v.phone),
+          participant_dob: dob,
+          participant_school_or_employer: clean(v.school),
+          participant_city: clean(v.city),
+          participant_state: clean(v.state),
+          participant_zip: clean(v.zip),
+          participant_field_of_interest: clean(v.field_of_interest),
+          participant_role: 'participant',
+        },
+        guardian,
+      },
     };
+  });
+}
 
-    res.render('events/templates/show', { template, currentUser: res.locals.currentUser });
-  } catch (err) {
-    console.error('Error fetching event template:', err);
-    req.session.error = 'Error loading event template.';
-    res.redirect('/events/templates');
+async function insertParticipantImport(trx, records, batchId) {
+  for (const record of records) {
+    const [participant] = await trx('participant')
+      .insert({ ...record.participant, import_batch_id: batchId })
+      .returning('participant_id');
+    if (record.guardian) await addGuardian(trx, participant.participant_id || participant, record.guardian);
   }
-});
+}
 
 /**
- * Create Event Template - Manager-only route
+ * validateEventImport - Checks event instance rows against templates, venues and existing instances
+ *
+ * Rows that are otherwise valid are then checked for scheduling conflicts (see
+ * findSchedulingConflicts): an overlap with an existing instance at the same location, or
+ * with an earlier row of the file, is a row error. Imports have no override reason, so
+ * such rows are skipped and can be added through the event form instead.
  */
-app.post('/events/templates', requireManager, async (req, res) => {
-  try {
-    const { name, type, description, default_capacity } = req.body;
+async function validateEventImport(rows, trx) {
+  const [templates, venues, existing] = await Promise.all([
+    trx('event').select('event_id', 'event_name', 'event_default_capacity'),
+    trx('venue').select('*'),
+    trx('event_instance').select('event_id', 'event_date_start_time'),
+  ]);
+  const existingKeys = new Set(existing.map(e => `${e.event_id}|${new Date(e.event_date_start_time).getTime()}`));
+  const seenKeys = new Map();
+
+  const results = rows.map((row) => {
+    const v = row.values;
+    const errors = [];
+
+    const template = templates.find(t => (t.event_name || '').toLowerCase() === v.event_name.toLowerCase());
+    if (!v.event_name) errors.push('Event is required.');
+    else if (!template) errors.push(`No event template is named "${v.event_name}".`);
+
+    const start = parseImportDateTime(v.start);
+    const end = v.end ? parseImportDateTime(v.end) : null;
+    if (!start) errors.push(v.start ? `Start "${v.start}" needs a date and a time.` : 'Start is required.');
+    if (v.end && !end) errors.push(`End "${v.end}" needs a date and a time.`);
+    else if (start && end && end <= start) errors.push('End time must be after the start time.');
+
+    let venue = null;
+    if (v.venue) {
+      venue = venues.find(vn => [vn.venue_name, formatVenueLabel(vn)].some(name => name.toLowerCase() === v.venue.toLowerCase()));
+      if (!venue) errors.push(`No venue is named "${v.venue}". Add it under Venues first.`);
+    }
 
-    if (!name || !name.trim()) {
-      req.session.error = 'Event name is required.';
-      return res.redirect('/events/templates/new');
+    const { capacity, error: capacityError } = resolveEventCapacity(v.capacity, venue, template ? template.event_default_capacity : null);
+    if (capacityError) errors.push(capacityError);
+
+    if (template && start) {
+      const key = `${template.event_id}|${start.getTime()}`;
+      if (existingKeys.has(key)) errors.push('This event instance already exists.');
+      else if (seenKeys.has(key)) errors.push(`The same event and start time are on row ${seenKeys.get(key)}.`);
+      else seenKeys.set(key, row.line);
     }
 
-    await db('event').insert({
-      event_name: name.trim(),
-      event_type: type ? type.trim() : null,
-      event_description: description ? description.trim() : null,
-      event_default_capacity: default_capacity ? Number(default_capacity) : null,
-    });
+    return {
+      line: row.line,
+      errors,
+      record: {
+        event_id: template ? template.event_id : null,
+        event_date_start_time: start,
+        event_date_end_time: end,
+        event_location: formatVenueLabel(venue),
+        venue_id: venue ? venue.venue_id : null,
+        event_capacity: capacity ?? null,
+      },
+    };
+  });
 
-    req.session.success = 'Event template created.';
-    res.redirect('/events/templates');
-  } catch (err) {
-    console.error('Error creating event template:', err);
-    req.session.error = 'Error creating event template.';
-    res.redirect('/events/templates');
+  const checked = results.filter(r => r.errors.length === 0);
+  const slots = checked.map(r => ({
+    start: r.record.event_date_start_time,
+    end: r.record.event_date_end_time,
+    location: r.record.event_location,
+  }));
+
+  (await findSchedulingConflicts(slots, [], trx)).forEach((c) => {
+    checked[c.slotIndex].errors.push(`Overlaps ${c.event_name} at ${c.location}, ${c.time_formatted}.`);
+  });
+
+  // Rows of the file against each other, reported on the later row
+  const earlierAtLocation = new Map();
+  slots.forEach((slot, index) => {
+    const location = normalizeLocation(slot.location);
+    if (!location) return;
+    const earlier = earlierAtLocation.get(location) || [];
+    const overlap = earlier.find(other => other.start < slotEnd(slot) && slot.start < slotEnd(other));
+    if (overlap) checked[index].errors.push(`Overlaps the event on row ${checked[overlap.index].line}.`);
+    earlier.push({ ...slot, index });
+    earlierAtLocation.set(location, earlier);
+  });
+
+  return results;
+}
+
+async function insertEventImport(trx, records, batchId) {
+  for (const record of records) {
+    await trx('event_instance').insert({ ...record, import_batch_id: batchId });
   }
-});
+}
 
 /**
- * Edit Event Template Form - Display form to edit template
+ * validateMilestoneImport - Checks participant milestone rows; unknown milestone titles
+ * and milestones the participant already holds are errors
  */
-app.get('/events/templates/:id/edit', requireManager, async (req, res) => {
-  try {
-    const templateData = await db('event')
-      .where({ event_id: req.params.id })
-      .first();
+async function validateMilestoneImport(rows, trx) {
+  const [findParticipant, milestones] = await Promise.all([
+    findParticipantsByEmailOrName(rows, trx),
+    trx('milestone').select('milestone_id', 'milestone_title'),
+  ]);
+  const resolved = rows.map(row => findParticipant(row.values));
+  const participantIds = resolved.filter(r => r.participant).map(r => r.participant.participant_id);
+  const held = participantIds.length > 0
+    ? await trx('participant_milestone').whereIn('participant_id', participantIds).select('participant_id', 'milestone_id')
+    : [];
+  const seenKeys = new Map();
+
+  return rows.map((row, index) => {
+    const v = row.values;
+    const errors = [];
+    const { participant, error } = resolved[index];
+    if (error) errors.push(error);
+
+    const milestone = milestones.find(m => (m.milestone_title || '').toLowerCase() === v.milestone.toLowerCase());
+    if (!v.milestone) errors.push('Milestone is required.');
+    else if (!milestone) errors.push(`Unknown milestone "${v.milestone}".`);
+
+    const date = v.date ? parseImportDate(v.date) : null;
+    if (v.date && !date) errors.push(`Achieved date "${v.date}" is not a date.`);
+
+    if (participant && milestone) {
+      const key = `${participant.participant_id}|${milestone.milestone_id}`;
+      if (held.some(h => h.participant_id === participant.participant_id && h.milestone_id === milestone.milestone_id)) {
+        errors.push('The participant already has this milestone.');
+      } else if (seenKeys.has(key)) {
+        errors.push(`The same participant and milestone are on row ${seenKeys.get(key)}.`);
+      } else {
+        seenKeys.set(key, row.line);
+      }
+    }
 
-    if (!templateData) {
-      req.session.error = 'Event template not found.';
-      return res.redirect('/events/templates');
+    return {
+      line: row.line,
+      errors,
+      record: {
+        participant_id: participant ? participant.participant_id : null,
+        milestone_id: milestone ? milestone.milestone_id : null,
+        milestone_date: date,
+      },
+    };
+  });
+}
+
+async function insertMilestoneImport(trx, records, batchId) {
+  const awardedAt = new Date();
+  for (const record of records) {
+    await trx('participant_milestone').insert({ ...record, milestone_awarded_at: awardedAt, import_batch_id: batchId });
+  }
+}
+
+/**
+ * validateDonationImport - Checks donation rows and works out who each donor is
+ *
+ * A known email or a unique full name links the donation to that participant. An unknown
+ * email with a name creates a donor record, as the public donation form does; a row with
+ * neither email nor name is an anonymous donation (participant 0).
+ */
+async function validateDonationImport(rows, trx) {
+  const knownEmails = new Set(await trx('participant')
+    .whereIn('participant_email', rows.map(r => r.values.email.toLowerCase()).filter(Boolean))
+    .pluck('participant_email'));
+  const findParticipant = await findParticipantsByEmailOrName(rows, trx);
+
+  return rows.map((row) => {
+    const v = row.values;
+    const errors = [];
+    const email = v.email.toLowerCase();
+    let donor = { participant_id: ANONYMOUS_PARTICIPANT_ID };
+
+    if (email && !knownEmails.has(email)) {
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) errors.push(`${v.email} is not an email address.`);
+      else if (!v.first_name || !v.last_name) errors.push('A new donor needs a first and last name.');
+      else donor = { new_donor: { participant_first_name: v.first_name, participant_last_name: v.last_name, participant_email: email } };
+    } else if (email || v.first_name || v.last_name) {
+      const { participant, error } = findParticipant(v);
+      if (error) errors.push(error);
+      else donor = { participant_id: participant.participant_id };
     }
 
-    // Transform database columns to form-friendly field names
-    const template = {
-      id: templateData.event_id,
-      name: templateData.event_name,
-      type: templateData.event_type || '',
-      description: templateData.event_description || '',
-      default_capacity: templateData.event_default_capacity || '',
+    const amount = Number(v.amount.replace(/[$,\s]/g, ''));
+    if (!v.amount || !Number.isFinite(amount) || amount <= 0) errors.push(v.amount ? `Amount "${v.amount}" is not a positive number.` : 'Amount is required.');
+
+    const date = parseImportDate(v.date);
+    if (!date) errors.push(v.date ? `Date "${v.date}" is not a date.` : 'Date is required.');
+    else if (date > zonedDateKey(new Date())) errors.push('Date is in the future.');
+
+    return {
+      line: row.line,
+      errors,
+      record: { ...donor, donation_amount: Math.round(amount * 100) / 100, donation_date: date },
     };
+  });
+}
 
-    res.render('events/templates/form', {
-      formTitle: 'Edit Event Template',
-      formAction: `/events/templates/${req.params.id}`,
-      template,
-      currentUser: res.locals.currentUser,
+async function insertDonationImport(trx, records, batchId) {
+  // Donation numbers continue from each participant's highest; new donors are created once per email
+  const nextNumbers = new Map();
+  const newDonorIds = new Map();
+  for (const { new_donor: newDonor, ...donation } of records) {
+    let participantId = donation.participant_id;
+    if (newDonor) {
+      if (!newDonorIds.has(newDonor.participant_email)) {
+        const [participant] = await trx('participant')
+          .insert({ ...newDonor, participant_role: 'donor', import_batch_id: batchId })
+          .returning('participant_id');
+        newDonorIds.set(newDonor.participant_email, participant.participant_id || participant);
+      }
+      participantId = newDonorIds.get(newDonor.participant_email);
+    }
+
+    if (!nextNumbers.has(participantId)) {
+      const maxDonation = await trx('donation').where({ participant_id: participantId }).max('donation_number as max_num').first();
+      nextNumbers.set(participantId, (maxDonation?.max_num || 0) + 1);
+    }
+    await trx('donation').insert({
+      participant_id: participantId,
+      donation_number: nextNumbers.get(participantId),
+      donation_amount: donation.donation_amount,
+      donation_date: donation.donation_date,
+      import_batch_id: batchId,
     });
-  } catch (err) {
-    console.error('Error fetching event template:', err);
-    req.session.error = 'Error loading event template.';
-    res.redirect('/events/templates');
+    nextNumbers.set(participantId, nextNumbers.get(participantId) + 1);
   }
-});
+}
 
 /**
- * Update Event Template - Manager-only route
+ * loadImportBatch - An import batch with its JSON columns parsed, or null
  */
-app.post('/events/templates/:id', requireManager, async (req, res) => {
-  try {
-    const template = await db('event').where({ event_id: req.params.id }).first();
-    if (!template) {
-      req.session.error = 'Event template not found.';
-      return res.redirect('/events/templates');
-    }
+async function loadImportBatch(batchId) {
+  const batch = await db('import_batch').where('import_batch_id', Number(batchId) || 0).first();
+  if (!batch) return null;
+  // jsonb comes back parsed from pg; some drivers hand back the text
+  const parse = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+  return {
+    ...batch,
+    import_data: parse(batch.import_data),
+    import_mapping: parse(batch.import_mapping),
+    import_report: parse(batch.import_report),
+    entity: IMPORT_ENTITIES[batch.import_entity],
+  };
+}
 
-    const { name, type, description, default_capacity } = req.body;
+/**
+ * validateImportBatch - Maps and validates a draft batch's rows; each result also carries
+ * the mapped values for display
+ */
+async function validateImportBatch(batch, trx = db) {
+  const rows = mapImportRows(batch.entity, batch.import_data, batch.import_mapping);
+  const results = await batch.entity.validate(rows, trx);
+  return results.map((result, index) => ({ ...result, values: rows[index].values }));
+}
 
-    if (!name || !name.trim()) {
-      req.session.error = 'Event name is required.';
-      return res.redirect(`/events/templates/${req.params.id}/edit`);
-    }
+/**
+ * findImportRollbackBlockers - Why a committed batch cannot be rolled back; [] when it can
+ *
+ * Guardians an import creates share its import_committed_at (both are the commit
+ * transaction's now()), so only guardians and consents recorded later are counted. A
+ * participant merged into an imported one would be lost with it, so merges block too.
+ */
+async function findImportRollbackBlockers(batchId, trx = db) {
+  const count = (query) => query.count('* as count').first().then(row => parseInt(row?.count) || 0);
+  const importedParticipants = trx('participant').where('import_batch_id', batchId).select('participant_id');
+  const importedInstances = trx('event_instance').where('import_batch_id', batchId).select('event_instance_id');
+  // Compared in SQL: a JS Date would drop the microseconds and count the import's own guardians
+  const committedAt = trx('import_batch').where('import_batch_id', batchId).select('import_committed_at');
+
+  const [
+    registrations, surveys, milestones, donations, instanceRegistrations, guardians, consents, merges,
+  ] = await Promise.all([
+    count(trx('event_registration').whereIn('participant_id', importedParticipants)),
+    count(trx('survey_submission').whereIn('participant_id', importedParticipants)),
+    count(trx('participant_milestone').whereIn('participant_id', importedParticipants)
+      .where(function() { this.whereNull('import_batch_id').orWhereNot('import_batch_id', batchId); })),
+    count(trx('donation').whereIn('participant_id', importedParticipants)
+      .where(function() { this.whereNull('import_batch_id').orWhereNot('import_batch_id', batchId); })),
+    count(trx('event_registration').whereIn('event_instance_id', importedInstances)),
+    count(trx('guardian').whereIn('participant_id', importedParticipants)
+      .where('guardian_created_at', '>', committedAt)),
+    count(trx('participant_consent').whereIn('participant_id', importedParticipants)
+      .where('consent_created_at', '>', committedAt)),
+    count(trx('participant_merge').whereIn('surviving_participant_id', importedParticipants)),
+  ]);
+
+  const blockers = [];
+  const add = (n, text) => {
+    if (n > 0) blockers.push(`${n} ${text}`);
+  };
+  add(registrations, `event registration${registrations === 1 ? '' : 's'} by imported participants`);
+  add(surveys, `survey submission${surveys === 1 ? '' : 's'} by imported participants`);
+  add(milestones, `milestone${milestones === 1 ? '' : 's'} awarded to imported participants since the import`);
+  add(donations, `donation${donations === 1 ? '' : 's'} recorded for imported participants since the import`);
+  add(instanceRegistrations, `registration${instanceRegistrations === 1 ? '' : 's'} for imported events`);
+  add(guardians, `guardian${guardians === 1 ? '' : 's'} added to imported participants since the import`);
+  add(consents, `consent record${consents === 1 ? '' : 's'} added for imported participants since the import`);
+  add(merges, `participant${merges === 1 ? '' : 's'} merged into imported participants`);
+  return blockers;
+}
 
-    await db('event').where({ event_id: req.params.id }).update({
-      event_name: name.trim(),
-      event_type: type ? type.trim() : null,
-      event_description: description ? description.trim() : null,
-      event_default_capacity: default_capacity ? Number(default_capacity) : null,
+/**
+ * Import List - Every import with its status
+ */
+app.get('/imports', requireManager, async (req, res) => {
+  try {
+    const batches = await db('import_batch as b')
+      .leftJoin('users as u', 'b.import_created_by_user_id', 'u.user_id')
+      .select('b.import_batch_id', 'b.import_entity', 'b.import_file_name', 'b.import_status',
+        'b.import_report', 'b.import_created_at', 'b.import_committed_at', 'u.username')
+      .orderBy('b.import_created_at', 'desc');
+
+    res.render('imports/index', {
+      entities: Object.entries(IMPORT_ENTITIES).map(([key, entity]) => ({ key, label: entity.label })),
+      batches: batches.map((b) => {
+        const report = typeof b.import_report === 'string' ? JSON.parse(b.import_report) : b.import_report;
+        return {
+          id: b.import_batch_id,
+          entity_label: IMPORT_ENTITIES[b.import_entity] ? IMPORT_ENTITIES[b.import_entity].label : b.import_entity,
+          file_name: b.import_file_name,
+          status: b.import_status,
+          imported: report ? report.imported : null,
+          skipped: report ? report.skipped.length : null,
+          created_by: b.username || '-',
+          created_at_formatted: formatDateTime(b.import_committed_at || b.import_created_at),
+        };
+      }),
     });
-
-    req.session.success = 'Event template updated.';
-    res.redirect('/events/templates');
   } catch (err) {
-    console.error('Error updating event template:', err);
-    req.session.error = 'Error updating event template.';
-    res.redirect('/events/templates');
+    console.error('Error loading imports:', err);
+    req.session.error = 'Error loading imports.';
+    res.redirect('/dashboard');
   }
 });
 
+app.get('/imports/new', requireManager, (req, res) => {
+  res.render('imports/new', {
+    entities: Object.entries(IMPORT_ENTITIES).map(([key, entity]) => ({
+      key,
+      label: entity.label,
+      description: entity.description,
+      fields: entity.fields.map(f => (f.required ? `${f.label} *` : f.label)),
+    })),
+    selected: IMPORT_ENTITIES[req.query.entity] ? req.query.entity : 'participants',
+    maxRows: IMPORT_MAX_ROWS,
+  });
+});
+
 /**
- * Delete Event Template - Manager-only route
+ * Upload Import File - Parses the file into a draft batch and moves on to column mapping
  */
-app.post('/events/templates/:id/delete', requireManager, async (req, res) => {
+app.post('/imports', requireManager, (req, res, next) => {
+  importUpload.single('file')(req, res, (err) => {
+    if (!err) return next();
+    req.session.error = err.code === 'LIMIT_FILE_SIZE'
+      ? `The file is too large; the limit is ${IMPORT_MAX_FILE_BYTES / (1024 * 1024)} MB.`
+      : 'Error uploading the file.';
+    res.redirect('/imports/new');
+  });
+}, async (req, res) => {
+  const entityKey = req.body && IMPORT_ENTITIES[req.body.entity] ? req.body.entity : null;
+  const backPath = `/imports/new${entityKey ? `?entity=${entityKey}` : ''}`;
   try {
-    const template = await db('event').where({ event_id: req.params.id }).first();
-    if (!template) {
-      req.session.error = 'Event template not found.';
-      return res.redirect('/events/templates');
+    if (!entityKey) {
+      req.session.error = 'Please choose what to import.';
+      return res.redirect(backPath);
+    }
+    if (!req.file) {
+      req.session.error = 'Please choose a file.';
+      return res.redirect(backPath);
     }
 
-    // Check if template has any instances
-    const instanceCount = await db('event_instance')
-      .where({ event_id: req.params.id })
-      .count('* as count')
-      .first();
-
-    if (instanceCount && parseInt(instanceCount.count) > 0) {
-      req.session.error = 'Cannot delete event template. This template has event instances associated with it. Please delete or reassign instances before deleting.';
-      return res.redirect('/events/templates');
+    const data = await readImportFile(req.file);
+    if (data.error) {
+      req.session.error = data.error;
+      return res.redirect(backPath);
     }
 
-    await db('event').where({ event_id: req.params.id }).del();
-    req.session.success = 'Event template deleted.';
-    res.redirect('/events/templates');
+    await db('import_batch')
+      .where('import_status', 'draft')
+      .where('import_created_at', '<', new Date(Date.now() - IMPORT_DRAFT_HOURS * 60 * 60 * 1000))
+      .del();
+
+    const [batch] = await db('import_batch').insert({
+      import_entity: entityKey,
+      import_file_name: req.file.originalname.slice(0, 255),
+      import_data: JSON.stringify(data),
+      import_mapping: JSON.stringify(guessImportMapping(IMPORT_ENTITIES[entityKey], data.headers)),
+      import_created_by_user_id: req.session.user.id,
+    }).returning('import_batch_id');
+
+    res.redirect(`/imports/${batch.import_batch_id}/map`);
   } catch (err) {
-    console.error('Error deleting event template:', err);
-    req.session.error = 'Error deleting event template.';
-    res.redirect('/events/templates');
+    console.error('Error uploading import:', err);
+    req.session.error = 'Error reading the import file.';
+    res.redirect(backPath);
   }
 });
 
 /**
- * Create Event Instance - Manager-only route
- * 
- * Creates a new event instance (specific occurrence) linked to an existing event definition.
- * The event_id is selected from the dropdown, which displays event names from the event table.
- * 
- * This design allows multiple instances of the same event (e.g., multiple workshops)
- * while maintaining a single event definition with common attributes.
+ * loadDraftImport - The draft batch for a wizard step, or redirects and returns null
  */
-app.post('/events', requireManager, async (req, res) => {
-  try {
-    const { event_id, start_time, end_time, location, capacity } = req.body;
-    
-    if (!event_id) {
-      req.session.error = 'Please select an event.';
-      return res.redirect('/events/new');
-    }
-
-    // Determine capacity: use provided value, or fetch default from event table if blank
-    let finalCapacity = null;
-    if (capacity && capacity.trim() !== '') {
-      finalCapacity = Number(capacity);
-    } else {
-      // Fetch the event's default capacity
-      const eventData = await db('event')
-        .where({ event_id: event_id })
-        .select('event_default_capacity')
-        .first();
-      
-      if (eventData && eventData.event_default_capacity !== null) {
-        finalCapacity = Number(eventData.event_default_capacity);
-      }
-    }
+async function loadDraftImport(req, res) {
+  const batch = await loadImportBatch(req.params.id);
+  if (!batch) {
+    req.session.error = 'Import not found.';
+    res.redirect('/imports');
+    return null;
+  }
+  if (batch.import_status !== 'draft') {
+    res.redirect(`/imports/${batch.import_batch_id}`);
+    return null;
+  }
+  return batch;
+}
 
-    // Create the event_instance (specific occurrence with date/location)
-    await db('event_instance').insert({
-      event_id: event_id,
-      event_date_start_time: start_time ? new Date(start_time) : new Date(),
-      event_date_end_time: end_time ? new Date(end_time) : new Date(),
-      event_location: location || null,
-      event_capacity: finalCapacity,
+app.get('/imports/:id/map', requireManager, async (req, res) => {
+  try {
+    const batch = await loadDraftImport(req, res);
+    if (!batch) return;
+
+    res.render('imports/map', {
+      batch: { id: batch.import_batch_id, file_name: batch.import_file_name, entity_label: batch.entity.label },
+      fields: batch.entity.fields.map(f => ({ ...f, column: batch.import_mapping[f.key] })),
+      headers: batch.import_data.headers,
+      sampleRows: batch.import_data.rows.slice(0, 3).map(r => r.cells),
+      rowCount: batch.import_data.rows.length,
     });
-
-    req.session.success = 'Event instance created.';
-    res.redirect('/events/admin');
   } catch (err) {
-    console.error('Error creating event instance:', err);
-    req.session.error = 'Error creating event instance.';
-    res.redirect('/events/admin');
+    console.error('Error loading import mapping:', err);
+    req.session.error = 'Error loading import.';
+    res.redirect('/imports');
   }
 });
 
-app.get('/events/:id', requireLogin, async (req, res) => {
+app.post('/imports/:id/map', requireManager, async (req, res) => {
   try {
-    const [eventData, registrationsData] = await Promise.all([
-      db('event_instance as ei')
-        .join('event as e', 'ei.event_id', 'e.event_id')
-        .where('ei.event_instance_id', req.params.id)
-        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
-        .first(),
-      db('event_registration as er')
-        .join('participant as p', 'er.participant_id', 'p.participant_id')
-        .where('er.event_instance_id', req.params.id)
-        .select(
-          'p.participant_id',
-          'p.participant_first_name',
-          'p.participant_last_name',
-          'p.participant_email',
-          'er.registration_status',
-          'er.registration_attended_flag',
-          'er.registration_created_at',
-          'er.registration_check_in_time'
-        )
-        .orderBy('er.registration_created_at', 'desc')
-    ]);
-
-    if (!eventData) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events/admin');
-    }
+    const batch = await loadDraftImport(req, res);
+    if (!batch) return;
+
+    const mapping = {};
+    batch.entity.fields.forEach((field) => {
+      const index = Number(req.body[`column_${field.key}`]);
+      const chosen = req.body[`column_${field.key}`] !== '' && Number.isInteger(index) && index >= 0 && index < batch.import_data.headers.length;
+      mapping[field.key] = chosen ? index : null;
+    });
 
-    // Transform database columns to view-friendly field names
-    const event = {
-      id: eventData.event_instance_id,
-      event_id: eventData.event_id,
-      event_name: eventData.event_name,
-      event_type: eventData.event_type,
-      event_description: eventData.event_description,
-      start_time: eventData.event_date_start_time,
-      end_time: eventData.event_date_end_time,
-      location: eventData.event_location,
-      capacity: eventData.event_capacity,
-      start_time_formatted: formatDateTime(eventData.event_date_start_time),
-      end_time_formatted: eventData.event_date_end_time ? formatDateTime(eventData.event_date_end_time) : '',
-    };
+    await db('import_batch').where('import_batch_id', batch.import_batch_id).update({ import_mapping: JSON.stringify(mapping) });
 
-    // Transform registrations for view
-    const registrations = registrationsData.map(reg => ({
-      participant_id: reg.participant_id,
-      name: `${reg.participant_first_name || ''} ${reg.participant_last_name || ''}`.trim() || 'Unknown',
-      email: reg.participant_email || '-',
-      status: reg.registration_status || '-',
-      attended: reg.registration_attended_flag ? 'Yes' : 'No',
-      created_at: reg.registration_created_at ? formatDateTime(reg.registration_created_at) : '-',
-      check_in_time: reg.registration_check_in_time ? formatDateTime(reg.registration_check_in_time) : '-',
-    }));
+    const missing = batch.entity.fields.filter(f => f.required && mapping[f.key] === null);
+    if (missing.length > 0) {
+      req.session.error = `Choose a column for ${missing.map(f => f.label).join(', ')}.`;
+      return res.redirect(`/imports/${batch.import_batch_id}/map`);
+    }
+    res.redirect(`/imports/${batch.import_batch_id}/preview`);
+  } catch (err) {
+    console.error('Error saving import mapping:', err);
+    req.session.error = 'Error saving the column mapping.';
+    res.redirect(`/imports/${req.params.id}/map`);
+  }
+});
 
-    res.render('events/instances/show', { event, registrations, currentUser: res.locals.currentUser });
+app.get('/imports/:id/preview', requireManager, async (req, res) => {
+  try {
+    const batch = await loadDraftImport(req, res);
+    if (!batch) return;
+
+    const results = await validateImportBatch(batch);
+    const mappedFields = batch.entity.fields.filter(f => batch.import_mapping[f.key] !== null);
+    const invalid = results.filter(r => r.errors.length > 0);
+    const valid = results.filter(r => r.errors.length === 0);
+
+    res.render('imports/preview', {
+      batch: { id: batch.import_batch_id, file_name: batch.import_file_name, entity_label: batch.entity.label },
+      fields: mappedFields,
+      validCount: valid.length,
+      invalidCount: invalid.length,
+      rows: [...invalid, ...valid.slice(0, IMPORT_PREVIEW_ROWS)].sort((a, b) => a.line - b.line),
+      hiddenValidCount: Math.max(0, valid.length - IMPORT_PREVIEW_ROWS),
+    });
   } catch (err) {
-    console.error('Error fetching event:', err);
-    req.session.error = 'Error loading event.';
-    res.redirect('/events/admin');
+    console.error('Error previewing import:', err);
+    req.session.error = 'Error previewing the import.';
+    res.redirect('/imports');
   }
 });
 
-app.get('/events/:id/edit', requireManager, async (req, res) => {
+/**
+ * Commit Import - Validates again inside the transaction (the data may have changed since
+ * the preview), inserts the valid rows and records the report
+ */
+app.post('/imports/:id/commit', requireManager, async (req, res) => {
   try {
-    const [eventData, eventsData] = await Promise.all([
-      db('event_instance as ei')
-        .join('event as e', 'ei.event_id', 'e.event_id')
-        .where('ei.event_instance_id', req.params.id)
-        .select('ei.*', 'e.event_name', 'e.event_type', 'e.event_description')
-        .first(),
-      db('event')
-        .select('event_id', 'event_name')
-        .orderBy('event_name')
-    ]);
+    const batch = await loadDraftImport(req, res);
+    if (!batch) return;
+
+    const report = await db.transaction(async (trx) => {
+      // Locks the batch so a double-submitted commit runs once
+      const locked = await trx('import_batch').where('import_batch_id', batch.import_batch_id).forUpdate().first();
+      if (locked.import_status !== 'draft') return null;
+
+      const results = await validateImportBatch(batch, trx);
+      const valid = results.filter(r => r.errors.length === 0);
+      await batch.entity.insert(trx, valid.map(r => r.record), batch.import_batch_id);
+
+      const result = {
+        total: results.length,
+        imported: valid.length,
+        skipped: results.filter(r => r.errors.length > 0).map(r => ({ line: r.line, errors: r.errors })),
+      };
+      await trx('import_batch').where('import_batch_id', batch.import_batch_id).update({
+        import_status: 'committed',
+        import_data: null,
+        import_report: JSON.stringify(result),
+        // The database clock, so it matches the created_at of rows inserted above
+        import_committed_at: db.fn.now(),
+      });
+      return result;
+    });
 
-    if (!eventData) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events/admin');
+    if (report) {
+      req.session.success = `Imported ${report.imported} of ${report.total} rows.`;
     }
-
-    // Transform events for dropdown
-    const events = eventsData.map(e => ({
-      id: e.event_id,
-      name: e.event_name,
-    }));
-
-    // Transform database columns to form-friendly field names
-    const event = {
-      id: eventData.event_instance_id,
-      event_id: eventData.event_id,
-      start_time: eventData.event_date_start_time ? new Date(eventData.event_date_start_time).toISOString().slice(0, 16) : '',
-      end_time: eventData.event_date_end_time ? new Date(eventData.event_date_end_time).toISOString().slice(0, 16) : '',
-      location: eventData.event_location || '',
-      capacity: eventData.event_capacity || '',
-    };
-
-    res.render('events/instances/form', {
-      formTitle: 'Edit Event Instance',
-      formAction: `/events/${req.params.id}`,
-      event,
-      events: events || [],
-      currentUser: res.locals.currentUser,
-    });
+    res.redirect(`/imports/${batch.import_batch_id}`);
   } catch (err) {
-    console.error('Error fetching event:', err);
-    req.session.error = 'Error loading event.';
-    res.redirect('/events/admin');
+    console.error('Error committing import:', err);
+    req.session.error = 'Error importing. Nothing was imported.';
+    res.redirect(`/imports/${req.params.id}/preview`);
   }
 });
 
-app.post('/events/:id', requireManager, async (req, res) => {
+/**
+ * Import Report - What a committed (or rolled back) import did
+ */
+app.get('/imports/:id', requireManager, async (req, res) => {
   try {
-    const eventInstance = await db('event_instance').where({ event_instance_id: req.params.id }).first();
-    if (!eventInstance) {
-      req.session.error = 'Event not found.';
-      return res.redirect('/events/admin');
+    const batch = await loadImportBatch(req.params.id);
+    if (!batch) {
+      req.session.error = 'Import not found.';
+      return res.redirect('/imports');
     }
+    if (batch.import_status === 'draft') return res.redirect(`/imports/${batch.import_batch_id}/map`);
 
-    const { event_id, start_time, end_time, location, capacity } = req.body;
+    const [createdBy, rolledBackBy] = await Promise.all([
+      batch.import_created_by_user_id ? db('users').where('user_id', batch.import_created_by_user_id).first() : null,
+      batch.import_rolled_back_by_user_id ? db('users').where('user_id', batch.import_rolled_back_by_user_id).first() : null,
+    ]);
 
-    if (!event_id) {
-      req.session.error = 'Please select an event.';
-      return res.redirect(`/events/${req.params.id}/edit`);
-    }
+    res.render('imports/show', {
+      batch: {
+        id: batch.import_batch_id,
+        entity_label: batch.entity ? batch.entity.label : batch.import_entity,
+        file_name: batch.import_file_name,
+        status: batch.import_status,
+        created_by: createdBy ? createdBy.username : '-',
+        committed_at_formatted: formatDateTime(batch.import_committed_at),
+        rolled_back_by: rolledBackBy ? rolledBackBy.username : '-',
+        rolled_back_at_formatted: batch.import_rolled_back_at ? formatDateTime(batch.import_rolled_back_at) : '',
+      },
+      report: batch.import_report,
+      blockers: batch.import_status === 'committed' ? await findImportRollbackBlockers(batch.import_batch_id) : [],
+    });
+  } catch (err) {
+    console.error('Error loading import report:', err);
+    req.session.error = 'Error loading import.';
+    res.redirect('/imports');
+  }
+});
 
-    // Check if new capacity is lower than current registrations
-    // Get current registration count first
-    const registrationCount = await db('event_registration')
-      .where('event_instance_id', req.params.id)
-      .count('* as count')
-      .first();
-    
-    const currentRegistrations = parseInt(registrationCount?.count || 0);
-    
-    // If capacity is being set (not null/empty), validate it
-    if (capacity !== null && capacity !== undefined && capacity !== '') {
-      const newCapacity = Number(capacity);
-      // Check if it's a valid number (including 0)
-      if (!isNaN(newCapacity)) {
-        // If capacity is being set to a number, it must be at least equal to current registrations
-        if (newCapacity < currentRegistrations) {
-          req.session.error = `Cannot set capacity to ${newCapacity}. There are currently ${currentRegistrations} registered participant${currentRegistrations !== 1 ? 's' : ''}. Capacity must be at least ${currentRegistrations}.`;
-          return res.redirect(`/events/${req.params.id}/edit`);
-        }
-      }
+/**
+ * Roll Back Import - Deletes everything a committed batch created, unless other records
+ * now depend on it
+ *
+ * The batch row is locked and the blockers checked in the same transaction as the deletes,
+ * so two rollbacks cannot both run and nothing checked can change in between.
+ */
+app.post('/imports/:id/rollback', requireManager, async (req, res) => {
+  const batchPath = `/imports/${req.params.id}`;
+  try {
+    const batch = await loadImportBatch(req.params.id);
+    if (!batch) {
+      req.session.error = 'Only a committed import can be rolled back.';
+      return res.redirect('/imports');
     }
 
-    // Update event_instance table only (event definition is not changed)
-    await db('event_instance').where({ event_instance_id: req.params.id }).update({
-      event_id: event_id,
-      event_date_start_time: start_time ? new Date(start_time) : eventInstance.event_date_start_time,
-      event_date_end_time: end_time ? new Date(end_time) : eventInstance.event_date_end_time,
-      event_location: location || null,
-      event_capacity: capacity ? Number(capacity) : null,
+    const error = await db.transaction(async (trx) => {
+      const batchId = batch.import_batch_id;
+      const locked = await trx('import_batch').where('import_batch_id', batchId).forUpdate().first();
+      if (locked.import_status !== 'committed') return 'Only a committed import can be rolled back.';
+
+      const blockers = await findImportRollbackBlockers(batchId, trx);
+      if (blockers.length > 0) return `This import cannot be rolled back because of ${blockers.join(', ')}.`;
+
+      await trx('donation').where('import_batch_id', batchId).del();
+      await trx('participant_milestone').where('import_batch_id', batchId).del();
+      await trx('event_instance').where('import_batch_id', batchId).del();
+      await trx('participant').where('import_batch_id', batchId).del();
+      await trx('import_batch').where('import_batch_id', batchId).update({
+        import_status: 'rolled_back',
+        import_rolled_back_by_user_id: req.session.user.id,
+        import_rolled_back_at: new Date(),
+      });
+      return null;
     });
 
-    req.session.success = 'Event instance updated.';
-    res.redirect('/events/admin');
+    if (error) {
+      req.session.error = error;
+      return res.redirect(batchPath);
+    }
+    req.session.success = 'Import rolled back.';
+    res.redirect(batchPath);
   } catch (err) {
-    console.error('Error updating event instance:', err);
-    req.session.error = 'Error updating event instance.';
-    res.redirect('/events/admin');
+    console.error('Error rolling back import:', err);
+    req.session.error = 'Error rolling back the import. Nothing was removed.';
+    res.redirect(batchPath);
   }
 });
 
-app.post('/events/:id/delete', requireManager, async (req, res) => {
-  try {
-    const eventInstance = await db('event_instance').where({ event_instance_id: req.params.id }).first();
-    if (eventInstance) {
-      await db('event_instance').where({ event_instance_id: req.params.id }).del();
-      // Note: We may want to keep the event if there are other instances
-      // For now, we'll delete it if this is the only instance
-      const otherInstances = await db('event_instance').where({ event_id: eventInstance.event_id }).count('* as count').first();
-      if (otherInstances.count === 0) {
-        await db('event').where({ event_id: eventInstance.event_id }).del();
-      }
-    }
-    req.session.success = 'Event deleted.';
-    res.redirect('/events/admin');
-  } catch (err) {
-    console.error('Error deleting event:', err);
-    req.session.error = 'Error deleting event.';
-    res.redirect('/events/admin');
+/**
+ * Cancel Import - Discards a draft
+ */
+app.post('/imports/:id/delete', requireManager, async (req, res) => {
+  try {
+    await db('import_batch').where({ import_batch_id: Number(req.params.id) || 0, import_status: 'draft' }).del();
+    res.redirect('/imports');
+  } catch (err) {
+    console.error('Error discarding import:', err);
+    req.session.error = 'Error discarding the import.';
+    res.redirect('/imports');
   }
 });
 
 // =======================
-// SURVEYS MAINTENANCE
+// EMAIL OUTBOX
 // =======================
 /**
- * Survey Maintenance Routes
- * 
- * Per rubric requirements:
- * - "Can only access if logged in" - Protected by requireLogin
- * - "Surveys are displayed and navigation works including search" - List with search
- * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager
- * 
- * Surveys capture post-event feedback from participants.
- * Structure:
- * - `survey_submission`: Links participant to event with submission date
- * - `survey_response`: Individual question answers (question_number 1-4)
- * - `survey_comment`: Free-text comments (stored separately per ERD design)
- * 
- * Question mapping: 1=satisfaction, 2=usefulness, 4=recommend (per ERD)
+ * Email Outbox Routes - Manager-only
+ *
+ * Shows every queued email with its delivery status so staff can see what was sent,
+ * what is still retrying, and what failed. Messages still waiting can be sent right away;
+ * failed ones no longer have a body to resend (see EMAIL).
  */
 
 /**
- * List Surveys - Display all survey submissions with search
- * 
- * Shows all survey submissions with participant name, event name, and satisfaction score.
- * Search works across participant name and event name.
- * Uses complex joins to aggregate data from multiple related tables.
+ * List Outbox - Most recent emails with status filter and search
  */
-app.get('/surveys', requireLogin, async (req, res) => {
+app.get('/outbox', requireManager, async (req, res) => {
   try {
     const q = (req.query.q || '').toLowerCase();
-    const eventFilter = req.query.event || '';
-    
-    // Get list of unique event names for the filter dropdown
-    const eventNames = await db('event')
-      .distinct('event_name')
-      .whereNotNull('event_name')
-      .orderBy('event_name', 'asc')
-      .pluck('event_name');
-    
-    let query = db('survey_submission as ss')
-      .join('participant as p', 'ss.participant_id', 'p.participant_id')
-      .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
-      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
-      .leftJoin('survey_response as sr', function() {
-        this.on('sr.survey_submission_id', '=', 'ss.survey_submission_id')
-            .andOn('sr.question_number', '=', db.raw('1'));
-      })
-      .select(
-        'ss.survey_submission_id as id',
-        'ss.survey_submission_date as submitted_at',
-        'p.participant_first_name',
-        'p.participant_last_name',
-        'e.event_name as eventName',
-        'sr.question_response as satisfaction'
-      );
+    const statusFilter = req.query.status || '';
+
+    let query = db('email_outbox').select(
+      'email_outbox_id',
+      'email_to',
+      'email_subject',
+      'email_template',
+      'email_status',
+      'email_attempts',
+      'email_last_error',
+      'email_created_at',
+      'email_sent_at'
+    );
 
     if (q) {
       query = query.where(function() {
-        this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
-          .orWhere('e.event_name', 'ilike', `%${q}%`);
+        this.where('email_to', 'ilike', `%${q}%`)
+          .orWhere('email_subject', 'ilike', `%${q}%`);
       });
     }
 
-    if (eventFilter) {
-      query = query.where('e.event_name', eventFilter);
+    if (statusFilter) {
+      query = query.where('email_status', statusFilter);
     }
 
-    const surveysData = await query.orderBy('ss.survey_submission_date', 'desc');
-    
-    // Transform data to include all survey response fields for the view
-    const surveyIds = surveysData.map(s => s.id);
-    const allResponses = surveyIds.length > 0 ? await db('survey_response')
-      .whereIn('survey_submission_id', surveyIds)
-      .select('*') : [];
-    
-    const responseMap = {};
-    allResponses.forEach(r => {
-      if (!responseMap[r.survey_submission_id]) {
-        responseMap[r.survey_submission_id] = {};
-      }
-      responseMap[r.survey_submission_id][r.question_number] = r.question_response;
-    });
-    
+    const emailsData = await query.orderBy('email_created_at', 'desc').limit(200);
+
     // Transform database columns to view-friendly field names
-    const surveys = surveysData.map(s => ({
-      id: s.id,
-      participantName: `${s.participant_first_name || ''} ${s.participant_last_name || ''}`.trim(),
-      eventName: s.eventName || '-',
-      submitted_at: formatDateShort(s.submitted_at),
-      satisfaction: responseMap[s.id]?.[1] || '-',
-      usefulness: responseMap[s.id]?.[2] || '-',
-      recommend: responseMap[s.id]?.[4] || '-',
+    const emails = emailsData.map(e => ({
+      id: e.email_outbox_id,
+      to: e.email_to,
+      subject: e.email_subject,
+      template: e.email_template || '-',
+      status: e.email_status,
+      attempts: e.email_attempts,
+      last_error: e.email_last_error,
+      created_at: formatDateTime(e.email_created_at),
+      sent_at: e.email_sent_at ? formatDateTime(e.email_sent_at) : '-',
     }));
-    
-    res.render('surveys/index', { surveys, q, eventFilter, eventNames });
+
+    res.render('outbox/index', { emails, q, statusFilter });
   } catch (err) {
-    console.error('Error fetching surveys:', err);
-    req.session.error = 'Error loading surveys.';
-    const eventNames = await db('event')
-      .distinct('event_name')
-      .whereNotNull('event_name')
-      .orderBy('event_name', 'asc')
-      .pluck('event_name')
-      .catch(() => []);
-    res.render('surveys/index', { surveys: [], q: req.query.q || '', eventFilter: req.query.event || '', eventNames });
+    console.error('Error fetching email outbox:', err);
+    req.session.error = 'Error loading email outbox.';
+    res.render('outbox/index', { emails: [], q: req.query.q || '', statusFilter: req.query.status || '' });
   }
 });
 
-app.get('/surveys/new', requireManager, async (req, res) => {
+/**
+ * Retry Email - Re-queues a pending (or stuck) message for immediate delivery
+ */
+app.post('/outbox/:id/retry', requireManager, async (req, res) => {
   try {
-    const [participantsRaw, events] = await Promise.all([
-      db('participant').select('participant_id as id', 'participant_first_name', 'participant_last_name').orderBy('participant_last_name'),
-      db('event_instance as ei')
-        .join('event as e', 'ei.event_id', 'e.event_id')
-        .select('ei.event_instance_id as id', 'e.event_name as name', 'ei.event_date_start_time')
-        .orderBy('ei.event_date_start_time', 'desc')
-    ]);
-    
-    // Transform participants for dropdown
-    const participants = participantsRaw.map(p => ({
-      id: p.id,
-      first_name: p.participant_first_name,
-      last_name: p.participant_last_name,
-    }));
-    
-    res.render('surveys/form', {
-      formTitle: 'Record Survey',
-      formAction: '/surveys',
-      survey: {},
-      participants,
-      events,
-    });
+    const updated = await db('email_outbox')
+      .where('email_outbox_id', req.params.id)
+      .whereIn('email_status', ['pending', 'sending'])
+      .update({
+        email_status: 'pending',
+        email_attempts: 0,
+        email_next_attempt_at: new Date(),
+      });
+
+    if (!updated) {
+      req.session.error = 'Email not found, already sent, or failed for good.';
+      return res.redirect('/outbox');
+    }
+
+    await processOutbox();
+    req.session.success = 'Email re-queued.';
+    res.redirect('/outbox');
   } catch (err) {
-    console.error('Error loading survey form:', err);
-    req.session.error = 'Error loading form.';
-    res.redirect('/surveys');
+    console.error('Error retrying email:', err);
+    req.session.error = 'Error retrying email.';
+    res.redirect('/outbox');
   }
 });
 
+// =======================
+// JSON API
+// =======================
 /**
- * Create Survey - Manager-only route
- * 
- * Creates a survey submission in a multi-step process:
- * 1. Creates the survey_submission record linking participant to event
- * 2. Creates individual survey_response records for each answered question
- * 3. Creates survey_comment record if a comment is provided
- * 
- * This normalized structure allows for flexible survey questions while maintaining
- * referential integrity. Comments are stored separately per ERD design.
+ * REST API (/api/v1)
+ *
+ * A JSON interface to the core records for scripts, reporting tools and partner
+ * integrations. Every resource in API_RESOURCES has the same five endpoints:
+ *
+ *   GET    /api/v1/<resource>         list, with ?page and ?per_page (at most 200), ?sort
+ *                                     (comma-separated fields, "-" for descending), ?q search,
+ *                                     ?<field>=value filters and ?<field>_from / ?<field>_to
+ *                                     ranges on dates and times
+ *   GET    /api/v1/<resource>/<key>   one record
+ *   POST   /api/v1/<resource>         create
+ *   PATCH  /api/v1/<resource>/<key>   change only the fields sent
+ *   DELETE /api/v1/<resource>/<key>   delete
+ *
+ * Registrations and donations have two-part keys, as on the web pages:
+ * /registrations/<event_instance_id>/<participant_id> and /donations/<participant_id>/<donation_number>.
+ * Deleting a registration cancels it, and the next person on the waitlist moves up.
+ *
+ * Callers send an API key ("Authorization: Bearer <key>", created on a user's page) or use
+ * a logged-in session. Reading needs any staff login and writing needs a manager, the same
+ * rules as requireLogin and requireManager. Writes made with a session must be sent as
+ * Content-Type: application/json, which a form on another site cannot do. Writes go through the same checks as the web
+ * forms (duplicate emails, guardians for minors, venue capacity, scheduling conflicts,
+ * the waitlist...).
+ *
+ * Times are ISO 8601; a time without an offset is organization time (see Organization
+ * Time Zone). Calendar dates (birthdays, donation dates) are YYYY-MM-DD. Responses are
+ * { data }, plus meta: { page, per_page, total, total_pages } for lists. Failures are
+ * { error: { status, code, message, details } }, where details maps fields to what is
+ * wrong with them.
  */
-app.post('/surveys', requireManager, async (req, res) => {
+const API_KEY_PREFIX = 'er_';
+const API_DEFAULT_PAGE_SIZE = 50;
+const API_MAX_PAGE_SIZE = 200;
+const API_ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  415: 'unsupported_media_type',
+  422: 'validation_failed',
+  500: 'server_error',
+};
+
+/**
+ * sendApiError - Writes the API's JSON error body
+ */
+function sendApiError(res, status, message, details = null) {
+  res.status(status).json({
+    error: { status, code: API_ERROR_CODES[status], message, ...(details ? { details } : {}) },
+  });
+}
+
+/**
+ * apiError - Refusal returned by a resource's create/update/remove hooks
+ */
+function apiError(status, message, details = null) {
+  return { error: { status, message, details } };
+}
+
+/**
+ * authenticateApi - Sets req.apiUser from a Bearer API key or the session user
+ *
+ * A key that is unknown or revoked is refused outright rather than falling back to the
+ * session, so a script with a bad key finds out.
+ *
+ * The browser sends the session cookie with a form posted from any other site, but it only
+ * sends a JSON content type cross-site after a CORS preflight this app never allows. So a
+ * session write without one is refused, and a forged form cannot change records.
+ */
+async function authenticateApi(req, res, next) {
+  const header = req.get('authorization');
+  if (!header) {
+    const isWrite = !['GET', 'HEAD', 'OPTIONS'].includes(req.method);
+    if (isWrite && req.session.user && !/^application\/json\s*(;|$)/i.test(req.get('content-type') || '')) {
+      return sendApiError(res, 415, 'Requests made with a login session must be sent as Content-Type: application/json.');
+    }
+    req.apiUser = req.session.user || null;
+    return next();
+  }
+
+  const match = /^Bearer\s+(\S+)$/i.exec(header);
+  if (!match) {
+    return sendApiError(res, 401, 'Send the API key as "Authorization: Bearer <key>".');
+  }
+
   try {
-    const { participant_id, event_id, satisfaction, usefulness, recommend, comment } = req.body;
-    
-    // Create survey submission record (links participant to event)
-    const [submission] = await db('survey_submission').insert({
-      participant_id: Number(participant_id),
-      event_instance_id: Number(event_id),
-      survey_submission_date: new Date(),
-    }).returning('survey_submission_id');
-
-    // Create survey responses for each answered question
-    // Question mapping: 1=satisfaction, 2=usefulness, 4=recommend (per ERD)
-    const responses = [];
-    if (satisfaction) responses.push({ survey_submission_id: submission.survey_submission_id, question_number: 1, question_response: satisfaction });
-    if (usefulness) responses.push({ survey_submission_id: submission.survey_submission_id, question_number: 2, question_response: usefulness });
-    if (recommend) responses.push({ survey_submission_id: submission.survey_submission_id, question_number: 4, question_response: recommend });
-
-    if (responses.length > 0) {
-      await db('survey_response').insert(responses);
-    }
-
-    // Create survey comment if provided (stored in separate table per ERD)
-    if (comment) {
-      await db('survey_comment').insert({
-        survey_submission_id: submission.survey_submission_id,
-        comment_number: 1,
-        comment_text: comment,
-      });
+    const key = await db('api_key as k')
+      .join('users as u', 'k.user_id', 'u.user_id')
+      .where('k.api_key_hash', hashToken(match[1]))
+      .whereNull('k.api_key_revoked_at')
+      .first('k.api_key_id', 'u.user_id', 'u.username', 'u.role');
+    if (!key) {
+      return sendApiError(res, 401, 'This API key is not valid or has been revoked.');
     }
 
-    req.session.success = 'Survey recorded.';
-    res.redirect('/surveys');
+    await db('api_key').where({ api_key_id: key.api_key_id }).update({ api_key_last_used_at: new Date() });
+    req.apiUser = { id: key.user_id, username: key.username, role: key.role };
+    next();
   } catch (err) {
-    console.error('Error creating survey:', err);
-    req.session.error = 'Error creating survey.';
-    res.redirect('/surveys');
+    console.error('Error checking API key:', err);
+    sendApiError(res, 500, 'Error checking the API key.');
   }
-});
+}
 
-app.get('/surveys/:id', requireLogin, async (req, res) => {
-  try {
-    const submission = await db('survey_submission as ss')
-      .join('participant as p', 'ss.participant_id', 'p.participant_id')
-      .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
-      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
-      .where('ss.survey_submission_id', req.params.id)
-      .select('ss.*', 'p.*', 'e.event_name as eventName', 'ei.event_instance_id as eventInstanceId')
-      .first();
+/**
+ * apiRequireLogin - requireLogin for the API: any staff user may read
+ */
+function apiRequireLogin(req, res, next) {
+  if (!req.apiUser) {
+    return sendApiError(res, 401, 'Log in or send an API key.');
+  }
+  next();
+}
 
-    if (!submission) {
-      req.session.error = 'Survey not found.';
-      return res.redirect('/surveys');
+/**
+ * apiRequireManager - requireManager for the API: only admins may write
+ */
+function apiRequireManager(req, res, next) {
+  if (!req.apiUser) {
+    return sendApiError(res, 401, 'Log in or send an API key.');
+  }
+  if (req.apiUser.role !== 'admin') {
+    return sendApiError(res, 403, 'Only managers can change records.');
+  }
+  next();
+}
+
+/**
+ * apiHandler - Wraps an API route so unexpected errors still answer in JSON
+ *
+ * Constraint violations the hooks did not check for become 409s instead of 500s.
+ */
+function apiHandler(action, handler) {
+  return async (req, res) => {
+    try {
+      await handler(req, res);
+    } catch (err) {
+      if (isUniqueViolation(err)) {
+        return sendApiError(res, 409, 'This would duplicate an existing record.');
+      }
+      if (err && err.code === '23503') {
+        return sendApiError(res, 409, 'Other records still refer to this one, so it cannot be changed or deleted.');
+      }
+      console.error(`Error ${action}:`, err);
+      sendApiError(res, 500, `Error ${action}.`);
     }
+  };
+}
 
-    const [responses, comments] = await Promise.all([
-      db('survey_response')
-        .where('survey_submission_id', req.params.id)
-        .select('*'),
-      db('survey_comment')
-        .where('survey_submission_id', req.params.id)
-        .select('*')
-        .orderBy('comment_number')
-    ]);
+/**
+ * parseApiDateTime - ISO 8601 date and time; without an offset it is organization time
+ *
+ * Returns a Date, or null when the value is not a valid date and time.
+ */
+function parseApiDateTime(value) {
+  const text = String(value).trim();
+  if (!/(Z|[+-]\d{2}:?\d{2})$/i.test(text)) return parseDateTimeLocal(text);
+  if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}/.test(text)) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
 
-    // Transform data for the view
-    const responseMap = responses.reduce((acc, r) => {
-      acc[r.question_number] = r.question_response;
-      return acc;
-    }, {});
+/**
+ * parseApiValue - Checks one field value from a JSON body or query string
+ *
+ * Query strings only carry text, so numbers and booleans are also accepted as strings.
+ * Returns { value } or { error }; null and "" clear a field.
+ */
+function parseApiValue(field, raw) {
+  if (raw === null || raw === undefined || raw === '') return { value: null };
+
+  switch (field.type) {
+    case 'integer':
+    case 'number': {
+      const value = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { error: 'Must be a number.' };
+      if (field.type === 'integer' && !Number.isInteger(value)) return { error: 'Must be a whole number.' };
+      if (field.min !== undefined && value < field.min) return { error: `Must be at least ${field.min}.` };
+      if (field.positive && value <= 0) return { error: 'Must be more than 0.' };
+      return { value };
+    }
+    case 'boolean':
+      if (raw === true || raw === 'true') return { value: true };
+      if (raw === false || raw === 'false') return { value: false };
+      return { error: 'Must be true or false.' };
+    case 'date':
+      if (typeof raw !== 'string' || !parseDateKey(raw)) return { error: 'Must be a date (YYYY-MM-DD).' };
+      return { value: raw.trim() };
+    case 'datetime': {
+      const value = typeof raw === 'string' ? parseApiDateTime(raw) : null;
+      return value ? { value } : { error: 'Must be an ISO 8601 date and time.' };
+    }
+    case 'enum':
+      if (!field.options.includes(raw)) return { error: `Must be one of: ${field.options.join(', ')}.` };
+      return { value: raw };
+    case 'object':
+      if (typeof raw !== 'object' || Array.isArray(raw)) return { error: 'Must be an object.' };
+      return { value: raw };
+    default: {
+      if (typeof raw !== 'string') return { error: 'Must be a string.' };
+      const value = raw.trim();
+      if (field.maxLength && value.length > field.maxLength) return { error: `Must be at most ${field.maxLength} characters.` };
+      return { value: value || null };
+    }
+  }
+}
 
-    const survey = {
-      id: submission.survey_submission_id,
-      satisfaction: responseMap[1] || null,
-      usefulness: responseMap[2] || null,
-      recommend: responseMap[4] || null,
-      comment: comments.length > 0 ? comments[0].comment_text : null,
-    };
+/**
+ * serializeApiValue - A row value as it appears in API responses
+ */
+function serializeApiValue(field, row) {
+  const value = field.read ? field.read(row) : row[apiFieldProperty(field)];
+  if (field.type === 'boolean') return Boolean(value);
+  if (value === null || value === undefined) return null;
+  if (field.type === 'integer' || field.type === 'number') return Number(value);
+  if (field.type === 'date') return calendarDateKey(value);
+  if (field.type === 'datetime') return new Date(value).toISOString();
+  return value;
+}
 
-    const event = submission.eventName ? {
-      name: submission.eventName,
-    } : null;
+/**
+ * apiFieldProperty - The row property a field is read from ('p.participant_email' -> 'participant_email')
+ */
+function apiFieldProperty(field) {
+  return field.column.split('.').pop();
+}
 
-    const participant = {
-      first_name: submission.participant_first_name,
-      last_name: submission.participant_last_name,
-    };
+/**
+ * serializeApiRow - A resource row as a plain JSON object of its fields
+ */
+function serializeApiRow(resource, row) {
+  const data = {};
+  resource.fields.forEach((field) => { data[field.name] = serializeApiValue(field, row); });
+  return data;
+}
 
-    res.render('surveys/show', { survey, event, participant });
-  } catch (err) {
-    console.error('Error fetching survey:', err);
-    req.session.error = 'Error loading survey.';
-    res.redirect('/surveys');
+/**
+ * parseApiBody - Validates a create (POST) or update (PATCH) body against a resource's fields
+ *
+ * Returns { values, errors }. values only has the fields that were sent; on create, missing
+ * required fields are errors. Fields that are read-only, or that cannot be changed on
+ * update (createOnly) or set on create (updateOnly), are reported rather than ignored.
+ */
+function parseApiBody(resource, body, { partial }) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return { values: {}, errors: { body: 'Send a JSON object.' } };
   }
-});
 
-app.get('/surveys/:id/edit', requireManager, async (req, res) => {
-  try {
-    const [submission, responses, comments, participants, events] = await Promise.all([
-      db('survey_submission').where({ survey_submission_id: req.params.id }).first(),
-      db('survey_response').where({ survey_submission_id: req.params.id }).select('*'),
-      db('survey_comment').where({ survey_submission_id: req.params.id }).select('*').orderBy('comment_number'),
-      db('participant').select('participant_id as id', 'participant_first_name', 'participant_last_name').orderBy('participant_last_name'),
-      db('event_instance as ei')
-        .join('event as e', 'ei.event_id', 'e.event_id')
-        .select('ei.event_instance_id as id', 'e.event_name as name', 'ei.event_date_start_time')
-        .orderBy('ei.event_date_start_time', 'desc')
-    ]);
+  const values = {};
+  const errors = {};
+  const fieldsByName = new Map(resource.fields.map(f => [f.name, f]));
+
+  Object.keys(body).forEach((name) => {
+    const field = fieldsByName.get(name);
+    if ((resource.bodyExtras || []).includes(name)) return;
+    if (!field) {
+      errors[name] = 'Unknown field.';
+    } else if (!field.write) {
+      errors[name] = 'This field is read-only.';
+    } else if (partial && field.createOnly) {
+      errors[name] = 'This field cannot be changed.';
+    } else if (!partial && field.updateOnly) {
+      errors[name] = 'This field can only be set on an existing record.';
+    }
+  });
 
-    if (!submission) {
-      req.session.error = 'Survey not found.';
-      return res.redirect('/surveys');
+  resource.fields.filter(f => f.write && !(partial ? f.createOnly : f.updateOnly)).forEach((field) => {
+    if (!(field.name in body)) {
+      if (!partial && field.required) errors[field.name] = 'This field is required.';
+      return;
+    }
+    if (errors[field.name]) return;
+    const parsed = parseApiValue(field, body[field.name]);
+    if (parsed.error) {
+      errors[field.name] = parsed.error;
+    } else if (parsed.value === null && field.required) {
+      errors[field.name] = 'This field is required.';
+    } else {
+      values[field.name] = parsed.value;
     }
+  });
 
-    // Transform responses to form-friendly fields
-    const responseMap = responses.reduce((acc, r) => {
-      acc[r.question_number] = r.question_response;
-      return acc;
-    }, {});
+  return { values, errors };
+}
 
-    // Transform participants for dropdown
-    const participantsFormatted = participants.map(p => ({
-      id: p.id,
-      first_name: p.participant_first_name,
-      last_name: p.participant_last_name,
-    }));
+/**
+ * apiColumnValues - Maps parsed field values to their table columns for insert/update
+ */
+function apiColumnValues(resource, values) {
+  const columns = {};
+  resource.fields.forEach((field) => {
+    if (field.write && field.name in values && field.type !== 'object') {
+      columns[apiFieldProperty(field)] = values[field.name];
+    }
+  });
+  return columns;
+}
 
-    const survey = {
-      id: submission.survey_submission_id,
-      participant_id: submission.participant_id,
-      event_id: submission.event_instance_id,
-      satisfaction: responseMap[1] || '',
-      usefulness: responseMap[2] || '',
-      recommend: responseMap[4] || '',
-      comment: comments.length > 0 ? comments[0].comment_text : '',
-    };
+/**
+ * applyApiListParams - Adds a list request's filters, search and sort to a resource query
+ *
+ * Returns { query, page, perPage } or { errors } for unknown parameters and bad values,
+ * so a typo in a filter name is reported instead of silently returning everything.
+ */
+function applyApiListParams(resource, params) {
+  const errors = {};
+  let query = resource.query();
+  const known = new Set(['page', 'per_page', 'sort', 'q']);
+
+  resource.fields.filter(f => f.filter).forEach((field) => {
+    const column = field.filterColumn || field.column;
+    const ranged = field.type === 'date' || field.type === 'datetime';
+    const names = ranged ? [`${field.name}_from`, `${field.name}_to`] : [field.name];
+    names.forEach(name => known.add(name));
+
+    names.filter(name => params[name] !== undefined && params[name] !== '').forEach((name) => {
+      const raw = params[name];
+      if (typeof raw !== 'string') {
+        errors[name] = 'Give this filter once.';
+        return;
+      }
 
-    res.render('surveys/form', {
-      formTitle: 'Edit Survey',
-      formAction: `/surveys/${submission.survey_submission_id}`,
-      survey,
-      participants: participantsFormatted,
-      events,
+      const parsed = field.type === 'datetime' && /^\d{4}-\d{2}-\d{2}$/.test(raw.trim())
+        ? parseApiDayBoundary(raw, name.endsWith('_to'))
+        : parseApiValue(field, raw);
+      if (parsed.error) {
+        errors[name] = parsed.error;
+      } else if (ranged && name.endsWith('_from')) {
+        query = query.where(column, '>=', parsed.value);
+      } else if (ranged) {
+        query = query.where(column, parsed.exclusive ? '<' : '<=', parsed.value);
+      } else if (field.type === 'string') {
+        query = query.whereRaw('lower(??) = lower(?)', [column, parsed.value]);
+      } else {
+        query = query.where(column, parsed.value);
+      }
     });
-  } catch (err) {
-    console.error('Error loading survey form:', err);
-    req.session.error = 'Error loading form.';
-    res.redirect('/surveys');
+  });
+
+  Object.keys(params).filter(name => !known.has(name)).forEach((name) => {
+    errors[name] = 'Unknown parameter.';
+  });
+
+  const q = typeof params.q === 'string' ? params.q.trim() : '';
+  if (q && resource.search) {
+    query = resource.search(query, q);
+  }
+
+  const page = params.page === undefined ? 1 : Number(params.page);
+  const perPage = params.per_page === undefined ? API_DEFAULT_PAGE_SIZE : Number(params.per_page);
+  if (!Number.isInteger(page) || page < 1) errors.page = 'Must be a whole number of at least 1.';
+  if (!Number.isInteger(perPage) || perPage < 1 || perPage > API_MAX_PAGE_SIZE) {
+    errors.per_page = `Must be a whole number from 1 to ${API_MAX_PAGE_SIZE}.`;
+  }
+
+  const sortFields = typeof params.sort === 'string' && params.sort.trim()
+    ? params.sort.split(',').map(s => s.trim()).filter(Boolean)
+    : resource.defaultSort;
+  const order = [];
+  sortFields.forEach((entry) => {
+    const name = entry.replace(/^[-+]/, '');
+    const field = resource.fields.find(f => f.name === name && f.sort);
+    if (!field) {
+      errors.sort = `Cannot sort by "${name}". Sortable fields: ${resource.fields.filter(f => f.sort).map(f => f.name).join(', ')}.`;
+      return;
+    }
+    order.push({ column: field.column, order: entry.startsWith('-') ? 'desc' : 'asc', nulls: 'last' });
+  });
+
+  if (Object.keys(errors).length > 0) return { errors };
+
+  // The key comes last so pages never overlap when sorted values tie
+  resource.keys.forEach(key => order.push({ column: key.column, order: 'asc' }));
+  return { query: query.orderBy(order), page, perPage };
+}
+
+/**
+ * parseApiDayBoundary - A bare date given to a date-and-time range filter
+ *
+ * The whole day counts, in organization time: _from starts at its midnight and _to ends
+ * (exclusive) at the next one.
+ */
+function parseApiDayBoundary(value, isEnd) {
+  const day = parseDateKey(value);
+  if (!day) return { error: 'Must be a date or an ISO 8601 date and time.' };
+  return {
+    value: zonedTimeToDate(day.getFullYear(), day.getMonth() + 1, day.getDate() + (isEnd ? 1 : 0)),
+    exclusive: isEnd,
+  };
+}
+
+/**
+ * parseApiKey - Key values from the URL, or null when one is not a whole number
+ */
+function parseApiKey(resource, params) {
+  const key = {};
+  for (const { param } of resource.keys) {
+    if (!/^\d+$/.test(params[param])) return null;
+    key[param] = Number(params[param]);
+  }
+  return key;
+}
+
+/**
+ * loadApiRow - One resource row by key (undefined when it does not exist)
+ */
+async function loadApiRow(resource, key) {
+  if (!key) return undefined;
+  let query = resource.query();
+  resource.keys.forEach(({ param, column }) => { query = query.where(column, key[param]); });
+  const row = await query.first();
+  if (row && resource.loadDetails) await resource.loadDetails([row]);
+  return row;
+}
+
+/**
+ * apiValidationError - 422 for field errors found by parseApiBody or a hook
+ */
+function apiValidationError(errors) {
+  return apiError(422, 'Some fields are not valid.', errors);
+}
+
+/**
+ * findMissingApiRecords - 422 details for ids in values that point at nothing
+ *
+ * checks: { field: [table, idColumn, label] }; fields that were not sent or are null are skipped.
+ */
+async function findMissingApiRecords(values, checks) {
+  const errors = {};
+  for (const [field, [table, column, label]] of Object.entries(checks)) {
+    if (values[field] === undefined || values[field] === null) continue;
+    const found = await db(table).where(column, values[field]).first(column);
+    if (!found) errors[field] = `No ${label} has this id.`;
   }
-});
+  return errors;
+}
 
-app.post('/surveys/:id', requireManager, async (req, res) => {
-  try {
-    const submission = await db('survey_submission').where({ survey_submission_id: req.params.id }).first();
-    if (!submission) {
-      req.session.error = 'Survey not found.';
-      return res.redirect('/surveys');
-    }
+/**
+ * apiRegistrationConsentError - The validation error for registering a minor without a
+ * guardian or current consent on file (as on the public form), or null
+ */
+async function apiRegistrationConsentError(participant, eventStart) {
+  const missingConsent = await findMissingConsent(participant, zonedDateKey(eventStart));
+  if (!missingConsent) return null;
+  const needs = [
+    ...(missingConsent.guardian ? ['a guardian'] : []),
+    ...(missingConsent.consentTypes.length > 0 ? [`current ${listConsentTypes(missingConsent.consentTypes)} consent`] : []),
+  ];
+  return apiValidationError({ participant_id: `This participant is under ${ADULT_AGE} and needs ${needs.join(' and ')} on file before registering.` });
+}
 
-    const { participant_id, event_id, satisfaction, usefulness, recommend, comment } = req.body;
+/**
+ * API Resources
+ *
+ * Each resource lists its fields (the JSON name, the column it comes from, its type and
+ * whether it can be filtered, sorted and written) and a base query. The hooks do the
+ * writes with the same rules as the web routes and return { key } for the record to send
+ * back, or an apiError.
+ *   create(values, req, body)       values are parsed fields; body has bodyExtras too
+ *   update(row, values, req, body)  row is the current record from query()
+ *   remove(row, req)
+ */
+const API_RESOURCES = {
+  participants: {
+    keys: [{ param: 'id', column: 'p.participant_id' }],
+    query: () => db('participant as p').select('p.*'),
+    search: (query, q) => query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('p.participant_email', 'ilike', `%${q}%`)
+        .orWhere('p.participant_city', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['last_name', 'first_name'],
+    bodyExtras: ['guardian'],
+    fields: [
+      { name: 'id', column: 'p.participant_id', type: 'integer', filter: true, sort: true },
+      { name: 'first_name', column: 'p.participant_first_name', type: 'string', sort: true, write: true, required: true, maxLength: 255 },
+      { name: 'last_name', column: 'p.participant_last_name', type: 'string', sort: true, write: true, required: true, maxLength: 255 },
+      { name: 'email', column: 'p.participant_email', type: 'string', filter: true, sort: true, write: true, maxLength: 255 },
+      { name: 'phone', column: 'p.participant_phone', type: 'string', filter: true, write: true, maxLength: 50 },
+      { name: 'dob', column: 'p.participant_dob', type: 'date', filter: true, sort: true, write: true },
+      { name: 'school_or_employer', column: 'p.participant_school_or_employer', type: 'string', filter: true, write: true, maxLength: 255 },
+      { name: 'city', column: 'p.participant_city', type: 'string', filter: true, sort: true, write: true, maxLength: 255 },
+      { name: 'state', column: 'p.participant_state', type: 'string', filter: true, sort: true, write: true, maxLength: 50 },
+      { name: 'zip', column: 'p.participant_zip', type: 'string', filter: true, write: true, maxLength: 20 },
+      { name: 'field_of_interest', column: 'p.participant_field_of_interest', type: 'string', filter: true, write: true, maxLength: 255 },
+      { name: 'role', column: 'p.participant_role', type: 'enum', options: ['participant', 'donor'], filter: true, write: true },
+    ],
+    async create(values, req, body) {
+      if (values.email) values.email = values.email.toLowerCase();
+      const conflict = await findParticipantContactConflict(values);
+      if (conflict) return conflict;
+
+      // Minors need a guardian ({ first_name, last_name, relationship, email, phone,
+      // preferred_language }); for adults one is optional
+      const isMinor = isMinorOn(values.dob, zonedDateKey(new Date()));
+      let guardianValues = null;
+      if (isMinor || body.guardian) {
+        const parsed = parseApiGuardian(body.guardian);
+        if (parsed.error) {
+          return apiValidationError({
+            guardian: isMinor ? `${parsed.error} A guardian is required for participants under ${ADULT_AGE}.` : parsed.error,
+          });
+        }
+        guardianValues = parsed.values;
+      }
 
-    // Update submission
-    await db('survey_submission').where({ survey_submission_id: req.params.id }).update({
-      participant_id: Number(participant_id),
-      event_instance_id: Number(event_id),
-    });
+      const participantId = await db.transaction(async (trx) => {
+        const [created] = await trx('participant').insert({
+          ...apiColumnValues(this, values),
+          participant_role: values.role || 'participant',
+        }).returning('participant_id');
+        if (guardianValues) await addGuardian(trx, created.participant_id, guardianValues);
+        return created.participant_id;
+      });
+      return { key: { id: participantId } };
+    },
+    async update(row, values) {
+      if (row.participant_id === ANONYMOUS_PARTICIPANT_ID) {
+        return apiError(409, 'The anonymous donor record cannot be changed.');
+      }
+      if (values.email) values.email = values.email.toLowerCase();
+      const conflict = await findParticipantContactConflict(values, row.participant_id);
+      if (conflict) return conflict;
+
+      await db('participant').where({ participant_id: row.participant_id }).update(apiColumnValues(this, values));
+      return { key: { id: row.participant_id } };
+    },
+    async remove(row) {
+      if (row.participant_id === ANONYMOUS_PARTICIPANT_ID) {
+        return apiError(409, 'The anonymous donor record cannot be deleted.');
+      }
+      const donationCount = await db('donation').where('participant_id', row.participant_id).count('* as count').first();
+      if (parseInt(donationCount?.count) > 0) {
+        return apiError(409, 'This participant has donations. Remove or reassign them before deleting the participant.');
+      }
 
-    // Update or insert responses
-    const updates = [];
-    if (satisfaction) updates.push({ survey_submission_id: req.params.id, question_number: 1, question_response: satisfaction });
-    if (usefulness) updates.push({ survey_submission_id: req.params.id, question_number: 2, question_response: usefulness });
-    if (recommend) updates.push({ survey_submission_id: req.params.id, question_number: 4, question_response: recommend });
+      await db.transaction(async (trx) => {
+        await trx('participant_milestone').where('participant_id', row.participant_id).del();
+        await trx('participant').where({ participant_id: row.participant_id }).del();
+      });
+      return {};
+    },
+  },
 
-    for (const update of updates) {
-      await db('survey_response')
-        .where({ survey_submission_id: update.survey_submission_id, question_number: update.question_number })
-        .del();
-      await db('survey_response').insert(update);
-    }
+  'event-templates': {
+    keys: [{ param: 'id', column: 'e.event_id' }],
+    query: () => db('event as e').select(
+      'e.*',
+      db.raw('(SELECT count(*) FROM event_instance ei WHERE ei.event_id = e.event_id) as instance_count')
+    ),
+    search: (query, q) => query.where(function() {
+      this.where('e.event_name', 'ilike', `%${q}%`)
+        .orWhere('e.event_type', 'ilike', `%${q}%`)
+        .orWhere('e.event_description', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['name'],
+    fields: [
+      { name: 'id', column: 'e.event_id', type: 'integer', filter: true, sort: true },
+      { name: 'name', column: 'e.event_name', type: 'string', sort: true, write: true, required: true, maxLength: 255 },
+      { name: 'type', column: 'e.event_type', type: 'string', filter: true, sort: true, write: true, maxLength: 255 },
+      { name: 'description', column: 'e.event_description', type: 'string', write: true },
+      { name: 'default_capacity', column: 'e.event_default_capacity', type: 'integer', min: 0, write: true },
+      { name: 'survey_version_id', column: 'e.survey_version_id', type: 'integer', filter: true, write: true },
+      { name: 'instance_count', column: 'instance_count', type: 'integer', sort: true },
+    ],
+    async create(values) {
+      const missing = await findMissingApiRecords(values, { survey_version_id: ['survey_version', 'survey_version_id', 'survey version'] });
+      if (Object.keys(missing).length > 0) return apiValidationError(missing);
+
+      const [created] = await db('event').insert(apiColumnValues(this, values)).returning('event_id');
+      return { key: { id: created.event_id } };
+    },
+    async update(row, values) {
+      const missing = await findMissingApiRecords(values, { survey_version_id: ['survey_version', 'survey_version_id', 'survey version'] });
+      if (Object.keys(missing).length > 0) return apiValidationError(missing);
+
+      await db('event').where({ event_id: row.event_id }).update(apiColumnValues(this, values));
+      return { key: { id: row.event_id } };
+    },
+    async remove(row) {
+      if (parseInt(row.instance_count) > 0) {
+        return apiError(409, 'This template has event instances. Delete or reassign them before deleting the template.');
+      }
+      await db('event').where({ event_id: row.event_id }).del();
+      return {};
+    },
+  },
 
-    // Handle comments in survey_comment table
-    if (comment) {
-      // Delete existing comments and insert new one
-      await db('survey_comment')
-        .where({ survey_submission_id: req.params.id })
-        .del();
-      await db('survey_comment').insert({
-        survey_submission_id: req.params.id,
-        comment_number: 1,
-        comment_text: comment,
+  'event-instances': {
+    keys: [{ param: 'id', column: 'ei.event_instance_id' }],
+    query: () => db('event_instance as ei')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .select(
+        'ei.*',
+        'e.event_name',
+        'e.event_type',
+        db.raw(`(SELECT count(*) FROM event_registration er
+          WHERE er.event_instance_id = ei.event_instance_id AND ${ACTIVE_REGISTRATION_SQL}) as registered_count`)
+      ),
+    search: (query, q) => query.where(function() {
+      this.where('e.event_name', 'ilike', `%${q}%`)
+        .orWhere('ei.event_location', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['start'],
+    bodyExtras: ['override_reason'],
+    fields: [
+      { name: 'id', column: 'ei.event_instance_id', type: 'integer', filter: true, sort: true },
+      { name: 'event_id', column: 'ei.event_id', type: 'integer', filter: true, sort: true, write: true, required: true },
+      { name: 'event_name', column: 'e.event_name', type: 'string', sort: true },
+      { name: 'event_type', column: 'e.event_type', type: 'string', filter: true, sort: true },
+      { name: 'start', column: 'ei.event_date_start_time', type: 'datetime', filter: true, sort: true, write: true, required: true },
+      { name: 'end', column: 'ei.event_date_end_time', type: 'datetime', filter: true, sort: true, write: true },
+      { name: 'venue_id', column: 'ei.venue_id', type: 'integer', filter: true, write: true },
+      { name: 'location', column: 'ei.event_location', type: 'string', filter: true, sort: true },
+      { name: 'capacity', column: 'ei.event_capacity', type: 'integer', min: 0, sort: true, write: true },
+      { name: 'registered_count', column: 'registered_count', type: 'integer', sort: true },
+      { name: 'series_id', column: 'ei.event_series_id', type: 'integer', filter: true },
+    ],
+    async create(values, req, body) {
+      const template = await db('event').where({ event_id: values.event_id }).first('event_default_capacity');
+      if (!template) return apiValidationError({ event_id: 'No event template has this id.' });
+      if (values.end && values.end <= values.start) return apiValidationError({ end: 'Must be after the start time.' });
+
+      const { venue, error: venueError } = await findVenue(values.venue_id);
+      if (venueError) return apiValidationError({ venue_id: 'No venue has this id.' });
+      const { capacity, error: capacityError } = resolveEventCapacity(values.capacity, venue, template.event_default_capacity);
+      if (capacityError) return apiValidationError({ capacity: capacityError });
+      const location = formatVenueLabel(venue);
+
+      const overrideReason = typeof body.override_reason === 'string' ? body.override_reason.trim() : '';
+      const conflicts = await findSchedulingConflicts([{ start: values.start, end: values.end, location }]);
+      if (conflicts.length > 0 && !overrideReason) return apiSchedulingConflict(conflicts);
+
+      const eventInstanceId = await db.transaction(async (trx) => {
+        const [instance] = await trx('event_instance').insert({
+          event_id: values.event_id,
+          event_date_start_time: values.start,
+          event_date_end_time: values.end || null,
+          event_location: location,
+          venue_id: venue ? venue.venue_id : null,
+          event_capacity: capacity,
+        }).returning('event_instance_id');
+
+        await recordConflictOverrides(conflicts.map(c => [instance.event_instance_id, c.id]), overrideReason, req.apiUser.id, trx);
+        return instance.event_instance_id;
       });
-    } else {
-      // Remove comment if empty
-      await db('survey_comment')
-        .where({ survey_submission_id: req.params.id })
-        .del();
-    }
+      return { key: { id: eventInstanceId } };
+    },
+    async update(row, values, req, body) {
+      const changed = (name) => name in values;
+      if (changed('event_id')) {
+        const template = await db('event').where({ event_id: values.event_id }).first('event_id');
+        if (!template) return apiValidationError({ event_id: 'No event template has this id.' });
+      }
 
-    req.session.success = 'Survey updated.';
-    res.redirect('/surveys');
-  } catch (err) {
-    console.error('Error updating survey:', err);
-    req.session.error = 'Error updating survey.';
-    res.redirect('/surveys');
-  }
-});
+      const start = changed('start') ? values.start : new Date(row.event_date_start_time);
+      const end = changed('end') ? values.end : (row.event_date_end_time && new Date(row.event_date_end_time));
+      if (end && end <= start) return apiValidationError({ end: 'Must be after the start time.' });
 
-app.post('/surveys/:id/delete', requireManager, async (req, res) => {
-  try {
-    await db('survey_comment').where('survey_submission_id', req.params.id).del();
-    await db('survey_response').where('survey_submission_id', req.params.id).del();
-    await db('survey_submission').where({ survey_submission_id: req.params.id }).del();
-    req.session.success = 'Survey deleted.';
-    res.redirect('/surveys');
-  } catch (err) {
-    console.error('Error deleting survey:', err);
-    req.session.error = 'Error deleting survey.';
-    res.redirect('/surveys');
-  }
-});
+      // Without a venue_id the instance keeps its venue (or its older free-text location)
+      const { venue, error: venueError } = await findVenue(changed('venue_id') ? values.venue_id : row.venue_id);
+      if (venueError) return apiValidationError({ venue_id: 'No venue has this id.' });
+      const location = changed('venue_id') || row.venue_id ? formatVenueLabel(venue) : row.event_location;
+      const { capacity, error: capacityError } = resolveEventCapacity(changed('capacity') ? values.capacity : row.event_capacity, venue);
+      if (capacityError) return apiValidationError({ capacity: capacityError });
 
-// =======================
-// DONATIONS MAINTENANCE
-// =======================
-/**
- * Donation Maintenance Routes
- * 
- * Per rubric requirements:
- * - "Can only access if logged in" - Admin donations view protected by requireLogin
- * - "Donations are displayed and navigation works including search" - List with search (admin view)
- * - "Ability to maintain (edit, delete, add) - manager only" - CRUD operations require manager
- * - "Ability to add user information and donation" - Public route saves donor info (FIXED)
- * 
- * Donations use a composite primary key (participant_id, donation_number) per ERD.
- * Anonymous donations use participant_id = 0 (references a special "Anonymous" participant record).
- * Public donations can optionally create participant records for donors.
- */
+      const registered = await countActiveRegistrations(row.event_instance_id);
+      if (capacity !== null && capacity < registered) {
+        return apiValidationError({ capacity: `There ${registered !== 1 ? 'are' : 'is'} currently ${registered} registered participant${registered !== 1 ? 's' : ''}, so capacity must be at least ${registered}.` });
+      }
 
-/**
- * Public Donation Handler - Accepts donations from website visitors
- * 
- * Per rubric requirement: "Ability to add user information and donation"
- * This route processes donations from the public website:
- * - If donor provides name/email: Creates or finds participant record and links donation
- * - If anonymous: Creates donation with participant_id = 0 (Anonymous participant)
- * - Always saves donation amount and date
- * 
- * This ensures donor information is stored as required by the rubric.
- */
-// Public-facing simple donation capture
-// This route handles donations from the public website where visitors can provide their information
-// Per rubric requirement: "Ability to add user information and donation" - we save donor info as participants
-app.post('/donations/public', async (req, res) => {
-  try {
-    const { donor_first_name, donor_last_name, donor_email, amount } = req.body;
-    
-    // Validate required fields
-    if (!amount || Number(amount) <= 0) {
-      req.session.error = 'Please enter a valid donation amount.';
-      return res.redirect('/donate');
-    }
-    
-    if (!donor_first_name || !donor_first_name.trim()) {
-      req.session.error = 'Please enter your first name.';
-      return res.redirect('/donate');
-    }
-    
-    if (!donor_last_name || !donor_last_name.trim()) {
-      req.session.error = 'Please enter your last name.';
-      return res.redirect('/donate');
-    }
-    
-    // Default to participant_id = 0 for anonymous donations
-    // Participant ID 0 represents the "Anonymous" participant record
-    let participant_id = 0;
+      const sameTime = new Date(row.event_date_start_time).getTime() === start.getTime()
+        && String(row.event_date_end_time && new Date(row.event_date_end_time).getTime()) === String(end && end.getTime());
+      const keepOverrides = sameTime && normalizeLocation(location) === normalizeLocation(row.event_location);
+      const overrideReason = typeof body.override_reason === 'string' ? body.override_reason.trim() : '';
+      const conflicts = await findSchedulingConflicts(
+        [{ start, end, location, eventInstanceId: row.event_instance_id, keepOverrides }],
+        [row.event_instance_id]
+      );
+      if (conflicts.length > 0 && !overrideReason) return apiSchedulingConflict(conflicts);
+
+      await db.transaction(async (trx) => {
+        await trx('event_instance').where({ event_instance_id: row.event_instance_id }).update({
+          event_id: changed('event_id') ? values.event_id : row.event_id,
+          event_date_start_time: start,
+          event_date_end_time: end || null,
+          event_location: location,
+          venue_id: venue ? venue.venue_id : null,
+          event_capacity: capacity,
+        });
+        if (!keepOverrides) await clearConflictOverrides([row.event_instance_id], trx);
+        await recordConflictOverrides(conflicts.map(c => [row.event_instance_id, c.id]), overrideReason, req.apiUser.id, trx);
+      });
 
-    // If donor provided email, find or create a participant record to link the donation
-    // This meets the rubric requirement to store user information with donations
-    // First and last name are required fields
-    if (donor_email) {
-      // Get first and last name from form fields (required, so should be present)
-      const first_name = donor_first_name.trim();
-      const last_name = donor_last_name.trim();
+      // A capacity increase (or removing the limit) may open seats for the waitlist
+      await promoteWaitlist(row.event_instance_id, getBaseUrl(req));
+      return { key: { id: row.event_instance_id } };
+    },
+    async remove(row) {
+      await db('event_instance').where({ event_instance_id: row.event_instance_id }).del();
+      return {};
+    },
+  },
 
-      // Normalize email for lookup
-      const normalizedEmail = donor_email.trim().toLowerCase();
+  registrations: {
+    keys: [
+      { param: 'event_instance_id', column: 'er.event_instance_id' },
+      { param: 'participant_id', column: 'er.participant_id' },
+    ],
+    query: () => db('event_registration as er')
+      .join('participant as p', 'er.participant_id', 'p.participant_id')
+      .join('event_instance as ei', 'er.event_instance_id', 'ei.event_instance_id')
+      .join('event as e', 'ei.event_id', 'e.event_id')
+      .select('er.*', 'p.participant_first_name', 'p.participant_last_name', 'e.event_name', 'ei.event_date_start_time'),
+    search: (query, q) => query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('e.event_name', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['event_start', 'participant_last_name'],
+    fields: [
+      { name: 'event_instance_id', column: 'er.event_instance_id', type: 'integer', filter: true, sort: true, write: true, required: true, createOnly: true },
+      { name: 'participant_id', column: 'er.participant_id', type: 'integer', filter: true, sort: true, write: true, required: true, createOnly: true },
+      {
+        name: 'status',
+        column: 'er.registration_status',
+        filterColumn: db.raw("coalesce(er.registration_status, 'registered')"),
+        read: row => row.registration_status || 'registered',
+        type: 'enum',
+        options: ['registered', 'waitlisted', 'cancelled'],
+        filter: true,
+        sort: true,
+        write: true,
+        updateOnly: true,
+      },
+      { name: 'attended', column: 'er.registration_attended_flag', type: 'boolean', filter: true, write: true, updateOnly: true },
+      { name: 'check_in_time', column: 'er.registration_check_in_time', type: 'datetime', filter: true, sort: true },
+      { name: 'created_at', column: 'er.registration_created_at', type: 'datetime', filter: true, sort: true },
+      { name: 'participant_first_name', column: 'p.participant_first_name', type: 'string', sort: true },
+      { name: 'participant_last_name', column: 'p.participant_last_name', type: 'string', sort: true },
+      { name: 'event_name', column: 'e.event_name', type: 'string', sort: true },
+      { name: 'event_start', column: 'ei.event_date_start_time', type: 'datetime', filter: true, sort: true },
+    ],
+    async create(values, req) {
+      const [participant, eventInstance] = await Promise.all([
+        db('participant').where({ participant_id: values.participant_id }).first(),
+        db('event_instance').where({ event_instance_id: values.event_instance_id }).first(),
+      ]);
+      const missing = {
+        ...(participant ? {} : { participant_id: 'No participant has this id.' }),
+        ...(eventInstance ? {} : { event_instance_id: 'No event instance has this id.' }),
+      };
+      if (Object.keys(missing).length > 0) return apiValidationError(missing);
 
-      // Check if a participant with this email already exists
-      let existingParticipant = await db('participant')
-        .where('participant_email', normalizedEmail)
-        .first();
+      const consentError = await apiRegistrationConsentError(participant, eventInstance.event_date_start_time);
+      if (consentError) return consentError;
 
-      if (existingParticipant) {
-        // Use existing participant
-        participant_id = existingParticipant.participant_id;
-      } else {
-        // Create a new participant record for the donor with the role of 'donor'
-        // This allows us to track donors and link multiple donations to the same person
-        const insertResult = await db('participant')
-          .insert({
-            participant_first_name: first_name,
-            participant_last_name: last_name,
-            participant_email: normalizedEmail,
-            participant_role: 'donor',
-            // Leave other fields null since this is just a donor record
-          })
-          .returning('participant_id');
-        
-        // Handle different return formats from returning() - could be array, object, or direct value
-        let newParticipant;
-        if (Array.isArray(insertResult)) {
-          newParticipant = insertResult[0];
-        } else {
-          newParticipant = insertResult;
-        }
-        
-        // Extract participant_id - handle both object property and direct value
-        if (newParticipant && typeof newParticipant === 'object') {
-          participant_id = newParticipant.participant_id;
-        } else {
-          participant_id = newParticipant;
-        }
-        
-        // Fallback: if we still don't have an ID, query for the participant we just created
-        if (!participant_id) {
-          const created = await db('participant')
-            .where('participant_email', normalizedEmail)
-            .first();
-          if (created) {
-            participant_id = created.participant_id;
-          } else {
-            throw new Error('Failed to create or retrieve participant record');
+      const result = await registerParticipantForEvent(participant.participant_id, eventInstance.event_instance_id);
+      if (result.notFound) return apiValidationError({ event_instance_id: 'No event instance has this id.' });
+      if (result.alreadyRegistered) {
+        return apiError(409, result.status === 'waitlisted'
+          ? 'This participant is already on the waitlist for this event.'
+          : 'This participant is already registered for this event.');
+      }
+
+      await queueRegistrationEmail(participant.participant_id, eventInstance.event_instance_id, { baseUrl: getBaseUrl(req) });
+      return { key: { event_instance_id: eventInstance.event_instance_id, participant_id: participant.participant_id } };
+    },
+    async update(row, values, req) {
+      const key = { event_instance_id: row.event_instance_id, participant_id: row.participant_id };
+      const status = row.registration_status || 'registered';
+
+      // Seats are only taken through registerParticipantForEvent and promoteWaitlist, so
+      // the capacity and waitlist order hold. Registering again goes on the waitlist when the
+      // event is full; the record sent back shows which.
+      if ('status' in values && values.status !== status) {
+        if (values.status === 'cancelled') {
+          await db('event_registration').where(key).update({ registration_status: 'cancelled' });
+          await promoteWaitlist(row.event_instance_id, getBaseUrl(req));
+        } else if (values.status === 'registered' && status === 'cancelled') {
+          const participant = await db('participant').where({ participant_id: row.participant_id }).first();
+          const consentError = await apiRegistrationConsentError(participant, row.event_date_start_time);
+          if (consentError) return consentError;
+
+          const result = await registerParticipantForEvent(row.participant_id, row.event_instance_id);
+          if (result.notFound) return apiError(404, 'Record not found.');
+          if (result.alreadyRegistered) {
+            return apiError(409, 'This registration was registered again by another request.');
           }
+          await queueRegistrationEmail(row.participant_id, row.event_instance_id, { baseUrl: getBaseUrl(req) });
+        } else {
+          return apiValidationError({
+            status: status === 'waitlisted'
+              ? 'Waitlisted participants move up automatically when a seat opens.'
+              : 'Only a cancelled registration can be registered again.',
+          });
         }
       }
-    }
 
-    // Determine the next donation_number for this participant
-    // Anonymous donations use participant_id = 0
-    // The donation table uses a composite key (participant_id, donation_number)
-    const maxDonation = await db('donation')
-      .where({ participant_id })
-      .max('donation_number as max_num')
-      .first();
-    
-    const donation_number = (maxDonation?.max_num || 0) + 1;
+      if ('attended' in values && values.attended !== Boolean(row.registration_attended_flag)) {
+        await db('event_registration').where(key).update({
+          registration_attended_flag: Boolean(values.attended),
+          registration_check_in_time: values.attended ? new Date() : null,
+        });
+        if (values.attended) await applyMilestoneRulesFor(row.participant_id);
+      }
+      return { key };
+    },
+    // Cancels rather than deletes, like the web pages, so the history and any check-in stay
+    async remove(row, req) {
+      await db('event_registration')
+        .where({ event_instance_id: row.event_instance_id, participant_id: row.participant_id })
+        .update({ registration_status: 'cancelled' });
+      await promoteWaitlist(row.event_instance_id, getBaseUrl(req));
+      return {};
+    },
+  },
 
-    // Insert the donation record
-    await db('donation').insert({
-      participant_id: participant_id,
-      donation_number: donation_number,
-      donation_amount: Number(amount),
-      donation_date: new Date().toISOString().slice(0, 10),
-    });
+  surveys: {
+    keys: [{ param: 'id', column: 'ss.survey_submission_id' }],
+    query: () => db('survey_submission as ss')
+      .join('participant as p', 'ss.participant_id', 'p.participant_id')
+      .leftJoin('event_instance as ei', 'ss.event_instance_id', 'ei.event_instance_id')
+      .leftJoin('event as e', 'ei.event_id', 'e.event_id')
+      .select('ss.*', 'p.participant_first_name', 'p.participant_last_name', 'e.event_name'),
+    search: (query, q) => query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('e.event_name', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['-submitted_at'],
+    fields: [
+      { name: 'id', column: 'ss.survey_submission_id', type: 'integer', filter: true, sort: true },
+      { name: 'participant_id', column: 'ss.participant_id', type: 'integer', filter: true, sort: true, write: true, required: true },
+      { name: 'event_instance_id', column: 'ss.event_instance_id', type: 'integer', filter: true, sort: true, write: true, required: true },
+      { name: 'survey_version_id', column: 'ss.survey_version_id', type: 'integer', filter: true },
+      { name: 'submitted_at', column: 'ss.survey_submission_date', type: 'datetime', filter: true, sort: true },
+      { name: 'participant_first_name', column: 'p.participant_first_name', type: 'string', sort: true },
+      { name: 'participant_last_name', column: 'p.participant_last_name', type: 'string', sort: true },
+      { name: 'event_name', column: 'e.event_name', type: 'string', sort: true },
+      // Answers keyed by question number: 1-5 and 0-10 ratings, a multiple-choice option's
+      // position (from 1), or text
+      { name: 'answers', column: 'answers', type: 'object', write: true },
+    ],
+    async loadDetails(rows) {
+      const ids = rows.map(r => r.survey_submission_id);
+      const [responses, comments] = await Promise.all([
+        db('survey_response').whereIn('survey_submission_id', ids).select('survey_submission_id', 'question_number', 'question_response'),
+        db('survey_comment').whereIn('survey_submission_id', ids).select('survey_submission_id', 'comment_number', 'comment_text'),
+      ]);
+      const byId = new Map(rows.map(r => [r.survey_submission_id, r]));
+      rows.forEach((r) => { r.answers = {}; });
+      responses.forEach((a) => { byId.get(a.survey_submission_id).answers[a.question_number] = a.question_response; });
+      comments.forEach((c) => { byId.get(c.survey_submission_id).answers[c.comment_number] = c.comment_text; });
+    },
+    async create(values) {
+      const missing = await findMissingApiRecords(values, {
+        participant_id: ['participant', 'participant_id', 'participant'],
+        event_instance_id: ['event_instance', 'event_instance_id', 'event instance'],
+      });
+      if (Object.keys(missing).length > 0) return apiValidationError(missing);
+
+      const surveyVersionId = await getSurveyVersionIdForEvent(values.event_instance_id);
+      const parsed = await parseApiSurveyAnswers(surveyVersionId, values.answers || {});
+      if (parsed.error) return parsed;
+
+      const submissionId = await db.transaction(trx => createSurveySubmission({
+        participantId: values.participant_id,
+        eventInstanceId: values.event_instance_id,
+        surveyVersionId,
+        answers: parsed.answers,
+      }, trx));
+      await applyMilestoneRulesFor(values.participant_id);
+      return { key: { id: submissionId } };
+    },
+    async update(row, values) {
+      const missing = await findMissingApiRecords(values, {
+        participant_id: ['participant', 'participant_id', 'participant'],
+        event_instance_id: ['event_instance', 'event_instance_id', 'event instance'],
+      });
+      if (Object.keys(missing).length > 0) return apiValidationError(missing);
 
-    req.session.success = 'Thank you for your support!';
-    res.redirect('/donate');
-  } catch (err) {
-    console.error('Error recording donation:', err);
-    req.session.error = 'Error recording donation. Please try again.';
-    res.redirect('/donate');
-  }
-});
+      // Answers are checked against the version the submission answered and replace the old ones
+      let parsed = null;
+      if ('answers' in values) {
+        parsed = await parseApiSurveyAnswers(row.survey_version_id, values.answers || {});
+        if (parsed.error) return parsed;
+      }
 
-/**
- * List Donations (Admin) - Display all donations with search
- * 
- * Shows all donations with linked participant information (if available).
- * Anonymous donations show as "Anonymous" when participant_id is null.
- * Search works across participant name and email fields.
- * Uses composite key (participant_id, donation_number) for unique identification.
- */
-app.get('/donations', requireLogin, async (req, res) => {
-  try {
-    const q = (req.query.q || '').toLowerCase();
-    
-    let query = db('donation as d')
+      await db.transaction(async (trx) => {
+        const columns = apiColumnValues(this, values);
+        if (Object.keys(columns).length > 0) {
+          await trx('survey_submission').where({ survey_submission_id: row.survey_submission_id }).update(columns);
+        }
+        if (parsed) {
+          await trx('survey_response').where({ survey_submission_id: row.survey_submission_id }).del();
+          await trx('survey_comment').where({ survey_submission_id: row.survey_submission_id }).del();
+          await saveSurveyAnswers(row.survey_submission_id, parsed.answers, trx);
+        }
+      });
+      return { key: { id: row.survey_submission_id } };
+    },
+    async remove(row) {
+      await db.transaction(async (trx) => {
+        await trx('survey_comment').where('survey_submission_id', row.survey_submission_id).del();
+        await trx('survey_response').where('survey_submission_id', row.survey_submission_id).del();
+        await trx('survey_submission').where({ survey_submission_id: row.survey_submission_id }).del();
+      });
+      return {};
+    },
+  },
+
+  milestones: {
+    keys: [{ param: 'id', column: 'm.milestone_id' }],
+    query: () => db('milestone as m').select(
+      'm.*',
+      db.raw('(SELECT count(*) FROM participant_milestone pm WHERE pm.milestone_id = m.milestone_id) as awarded_count')
+    ),
+    search: (query, q) => query.where(function() {
+      this.where('m.milestone_title', 'ilike', `%${q}%`)
+        .orWhere('m.milestone_description', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['title'],
+    fields: [
+      { name: 'id', column: 'm.milestone_id', type: 'integer', filter: true, sort: true },
+      { name: 'title', column: 'm.milestone_title', type: 'string', sort: true, write: true, required: true, maxLength: 255 },
+      { name: 'description', column: 'm.milestone_description', type: 'string', write: true },
+      { name: 'awarded_count', column: 'awarded_count', type: 'integer', sort: true },
+    ],
+    async create(values) {
+      const [created] = await db('milestone').insert(apiColumnValues(this, values)).returning('milestone_id');
+      return { key: { id: created.milestone_id } };
+    },
+    async update(row, values) {
+      await db('milestone').where({ milestone_id: row.milestone_id }).update(apiColumnValues(this, values));
+      return { key: { id: row.milestone_id } };
+    },
+    async remove(row) {
+      if (parseInt(row.awarded_count) > 0) {
+        return apiError(409, 'This milestone is assigned to participants. Remove it from all participants before deleting it.');
+      }
+      await db('milestone').where({ milestone_id: row.milestone_id }).del();
+      return {};
+    },
+  },
+
+  donations: {
+    keys: [
+      { param: 'participant_id', column: 'd.participant_id' },
+      { param: 'donation_number', column: 'd.donation_number' },
+    ],
+    query: () => db('donation as d')
       .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
-      .select(
-        'd.participant_id',
-        'd.donation_number',
-        'd.donation_amount as amount',
-        'd.donation_date as date',
-        'p.participant_first_name',
-        'p.participant_last_name',
-        'p.participant_email'
-      );
+      .select('d.*', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email'),
+    search: (query, q) => query.where(function() {
+      this.where(db.raw("CONCAT(p.participant_first_name, ' ', p.participant_last_name)"), 'ilike', `%${q}%`)
+        .orWhere('p.participant_email', 'ilike', `%${q}%`);
+    }),
+    defaultSort: ['-date'],
+    fields: [
+      // participant_id 0 is the anonymous donor
+      { name: 'participant_id', column: 'd.participant_id', type: 'integer', min: 0, filter: true, sort: true, write: true },
+      { name: 'donation_number', column: 'd.donation_number', type: 'integer', sort: true },
+      { name: 'amount', column: 'd.donation_amount', type: 'number', positive: true, sort: true, write: true, required: true },
+      { name: 'date', column: 'd.donation_date', type: 'date', filter: true, sort: true, write: true },
+      { name: 'donor_first_name', column: 'p.participant_first_name', type: 'string', sort: true },
+      { name: 'donor_last_name', column: 'p.participant_last_name', type: 'string', sort: true },
+      { name: 'donor_email', column: 'p.participant_email', type: 'string' },
+    ],
+    async create(values) {
+      const participantId = values.participant_id ?? ANONYMOUS_PARTICIPANT_ID;
+      if (participantId !== ANONYMOUS_PARTICIPANT_ID) {
+        const missing = await findMissingApiRecords(values, { participant_id: ['participant', 'participant_id', 'participant'] });
+        if (Object.keys(missing).length > 0) return apiValidationError(missing);
+      }
 
-    if (q) {
-      query = query.where(function() {
-        this.where('p.participant_email', 'ilike', `%${q}%`)
-          .orWhere('p.participant_first_name', 'ilike', `%${q}%`)
-          .orWhere('p.participant_last_name', 'ilike', `%${q}%`);
+      const donationNumber = await insertNumberedDonation(db, participantId, {
+        donation_amount: values.amount,
+        donation_date: values.date || zonedDateKey(new Date()),
       });
-    }
+      return { key: { participant_id: participantId, donation_number: donationNumber } };
+    },
+    async update(row, values) {
+      const participantId = 'participant_id' in values ? (values.participant_id ?? ANONYMOUS_PARTICIPANT_ID) : row.participant_id;
+      if (participantId !== row.participant_id && participantId !== ANONYMOUS_PARTICIPANT_ID) {
+        const missing = await findMissingApiRecords({ participant_id: participantId }, { participant_id: ['participant', 'participant_id', 'participant'] });
+        if (Object.keys(missing).length > 0) return apiValidationError(missing);
+      }
 
-    const donationsData = await query.orderBy('d.donation_date', 'desc');
-    // Transform database columns to view-friendly field names with composite key identifier
-    const donationsWithId = donationsData.map(d => ({
-      participant_id: d.participant_id,
-      donation_number: d.donation_number,
-      id: d.participant_id ? `${d.participant_id}-${d.donation_number}` : `null-${d.donation_number}`,
-      donor: d.participant_id 
-        ? `${d.participant_first_name || ''} ${d.participant_last_name || ''}`.trim() || 'Unknown'
-        : 'Anonymous',
-      email: d.participant_email || null,
-      amount: Number(d.amount) || 0,
-      date: formatDateShort(d.date), // Formats donation_date from database
-    }));
-    
-    res.render('donations/index', { donations: donationsWithId, q });
-  } catch (err) {
-    console.error('Error fetching donations:', err);
-    req.session.error = 'Error loading donations.';
-    res.render('donations/index', { donations: [], q: req.query.q || '' });
-  }
-});
+      const columns = {
+        donation_amount: 'amount' in values ? values.amount : row.donation_amount,
+        donation_date: 'date' in values ? (values.date || zonedDateKey(new Date())) : row.donation_date,
+      };
+      const oldKey = { participant_id: row.participant_id, donation_number: row.donation_number };
+      if (participantId === row.participant_id) {
+        await db('donation').where(oldKey).update(columns);
+        return { key: oldKey };
+      }
+
+      // The key includes the participant, so moving a donation gives it the donor's next number
+      const donationNumber = await db.transaction(async (trx) => {
+        await trx('donation').where(oldKey).del();
+        return insertNumberedDonation(trx, participantId, { ...columns, import_batch_id: row.import_batch_id });
+      });
+      return { key: { participant_id: participantId, donation_number: donationNumber } };
+    },
+    async remove(row) {
+      await db('donation').where({ participant_id: row.participant_id, donation_number: row.donation_number }).del();
+      return {};
+    },
+  },
+};
 
-app.get('/donations/new', requireManager, async (req, res) => {
-  try {
-    const prefillAmount = req.query.amount || '';
-    const participants = await db('participant')
-      .select('participant_id as id', 'participant_first_name', 'participant_last_name')
-      .orderBy('participant_last_name');
-    
-    res.render('donations/form', {
-      formTitle: 'Record Donation',
-      formAction: '/donations',
-      donation: { amount: prefillAmount },
-      participants,
-    });
-  } catch (err) {
-    console.error('Error loading donation form:', err);
-    req.session.error = 'Error loading form.';
-    res.redirect('/donations');
+/**
+ * findParticipantContactConflict - 409 when another participant has this email or phone
+ */
+async function findParticipantContactConflict(values, participantId = null) {
+  const checks = [
+    ['email', 'participant_email', 'A participant with this email already exists.'],
+    ['phone', 'participant_phone', 'A participant with this phone number already exists.'],
+  ];
+  for (const [field, column, message] of checks) {
+    if (!values[field]) continue;
+    let query = db('participant').where(column, values[field]);
+    if (participantId !== null) query = query.whereNot('participant_id', participantId);
+    if (await query.first('participant_id')) return apiError(409, message, { [field]: message });
   }
-});
+  return null;
+}
 
 /**
- * Create Donation (Admin) - Manager-only route
- * 
- * Allows managers to manually record donations linked to participants or as anonymous.
- * Handles composite key by calculating the next donation_number for the selected participant.
- * Supports both participant-linked and anonymous donations.
+ * parseApiGuardian - A guardian object from a participant body, checked like the web form
  */
-app.post('/donations', requireManager, async (req, res) => {
-  try {
-    const { participant_id, amount, date } = req.body;
-    // Use 0 for anonymous donations instead of null (database requires non-null)
-    const partId = participant_id && participant_id.trim() !== '' ? Number(participant_id) : 0;
-
-    // Get the next donation_number for this participant
-    // Anonymous donations use participant_id = 0
-    // The donation table uses composite key (participant_id, donation_number) per ERD
-    const maxDonation = await db('donation')
-      .where({ participant_id: partId })
-      .max('donation_number as max_num')
-      .first();
-    
-    const donation_number = (maxDonation?.max_num || 0) + 1;
-
-    await db('donation').insert({
-      participant_id: partId,
-      donation_number,
-      donation_amount: Number(amount) || 0,
-      donation_date: date || new Date().toISOString().slice(0, 10),
-    });
-
-    req.session.success = 'Donation recorded.';
-    res.redirect('/donations');
-  } catch (err) {
-    console.error('Error creating donation:', err);
-    req.session.error = 'Error creating donation.';
-    res.redirect('/donations');
+function parseApiGuardian(guardian) {
+  if (!guardian || typeof guardian !== 'object' || Array.isArray(guardian)) {
+    return { error: 'Send the guardian as an object with first_name, last_name, relationship and an email or phone.' };
   }
-});
+  const form = {};
+  ['first_name', 'last_name', 'relationship', 'email', 'phone', 'preferred_language'].forEach((name) => {
+    if (typeof guardian[name] === 'string') form[`guardian_${name}`] = guardian[name];
+  });
+  return parseGuardianForm(form);
+}
 
-app.get('/donations/:participant_id/:donation_number', requireLogin, async (req, res) => {
-  try {
-    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
-    const donation_number = Number(req.params.donation_number);
+/**
+ * parseApiSurveyAnswers - Checks an answers object ({ question number: value }) with
+ * parseSurveyAnswers; returns { answers } or an apiError
+ */
+async function parseApiSurveyAnswers(surveyVersionId, answers) {
+  const questions = surveyVersionId ? await getSurveyQuestions(surveyVersionId) : [];
+  const numbers = new Set(questions.map(q => String(q.number)));
+  const unknown = Object.keys(answers).filter(number => !numbers.has(number));
+  if (unknown.length > 0) {
+    return apiValidationError({ answers: `This survey has no question ${unknown.join(', ')}.` });
+  }
 
-    let donationQuery;
-    if (participant_id === null) {
-      donationQuery = db('donation as d')
-        .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
-        .whereNull('d.participant_id')
-        .where('d.donation_number', donation_number)
-        .select('d.*', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email');
-    } else {
-      donationQuery = db('donation as d')
-        .leftJoin('participant as p', 'd.participant_id', 'p.participant_id')
-        .where('d.participant_id', participant_id)
-        .where('d.donation_number', donation_number)
-        .select('d.*', 'p.participant_first_name', 'p.participant_last_name', 'p.participant_email');
-    }
+  const form = {};
+  Object.entries(answers).forEach(([number, value]) => {
+    form[`q_${number}`] = value === null || value === undefined ? '' : String(value);
+  });
+  const { answers: parsed, errors } = parseSurveyAnswers(questions, form);
+  if (errors.length > 0) return apiValidationError({ answers: errors.join(' ') });
+  return { answers: parsed };
+}
 
-    const donationData = await donationQuery.first();
+/**
+ * apiSchedulingConflict - 409 listing the instances a time and location overlap
+ */
+function apiSchedulingConflict(conflicts) {
+  return apiError(409, 'This overlaps another event at the same location. Change the time or venue, or send an override_reason to book it anyway.', {
+    conflicts: conflicts.map(c => ({ event_instance_id: c.id, event_name: c.event_name, location: c.location, time: c.time_formatted })),
+  });
+}
 
-    if (!donationData) {
-      req.session.error = 'Donation not found.';
-      return res.redirect('/donations');
-    }
+/**
+ * insertNumberedDonation - Inserts a donation as the donor's next donation_number and returns it
+ */
+async function insertNumberedDonation(trx, participantId, columns) {
+  const maxDonation = await trx('donation')
+    .where({ participant_id: participantId })
+    .max('donation_number as max_num')
+    .first();
+  const donationNumber = (maxDonation?.max_num || 0) + 1;
+  await trx('donation').insert({ ...columns, participant_id: participantId, donation_number: donationNumber });
+  return donationNumber;
+}
 
-    // Transform database columns to view-friendly field names
-    const donation = {
-      participant_id: donationData.participant_id,
-      donation_number: donationData.donation_number,
-      donor: donationData.participant_id 
-        ? `${donationData.participant_first_name || ''} ${donationData.participant_last_name || ''}`.trim() || 'Unknown'
-        : 'Anonymous',
-      email: donationData.participant_email || null,
-      amount: Number(donationData.donation_amount) || 0,
-      date: formatDateShort(donationData.donation_date),
-    };
+/**
+ * sendApiRow - Loads a written record again and sends it
+ */
+async function sendApiRow(res, resource, key, status = 200) {
+  const row = await loadApiRow(resource, key);
+  res.status(status).json({ data: serializeApiRow(resource, row) });
+}
 
-    res.render('donations/show', { donation });
-  } catch (err) {
-    console.error('Error fetching donation:', err);
-    req.session.error = 'Error loading donation.';
-    res.redirect('/donations');
-  }
-});
+app.use('/api', express.json({ limit: '1mb' }));
+app.use('/api/v1', authenticateApi);
 
-app.get('/donations/:participant_id/:donation_number/edit', requireManager, async (req, res) => {
-  try {
-    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
-    const donation_number = Number(req.params.donation_number);
+for (const [name, resource] of Object.entries(API_RESOURCES)) {
+  const listPath = `/api/v1/${name}`;
+  const recordPath = `${listPath}/${resource.keys.map(k => `:${k.param}`).join('/')}`;
+  const label = name.replace(/-/g, ' ');
 
-    let donationQuery;
-    if (participant_id === null) {
-      donationQuery = db('donation')
-        .whereNull('participant_id')
-        .where({ donation_number });
-    } else {
-      donationQuery = db('donation')
-        .where({ participant_id, donation_number });
+  app.get(listPath, apiRequireLogin, apiHandler(`listing ${label}`, async (req, res) => {
+    const list = applyApiListParams(resource, req.query);
+    if (list.errors) {
+      return sendApiError(res, 400, 'Some query parameters are not valid.', list.errors);
     }
 
-    const [donation, participants] = await Promise.all([
-      donationQuery.first(),
-      db('participant').select('participant_id as id', 'participant_first_name', 'participant_last_name').orderBy('participant_last_name')
+    const [countRow, rows] = await Promise.all([
+      list.query.clone().clearSelect().clearOrder().count('* as count').first(),
+      list.query.limit(list.perPage).offset((list.page - 1) * list.perPage),
     ]);
+    if (resource.loadDetails && rows.length > 0) await resource.loadDetails(rows);
 
-    if (!donation) {
-      req.session.error = 'Donation not found.';
-      return res.redirect('/donations');
-    }
-
-    // Transform database columns to form-friendly field names
-    const donationForm = {
-      participant_id: donation.participant_id,
-      amount: donation.donation_amount,
-      dateISO: donation.donation_date ? new Date(donation.donation_date).toISOString().slice(0, 10) : '',
-    };
-
-    res.render('donations/form', {
-      formTitle: 'Edit Donation',
-      formAction: `/donations/${req.params.participant_id}/${req.params.donation_number}`,
-      donation: donationForm,
-      participants,
+    const total = parseInt(countRow?.count) || 0;
+    res.json({
+      data: rows.map(row => serializeApiRow(resource, row)),
+      meta: { page: list.page, per_page: list.perPage, total, total_pages: Math.ceil(total / list.perPage) },
     });
-  } catch (err) {
-    console.error('Error loading donation:', err);
-    req.session.error = 'Error loading donation.';
-    res.redirect('/donations');
-  }
-});
+  }));
+
+  app.get(recordPath, apiRequireLogin, apiHandler(`loading ${label}`, async (req, res) => {
+    const row = await loadApiRow(resource, parseApiKey(resource, req.params));
+    if (!row) return sendApiError(res, 404, 'Record not found.');
+    res.json({ data: serializeApiRow(resource, row) });
+  }));
+
+  app.post(listPath, apiRequireManager, apiHandler(`creating ${label}`, async (req, res) => {
+    const { values, errors } = parseApiBody(resource, req.body, { partial: false });
+    if (Object.keys(errors).length > 0) {
+      return sendApiError(res, 422, 'Some fields are not valid.', errors);
+    }
 
-app.post('/donations/:participant_id/:donation_number', requireManager, async (req, res) => {
-  try {
-    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
-    const donation_number = Number(req.params.donation_number);
+    const result = await resource.create(values, req, req.body);
+    if (result.error) return sendApiError(res, result.error.status, result.error.message, result.error.details);
+    await sendApiRow(res, resource, result.key, 201);
+  }));
 
-    let donation;
-    if (participant_id === null) {
-      donation = await db('donation')
-        .whereNull('participant_id')
-        .where({ donation_number })
-        .first();
-    } else {
-      donation = await db('donation')
-        .where({ participant_id, donation_number })
-        .first();
-    }
+  app.patch(recordPath, apiRequireManager, apiHandler(`updating ${label}`, async (req, res) => {
+    const row = await loadApiRow(resource, parseApiKey(resource, req.params));
+    if (!row) return sendApiError(res, 404, 'Record not found.');
 
-    if (!donation) {
-      req.session.error = 'Donation not found.';
-      return res.redirect('/donations');
+    const { values, errors } = parseApiBody(resource, req.body, { partial: true });
+    if (Object.keys(errors).length > 0) {
+      return sendApiError(res, 422, 'Some fields are not valid.', errors);
     }
 
-    const { participant_id: new_participant_id, amount, date } = req.body;
-    const newPartId = new_participant_id ? Number(new_participant_id) : null;
-
-    // If participant_id changed, we need to delete old and create new (can't update composite key)
-    if (newPartId !== participant_id) {
-      if (participant_id === null) {
-        await db('donation')
-          .whereNull('participant_id')
-          .where({ donation_number })
-          .del();
-      } else {
-        await db('donation')
-          .where({ participant_id, donation_number })
-          .del();
-      }
+    const result = await resource.update(row, values, req, req.body);
+    if (result.error) return sendApiError(res, result.error.status, result.error.message, result.error.details);
+    await sendApiRow(res, resource, result.key);
+  }));
 
-      // Get new donation_number for the new participant
-      let maxDonation;
-      if (newPartId) {
-        maxDonation = await db('donation')
-          .where({ participant_id: newPartId })
-          .max('donation_number as max_num')
-          .first();
-      } else {
-        maxDonation = await db('donation')
-          .whereNull('participant_id')
-          .max('donation_number as max_num')
-          .first();
-      }
-      
-      const new_donation_number = (maxDonation?.max_num || 0) + 1;
+  app.delete(recordPath, apiRequireManager, apiHandler(`deleting ${label}`, async (req, res) => {
+    const row = await loadApiRow(resource, parseApiKey(resource, req.params));
+    if (!row) return sendApiError(res, 404, 'Record not found.');
 
-      await db('donation').insert({
-        participant_id: newPartId,
-        donation_number: new_donation_number,
-        donation_amount: Number(amount) || donation.donation_amount,
-        donation_date: date || donation.donation_date,
-      });
-    } else {
-      // Just update amount and date
-      if (participant_id === null) {
-        await db('donation')
-          .whereNull('participant_id')
-          .where({ donation_number })
-          .update({
-            donation_amount: Number(amount) || donation.donation_amount,
-            donation_date: date || donation.donation_date,
-          });
-      } else {
-        await db('donation')
-          .where({ participant_id, donation_number })
-          .update({
-            donation_amount: Number(amount) || donation.donation_amount,
-            donation_date: date || donation.donation_date,
-          });
-      }
-    }
+    const result = await resource.remove(row, req);
+    if (result.error) return sendApiError(res, result.error.status, result.error.message, result.error.details);
+    res.status(204).end();
+  }));
+}
 
-    req.session.success = 'Donation updated.';
-    res.redirect('/donations');
-  } catch (err) {
-    console.error('Error updating donation:', err);
-    req.session.error = 'Error updating donation.';
-    res.redirect('/donations');
-  }
+/**
+ * API 404 and error handlers - Unknown /api paths and unreadable bodies answer in JSON
+ * rather than falling through to the public home page
+ */
+app.use('/api', (req, res) => {
+  sendApiError(res, 404, 'There is no API endpoint at this path.');
 });
 
-app.post('/donations/:participant_id/:donation_number/delete', requireManager, async (req, res) => {
-  try {
-    const participant_id = req.params.participant_id === 'null' ? null : Number(req.params.participant_id);
-    const donation_number = Number(req.params.donation_number);
-
-    await db('donation')
-      .where({ 
-        participant_id: participant_id === null ? db.raw('NULL') : participant_id,
-        donation_number 
-      })
-      .del();
-    
-    req.session.success = 'Donation deleted.';
-    res.redirect('/donations');
-  } catch (err) {
-    console.error('Error deleting donation:', err);
-    req.session.error = 'Error deleting donation.';
-    res.redirect('/donations');
+app.use('/api', (err, req, res, next) => {
+  if (err.type === 'entity.parse.failed') {
+    return sendApiError(res, 400, 'The request body is not valid JSON.');
   }
+  if (err.type === 'entity.too.large') {
+    return sendApiError(res, 400, 'The request body is too large.');
+  }
+  console.error('Error handling API request:', err);
+  sendApiError(res, 500, 'Error handling the request.');
 });
 
 // =======================
@@ -3368,14 +13608,10 @@ app.use(async (req, res) => {
       db.select(db.raw("count(distinct er.participant_id) as participants_count"))
         .from("event_registration as er")
         .where("er.registration_attended_flag", "=", true),
-      db.select(db.raw("avg(question_response) as avg_satisfaction"))
-        .from("survey_response")
-        .where("question_number", "=", 1)
-        .groupBy("question_number"),
-      db.select(db.raw("avg(question_response) as avg_recommend"))
-        .from("survey_response")
-        .where("question_number", "=", 4)
-        .groupBy("question_number"),
+      surveyMetricResponses('satisfaction')
+        .avg('sr.question_response as avg_satisfaction'),
+      surveyMetricResponses('recommend')
+        .avg('sr.question_response as avg_recommend'),
       db.select(db.raw("count(*) as milestones_achieved"))
         .from("participant_milestone")
     ]);
@@ -3420,7 +13656,25 @@ app.use(async (req, res) => {
  * 
  * Starts the Express server on the configured PORT.
  * PORT can be set via environment variable (for deployment) or defaults to 3000 for local development.
+ *
+ * When the file is required instead (by the tests in test/), nothing is started and the
+ * app, database handle and the helpers under test are exported.
  */
-app.listen(PORT, () => {
-  console.log(`Ella Rises app preview running on http://localhost:${PORT}`);
-});
\ No newline at end of file
+if (require.main === module) {
+  app.listen(PORT, () => {
+    console.log(`Ella Rises app preview running on http://localhost:${PORT}`);
+  });
+}
+
+module.exports = {
+  app,
+  db,
+  registerParticipantForEvent,
+  promoteWaitlist,
+  mergeParticipants,
+  countActiveRegistrations,
+  parseDateTimeLocal,
+  toDateTimeLocal,
+  zonedTimeToDate,
+  ORG_TIMEZONE,
+};
\ No newline at end of file
@@ -0,0 +1,63 @@
+/**
+ * Migration: one registration per participant per event instance
+ *
+ * Registration used to be a count-then-insert with no database guarantee, so the same
+ * participant could end up registered twice for one event. Duplicate rows are merged
+ * before the unique constraint is added: every copy first gets the combined values (the
+ * earliest created and check-in times, attended if any copy was, and the status that holds
+ * the most - a seat, then a waitlist spot, then cancelled; a registration that attended
+ * holds a seat), then all but one copy are removed, so no attendance is lost.
+ */
+
+exports.up = async function (knex) {
+  await knex.raw(`
+    WITH merged AS (
+      SELECT participant_id, event_instance_id,
+        min(registration_created_at) AS created_at,
+        min(registration_check_in_time) AS check_in_time,
+        bool_or(coalesce(registration_attended_flag, false)) AS attended,
+        (array_agg(registration_status ORDER BY
+          CASE
+            WHEN coalesce(registration_status, 'registered') NOT IN ('waitlisted', 'cancelled') THEN 1
+            WHEN registration_status = 'waitlisted' THEN 2
+            ELSE 3
+          END,
+          registration_created_at NULLS LAST))[1] AS status
+      FROM event_registration
+      GROUP BY participant_id, event_instance_id
+      HAVING count(*) > 1
+    )
+    UPDATE event_registration er
+    SET registration_created_at = m.created_at,
+        registration_check_in_time = m.check_in_time,
+        registration_attended_flag = m.attended,
+        registration_status = CASE
+          WHEN m.attended AND m.status IN ('waitlisted', 'cancelled') THEN 'registered'
+          ELSE m.status
+        END
+    FROM merged m
+    WHERE er.participant_id = m.participant_id
+      AND er.event_instance_id = m.event_instance_id
+  `);
+
+  await knex.raw(`
+    DELETE FROM event_registration a
+    USING event_registration b
+    WHERE a.participant_id = b.participant_id
+      AND a.event_instance_id = b.event_instance_id
+      AND (coalesce(a.registration_created_at, 'infinity'), a.ctid)
+        > (coalesce(b.registration_created_at, 'infinity'), b.ctid)
+  `);
+
+  await knex.schema.alterTable('event_registration', (table) => {
+    table.unique(['participant_id', 'event_instance_id'], {
+      indexName: 'event_registration_participant_event_unique',
+    });
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable('event_registration', (table) => {
+    table.dropUnique(['participant_id', 'event_instance_id'], 'event_registration_participant_event_unique');
+  });
+};
@@ -0,0 +1,26 @@
+/**
+ * Migration: one-time access tokens for participants
+ *
+ * Participants do not have staff logins. Emailed links carry a random token; only its
+ * SHA-256 hash is stored here. Each token has a purpose, an expiry, and is marked used
+ * the first time it is redeemed so a link cannot be replayed.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('participant_token', (table) => {
+    table.increments('participant_token_id').primary();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('token_purpose', 50).notNullable();
+    table.integer('participant_id').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.integer('event_instance_id')
+      .references('event_instance_id').inTable('event_instance').onDelete('CASCADE');
+    table.timestamp('token_expires_at', { useTz: true }).notNullable();
+    table.timestamp('token_used_at', { useTz: true });
+    table.timestamp('token_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('participant_token');
+};
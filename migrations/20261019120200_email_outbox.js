@@ -0,0 +1,29 @@
+/**
+ * Migration: persistent email outbox
+ *
+ * Every outgoing email is stored here before it is sent. The outbox worker moves rows
+ * from 'pending' to 'sent', or retries with backoff and eventually marks them 'failed',
+ * so a transport outage never silently drops a message.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('email_outbox', (table) => {
+    table.increments('email_outbox_id').primary();
+    table.string('email_to', 255).notNullable();
+    table.string('email_subject', 255).notNullable();
+    table.string('email_template', 100);
+    table.text('email_html');
+    table.text('email_text');
+    table.string('email_status', 20).notNullable().defaultTo('pending');
+    table.integer('email_attempts').notNullable().defaultTo(0);
+    table.text('email_last_error');
+    table.timestamp('email_next_attempt_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('email_sent_at', { useTz: true });
+    table.timestamp('email_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['email_status', 'email_next_attempt_at']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('email_outbox');
+};
@@ -0,0 +1,23 @@
+/**
+ * Migration: one-time tokens for staff accounts
+ *
+ * Used by the new staff invitation email so a new user can choose their own password.
+ * Same shape as participant_token: only the SHA-256 hash of the emailed token is stored.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('user_token', (table) => {
+    table.increments('user_token_id').primary();
+    table.string('token_hash', 64).notNullable().unique();
+    table.string('token_purpose', 50).notNullable();
+    table.integer('user_id').notNullable()
+      .references('user_id').inTable('users').onDelete('CASCADE');
+    table.timestamp('token_expires_at', { useTz: true }).notNullable();
+    table.timestamp('token_used_at', { useTz: true });
+    table.timestamp('token_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('user_token');
+};
@@ -0,0 +1,34 @@
+/**
+ * Migration: scheduled participant notifications
+ *
+ * One row per (job type, event instance, participant) - reminder_48h, reminder_2h and
+ * survey_invitation. The unique key is what makes the scheduler idempotent: a job can be
+ * planned any number of times (every tick, on every app instance, after every redeploy)
+ * but only ever exists, and is only ever sent, once.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('notification_job', (table) => {
+    table.increments('notification_job_id').primary();
+    table.string('job_type', 40).notNullable();
+    table.integer('event_instance_id').notNullable()
+      .references('event_instance_id').inTable('event_instance').onDelete('CASCADE');
+    table.integer('participant_id').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.timestamp('job_run_at', { useTz: true }).notNullable();
+    table.string('job_status', 20).notNullable().defaultTo('pending');
+    table.integer('email_outbox_id')
+      .references('email_outbox_id').inTable('email_outbox').onDelete('SET NULL');
+    table.text('job_note');
+    table.timestamp('job_completed_at', { useTz: true });
+    table.timestamp('job_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.unique(['job_type', 'event_instance_id', 'participant_id'], {
+      indexName: 'notification_job_type_event_participant_unique',
+    });
+    table.index(['job_status', 'job_run_at']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('notification_job');
+};
@@ -0,0 +1,121 @@
+/**
+ * Migration: survey question bank and versions
+ *
+ * Surveys used to be three hard-coded questions (1 = satisfaction, 2 = usefulness,
+ * 4 = recommend) plus one comment. Questions now live in survey_question, grouped into
+ * survey_version rows that can be attached to event templates. Every submission records
+ * the version it answered, so editing the question bank never changes the meaning of
+ * past responses.
+ *
+ * survey_response.question_number and survey_comment.comment_number refer to
+ * survey_question.question_number within the submission's version. Rating and choice
+ * answers go to survey_response; free-text answers go to survey_comment.
+ *
+ * Existing data becomes the default "Standard Post-Event Survey" version. The old comment
+ * was stored as comment_number 1, which now belongs to the satisfaction question, so
+ * legacy comments are renumbered to the new comment question's number.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('survey_version', (table) => {
+    table.increments('survey_version_id').primary();
+    table.string('survey_version_name', 255).notNullable();
+    table.text('survey_version_description');
+    table.boolean('survey_version_is_default').notNullable().defaultTo(false);
+    table.timestamp('survey_version_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('survey_question', (table) => {
+    table.increments('survey_question_id').primary();
+    table.integer('survey_version_id').notNullable()
+      .references('survey_version_id').inTable('survey_version').onDelete('CASCADE');
+    table.integer('question_number').notNullable();
+    table.text('question_text').notNullable();
+    table.string('question_type', 20).notNullable();
+    table.text('question_options');
+    table.string('question_metric', 20);
+    table.integer('question_order').notNullable().defaultTo(0);
+    table.boolean('question_required').notNullable().defaultTo(true);
+    table.unique(['survey_version_id', 'question_number'], {
+      indexName: 'survey_question_version_number_unique',
+    });
+  });
+
+  await knex.schema.alterTable('event', (table) => {
+    table.integer('survey_version_id')
+      .references('survey_version_id').inTable('survey_version').onDelete('SET NULL');
+  });
+
+  await knex.schema.alterTable('survey_submission', (table) => {
+    table.integer('survey_version_id')
+      .references('survey_version_id').inTable('survey_version');
+  });
+
+  const [version] = await knex('survey_version').insert({
+    survey_version_name: 'Standard Post-Event Survey',
+    survey_version_description: 'The original satisfaction, usefulness and recommendation survey.',
+    survey_version_is_default: true,
+  }).returning('survey_version_id');
+  const versionId = version.survey_version_id;
+
+  const questions = [
+    { question_number: 1, question_text: 'How satisfied were you with this event?', question_type: 'likert_5', question_metric: 'satisfaction' },
+    { question_number: 2, question_text: 'How useful was what you learned?', question_type: 'likert_5', question_metric: 'usefulness' },
+    { question_number: 4, question_text: 'How likely are you to recommend this event to a friend?', question_type: 'likert_5', question_metric: 'recommend' },
+  ];
+
+  // Keep any other question numbers already present in the data viewable. They were never
+  // on the form, so they stay optional.
+  const otherNumbers = await knex('survey_response')
+    .distinct('question_number')
+    .whereNotIn('question_number', [1, 2, 4])
+    .whereNotNull('question_number')
+    .pluck('question_number');
+  otherNumbers.forEach(n => questions.push({
+    question_number: n,
+    question_text: `Question ${n}`,
+    question_type: 'likert_5',
+    question_metric: null,
+    question_required: false,
+  }));
+
+  const commentNumber = Math.max(4, ...otherNumbers) + 1;
+  questions.push({
+    question_number: commentNumber,
+    question_text: 'Comments',
+    question_type: 'free_text',
+    question_metric: null,
+    question_required: false,
+  });
+
+  questions.sort((a, b) => a.question_number - b.question_number);
+  await knex('survey_question').insert(questions.map((q, i) => ({
+    survey_version_id: versionId,
+    question_order: i + 1,
+    question_required: true,
+    ...q,
+  })));
+
+  await knex('survey_comment').where('comment_number', 1).update({ comment_number: commentNumber });
+  await knex('survey_submission').update({ survey_version_id: versionId });
+};
+
+exports.down = async function (knex) {
+  const legacyComment = await knex('survey_question as sq')
+    .join('survey_version as sv', 'sq.survey_version_id', 'sv.survey_version_id')
+    .where({ 'sv.survey_version_name': 'Standard Post-Event Survey', 'sq.question_type': 'free_text' })
+    .orderBy('sv.survey_version_id')
+    .first('sq.question_number');
+  if (legacyComment) {
+    await knex('survey_comment').where('comment_number', legacyComment.question_number).update({ comment_number: 1 });
+  }
+
+  await knex.schema.alterTable('survey_submission', (table) => {
+    table.dropColumn('survey_version_id');
+  });
+  await knex.schema.alterTable('event', (table) => {
+    table.dropColumn('survey_version_id');
+  });
+  await knex.schema.dropTable('survey_question');
+  await knex.schema.dropTable('survey_version');
+};
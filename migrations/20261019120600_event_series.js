@@ -0,0 +1,45 @@
+/**
+ * Migration: recurring event series
+ *
+ * An event_series row stores a recurrence rule for an event template (weekly, biweekly or
+ * monthly, limited by an until date or an occurrence count, minus exception dates). The
+ * rule is expanded into ordinary event_instance rows when the series is created, and each
+ * generated instance points back to its series through event_instance.event_series_id.
+ *
+ * Dates are stored as calendar dates and times as 'HH:MM' strings so the rule describes
+ * wall-clock times ("Tuesdays at 4:00 PM") rather than fixed instants.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('event_series', (table) => {
+    table.increments('event_series_id').primary();
+    table.integer('event_id').notNullable()
+      .references('event_id').inTable('event').onDelete('CASCADE');
+    table.string('series_frequency', 20).notNullable();
+    table.string('series_weekdays', 20);
+    table.string('series_monthly_by', 20);
+    table.date('series_start_date').notNullable();
+    table.string('series_start_time', 5).notNullable();
+    table.integer('series_duration_minutes');
+    table.date('series_until_date');
+    table.integer('series_count');
+    table.text('series_exception_dates');
+    table.text('series_location');
+    table.integer('series_capacity');
+    table.timestamp('series_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.alterTable('event_instance', (table) => {
+    table.integer('event_series_id')
+      .references('event_series_id').inTable('event_series').onDelete('SET NULL');
+    table.index(['event_series_id'], 'event_instance_series_index');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable('event_instance', (table) => {
+    table.dropIndex(['event_series_id'], 'event_instance_series_index');
+    table.dropColumn('event_series_id');
+  });
+  await knex.schema.dropTable('event_series');
+};
@@ -0,0 +1,32 @@
+/**
+ * Migration: scheduling conflict overrides
+ *
+ * Two event instances conflict when they share an event_location (compared
+ * case-insensitively) and their times overlap. Managers can save a conflicting instance
+ * anyway by giving a reason; each acknowledged pair is recorded here with who approved it.
+ *
+ * Pairs are stored with the lower event_instance_id first so each pair has one row.
+ * Rows are removed when either instance's time or location changes, so a new overlap
+ * always needs a new reason.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('event_conflict_override', (table) => {
+    table.increments('event_conflict_override_id').primary();
+    table.integer('event_instance_id').notNullable()
+      .references('event_instance_id').inTable('event_instance').onDelete('CASCADE');
+    table.integer('other_event_instance_id').notNullable()
+      .references('event_instance_id').inTable('event_instance').onDelete('CASCADE');
+    table.text('override_reason').notNullable();
+    table.integer('override_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('override_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.unique(['event_instance_id', 'other_event_instance_id'], {
+      indexName: 'event_conflict_override_pair_unique',
+    });
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('event_conflict_override');
+};
@@ -0,0 +1,133 @@
+/**
+ * Migration: venues
+ *
+ * event_location used to be free text, so "Provo Library", "provo library" and
+ * "Provo Public Library" counted as three places. Venues are now managed records and
+ * event instances (and series) point at one through venue_id.
+ *
+ * event_location stays as the venue's display label ("Name – Room") so listings,
+ * calendar feeds, emails and conflict checks keep working unchanged; the app rewrites it
+ * whenever a venue is chosen or renamed.
+ *
+ * Existing locations are clustered into venues by a loose key: lowercase, punctuation
+ * removed, and filler words ("the", "public", "of", "at") dropped. Each cluster's most
+ * common spelling (ignoring case, longest on a tie) becomes the venue name, and every
+ * instance in the cluster is relabelled with it. The text each row had before is kept in
+ * event_location_original / series_location_original, and down() puts it back, so a
+ * clustering that merged two different places can be undone.
+ */
+
+const FILLER_WORDS = ['the', 'public', 'of', 'at'];
+
+function clusterKey(location) {
+  return (location || '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .split(' ')
+    .filter(word => word && !FILLER_WORDS.includes(word))
+    .join(' ');
+}
+
+function pickVenueName(spellings) {
+  // Spellings that differ only in case count together; a capitalised one is shown
+  const groups = {};
+  spellings.forEach((s) => {
+    const key = s.toLowerCase();
+    groups[key] = groups[key] || { count: 0, variants: [] };
+    groups[key].count += 1;
+    groups[key].variants.push(s);
+  });
+  const best = Object.values(groups).sort((a, b) => b.count - a.count || b.variants[0].length - a.variants[0].length)[0];
+  return best.variants.find(v => v !== v.toLowerCase()) || best.variants[0];
+}
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('venue', (table) => {
+    table.increments('venue_id').primary();
+    table.string('venue_name', 255).notNullable();
+    table.text('venue_address');
+    table.string('venue_room', 255);
+    table.integer('venue_max_capacity');
+    table.text('venue_accessibility_notes');
+    table.text('venue_parking_notes');
+    table.timestamp('venue_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.alterTable('event_instance', (table) => {
+    table.integer('venue_id')
+      .references('venue_id').inTable('venue').onDelete('SET NULL');
+    table.text('event_location_original');
+    table.index(['venue_id'], 'event_instance_venue_index');
+  });
+
+  await knex.schema.alterTable('event_series', (table) => {
+    table.integer('venue_id')
+      .references('venue_id').inTable('venue').onDelete('SET NULL');
+    table.text('series_location_original');
+  });
+
+  const instances = await knex('event_instance')
+    .whereNotNull('event_location')
+    .select('event_instance_id', 'event_location');
+  const series = await knex('event_series')
+    .whereNotNull('series_location')
+    .select('event_series_id', 'series_location');
+
+  const clusters = {};
+  const addToCluster = (location, kind, id) => {
+    const key = clusterKey(location);
+    if (!key) return;
+    clusters[key] = clusters[key] || { spellings: [], instanceIds: [], seriesIds: [] };
+    clusters[key].spellings.push(location.trim().replace(/\s+/g, ' ').replace(/[.,;]+$/, ''));
+    clusters[key][kind].push(id);
+  };
+  instances.forEach(i => addToCluster(i.event_location, 'instanceIds', i.event_instance_id));
+  series.forEach(s => addToCluster(s.series_location, 'seriesIds', s.event_series_id));
+
+  for (const cluster of Object.values(clusters)) {
+    const name = pickVenueName(cluster.spellings);
+    const [venue] = await knex('venue').insert({ venue_name: name }).returning('venue_id');
+
+    if (cluster.instanceIds.length > 0) {
+      await knex('event_instance')
+        .whereIn('event_instance_id', cluster.instanceIds)
+        .update({
+          venue_id: venue.venue_id,
+          event_location_original: knex.ref('event_location'),
+          event_location: name,
+        });
+    }
+    if (cluster.seriesIds.length > 0) {
+      await knex('event_series')
+        .whereIn('event_series_id', cluster.seriesIds)
+        .update({
+          venue_id: venue.venue_id,
+          series_location_original: knex.ref('series_location'),
+          series_location: name,
+        });
+    }
+  }
+};
+
+exports.down = async function (knex) {
+  // Rows the migration relabelled get their original text back; rows created since then
+  // have no original and keep their current label.
+  await knex('event_instance')
+    .whereNotNull('event_location_original')
+    .update({ event_location: knex.ref('event_location_original') });
+  await knex('event_series')
+    .whereNotNull('series_location_original')
+    .update({ series_location: knex.ref('series_location_original') });
+
+  await knex.schema.alterTable('event_series', (table) => {
+    table.dropColumn('series_location_original');
+    table.dropColumn('venue_id');
+  });
+  await knex.schema.alterTable('event_instance', (table) => {
+    table.dropIndex(['venue_id'], 'event_instance_venue_index');
+    table.dropColumn('event_location_original');
+    table.dropColumn('venue_id');
+  });
+  await knex.schema.dropTable('venue');
+};
@@ -0,0 +1,45 @@
+/**
+ * Migration: rule-based milestone awards
+ *
+ * A milestone_rule awards its milestone automatically once a participant reaches a
+ * threshold on one metric, optionally limited to one event type:
+ * - events_attended: attended event instances ("attended 5 STEAM events")
+ * - event_months: different calendar months with an attended event
+ *   ("attended a Leadership event in 3 different months")
+ * - surveys_submitted: survey submissions ("submitted 3 surveys")
+ *
+ * participant_milestone.milestone_rule_id records which rule granted an award; it is null
+ * for awards made by staff. Rules that have granted awards can be switched off but not
+ * deleted, so that record is never lost. milestone_awarded_at is when the row was written
+ * (milestone_date stays the date the milestone was achieved) and is null for rows that
+ * predate this migration.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('milestone_rule', (table) => {
+    table.increments('milestone_rule_id').primary();
+    table.integer('milestone_id').notNullable()
+      .references('milestone_id').inTable('milestone').onDelete('CASCADE');
+    table.string('rule_metric', 30).notNullable();
+    table.string('rule_event_type', 255);
+    table.integer('rule_threshold').notNullable();
+    table.boolean('rule_active').notNullable().defaultTo(true);
+    table.integer('rule_created_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('rule_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.alterTable('participant_milestone', (table) => {
+    table.integer('milestone_rule_id')
+      .references('milestone_rule_id').inTable('milestone_rule');
+    table.timestamp('milestone_awarded_at', { useTz: true });
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.alterTable('participant_milestone', (table) => {
+    table.dropColumn('milestone_awarded_at');
+    table.dropColumn('milestone_rule_id');
+  });
+  await knex.schema.dropTable('milestone_rule');
+};
@@ -0,0 +1,33 @@
+/**
+ * Migration: milestone pathways
+ *
+ * A pathway is an ordered sequence of milestones, e.g. the STEAM pathway
+ * "Attended first STEAM lab" → "Completed AP Math" → "Declared STEAM major".
+ * Each step's prerequisite is the step before it, so step_order is all that is stored.
+ * A milestone may appear in more than one pathway, but only once in each.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('pathway', (table) => {
+    table.increments('pathway_id').primary();
+    table.string('pathway_name', 255).notNullable();
+    table.text('pathway_description');
+    table.timestamp('pathway_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('pathway_step', (table) => {
+    table.increments('pathway_step_id').primary();
+    table.integer('pathway_id').notNullable()
+      .references('pathway_id').inTable('pathway').onDelete('CASCADE');
+    table.integer('milestone_id').notNullable()
+      .references('milestone_id').inTable('milestone').onDelete('CASCADE');
+    table.integer('step_order').notNullable();
+    table.unique(['pathway_id', 'milestone_id'], { indexName: 'pathway_step_milestone_unique' });
+    table.index(['milestone_id']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('pathway_step');
+  await knex.schema.dropTable('pathway');
+};
@@ -0,0 +1,53 @@
+/**
+ * Migration: guardians and consent records
+ *
+ * Most participants are minors, so each participant can have one or more guardians
+ * (parents, grandparents, foster parents...) with their own contact details and preferred
+ * language. guardian_is_primary marks the one to call first; the app keeps at most one
+ * per participant.
+ *
+ * participant_consent records a signed consent form: program participation, photo/media
+ * release or emergency medical treatment. consent_signed_name is the name as signed (typed
+ * on the online form, or copied from paper by staff) and guardian_id links it to the
+ * guardian record when known. consent_expires_date is the last day the consent covers;
+ * null means it does not expire. consent_recorded_by_user_id is null for consents given
+ * on the public registration form.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('guardian', (table) => {
+    table.increments('guardian_id').primary();
+    table.integer('participant_id').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.string('guardian_first_name', 255).notNullable();
+    table.string('guardian_last_name', 255).notNullable();
+    table.string('guardian_relationship', 50);
+    table.string('guardian_email', 255);
+    table.string('guardian_phone', 50);
+    table.string('guardian_preferred_language', 50);
+    table.boolean('guardian_is_primary').notNullable().defaultTo(false);
+    table.timestamp('guardian_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['participant_id'], 'guardian_participant_index');
+  });
+
+  await knex.schema.createTable('participant_consent', (table) => {
+    table.increments('consent_id').primary();
+    table.integer('participant_id').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.string('consent_type', 30).notNullable();
+    table.integer('guardian_id')
+      .references('guardian_id').inTable('guardian').onDelete('SET NULL');
+    table.string('consent_signed_name', 255).notNullable();
+    table.date('consent_signed_date').notNullable();
+    table.date('consent_expires_date');
+    table.integer('consent_recorded_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('consent_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['participant_id', 'consent_type'], 'participant_consent_type_index');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('participant_consent');
+  await knex.schema.dropTable('guardian');
+};
@@ -0,0 +1,44 @@
+/**
+ * Migration: participant merge log and dismissed duplicates
+ *
+ * Merging moves everything that belongs to a duplicate participant onto the surviving
+ * record and deletes the duplicate. participant_merge keeps a reviewable record of each
+ * merge: the deleted row as it was (merged_participant), the surviving row before any of
+ * its fields were replaced (surviving_participant_before), and merge_summary, which counts
+ * what moved and lists how donation numbers were renumbered. Participant ids are stored
+ * as plain integers because the merged participant no longer exists.
+ *
+ * participant_duplicate_dismissal records pairs staff have confirmed are different people
+ * (twins and siblings often share a phone, birthday or ZIP) so the duplicate finder stops
+ * suggesting them. The lower id is always stored first.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('participant_merge', (table) => {
+    table.increments('participant_merge_id').primary();
+    table.integer('surviving_participant_id').notNullable();
+    table.integer('merged_participant_id').notNullable();
+    table.jsonb('merged_participant').notNullable();
+    table.jsonb('surviving_participant_before').notNullable();
+    table.jsonb('merge_summary').notNullable();
+    table.integer('merged_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('merged_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+  });
+
+  await knex.schema.createTable('participant_duplicate_dismissal', (table) => {
+    table.integer('participant_id_low').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.integer('participant_id_high').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.integer('dismissed_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('dismissed_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.primary(['participant_id_low', 'participant_id_high']);
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('participant_duplicate_dismissal');
+  await knex.schema.dropTable('participant_merge');
+};
@@ -0,0 +1,50 @@
+/**
+ * Migration: spreadsheet import batches
+ *
+ * Each CSV/XLSX upload is an import_batch. While it is a 'draft' the parsed file
+ * (import_data: { headers, rows }) and the chosen column mapping (import_mapping: field
+ * key -> column index) are kept here between the wizard's steps. Committing sets the
+ * status to 'committed', clears import_data and stores import_report (how many rows were
+ * imported and why any were skipped). A committed batch can be rolled back once
+ * ('rolled_back'), which deletes every row it created.
+ *
+ * Rows created by an import carry its import_batch_id; it is null for everything entered
+ * through the app.
+ */
+
+const IMPORTED_TABLES = ['participant', 'event_instance', 'participant_milestone', 'donation'];
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('import_batch', (table) => {
+    table.increments('import_batch_id').primary();
+    table.string('import_entity', 30).notNullable();
+    table.string('import_file_name', 255).notNullable();
+    table.string('import_status', 20).notNullable().defaultTo('draft');
+    table.jsonb('import_data');
+    table.jsonb('import_mapping');
+    table.jsonb('import_report');
+    table.integer('import_created_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('import_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('import_committed_at', { useTz: true });
+    table.integer('import_rolled_back_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('import_rolled_back_at', { useTz: true });
+  });
+
+  for (const tableName of IMPORTED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.integer('import_batch_id')
+        .references('import_batch_id').inTable('import_batch').onDelete('SET NULL');
+    });
+  }
+};
+
+exports.down = async function (knex) {
+  for (const tableName of IMPORTED_TABLES) {
+    await knex.schema.alterTable(tableName, (table) => {
+      table.dropColumn('import_batch_id');
+    });
+  }
+  await knex.schema.dropTable('import_batch');
+};
@@ -0,0 +1,30 @@
+/**
+ * Migration: API keys
+ *
+ * Scripts and partner integrations call the JSON API (/api/v1) with a key instead of a
+ * login session. Each key belongs to a user and acts with that user's role, so a key made
+ * for a common user can only read. Only the SHA-256 hash of the key is stored; the key
+ * itself is shown once when it is created. api_key_prefix keeps its first few characters
+ * so staff can tell keys apart. Revoked keys are kept (api_key_revoked_at set) so the list
+ * still shows when they were last used.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('api_key', (table) => {
+    table.increments('api_key_id').primary();
+    table.integer('user_id').notNullable()
+      .references('user_id').inTable('users').onDelete('CASCADE');
+    table.string('api_key_name', 100).notNullable();
+    table.string('api_key_hash', 64).notNullable().unique();
+    table.string('api_key_prefix', 12).notNullable();
+    table.integer('api_key_created_by_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('api_key_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.timestamp('api_key_last_used_at', { useTz: true });
+    table.timestamp('api_key_revoked_at', { useTz: true });
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('api_key');
+};
@@ -0,0 +1,15 @@
+/**
+ * Migration: clear the bodies of delivered and failed outbox emails
+ *
+ * Email bodies carry one-time sign-in, consent and ticket links in the clear. The outbox
+ * worker now drops the body once a message is sent or has failed for good; this clears
+ * the rows written before that change. The bodies cannot be restored, so down() does nothing.
+ */
+
+exports.up = async function (knex) {
+  await knex('email_outbox')
+    .whereIn('email_status', ['sent', 'failed'])
+    .update({ email_html: null, email_text: null });
+};
+
+exports.down = async function () {};
@@ -0,0 +1,28 @@
+/**
+ * Migration: walk-in consent overrides
+ *
+ * A walk-in under 18 with no guardian or current consent on file is stopped at check-in.
+ * A manager can check them in anyway by giving a reason (usually a paper form collected at
+ * the door); each time that happens it is recorded here with what was missing and who
+ * approved it, and listed on the participant's page until the consent is recorded.
+ */
+
+exports.up = async function (knex) {
+  await knex.schema.createTable('consent_override', (table) => {
+    table.increments('consent_override_id').primary();
+    table.integer('participant_id').notNullable()
+      .references('participant_id').inTable('participant').onDelete('CASCADE');
+    table.integer('event_instance_id').notNullable()
+      .references('event_instance_id').inTable('event_instance').onDelete('CASCADE');
+    table.text('override_missing').notNullable();
+    table.text('override_reason').notNullable();
+    table.integer('override_user_id')
+      .references('user_id').inTable('users').onDelete('SET NULL');
+    table.timestamp('override_created_at', { useTz: true }).notNullable().defaultTo(knex.fn.now());
+    table.index(['participant_id'], 'consent_override_participant_index');
+  });
+};
+
+exports.down = async function (knex) {
+  await knex.schema.dropTable('consent_override');
+};
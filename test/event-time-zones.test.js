@@ -0,0 +1,168 @@
+/**
+ * Event times and the organization time zone
+ *
+ * Event times are entered and shown in organization time (ORG_TIMEZONE) whatever zone the
+ * server runs in. Saving an event, opening it for editing and saving it again must leave
+ * the stored instant unchanged, including on the days clocks change.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcrypt');
+const { startTestApp } = require('./helpers/database');
+
+const ORG_TIMEZONE = 'America/Denver';
+const SERVER_ZONES = ['Asia/Tokyo', ORG_TIMEZONE];
+
+// Form values (organization time) and the UTC instants they must be stored as
+const CASES = [
+  {
+    name: 'an ordinary summer evening',
+    start: '2026-06-15T18:00', end: '2026-06-15T20:00',
+    startUtc: '2026-06-16T00:00:00.000Z', endUtc: '2026-06-16T02:00:00.000Z',
+  },
+  {
+    // 2:00-3:00 AM does not exist on 2026-03-08; 2:30 moves forward to 3:30 MDT
+    name: 'a time skipped when clocks spring forward',
+    start: '2026-03-08T02:30', end: '2026-03-08T04:00',
+    startUtc: '2026-03-08T09:30:00.000Z', endUtc: '2026-03-08T10:00:00.000Z',
+    editedStart: '2026-03-08T03:30',
+  },
+  {
+    // 1:00-2:00 AM happens twice on 2026-11-01; the first (MDT) one is used
+    name: 'a time repeated when clocks fall back',
+    start: '2026-11-01T01:30', end: '2026-11-01T03:00',
+    startUtc: '2026-11-01T07:30:00.000Z', endUtc: '2026-11-01T10:00:00.000Z',
+  },
+  {
+    name: 'an event spanning the fall-back change',
+    start: '2026-10-31T23:00', end: '2026-11-01T02:30',
+    startUtc: '2026-11-01T05:00:00.000Z', endUtc: '2026-11-01T09:30:00.000Z',
+  },
+];
+
+describe('event times', () => {
+  const originalTz = process.env.TZ;
+  let testApp;
+  let db;
+  let server;
+  let baseUrl;
+  let cookie = '';
+  let eventId;
+
+  /**
+   * request - Sends a form request as the signed-in manager; redirects are not followed
+   */
+  async function request(method, path, form) {
+    const res = await fetch(baseUrl + path, {
+      method,
+      redirect: 'manual',
+      headers: {
+        cookie,
+        ...(form ? { 'content-type': 'application/x-www-form-urlencoded' } : {}),
+      },
+      body: form ? new URLSearchParams(form).toString() : undefined,
+    });
+    const setCookie = res.headers.get('set-cookie');
+    if (setCookie) cookie = setCookie.split(';')[0];
+    return res;
+  }
+
+  function inputValue(html, name) {
+    const match = new RegExp(`name="${name}"[^>]*value="([^"]*)"`).exec(html);
+    assert.ok(match, `edit form has no ${name} input`);
+    return match[1];
+  }
+
+  async function storedTimes(eventInstanceId) {
+    const row = await db('event_instance').where({ event_instance_id: eventInstanceId }).first();
+    return {
+      start: new Date(row.event_date_start_time).toISOString(),
+      end: new Date(row.event_date_end_time).toISOString(),
+    };
+  }
+
+  before(async () => {
+    process.env.ORG_TIMEZONE = ORG_TIMEZONE;
+    testApp = await startTestApp();
+    ({ db } = testApp);
+
+    await new Promise((resolve) => {
+      server = testApp.app.listen(0, '127.0.0.1', resolve);
+    });
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await db('users').insert({
+      username: 'manager',
+      email: 'manager@example.org',
+      password: await bcrypt.hash('manager-password', 4),
+      role: 'admin',
+    });
+    const login = await request('POST', '/login', { username: 'manager', password: 'manager-password' });
+    assert.equal(login.headers.get('location'), '/dashboard');
+
+    const [event] = await db('event')
+      .insert({ event_name: 'Robotics Workshop', event_type: 'Workshop' })
+      .returning('event_id');
+    eventId = event.event_id;
+  });
+
+  after(async () => {
+    process.env.TZ = originalTz;
+    if (server) await new Promise(resolve => server.close(resolve));
+    if (testApp) await testApp.stop();
+  });
+
+  for (const zone of SERVER_ZONES) {
+    describe(`with the server in ${zone}`, () => {
+      before(() => {
+        process.env.TZ = zone;
+      });
+
+      for (const c of CASES) {
+        it(`converts ${c.name} without drifting`, () => {
+          const { parseDateTimeLocal, toDateTimeLocal } = testApp.appModule;
+          const start = parseDateTimeLocal(c.start);
+          assert.equal(start.toISOString(), c.startUtc);
+          assert.equal(toDateTimeLocal(start), c.editedStart || c.start);
+          assert.equal(parseDateTimeLocal(toDateTimeLocal(start)).toISOString(), c.startUtc);
+          assert.equal(parseDateTimeLocal(c.end).toISOString(), c.endUtc);
+        });
+
+        it(`keeps ${c.name} through save, edit and save again`, async () => {
+          const created = await request('POST', '/events', {
+            event_id: eventId,
+            start_time: c.start,
+            end_time: c.end,
+            venue_id: '',
+            capacity: '',
+          });
+          assert.equal(created.headers.get('location'), '/events/admin');
+
+          const { event_instance_id: eventInstanceId } = await db('event_instance')
+            .max('event_instance_id as event_instance_id')
+            .first();
+          assert.deepEqual(await storedTimes(eventInstanceId), { start: c.startUtc, end: c.endUtc });
+
+          const edit = await request('GET', `/events/${eventInstanceId}/edit`);
+          assert.equal(edit.status, 200);
+          const html = await edit.text();
+          const startValue = inputValue(html, 'start_time');
+          const endValue = inputValue(html, 'end_time');
+          assert.equal(startValue, c.editedStart || c.start);
+          assert.equal(endValue, c.end);
+
+          const saved = await request('POST', `/events/${eventInstanceId}`, {
+            event_id: eventId,
+            start_time: startValue,
+            end_time: endValue,
+            venue_id: '',
+            capacity: '',
+          });
+          assert.equal(saved.headers.get('location'), '/events/admin');
+          assert.deepEqual(await storedTimes(eventInstanceId), { start: c.startUtc, end: c.endUtc });
+        });
+      }
+    });
+  }
+});
@@ -0,0 +1,98 @@
+-- Base tables for the test database
+--
+-- These tables predate the migrations folder and exist only on the deployed database, so
+-- the tests create a minimal version of them before running the migrations on top.
+-- Keep the column names in step with what app.js reads and writes.
+
+CREATE TABLE users (
+  user_id serial PRIMARY KEY,
+  email text,
+  username text UNIQUE,
+  password text,
+  role text
+);
+
+CREATE TABLE participant (
+  participant_id serial PRIMARY KEY,
+  participant_first_name text,
+  participant_last_name text,
+  participant_email text,
+  participant_phone text,
+  participant_city text,
+  participant_state text,
+  participant_zip text,
+  participant_school_or_employer text,
+  participant_field_of_interest text,
+  participant_dob date,
+  participant_role text
+);
+
+CREATE TABLE event (
+  event_id serial PRIMARY KEY,
+  event_name text,
+  event_type text,
+  event_description text,
+  event_default_capacity int
+);
+
+CREATE TABLE event_instance (
+  event_instance_id serial PRIMARY KEY,
+  event_id int REFERENCES event,
+  event_date_start_time timestamptz,
+  event_date_end_time timestamptz,
+  event_location text,
+  event_capacity int
+);
+
+CREATE TABLE event_registration (
+  participant_id int REFERENCES participant,
+  event_instance_id int REFERENCES event_instance ON DELETE CASCADE,
+  registration_status text,
+  registration_attended_flag boolean,
+  registration_created_at timestamptz,
+  registration_check_in_time timestamptz
+);
+
+CREATE TABLE survey_submission (
+  survey_submission_id serial PRIMARY KEY,
+  participant_id int REFERENCES participant,
+  event_instance_id int REFERENCES event_instance,
+  survey_submission_date timestamptz
+);
+
+CREATE TABLE survey_response (
+  survey_submission_id int REFERENCES survey_submission,
+  question_number int,
+  question_response int
+);
+
+CREATE TABLE survey_comment (
+  survey_submission_id int REFERENCES survey_submission,
+  comment_number int,
+  comment_text text
+);
+
+CREATE TABLE milestone (
+  milestone_id serial PRIMARY KEY,
+  milestone_title text,
+  milestone_description text
+);
+
+CREATE TABLE participant_milestone (
+  participant_id int REFERENCES participant,
+  milestone_id int REFERENCES milestone,
+  milestone_date date,
+  PRIMARY KEY (participant_id, milestone_id)
+);
+
+CREATE TABLE donation (
+  participant_id int,
+  donation_number int,
+  donation_amount numeric,
+  donation_date date,
+  PRIMARY KEY (participant_id, donation_number)
+);
+
+-- Anonymous donations are recorded against participant 0
+INSERT INTO participant (participant_id, participant_first_name, participant_last_name, participant_role)
+VALUES (0, 'Anonymous', 'Donor', 'donor');
@@ -0,0 +1,113 @@
+/**
+ * Test database helper
+ *
+ * Starts a throwaway PostgreSQL server (embedded-postgres) in a temporary directory, creates
+ * the base tables from test/fixtures/schema.sql, points app.js at it and runs the
+ * migrations. Each test file calls startTestApp() once in a before() hook and stop() in
+ * after(); node --test runs every file in its own process, so each file gets a fresh app.
+ *
+ * A real server is used rather than a mock because the registration code relies on
+ * PostgreSQL row locks (SELECT ... FOR UPDATE) and constraint errors.
+ */
+
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const EmbeddedPostgres = require('embedded-postgres').default;
+
+const TEST_DATABASE = 'ellarising_test';
+const TEST_PASSWORD = 'postgres';
+
+/**
+ * freePort - Asks the OS for a TCP port nothing is listening on
+ */
+function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.unref();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+/**
+ * startTestApp - Starts the database and loads the app against it
+ *
+ * Returns { app, db, appModule, stop } where appModule is everything app.js exports.
+ */
+async function startTestApp() {
+  const port = await freePort();
+  const baseDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ellarising-test-'));
+  // initdb drops to the postgres user when run as root, which must be able to reach the data dir
+  fs.chmodSync(baseDir, 0o755);
+
+  const server = new EmbeddedPostgres({
+    databaseDir: path.join(baseDir, 'data'),
+    user: 'postgres',
+    password: TEST_PASSWORD,
+    port,
+    persistent: false,
+    createPostgresUser: true,
+    initdbFlags: ['--locale=C', '--lc-messages=C'],
+    onLog: () => {},
+    onError: (message) => console.error('[postgres]', String(message)),
+  });
+
+  await server.initialise();
+  await server.start();
+
+  try {
+    await server.createDatabase(TEST_DATABASE);
+    const client = server.getPgClient(TEST_DATABASE);
+    await client.connect();
+    try {
+      await client.query(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'schema.sql'), 'utf8'));
+    } finally {
+      await client.end();
+    }
+
+    // app.js reads its connection from the environment when it is first required.
+    // The RDS_* variables win over DB_*, so blank them in case .env.local sets them.
+    Object.assign(process.env, {
+      RDS_HOSTNAME: '',
+      RDS_HOST: '',
+      RDS_PORT: '',
+      RDS_USERNAME: '',
+      RDS_USER: '',
+      RDS_PASSWORD: '',
+      RDS_DB_NAME: '',
+      RDS_DATABASE: '',
+      DB_CLIENT: 'pg',
+      DB_HOST: '127.0.0.1',
+      DB_PORT: String(port),
+      DB_USER: 'postgres',
+      DB_PASSWORD: TEST_PASSWORD,
+      DB_DATABASE: TEST_DATABASE,
+      MAIL_TRANSPORT: 'console',
+    });
+
+    const appModule = require('../../app');
+    await appModule.db.migrate.latest({ directory: path.join(__dirname, '..', '..', 'migrations') });
+
+    return {
+      app: appModule.app,
+      db: appModule.db,
+      appModule,
+      stop: async () => {
+        await appModule.db.destroy();
+        await server.stop();
+        fs.rmSync(baseDir, { recursive: true, force: true });
+      },
+    };
+  } catch (err) {
+    await server.stop();
+    fs.rmSync(baseDir, { recursive: true, force: true });
+    throw err;
+  }
+}
+
+module.exports = { startTestApp };
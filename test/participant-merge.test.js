@@ -0,0 +1,117 @@
+/**
+ * Merging duplicate participants
+ *
+ * When both records are registered for the same event the registrations are combined into
+ * one, which can free a seat; the next person on the waitlist must get it.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/database');
+
+describe('participant merge', () => {
+  let testApp;
+  let db;
+  let registerParticipantForEvent;
+  let mergeParticipants;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ({ db } = testApp);
+    ({ registerParticipantForEvent, mergeParticipants } = testApp.appModule);
+  });
+
+  after(async () => {
+    if (testApp) await testApp.stop();
+  });
+
+  async function createEventInstance(capacity) {
+    const [event] = await db('event')
+      .insert({ event_name: 'Robotics Workshop', event_type: 'Workshop', event_default_capacity: capacity })
+      .returning('event_id');
+    const [instance] = await db('event_instance')
+      .insert({
+        event_id: event.event_id,
+        event_date_start_time: new Date('2026-11-03T23:00:00Z'),
+        event_date_end_time: new Date('2026-11-04T01:00:00Z'),
+        event_location: 'Community Center',
+        event_capacity: capacity,
+      })
+      .returning('event_instance_id');
+    return instance.event_instance_id;
+  }
+
+  async function createParticipant(firstName, email) {
+    const [row] = await db('participant')
+      .insert({
+        participant_first_name: firstName,
+        participant_last_name: 'Lopez',
+        participant_email: email,
+        participant_role: 'participant',
+      })
+      .returning('participant_id');
+    return row.participant_id;
+  }
+
+  async function statusesFor(eventInstanceId) {
+    const rows = await db('event_registration')
+      .where('event_instance_id', eventInstanceId)
+      .select('participant_id', 'registration_status');
+    return Object.fromEntries(rows.map(r => [r.participant_id, r.registration_status]));
+  }
+
+  function merge(keepId, mergeId) {
+    return mergeParticipants({ keepId, mergeId, fieldChoices: {}, userId: null, baseUrl: 'http://localhost' });
+  }
+
+  it('promotes the waitlist when combining two seats frees one', async () => {
+    const eventInstanceId = await createEventInstance(2);
+    const keepId = await createParticipant('Ana', 'ana@example.org');
+    const mergeId = await createParticipant('Ana', 'ana.lopez@example.org');
+    const waitingId = await createParticipant('Maria', 'maria@example.org');
+    for (const id of [keepId, mergeId, waitingId]) {
+      await registerParticipantForEvent(id, eventInstanceId);
+    }
+    assert.equal((await statusesFor(eventInstanceId))[waitingId], 'waitlisted');
+
+    const summary = await merge(keepId, mergeId);
+
+    assert.equal(summary.combined_registrations, 1);
+    assert.deepEqual(await statusesFor(eventInstanceId), { [keepId]: 'registered', [waitingId]: 'registered' });
+    assert.equal(await db('participant').where('participant_id', mergeId).first(), undefined);
+  });
+
+  it('leaves the waitlist alone when only one record held a seat', async () => {
+    const eventInstanceId = await createEventInstance(1);
+    const keepId = await createParticipant('Sofia', 'sofia@example.org');
+    const mergeId = await createParticipant('Sofia', 'sofia.lopez@example.org');
+    const waitingId = await createParticipant('Elena', 'elena@example.org');
+    for (const id of [keepId, mergeId, waitingId]) {
+      await registerParticipantForEvent(id, eventInstanceId);
+    }
+
+    await merge(keepId, mergeId);
+
+    assert.deepEqual(await statusesFor(eventInstanceId), { [keepId]: 'registered', [waitingId]: 'waitlisted' });
+  });
+
+  it('keeps attendance from either record', async () => {
+    const eventInstanceId = await createEventInstance(5);
+    const keepId = await createParticipant('Lucia', 'lucia@example.org');
+    const mergeId = await createParticipant('Lucia', 'lucia.lopez@example.org');
+    await registerParticipantForEvent(keepId, eventInstanceId);
+    await registerParticipantForEvent(mergeId, eventInstanceId);
+    const checkInTime = new Date('2026-11-03T23:05:00Z');
+    await db('event_registration')
+      .where({ participant_id: mergeId, event_instance_id: eventInstanceId })
+      .update({ registration_attended_flag: true, registration_check_in_time: checkInTime });
+
+    await merge(keepId, mergeId);
+
+    const rows = await db('event_registration').where('event_instance_id', eventInstanceId);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].participant_id, keepId);
+    assert.equal(rows[0].registration_attended_flag, true);
+    assert.equal(rows[0].registration_check_in_time.getTime(), checkInTime.getTime());
+  });
+});
@@ -0,0 +1,142 @@
+/**
+ * Registration capacity under concurrent load
+ *
+ * Many people registering for the last seats at once, and people cancelling while others
+ * are promoted off the waitlist, must never overbook an event or create duplicate rows.
+ */
+
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestApp } = require('./helpers/database');
+
+const CAPACITY = 5;
+const PARTICIPANTS = 20;
+
+describe('registration capacity', () => {
+  let testApp;
+  let db;
+  let registerParticipantForEvent;
+  let promoteWaitlist;
+
+  before(async () => {
+    testApp = await startTestApp();
+    ({ db } = testApp);
+    ({ registerParticipantForEvent, promoteWaitlist } = testApp.appModule);
+  });
+
+  after(async () => {
+    if (testApp) await testApp.stop();
+  });
+
+  async function createEventInstance(capacity) {
+    const [event] = await db('event')
+      .insert({ event_name: 'Robotics Workshop', event_type: 'Workshop', event_default_capacity: capacity })
+      .returning('event_id');
+    const [instance] = await db('event_instance')
+      .insert({
+        event_id: event.event_id,
+        event_date_start_time: new Date('2026-11-03T23:00:00Z'),
+        event_date_end_time: new Date('2026-11-04T01:00:00Z'),
+        event_location: 'Community Center',
+        event_capacity: capacity,
+      })
+      .returning('event_instance_id');
+    return instance.event_instance_id;
+  }
+
+  async function createParticipants(count) {
+    const rows = Array.from({ length: count }, (_, i) => ({
+      participant_first_name: 'Test',
+      participant_last_name: `Participant ${i + 1}`,
+      participant_email: `participant${i + 1}@example.org`,
+      participant_role: 'participant',
+    }));
+    return (await db('participant').insert(rows).returning('participant_id')).map(r => r.participant_id);
+  }
+
+  async function registrationsFor(eventInstanceId) {
+    return db('event_registration')
+      .where('event_instance_id', eventInstanceId)
+      .select('participant_id', 'registration_status');
+  }
+
+  function countByStatus(rows) {
+    const counts = {};
+    rows.forEach(r => { counts[r.registration_status] = (counts[r.registration_status] || 0) + 1; });
+    return counts;
+  }
+
+  function assertNoDuplicates(rows) {
+    const ids = rows.map(r => r.participant_id);
+    assert.equal(new Set(ids).size, ids.length, 'a participant has more than one registration row');
+  }
+
+  it('fills exactly the capacity when everyone registers at once', async () => {
+    const eventInstanceId = await createEventInstance(CAPACITY);
+    const participantIds = await createParticipants(PARTICIPANTS);
+
+    const results = await Promise.all(
+      participantIds.map(id => registerParticipantForEvent(id, eventInstanceId))
+    );
+
+    assert.equal(results.filter(r => r.status === 'registered').length, CAPACITY);
+    assert.equal(results.filter(r => r.status === 'waitlisted').length, PARTICIPANTS - CAPACITY);
+
+    const positions = results.filter(r => r.status === 'waitlisted').map(r => r.waitlistPosition).sort((a, b) => a - b);
+    assert.deepEqual(positions, Array.from({ length: PARTICIPANTS - CAPACITY }, (_, i) => i + 1));
+
+    const rows = await registrationsFor(eventInstanceId);
+    assert.equal(rows.length, PARTICIPANTS);
+    assert.deepEqual(countByStatus(rows), { registered: CAPACITY, waitlisted: PARTICIPANTS - CAPACITY });
+    assertNoDuplicates(rows);
+  });
+
+  it('does not duplicate a registration submitted twice at once', async () => {
+    const eventInstanceId = await createEventInstance(CAPACITY);
+    const [participantId] = await createParticipants(1);
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => registerParticipantForEvent(participantId, eventInstanceId))
+    );
+
+    assert.equal(results.filter(r => !r.alreadyRegistered).length, 1);
+    const rows = await registrationsFor(eventInstanceId);
+    assert.equal(rows.length, 1);
+    assert.equal(rows[0].registration_status, 'registered');
+  });
+
+  it('keeps the event full while cancellations and promotions race each other', async () => {
+    const eventInstanceId = await createEventInstance(CAPACITY);
+    const participantIds = await createParticipants(PARTICIPANTS);
+    await Promise.all(participantIds.map(id => registerParticipantForEvent(id, eventInstanceId)));
+
+    const registered = (await registrationsFor(eventInstanceId))
+      .filter(r => r.registration_status === 'registered')
+      .map(r => r.participant_id);
+    const cancelling = registered.slice(0, 3);
+    const lateArrivals = await createParticipants(5);
+
+    // Same steps as the cancel routes: mark the row cancelled, then promote from the waitlist.
+    // Late registrations and extra promotion runs go in at the same time.
+    await Promise.all([
+      ...cancelling.map(async (participantId) => {
+        await db('event_registration')
+          .where({ participant_id: participantId, event_instance_id: eventInstanceId })
+          .update({ registration_status: 'cancelled' });
+        await promoteWaitlist(eventInstanceId, 'http://localhost');
+      }),
+      ...lateArrivals.map(id => registerParticipantForEvent(id, eventInstanceId)),
+      promoteWaitlist(eventInstanceId, 'http://localhost'),
+      promoteWaitlist(eventInstanceId, 'http://localhost'),
+    ]);
+
+    const rows = await registrationsFor(eventInstanceId);
+    assert.equal(rows.length, PARTICIPANTS + lateArrivals.length);
+    assert.deepEqual(countByStatus(rows), {
+      registered: CAPACITY,
+      cancelled: cancelling.length,
+      waitlisted: PARTICIPANTS + lateArrivals.length - CAPACITY - cancelling.length,
+    });
+    assertNoDuplicates(rows);
+  });
+});